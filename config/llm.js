@@ -0,0 +1,184 @@
+// config/llm.js
+require('dotenv').config();
+
+const OpenAIProvider = require('../services/llm/openaiProvider');
+const AzureOpenAIProvider = require('../services/llm/azureOpenAIProvider');
+const AnthropicProvider = require('../services/llm/anthropicProvider');
+const MockProvider = require('../services/llm/mockProvider');
+
+// Call sites that can be routed to their own provider/model
+const CHAT_TASKS = ['dispatch', 'patient', 'scene', 'scoring'];
+const TASKS = [...CHAT_TASKS, 'transcription'];
+
+// Provider types that can transcribe speech (Anthropic cannot)
+const TRANSCRIBING_TYPES = ['openai', 'openai-compatible', 'azure', 'mock'];
+
+// Models used with the stock OpenAI provider when a task has no override
+const OPENAI_TASK_MODELS = {
+  dispatch: 'gpt-4o-mini',
+  patient: 'gpt-4o-mini',
+  scene: 'gpt-4o',
+  scoring: 'gpt-4o-mini',
+  transcription: 'whisper-1'
+};
+
+/**
+ * Build a language-model provider by type.
+ * The mock provider needs no API key or network, for development, demos and tests.
+ * @param {string} type - openai | openai-compatible | azure | anthropic | mock
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {LLMProvider} - Configured provider
+ */
+function createProvider(type = 'openai', env = process.env) {
+  switch (type) {
+    case 'mock':
+      return new MockProvider({
+        script: env.MOCK_LLM_SCRIPT ? MockProvider.loadScript(env.MOCK_LLM_SCRIPT) : []
+      });
+    case 'openai':
+      return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL });
+    case 'openai-compatible':
+      if (!env.OPENAI_COMPATIBLE_BASE_URL) {
+        throw new Error('OPENAI_COMPATIBLE_BASE_URL is not defined in environment variables');
+      }
+      // Local servers usually ignore the key, but the client requires one
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+        baseURL: env.OPENAI_COMPATIBLE_BASE_URL
+      });
+    case 'azure':
+      return new AzureOpenAIProvider({
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION
+      });
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, baseURL: env.ANTHROPIC_BASE_URL });
+    default:
+      throw new Error(`Unknown LLM provider "${type}" (expected openai, openai-compatible, azure, anthropic or mock)`);
+  }
+}
+
+/**
+ * Default model for a task on a given provider when LLM_<TASK>_MODEL is unset
+ * @param {string} type - Provider type
+ * @param {string} task - Task name
+ * @param {Object} env - Environment variables
+ * @returns {string} - Model (or Azure deployment) name
+ */
+function defaultModelFor(type, task, env) {
+  switch (type) {
+    case 'openai':
+      return OPENAI_TASK_MODELS[task];
+    case 'openai-compatible':
+      return env.OPENAI_COMPATIBLE_MODEL;
+    case 'azure':
+      return task === 'transcription' ? env.AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT : env.AZURE_OPENAI_DEPLOYMENT;
+    case 'anthropic':
+      return env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+    default:
+      return 'mock-llm';
+  }
+}
+
+/**
+ * Resolve provider and model for every chat task from the environment:
+ *   LLM_PROVIDER               default provider for all tasks (openai)
+ *   LLM_<TASK>_PROVIDER        provider for one task, e.g. LLM_PATIENT_PROVIDER=anthropic
+ *   LLM_<TASK>_MODEL           model for one task, e.g. LLM_SCENE_MODEL=gpt-4o
+ * Tasks using the same provider type share one client. Transcription is
+ * optional and resolved on first use (see resolveTranscriptionRoute).
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @param {Object} providers - Clients already built, by provider type; filled in as clients are built
+ * @returns {Object} - { [task]: { provider, providerType, model } }
+ */
+function resolveTaskRoutes(env = process.env, providers = {}) {
+  const defaultType = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const routes = {};
+
+  for (const task of CHAT_TASKS) {
+    const key = task.toUpperCase();
+    const type = (env[`LLM_${key}_PROVIDER`] || defaultType).toLowerCase();
+    if (!providers[type]) providers[type] = createProvider(type, env);
+
+    const model = env[`LLM_${key}_MODEL`] || defaultModelFor(type, task, env);
+    if (!model) {
+      throw new Error(`No model configured for the ${task} task; set LLM_${key}_MODEL`);
+    }
+    routes[task] = { provider: providers[type], providerType: type, model };
+  }
+
+  return routes;
+}
+
+// Whether a provider type's credentials are set, so it can stand in for transcription
+function hasCredentials(type, env) {
+  if (type === 'openai') return !!env.OPENAI_API_KEY;
+  if (type === 'azure') return !!(env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_ENDPOINT);
+  return false;
+}
+
+/**
+ * Resolve the transcription route: LLM_TRANSCRIPTION_PROVIDER (or LLM_PROVIDER)
+ * when it can transcribe and has a model, otherwise OpenAI or Azure when their
+ * credentials are set
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @param {Object} providers - Clients already built, by provider type
+ * @returns {Object|null} - { provider, providerType, model }, or null when no provider can transcribe
+ */
+function resolveTranscriptionRoute(env = process.env, providers = {}) {
+  const chosen = (env.LLM_TRANSCRIPTION_PROVIDER || env.LLM_PROVIDER || 'openai').toLowerCase();
+  const candidates = [...new Set([chosen, 'openai', 'azure'])]
+    .filter(type => TRANSCRIBING_TYPES.includes(type) && (type === chosen || hasCredentials(type, env)));
+
+  for (const type of candidates) {
+    const model = env.LLM_TRANSCRIPTION_MODEL || defaultModelFor(type, 'transcription', env);
+    if (!model) continue;
+    if (!providers[type]) providers[type] = createProvider(type, env);
+    return { provider: providers[type], providerType: type, model };
+  }
+  return null;
+}
+
+const providers = {};
+const routes = resolveTaskRoutes(process.env, providers);
+// Default provider, for callers that are not tied to a specific task
+const llm = routes.patient.provider;
+// undefined until the first transcription asks for it
+let transcriptionRoute;
+
+CHAT_TASKS.forEach(task => {
+  console.log(`🤖 LLM ${task}: ${routes[task].provider.name} / ${routes[task].model}`);
+});
+
+/**
+ * Look up the provider and model routed to a task
+ * @param {string} task - One of TASKS
+ * @returns {Object|null} - { provider, providerType, model }; null for transcription when no provider can transcribe
+ */
+function getTaskRoute(task) {
+  if (task === 'transcription') return getTranscriptionRoute();
+  const route = routes[task];
+  if (!route) throw new Error(`Unknown LLM task "${task}"`);
+  return route;
+}
+
+function getTranscriptionRoute() {
+  if (transcriptionRoute === undefined) {
+    transcriptionRoute = resolveTranscriptionRoute(process.env, providers);
+    if (transcriptionRoute) {
+      console.log(`🤖 LLM transcription: ${transcriptionRoute.provider.name} / ${transcriptionRoute.model}`);
+    } else {
+      console.warn('⚠️ No configured provider can transcribe speech; /api/transcribe is disabled');
+    }
+  }
+  return transcriptionRoute;
+}
+
+async function testConnection() {
+  const providers = [...new Set(Object.values(routes).map(route => route.provider))];
+  const results = await Promise.all(providers.map(provider => provider.testConnection()));
+  return results.every(Boolean);
+}
+
+module.exports = { llm, TASKS, createProvider, resolveTaskRoutes, resolveTranscriptionRoute, getTaskRoute, testConnection };
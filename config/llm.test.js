@@ -0,0 +1,90 @@
+// config/llm.test.js
+process.env.LLM_PROVIDER = 'mock';
+
+const { resolveTaskRoutes, resolveTranscriptionRoute, getTaskRoute, TASKS } = require('./llm');
+
+describe('LLM task routing', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should route every task to the default provider', () => {
+    const routes = resolveTaskRoutes({ LLM_PROVIDER: 'mock' });
+    TASKS.filter(task => task !== 'transcription').forEach(task => {
+      expect(routes[task].providerType).toBe('mock');
+    });
+    expect(resolveTranscriptionRoute({ LLM_PROVIDER: 'mock' }).providerType).toBe('mock');
+    // Tasks on the same provider type share one client
+    expect(routes.scene.provider).toBe(routes.patient.provider);
+  });
+
+  test('should keep the stock OpenAI model per task', () => {
+    const routes = resolveTaskRoutes({ OPENAI_API_KEY: 'sk-test' });
+    expect(routes.scene.model).toBe('gpt-4o');
+    expect(routes.patient.model).toBe('gpt-4o-mini');
+    expect(resolveTranscriptionRoute({ OPENAI_API_KEY: 'sk-test' }).model).toBe('whisper-1');
+  });
+
+  test('should route individual tasks to other providers and models', () => {
+    const routes = resolveTaskRoutes({
+      OPENAI_API_KEY: 'sk-test',
+      LLM_PATIENT_PROVIDER: 'openai-compatible',
+      OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1',
+      LLM_PATIENT_MODEL: 'llama3.1',
+      LLM_SCORING_PROVIDER: 'anthropic',
+      ANTHROPIC_API_KEY: 'test-key',
+      LLM_SCENE_MODEL: 'gpt-4.1'
+    });
+
+    expect(routes.patient.providerType).toBe('openai-compatible');
+    expect(routes.patient.model).toBe('llama3.1');
+    expect(routes.scoring.providerType).toBe('anthropic');
+    expect(routes.scene.providerType).toBe('openai');
+    expect(routes.scene.model).toBe('gpt-4.1');
+    expect(routes.dispatch.model).toBe('gpt-4o-mini');
+  });
+
+  test('should require a deployment name for Azure', () => {
+    expect(() => resolveTaskRoutes({
+      LLM_PROVIDER: 'azure',
+      AZURE_OPENAI_API_KEY: 'key',
+      AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com'
+    })).toThrow('LLM_DISPATCH_MODEL');
+  });
+
+  test('should start Azure without a transcription deployment and leave transcription off', () => {
+    const env = {
+      LLM_PROVIDER: 'azure',
+      AZURE_OPENAI_API_KEY: 'key',
+      AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com',
+      AZURE_OPENAI_DEPLOYMENT: 'gpt-4o-mini'
+    };
+
+    expect(resolveTaskRoutes(env).patient.model).toBe('gpt-4o-mini');
+    expect(resolveTranscriptionRoute(env)).toBeNull();
+    expect(resolveTranscriptionRoute({ ...env, AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT: 'whisper' })).toMatchObject({ providerType: 'azure', model: 'whisper' });
+  });
+
+  test('should transcribe with OpenAI or Azure when the chosen provider cannot', () => {
+    const env = { LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'test-key' };
+
+    expect(resolveTaskRoutes(env).patient.providerType).toBe('anthropic');
+    expect(resolveTranscriptionRoute(env)).toBeNull();
+    expect(resolveTranscriptionRoute({ ...env, OPENAI_API_KEY: 'sk-test' })).toMatchObject({ providerType: 'openai', model: 'whisper-1' });
+    expect(resolveTranscriptionRoute({
+      ...env,
+      AZURE_OPENAI_API_KEY: 'key',
+      AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com',
+      AZURE_OPENAI_TRANSCRIPTION_DEPLOYMENT: 'whisper'
+    })).toMatchObject({ providerType: 'azure', model: 'whisper' });
+  });
+
+  test('should reject unknown tasks and providers', () => {
+    expect(() => getTaskRoute('summary')).toThrow('Unknown LLM task');
+    expect(() => resolveTaskRoutes({ LLM_PROVIDER: 'bard' })).toThrow('Unknown LLM provider');
+  });
+});
@@ -0,0 +1,64 @@
+// middleware/auth.js
+const authService = require('../services/authService');
+
+/**
+ * Reject requests without a valid bearer token and attach the signed-in
+ * account to req.user
+ * @param {Object} options - publicPaths: paths (relative to the mount point) that skip the check
+ * @returns {Function} - Express middleware
+ */
+function requireAuth({ publicPaths = [] } = {}) {
+  return async (req, res, next) => {
+    if (publicPaths.includes(req.path)) return next();
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+    const user = token ? await authService.authenticate(token) : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Sign in required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Only let through users with at least the given role (student < instructor < admin);
+ * use after requireAuth
+ * @param {string} role - Least role the route needs
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !authService.hasRole(req.user.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This action needs the ${role} role`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Whether a user may see or change a scenario session: its own student, a member
+ * of its team, or any instructor or admin
+ * @param {Object} user - req.user
+ * @param {Object} session - Session record
+ * @returns {boolean}
+ */
+function canAccessSession(user, session) {
+  if (!user || !session) return false;
+  return session.metadata?.userId === user.id ||
+    !!session.team?.hasMember(user.id) ||
+    authService.hasRole(user.role, 'instructor');
+}
+
+module.exports = { requireAuth, requireRole, canAccessSession };
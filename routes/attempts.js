@@ -0,0 +1,73 @@
+// routes/attempts.js
+const express = require('express');
+const attemptHistory = require('../services/attemptHistory');
+const authService = require('../services/authService');
+const router = express.Router();
+
+// Students only see their own attempts; instructors and admins can pick a student with ?userId=
+const resolveUserId = (req) => {
+  if (req.query.userId && authService.hasRole(req.user.role, 'instructor')) return String(req.query.userId);
+  return req.user.id;
+};
+
+// List a student's completed attempts, newest first
+router.get('/attempts', async (req, res) => {
+  try {
+    const attempts = await attemptHistory.listAttempts({ userId: resolveUserId(req) });
+    res.json({
+      success: true,
+      data: attempts.map(attempt => attemptHistory.summarize(attempt)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Attempt list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the attempts',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get one attempt with its grading results and transcript
+router.get('/attempts/:id', async (req, res) => {
+  const attempt = await attemptHistory.getAttempt(req.params.id);
+
+  if (!attempt || (attempt.userId !== req.user.id && !authService.hasRole(req.user.role, 'instructor'))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Attempt not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: attempt,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Progress dashboard: section score trends, pass rate by scenario category, recurring missed items
+router.get('/progress', async (req, res) => {
+  try {
+    const attempts = await attemptHistory.listAttempts({ userId: resolveUserId(req) });
+    res.json({
+      success: true,
+      data: {
+        ...attemptHistory.buildProgress(attempts),
+        recent: attempts.slice(0, 10).map(attempt => attemptHistory.summarize(attempt))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Progress error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build the progress dashboard',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
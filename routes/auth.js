@@ -0,0 +1,186 @@
+// routes/auth.js
+const express = require('express');
+const authService = require('../services/authService');
+const { requireAuth } = require('../middleware/auth');
+const router = express.Router();
+
+// Frontends an SSO sign-in may hand its token back to
+const getReturnOrigins = () => (process.env.AUTH_SSO_RETURN_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+const isAllowedReturnUrl = (returnTo) => {
+  try {
+    return getReturnOrigins().includes(new URL(returnTo).origin);
+  } catch {
+    return false;
+  }
+};
+
+const getCallbackUrl = req => process.env.AUTH_SSO_CALLBACK_URL || `${req.protocol}://${req.get('host')}/api/auth/sso/callback`;
+
+const sendAccountErrors = (res, result) => {
+  if (result.conflict) {
+    return res.status(409).json({
+      success: false,
+      error: 'That username is already taken',
+      timestamp: new Date().toISOString()
+    });
+  }
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid account details',
+    details: result.errors,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// How users can sign in, for the login screen
+router.get('/auth/providers', (req, res) => {
+  const sso = authService.ssoProvider;
+  res.json({
+    success: true,
+    data: {
+      local: true,
+      registration: authService.allowRegistration,
+      sso: sso ? { name: sso.name, label: sso.label } : null
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Sign in with a username and password
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = await authService.login(username, password);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Incorrect username or password',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Login error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Sign-in failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create a student account and sign in (only when AUTH_ALLOW_REGISTRATION=true)
+router.post('/auth/register', async (req, res) => {
+  if (!authService.allowRegistration) {
+    return res.status(403).json({
+      success: false,
+      error: 'Self-registration is turned off; ask an instructor for an account',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const { username, password, displayName } = req.body || {};
+    const result = await authService.createUser({ username, password, displayName, role: 'student' });
+    if (!result.user) return sendAccountErrors(res, result);
+
+    res.status(201).json({
+      success: true,
+      data: await authService.login(username, password),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Registration error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Registration failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// The signed-in account
+router.get('/auth/me', requireAuth(), (req, res) => {
+  res.json({
+    success: true,
+    data: req.user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Start single sign-on: ?returnTo=<frontend URL>&hint=<username>
+router.get('/auth/sso/login', async (req, res) => {
+  const sso = authService.ssoProvider;
+  const returnTo = String(req.query.returnTo || getReturnOrigins()[0]);
+
+  if (!sso) {
+    return res.status(404).json({
+      success: false,
+      error: 'Single sign-on is not configured',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (!isAllowedReturnUrl(returnTo)) {
+    return res.status(400).json({
+      success: false,
+      error: 'returnTo is not an allowed frontend origin',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const url = await sso.getAuthorizationUrl({
+      state: authService.createState({ returnTo }),
+      redirectUri: getCallbackUrl(req),
+      loginHint: req.query.hint ? String(req.query.hint) : null
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO start error:', error.message);
+    res.status(502).json({
+      success: false,
+      error: 'Could not reach the identity provider',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Finish single sign-on and hand the token to the frontend's login route
+// (POST too, for identity providers that post their response, as SAML does)
+const handleSsoCallback = async (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  const state = authService.readState(params.state || params.RelayState);
+
+  if (!authService.ssoProvider || !state || !isAllowedReturnUrl(state.returnTo)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Sign-in expired or was not started here; please try again',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const loginUrl = `${state.returnTo.replace(/#.*$/, '')}#/login`;
+  try {
+    const profile = await authService.ssoProvider.handleCallback({ params, redirectUri: getCallbackUrl(req) });
+    const session = await authService.loginWithSso(profile);
+    res.redirect(`${loginUrl}?token=${encodeURIComponent(session.token)}`);
+  } catch (error) {
+    console.error('SSO callback error:', error.message);
+    res.redirect(`${loginUrl}?error=${encodeURIComponent('Single sign-on failed')}`);
+  }
+};
+
+router.get('/auth/sso/callback', handleSsoCallback);
+router.post('/auth/sso/callback', handleSsoCallback);
+
+module.exports = router;
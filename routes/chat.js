@@ -1,16 +1,22 @@
 // routes/chat.js
 const express = require('express');
 const ChatService = require('../services/chatService');
+const sessionManager = require('../services/sessionManager');
+const authService = require('../services/authService');
+const attemptHistory = require('../services/attemptHistory');
+const { canAccessSession } = require('../middleware/auth');
+// Stateless helpers (summaries, scoring, health); scenario chat runs per session
 const chatService = new ChatService();
 const router = express.Router();
-const fs = require('fs');
-const os = require('os');
-const path = require('path');
-const { openai } = require('../config/openai');
+const { getTaskRoute } = require('../config/llm');
+
+// Recordings longer than this are not a single radio transmission or chat message
+const MAX_VOICE_DURATION_MS = 10 * 60 * 1000;
+const isValidVoiceDuration = durationMs => Number.isFinite(durationMs) && durationMs > 0 && durationMs <= MAX_VOICE_DURATION_MS;
 
 // Input validation middleware
 const validateChatInput = (req, res, next) => {
-  const { message, conversation } = req.body;
+  const { message, conversation, voice } = req.body;
 
   // Check if message exists
   if (!message) {
@@ -51,31 +57,136 @@ const validateChatInput = (req, res, next) => {
     });
   }
 
+  // Length of the recording a spoken message was transcribed from (see /transcribe)
+  if (voice !== undefined && voice !== null && !isValidVoiceDuration(voice?.durationMs)) {
+    return res.status(400).json({
+      success: false,
+      error: 'voice.durationMs must be a number of milliseconds up to 10 minutes'
+    });
+  }
+
   next();
 };
 
 // Main chat endpoint
 router.post('/chat', validateChatInput, async (req, res) => {
   try {
-    const { message, conversation = [], scenarioData = null, seed = null } = req.body;
+    const { message, conversation = [], scenarioData = null, seed = null, sessionId = null, voice = null } = req.body;
 
     console.log(`Received message: ${message.substring(0, 100)}...`);
     console.log('Scenario data:', scenarioData);
 
-    // Thread deterministic seed via scenarioData.meta.seed
-    const scenarioWithMeta = scenarioData || {};
-    scenarioWithMeta.meta = Object.assign({}, scenarioWithMeta.meta || {}, seed ? { seed } : {});
+    // Unpublished drafts are only for the instructors previewing them
+    if (scenarioData?.libraryCaseDraft && !authService.hasRole(req.user.role, 'instructor')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only instructors can preview draft scenarios',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Route to the caller's session, or issue a new one for a fresh scenario
+    let session;
+    if (sessionId) {
+      session = await sessionManager.getSession(sessionId);
+      if (!session || !canAccessSession(req.user, session)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found or expired. Please start a new scenario.',
+          timestamp: new Date().toISOString()
+        });
+      }
+    } else {
+      session = await sessionManager.createSession({
+        userId: req.user.id,
+        sunetId: req.user.username,
+        mainScenario: scenarioData?.mainScenario || null,
+        subScenario: scenarioData?.subScenario || null,
+        libraryCaseId: scenarioData?.libraryCaseId || null,
+        scenarioCode: scenarioData?.scenarioCode || null
+      });
+    }
+
+    // Team scenarios are played by their members only
+    if (session.team && !session.team.hasMember(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only members of this team can take part in its scenario',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Teammates' messages are answered one at a time against the shared patient
+    const { result, responseScenarioData, attemptId } = await sessionManager.runExclusive(session, async () => {
+      const { team } = session;
+      // A team's conversation and scenario data are kept on the server, not by each member's browser
+      const turnConversation = team ? [...team.conversation] : conversation;
+      const turnScenarioData = (team && team.scenarioData) || scenarioData;
+
+      // Thread deterministic seed via scenarioData.meta.seed
+      const scenarioWithMeta = turnScenarioData || {};
+      if (turnScenarioData) scenarioWithMeta.sunetId = session.metadata.sunetId || req.user.username;
+      scenarioWithMeta.meta = Object.assign({}, scenarioWithMeta.meta || {}, seed ? { seed } : {}, { sessionId: session.id });
+
+      const speaker = team ? team.getSpeaker(req.user.id) : null;
+      const turnResult = await session.service.generateResponse(message, turnConversation, scenarioWithMeta, speaker, voice);
+
+      const turnScenario = turnResult.enhancedScenarioData || scenarioWithMeta;
+      if (turnScenario.meta) turnScenario.meta.sessionId = session.id;
+      if (team) {
+        team.recordExchange({ message, speaker, additionalMessages: turnResult.additionalMessages, response: turnResult.response });
+        team.scenarioData = turnScenario;
+      }
+      await sessionManager.saveSession(session);
+
+      // Keep each run graded by this message (not instructors' draft previews) in the student's history
+      const scenarioEnded = (turnResult.additionalMessages || []).some(marker => marker.content === 'scenarioEnded');
+      let recordedId = null;
+      if (scenarioEnded && turnScenario.gradingResults && !turnScenario.generatedScenario?.libraryCase?.preview) {
+        const attempt = {
+          sessionId: session.id,
+          scenarioData: turnScenario,
+          gradingResults: turnScenario.gradingResults,
+          feedbackReport: turnScenario.feedbackReport,
+          endReason: session.service.scenarioEndReason,
+          transcript: team
+            ? team.conversation
+            : [...conversation, { role: 'user', content: message }, { role: 'assistant', content: turnResult.response }],
+          events: session.service.timeline.getEvents()
+        };
+        if (team) {
+          // Every member keeps the team's run in their own history, with their role
+          for (const member of team.members) {
+            const user = member.userId === req.user.id ? req.user : await authService.getUser(member.userId);
+            if (!user) continue;
+            const recorded = await attemptHistory.recordAttempt({
+              ...attempt,
+              user,
+              team: { role: member.role, members: team.getSummary().members }
+            });
+            team.attempts[member.userId] = recorded.id;
+          }
+          await sessionManager.saveSession(session);
+          recordedId = team.attempts[req.user.id] || null;
+        } else {
+          recordedId = (await attemptHistory.recordAttempt({ ...attempt, user: req.user })).id;
+        }
+      }
 
-    const result = await chatService.generateResponse(message, conversation, scenarioWithMeta);
+      return { result: turnResult, responseScenarioData: turnScenario, attemptId: recordedId };
+    });
 
     res.json({
       success: true,
       data: {
+        sessionId: session.id,
+        attemptId,
         response: result.response,
         conversation: result.conversation,
         usage: result.usage,
         additionalMessages: result.additionalMessages || [],
-        scenarioData: result.enhancedScenarioData || scenarioWithMeta // Include enhanced scenario data
+        scenarioData: responseScenarioData, // Include enhanced scenario data
+        team: session.team ? sessionManager.getTeamView(session, req.user) : null
       },
       timestamp: new Date().toISOString()
     });
@@ -229,11 +340,13 @@ router.post('/interventions', async (req, res) => {
 
 module.exports = router;
 
-// Transcription endpoint (server ASR via Whisper)
-// Accepts JSON: { audio: "data:audio/webm;base64,...." } or { audio: "<base64>", mimeType: "audio/webm" }
+// Transcription endpoint (server ASR via the provider routed to the transcription task)
+// Accepts JSON: { audio: "data:audio/webm;base64,...." } or { audio: "<base64>", mimeType: "audio/webm" }.
+// durationMs, the recording length the browser measured, is handed back so the chat
+// message sent with this text can be timed as spoken (radio reports are graded on it).
 router.post('/transcribe', async (req, res) => {
   try {
-    const { audio, mimeType } = req.body || {};
+    const { audio, mimeType, durationMs = null } = req.body || {};
     if (!audio || typeof audio !== 'string') {
       return res.status(400).json({ success: false, error: 'Missing audio data' });
     }
@@ -247,27 +360,21 @@ router.post('/transcribe', async (req, res) => {
       base64 = dataUrlMatch[2];
     }
 
-    const buffer = Buffer.from(base64, 'base64');
-    const ext = inferredMime.includes('wav') ? 'wav' : inferredMime.includes('mp3') ? 'mp3' : inferredMime.includes('m4a') ? 'm4a' : inferredMime.includes('ogg') ? 'ogg' : 'webm';
-    const tmpPath = path.join(os.tmpdir(), `asr-${Date.now()}.${ext}`);
-    fs.writeFileSync(tmpPath, buffer);
-
-    try {
-      const resp = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(tmpPath),
-        model: 'whisper-1',
-        // smart punctuation/casing are handled by model defaults
-        // language: 'en', // optional
-      });
-
-      const text = resp?.text || '';
-      return res.json({ success: true, data: { text }, timestamp: new Date().toISOString() });
-    } finally {
-      // cleanup
-      try { fs.unlinkSync(tmpPath); } catch (_) {}
+    const route = getTaskRoute('transcription');
+    if (!route) {
+      return res.status(501).json({ success: false, error: 'Speech transcription is not configured on this server' });
     }
+
+    const buffer = Buffer.from(base64, 'base64');
+    const { provider, model } = route;
+    const text = await provider.transcribe({ buffer, mimeType: inferredMime, model });
+    return res.json({
+      success: true,
+      data: { text, durationMs: isValidVoiceDuration(durationMs) ? Math.round(durationMs) : null },
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
     console.error('Transcription error:', error.message);
     return res.status(500).json({ success: false, error: 'Transcription failed' });
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,226 @@
+// routes/cohorts.js
+const express = require('express');
+const cohortService = require('../services/cohortService');
+const cohortReport = require('../services/cohortReport');
+const attemptHistory = require('../services/attemptHistory');
+const authService = require('../services/authService');
+const rubricRegistry = require('../services/rubricRegistry');
+const { requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+// Every cohort route is for instructors and admins
+router.use('/cohorts', requireRole('instructor'));
+
+// Cohort the signed-in instructor teaches, or null (answered with 404)
+const getManagedCohort = async (req, res) => {
+  const cohort = await cohortService.getCohort(req.params.id);
+  if (!cohort || !cohortService.canManage(req.user, cohort)) {
+    res.status(404).json({
+      success: false,
+      error: 'Cohort not found',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return cohort;
+};
+
+// Enrolled students as public users
+const loadMembers = async (cohort) => (await Promise.all(cohort.memberIds.map(id => authService.getUser(id))))
+  .filter(Boolean)
+  .map(user => authService.toPublicUser(user));
+
+const withMembers = async (cohort) => ({ ...cohort, members: await loadMembers(cohort) });
+
+// Members, their attempts and the rubric of the cohort's course
+const loadCohortData = async (cohort) => {
+  const members = await loadMembers(cohort);
+  const memberIds = new Set(members.map(member => member.id));
+  const attempts = (await attemptHistory.listAttempts()).filter(attempt => memberIds.has(attempt.userId));
+  return { cohort, members, attempts, rubric: rubricRegistry.resolve({ course: cohort.course }) };
+};
+
+// List the cohorts the instructor teaches (admins see all)
+router.get('/cohorts', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await cohortService.listCohorts(req.user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cohort list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list the cohorts',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create a cohort: { name, course }
+router.post('/cohorts', async (req, res) => {
+  try {
+    const { name, course } = req.body || {};
+    const result = await cohortService.createCohort({ name, course }, req.user);
+    if (!result.cohort) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cohort',
+        details: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await withMembers(result.cohort),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cohort create error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create the cohort',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get a cohort with its students
+router.get('/cohorts/:id', async (req, res) => {
+  const cohort = await getManagedCohort(req, res);
+  if (!cohort) return;
+
+  res.json({
+    success: true,
+    data: await withMembers(cohort),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Enroll students by username: { usernames: ['jdoe', ...] }
+router.post('/cohorts/:id/members', async (req, res) => {
+  const cohort = await getManagedCohort(req, res);
+  if (!cohort) return;
+
+  const usernames = req.body?.usernames;
+  if (!Array.isArray(usernames) || usernames.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'usernames must be a non-empty array',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const users = await Promise.all(usernames.map(username => authService.findByUsername(String(username))));
+    const unknown = usernames.filter((username, i) => !users[i]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown usernames',
+        details: unknown,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await cohortService.addMembers(cohort, users.map(user => user.id));
+    res.json({
+      success: true,
+      data: await withMembers(cohort),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cohort enroll error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enroll the students',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Remove a student from a cohort (their attempts are kept)
+router.delete('/cohorts/:id/members/:userId', async (req, res) => {
+  const cohort = await getManagedCohort(req, res);
+  if (!cohort) return;
+
+  try {
+    await cohortService.removeMember(cohort, req.params.userId);
+    res.json({
+      success: true,
+      data: await withMembers(cohort),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cohort unenroll error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove the student',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Class dashboard: categories attempted, section pass/fail, common misses, time to first intervention
+router.get('/cohorts/:id/dashboard', async (req, res) => {
+  const cohort = await getManagedCohort(req, res);
+  if (!cohort) return;
+
+  try {
+    res.json({
+      success: true,
+      data: cohortReport.buildDashboard(await loadCohortData(cohort)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cohort dashboard error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build the cohort dashboard',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Gradebook export, one row per attempt: ?format=json (default) or ?format=csv
+router.get('/cohorts/:id/gradebook', async (req, res) => {
+  const cohort = await getManagedCohort(req, res);
+  if (!cohort) return;
+
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({
+      success: false,
+      error: 'format must be json or csv',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const gradebook = cohortReport.buildGradebook(await loadCohortData(cohort));
+
+    if (format === 'csv') {
+      const filename = `${cohort.name.replace(/[^A-Za-z0-9_-]+/g, '_')}-gradebook.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(cohortReport.toCsv(gradebook));
+    }
+
+    res.json({
+      success: true,
+      data: gradebook,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Gradebook error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build the gradebook',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+// routes/proctor.js
+const express = require('express');
+const sessionManager = require('../services/sessionManager');
+const cohortService = require('../services/cohortService');
+const EquipmentManager = require('../services/equipmentManager');
+const PhysiologyEngine = require('../services/physiologyEngine');
+const ChatService = require('../services/chatService');
+const { requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+// Watching and steering students' scenarios is for instructors and admins
+router.use('/proctor', requireRole('instructor'));
+
+// Running session to proctor, or null (answered with 404). Looking does not keep the session alive.
+const getProctoredSession = async (req, res) => {
+  const session = await sessionManager.getSession(req.params.id, { touch: false });
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: 'Session not found or expired',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return session;
+};
+
+// One card of the proctor grid
+const summarizeLive = (session) => {
+  const live = sessionManager.getSessionLive(session);
+  const items = live.rubric ? live.rubric.checkboxItems : [];
+  return {
+    sessionId: live.sessionId,
+    student: live.metadata.sunetId || null,
+    userId: live.metadata.userId || null,
+    lastActivity: live.lastActivity,
+    scenario: live.scenario,
+    active: live.active,
+    endReason: live.endReason,
+    elapsedMs: live.elapsedMs,
+    timeLimitMinutes: live.timeLimitMinutes,
+    turns: live.transcript.filter(message => message.role === 'user').length,
+    vitals: live.vitals,
+    phase: live.patientStatus?.phase || null,
+    itemsCompleted: items.filter(item => item.completed).length,
+    itemsTotal: items.length,
+    totalScore: live.rubric ? live.rubric.totalScore : null,
+    criticalFailures: live.rubric ? live.rubric.criticalFailures.length : 0,
+    equipmentFailures: live.equipmentFailures.map(failure => failure.equipment),
+    injectedEvents: live.injectedEvents.length
+  };
+};
+
+// Sessions with a generated scenario held by this server, newest activity first (?cohortId= to keep a class's students)
+router.get('/proctor/sessions', async (req, res) => {
+  try {
+    let memberIds = null;
+    if (req.query.cohortId) {
+      const cohort = await cohortService.getCohort(String(req.query.cohortId));
+      if (!cohort || !cohortService.canManage(req.user, cohort)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Cohort not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      memberIds = new Set(cohort.memberIds);
+    }
+
+    const sessions = sessionManager.listSessions()
+      .filter(session => session.service.timeline.getEvents(['scenarioGenerated']).length > 0)
+      .filter(session => !memberIds || memberIds.has(session.metadata.userId));
+
+    res.json({
+      success: true,
+      data: sessions.map(summarizeLive),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Proctor list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list the running scenarios',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// What can be injected: event types, deterioration severities and equipment that can fail
+router.get('/proctor/catalog', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: ChatService.INJECTABLE_EVENTS,
+      severities: Object.keys(PhysiologyEngine.DETERIORATIONS.severities),
+      equipment: new EquipmentManager().listEquipment()
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Live view of one session: transcript, current vitals, rubric items fired so far, injected events
+router.get('/proctor/sessions/:id', async (req, res) => {
+  const session = await getProctoredSession(req, res);
+  if (!session) return;
+
+  try {
+    res.json({
+      success: true,
+      data: sessionManager.getSessionLive(session),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Proctor view error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build the live view',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Inject an event into a running scenario: { type, severity, equipment, message }
+router.post('/proctor/sessions/:id/events', async (req, res) => {
+  const session = await getProctoredSession(req, res);
+  if (!session) return;
+
+  try {
+    const { type, severity, equipment, message } = req.body || {};
+    const result = session.service.injectEvent({ type, severity, equipment, message }, req.user);
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid event',
+        details: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (result.inactive) {
+      return res.status(409).json({
+        success: false,
+        error: 'The scenario is not running',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await sessionManager.saveSession(session);
+    res.status(201).json({
+      success: true,
+      data: result.event,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Proctor inject error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to inject the event',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
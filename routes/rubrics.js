@@ -0,0 +1,55 @@
+// routes/rubrics.js
+const express = require('express');
+const rubricRegistry = require('../services/rubricRegistry');
+const router = express.Router();
+
+// List the grading rubrics and the courses and scenario types they apply to
+router.get('/rubrics', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        default: rubricRegistry.resolve().ref,
+        rubrics: rubricRegistry.list()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Rubric list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the rubrics',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get one rubric; ?version=1.0 pins a version, otherwise the newest is returned
+router.get('/rubrics/:id', (req, res) => {
+  try {
+    const rubric = rubricRegistry.get(req.query.version ? `${req.params.id}@${req.query.version}` : req.params.id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rubric not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rubric,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Rubric lookup error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the rubrics',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
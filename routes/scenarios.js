@@ -0,0 +1,166 @@
+// routes/scenarios.js
+const express = require('express');
+const scenarioLibrary = require('../services/scenarioLibrary');
+const scenarioSchema = require('../services/scenarioSchema');
+const PhysiologyEngine = require('../services/physiologyEngine');
+const Pharmacology = require('../services/pharmacology');
+const TemplateGenerator = require('../services/templateGenerator');
+const { requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+// Check a case and, when its vitals are usable, project the untreated trajectory
+const validateWithPreview = (definition) => {
+  const validation = scenarioLibrary.validate(definition);
+  const vitalsValid = !validation.errors.some(error => error.startsWith('vitals'));
+  let preview = null;
+  if (vitalsValid && definition?.vitals && definition?.dispatch) {
+    try {
+      preview = scenarioLibrary.previewVitals(definition);
+    } catch (error) {
+      console.error('Vitals preview error:', error.message);
+    }
+  }
+  return { ...validation, preview };
+};
+
+const sendInvalid = (res, validation) => res.status(400).json({
+  success: false,
+  error: 'Scenario is invalid',
+  errors: validation.errors,
+  timestamp: new Date().toISOString()
+});
+
+// Lists the authoring UI needs to build its form
+router.get('/scenarios/schema', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      schemaVersion: scenarioSchema.SCENARIO_SCHEMA_VERSION,
+      scenarioTypes: scenarioSchema.SCENARIO_TYPES,
+      bodyRegions: scenarioSchema.BODY_REGIONS,
+      difficultyLevels: scenarioSchema.DIFFICULTY_LEVELS,
+      callerOptions: TemplateGenerator.CALLER_OPTIONS,
+      vitals: Object.keys(PhysiologyEngine.NORMAL_VITALS),
+      conditions: Object.entries(PhysiologyEngine.CONDITIONS).map(([key, condition]) => ({ key, label: condition.label })),
+      controls: [
+        ...Object.keys(PhysiologyEngine.TREATMENTS),
+        ...Object.keys(Pharmacology.DRUGS)
+      ]
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Validate a draft case without saving it
+router.post('/scenarios/validate', requireRole('instructor'), (req, res) => {
+  res.json({
+    success: true,
+    data: validateWithPreview(req.body),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Add a new case (or a new version of one) to the library
+router.post('/scenarios', requireRole('instructor'), async (req, res) => {
+  try {
+    const result = await scenarioLibrary.save(req.body);
+    if (!result.validation.isValid) return sendInvalid(res, result.validation);
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `Version ${req.body.version} of ${req.body.id} already exists`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { id: req.body.id, version: req.body.version, file: result.file, warnings: result.validation.warnings },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Scenario save error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save the scenario',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Replace one version of a case
+router.put('/scenarios/:id/versions/:version', requireRole('instructor'), async (req, res) => {
+  if (req.body?.id !== req.params.id || req.body?.version !== req.params.version) {
+    return res.status(400).json({
+      success: false,
+      error: 'Case id and version must match the URL',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const result = await scenarioLibrary.save(req.body, { overwrite: true });
+    if (!result.validation.isValid) return sendInvalid(res, result.validation);
+
+    res.json({
+      success: true,
+      data: { id: req.body.id, version: req.body.version, file: result.file, warnings: result.validation.warnings },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Scenario save error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save the scenario',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List the cases in the scenario library
+router.get('/scenarios', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await scenarioLibrary.list(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Scenario list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the scenario library',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get one library case; ?version=1.0 pins a version, otherwise the newest is returned
+router.get('/scenarios/:id', async (req, res) => {
+  try {
+    const definition = await scenarioLibrary.get(req.params.id, req.query.version || null);
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scenario not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: definition,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Scenario lookup error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the scenario library',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+// routes/sessions.js
+const express = require('express');
+const sessionManager = require('../services/sessionManager');
+const { canAccessSession } = require('../middleware/auth');
+const router = express.Router();
+
+// Sessions of other students look the same as missing ones
+const getAccessibleSession = async (req) => {
+  const session = await sessionManager.getSession(req.params.id);
+  return session && canAccessSession(req.user, session) ? session : null;
+};
+
+// Get the status of a scenario session
+router.get('/sessions/:id', async (req, res) => {
+  const session = await getAccessibleSession(req);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found or expired',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: sessionManager.getSessionSummary(session),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get the scenario event timeline of a session (?types=vitals,intervention to filter)
+router.get('/sessions/:id/timeline', async (req, res) => {
+  const session = await getAccessibleSession(req);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found or expired',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : null;
+
+  res.json({
+    success: true,
+    data: sessionManager.getSessionTimeline(session, { types }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get the turn-by-turn replay of a session's scenario (vitals, interventions, rubric items)
+router.get('/sessions/:id/replay', async (req, res) => {
+  const session = await getAccessibleSession(req);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found or expired',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: sessionManager.getSessionReplay(session),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// End a scenario session and release its state
+router.delete('/sessions/:id', async (req, res) => {
+  const session = await getAccessibleSession(req);
+  const removed = session ? await sessionManager.deleteSession(session.id) : false;
+
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found or expired',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { sessionId: req.params.id, removed: true },
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
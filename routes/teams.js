@@ -0,0 +1,114 @@
+// routes/teams.js
+const express = require('express');
+const sessionManager = require('../services/sessionManager');
+const { canAccessSession } = require('../middleware/auth');
+const router = express.Router();
+
+const notFound = (res, error) => res.status(404).json({
+  success: false,
+  error,
+  timestamp: new Date().toISOString()
+});
+
+// Start a team scenario with the caller as team lead: { scenarioData } picks the case like POST /chat does
+router.post('/teams', async (req, res) => {
+  try {
+    const { scenarioData = null } = req.body || {};
+    const session = await sessionManager.createTeamSession(req.user, {
+      userId: req.user.id,
+      sunetId: req.user.username,
+      mainScenario: scenarioData?.mainScenario || null,
+      subScenario: scenarioData?.subScenario || null,
+      libraryCaseId: scenarioData?.libraryCaseId || null,
+      scenarioCode: scenarioData?.scenarioCode || null,
+      team: true
+    });
+
+    console.log(`👥 Team ${session.team.joinCode} started by ${req.user.username}`);
+    res.status(201).json({
+      success: true,
+      data: sessionManager.getTeamView(session, req.user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Team create error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start the team scenario',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Join a team with its code in an open role: { code, role }
+router.post('/teams/join', async (req, res) => {
+  try {
+    const { code, role } = req.body || {};
+    const session = await sessionManager.findSessionByJoinCode(code);
+    if (!session) return notFound(res, 'No running team has that code');
+
+    if (session.service.scenarioEndReason && !session.team.hasMember(req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This team scenario has already ended',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await sessionManager.joinTeam(session, req.user, role);
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid team role',
+        details: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        error: result.conflict,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`👥 ${req.user.username} joined team ${session.team.joinCode} as ${result.member.role}`);
+    res.json({
+      success: true,
+      data: sessionManager.getTeamView(session, req.user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Team join error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to join the team',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Roster, shared conversation and scenario data; members poll this for their teammates' messages
+router.get('/teams/:id', async (req, res) => {
+  try {
+    const session = await sessionManager.getSession(req.params.id);
+    if (!session || !session.team || !canAccessSession(req.user, session)) {
+      return notFound(res, 'Team session not found or expired');
+    }
+
+    res.json({
+      success: true,
+      data: sessionManager.getTeamView(session, req.user),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Team view error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load the team',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+// routes/users.js
+const express = require('express');
+const authService = require('../services/authService');
+const { requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+const sendAccountErrors = (res, result) => {
+  if (result.conflict) {
+    return res.status(409).json({
+      success: false,
+      error: 'That username is already taken',
+      timestamp: new Date().toISOString()
+    });
+  }
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid account details',
+    details: result.errors,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// List accounts (instructors see their students; admins manage everyone)
+router.get('/users', requireRole('instructor'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await authService.listUsers(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('User list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list the accounts',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create a local account: { username, password, displayName, role }
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, displayName, email, role } = req.body || {};
+    const result = await authService.createUser({ username, password, displayName, email, role });
+    if (!result.user) return sendAccountErrors(res, result);
+
+    res.status(201).json({
+      success: true,
+      data: result.user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('User create error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create the account',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Change an account's role, display name or password
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, displayName, password, ssoSubject } = req.body || {};
+
+    // Keep at least one admin able to manage accounts
+    if (req.params.id === req.user.id && role !== undefined && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Admins cannot remove their own admin role',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await authService.updateUser(req.params.id, { role, displayName, password, ssoSubject });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Account not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!result.user) return sendAccountErrors(res, result);
+
+    res.json({
+      success: true,
+      data: result.user,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('User update error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update the account',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
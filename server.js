@@ -11,7 +11,18 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const chatRoutes = require('./routes/chat');
-const { testConnection } = require('./config/openai');
+const sessionRoutes = require('./routes/sessions');
+const scenarioRoutes = require('./routes/scenarios');
+const rubricRoutes = require('./routes/rubrics');
+const authRoutes = require('./routes/auth');
+const attemptRoutes = require('./routes/attempts');
+const userRoutes = require('./routes/users');
+const cohortRoutes = require('./routes/cohorts');
+const proctorRoutes = require('./routes/proctor');
+const teamRoutes = require('./routes/teams');
+const { requireAuth } = require('./middleware/auth');
+const authService = require('./services/authService');
+const { testConnection } = require('./config/llm');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,8 +44,18 @@ const limiter = rateLimit({
 
 app.use('/api', limiter);  // ✅ FIXED - removed trailing slash
 
-// Routes
+// Routes; sign-in is open, everything else under /api needs a signed-in user
+app.use('/api', authRoutes);
+app.use('/api', requireAuth({ publicPaths: ['/health'] }));
+app.use('/api', userRoutes);
 app.use('/api', chatRoutes);
+app.use('/api', sessionRoutes);
+app.use('/api', scenarioRoutes);
+app.use('/api', rubricRoutes);
+app.use('/api', attemptRoutes);
+app.use('/api', cohortRoutes);
+app.use('/api', proctorRoutes);
+app.use('/api', teamRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -44,7 +65,24 @@ app.get('/', (req, res) => {
     endpoints: {
       chat: 'POST /api/chat',
       summarize: 'POST /api/summarize',
-      health: 'GET /api/health'
+      health: 'GET /api/health',
+      login: 'POST /api/auth/login',
+      sso: 'GET /api/auth/sso/login',
+      me: 'GET /api/auth/me',
+      users: 'GET /api/users',
+      attempts: 'GET /api/attempts',
+      progress: 'GET /api/progress',
+      cohorts: 'GET /api/cohorts',
+      gradebook: 'GET /api/cohorts/:id/gradebook?format=csv|json',
+      proctor: 'GET /api/proctor/sessions',
+      inject: 'POST /api/proctor/sessions/:id/events',
+      teams: 'POST /api/teams',
+      joinTeam: 'POST /api/teams/join',
+      session: 'GET /api/sessions/:id',
+      timeline: 'GET /api/sessions/:id/timeline',
+      replay: 'GET /api/sessions/:id/replay',
+      scenarios: 'GET /api/scenarios',
+      rubrics: 'GET /api/rubrics'
     },
     timestamp: new Date().toISOString()
   });
@@ -72,14 +110,16 @@ app.use('*', (req, res) => {
 // Start server
 async function startServer() {
   try {
-    // Test OpenAI connection
+    // Test LLM provider connections (always succeeds for the offline mock provider)
     const connectionOk = await testConnection();
     
     if (!connectionOk) {
-      console.error('Failed to connect to OpenAI. Please check your API key.');
+      console.error('Failed to connect to the configured LLM provider(s). Please check your API keys.');
       process.exit(1);
     }
 
+    await authService.ensureAdmin();
+
     app.listen(PORT, () => {
       console.log(`✅ Server is running on port ${PORT}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
@@ -92,4 +132,9 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Only listen when run directly so tests can mount the app without a port
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
\ No newline at end of file
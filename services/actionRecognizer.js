@@ -1,5 +1,6 @@
 // services/actionRecognizer.js
 const TextNormalizer = require('./utils/textNormalizer');
+const rubricMatcher = require('./rubricMatcher');
 
 class ActionRecognizer {
   constructor() {
@@ -19,7 +20,10 @@ class ActionRecognizer {
         respiratoryRate: ['respiratory rate', 'rr', 'breathing rate', 'respirations', 'breaths per minute'],
         bloodPressure: ['blood pressure', 'bp', 'systolic', 'diastolic'],
         oxygenSaturation: ['oxygen saturation', 'pulse ox', 'pulse oximeter', 'spo2', 'o2 sat', 'sat'],
-        temperature: ['temperature', 'temp', 'fever']
+        temperature: ['temperature', 'temp', 'fever'],
+        bloodGlucose: ['blood sugar', 'blood glucose', 'glucose level', 'sugar level', 'glucometer', 'bgl'],
+        etco2: ['etco2', 'end tidal', 'end-tidal', 'capnography'],
+        gcs: ['gcs', 'glasgow']
       },
       
       // Equipment
@@ -73,7 +77,8 @@ class ActionRecognizer {
           /take\s+(.*?)\s*(vital|pulse|bp|heart rate|breathing|temperature|oxygen)/i,
           /measure\s+(.*?)\s*(vital|pulse|bp|heart rate|breathing|temperature|oxygen)/i,
           /get\s+(.*?)\s*(vital|pulse|bp|heart rate|breathing|temperature|oxygen)/i,
-          /(pulse|bp|heart rate|breathing|temperature|oxygen|vital)/i
+          /(pulse|bp|blood pressure|heart rate|breathing|temperature|oxygen|vital)/i,
+          /(blood sugar|blood glucose|glucometer|\bbgl\b|etco2|end.?tidal|capnograph|\bgcs\b|glasgow)/i
         ],
         priority: 1
       },
@@ -83,7 +88,7 @@ class ActionRecognizer {
           /give\s+(.*?)\s*(mg|mcg|units|tablet|dose)/i,
           /administer\s+(.*?)\s*(mg|mcg|units|tablet|dose)/i,
           /provide\s+(.*?)\s*(mg|mcg|units|tablet|dose)/i,
-          /(aspirin|albuterol|epinephrine|glucose|nitro)/i
+          /(aspirin|albuterol|epinephrine|\bepi\b|epi.?pen|glucose|nitro)/i
         ],
         priority: 2
       },
@@ -178,7 +183,8 @@ class ActionRecognizer {
    * @returns {Object} - Action details
    */
   extractActionDetails(actionType, match, normalized) {
-    const details = { actionType, originalMatch: match[0] };
+    // "I will not give epi", "should I put him on oxygen?": nothing is done
+    const details = { actionType, originalMatch: match[0], declined: rubricMatcher.isQualifiedAt(normalized, match.index) };
 
     switch (actionType) {
       case 'vitalCheck':
@@ -264,9 +270,14 @@ class ActionRecognizer {
    * @returns {string} - Dosage information
    */
   extractDosage(normalized) {
-    const dosagePattern = /(\d+(?:\.\d+)?)\s*(mg|mcg|units|tablet|dose|gram|ml)/i;
+    const dosagePattern = /(\d+(?:\.\d+)?)\s*(mg|mcg|units|tablets?|tabs?|doses?|grams?|g|ml|puffs?|sprays?|tubes?)\b/i;
     const match = normalized.match(dosagePattern);
-    return match ? `${match[1]} ${match[2]}` : null;
+    if (match) return `${match[1]} ${match[2]}`;
+
+    // Auto-injectors deliver a fixed dose
+    if (/epi.?pen (jr|junior)|pediatric auto.?injector/.test(normalized)) return '0.15 mg';
+    if (/epi.?pen|auto.?injector/.test(normalized)) return '0.3 mg';
+    return null;
   }
 
   /**
@@ -275,11 +286,11 @@ class ActionRecognizer {
    * @returns {string} - Route of administration
    */
   extractRoute(normalized) {
-    if (/(oral|po|by mouth)/.test(normalized)) return 'oral';
-    if (/(sublingual|sl|under tongue)/.test(normalized)) return 'sublingual';
-    if (/(iv|intravenous)/.test(normalized)) return 'intravenous';
-    if (/(im|intramuscular)/.test(normalized)) return 'intramuscular';
-    if (/(inhaled|nebulized)/.test(normalized)) return 'inhaled';
+    if (/\b(oral|orally|po|by mouth|chew|chewed)\b/.test(normalized)) return 'oral';
+    if (/\b(sublingual|sl|under (?:the |your )?tongue)\b/.test(normalized)) return 'sublingual';
+    if (/\b(iv|intravenous)\b/.test(normalized)) return 'intravenous';
+    if (/\b(im|intramuscular|thigh|auto.?injector|epi.?pen)\b/.test(normalized)) return 'intramuscular';
+    if (/\b(inhaled|inhaler|nebulized|nebulizer|neb|puffs?|mdi)\b/.test(normalized)) return 'inhaled';
     return null;
   }
 
@@ -0,0 +1,185 @@
+// services/attemptHistory.js
+const crypto = require('crypto');
+const { createRecordStore } = require('./storage/recordStore');
+
+// Checkbox items missed on at least this many attempts are reported as recurring
+const RECURRING_MISS_COUNT = 2;
+
+/**
+ * Keeps every graded scenario run so students can come back to their
+ * feedback after leaving the scenario page, and builds the progress
+ * dashboard from those runs: score trends per rubric section, pass rate per
+ * scenario category and the checkbox items missed again and again.
+ */
+class AttemptHistory {
+  constructor(options = {}) {
+    this.store = options.store || createRecordStore('attempt');
+  }
+
+  /**
+   * Store a completed, graded run
+   * @param {Object} attempt - user ({ id, username }), sessionId, scenarioData (with generatedScenario),
+   *   gradingResults, feedbackReport, endReason, transcript ([{ role, content, speaker? }]), the timeline events
+   *   and, for a team scenario, team ({ role, members })
+   * @returns {Promise<Object>} - The stored attempt
+   */
+  async recordAttempt({ user, sessionId = null, scenarioData = {}, gradingResults, feedbackReport = null, endReason = null, transcript = [], events = [], team = null }) {
+    const generated = scenarioData.generatedScenario || {};
+    const firstIntervention = events.find(event => event.type === 'intervention' && event.elapsedMs !== null && event.elapsedMs !== undefined);
+    const attempt = {
+      id: `attempt_${crypto.randomUUID()}`,
+      userId: user.id,
+      username: user.username,
+      sessionId,
+      completedAt: new Date().toISOString(),
+      scenario: {
+        mainScenario: scenarioData.mainScenario || null,
+        subScenario: scenarioData.subScenario || null,
+        difficulty: generated.difficulty?.level || null,
+        libraryCaseId: generated.libraryCase?.id || scenarioData.libraryCaseId || null,
+        scenarioCode: scenarioData.meta?.scenarioCode || null
+      },
+      endReason,
+      timeSpent: gradingResults.timeManagement?.timeSpent ?? null,
+      firstInterventionMs: firstIntervention ? firstIntervention.elapsedMs : null,
+      totalScore: gradingResults.totalScore,
+      maxScore: gradingResults.rubric?.totalPoints ?? null,
+      passed: !!gradingResults.overallPass,
+      team,
+      gradingResults,
+      feedbackReport,
+      transcript: transcript
+        .filter(message => message.role === 'user' || message.role === 'assistant')
+        .map(message => (message.speaker
+          ? { role: message.role, content: message.content, speaker: message.speaker }
+          : { role: message.role, content: message.content }))
+    };
+
+    await this.store.set(attempt.id, attempt);
+    console.log(`🗂️ Attempt recorded: ${attempt.id} (${attempt.username}, ${attempt.totalScore}/${attempt.maxScore})`);
+    return attempt;
+  }
+
+  /**
+   * @param {string} attemptId - Attempt ID
+   * @returns {Promise<Object|null>} - Full attempt with grading results and transcript
+   */
+  async getAttempt(attemptId) {
+    if (typeof attemptId !== 'string' || !attemptId.startsWith('attempt_')) return null;
+    try {
+      return await this.store.get(attemptId);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Attempts, newest first
+   * @param {Object} filter - userId to keep one student's attempts (all when omitted)
+   * @returns {Promise<Array>} - Full attempts
+   */
+  async listAttempts({ userId = null } = {}) {
+    const ids = await this.store.list();
+    const attempts = await Promise.all(ids.map(id => this.store.get(id)));
+    return attempts
+      .filter(attempt => attempt && (!userId || attempt.userId === userId))
+      .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+  }
+
+  /**
+   * One line per attempt for history lists, without the grading detail or transcript
+   * @param {Object} attempt - Stored attempt
+   * @returns {Object} - Attempt summary
+   */
+  summarize(attempt) {
+    const { gradingResults, transcript, ...summary } = attempt;
+    delete summary.feedbackReport;
+    return {
+      ...summary,
+      rubric: gradingResults.rubric?.ref || null,
+      criticalFailures: (gradingResults.criticalFailures || []).length,
+      turns: transcript.filter(message => message.role === 'user').length
+    };
+  }
+
+  /**
+   * Progress dashboard across a student's attempts
+   * @param {Array} attempts - Stored attempts (any order)
+   * @returns {Object} - { attempts, passed, passRate, sectionTrends, categories, missedItems }
+   */
+  buildProgress(attempts) {
+    const ordered = [...attempts].sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+    const passed = ordered.filter(attempt => attempt.passed).length;
+
+    return {
+      attempts: ordered.length,
+      passed,
+      passRate: this.rate(passed, ordered.length),
+      sectionTrends: this.buildSectionTrends(ordered),
+      categories: this.buildCategories(ordered),
+      missedItems: this.buildMissedItems(ordered)
+    };
+  }
+
+  /**
+   * Score of each rubric section on each attempt, oldest first. Sections are
+   * keyed by id, so attempts graded with different rubrics only share the
+   * sections they have in common.
+   */
+  buildSectionTrends(attempts) {
+    const trends = {};
+    attempts.forEach(attempt => {
+      Object.entries(attempt.gradingResults.scoredSections || {}).forEach(([id, section]) => {
+        if (!trends[id]) trends[id] = { name: section.name, points: [] };
+        trends[id].points.push({
+          attemptId: attempt.id,
+          completedAt: attempt.completedAt,
+          score: section.score,
+          maxScore: section.maxScore,
+          percent: this.rate(section.score, section.maxScore)
+        });
+      });
+    });
+    return trends;
+  }
+
+  buildCategories(attempts) {
+    const categories = new Map();
+    attempts.forEach(attempt => {
+      const { mainScenario, subScenario } = attempt.scenario;
+      const key = `${mainScenario}|${subScenario}`;
+      if (!categories.has(key)) categories.set(key, { mainScenario, subScenario, attempts: 0, passed: 0 });
+      const category = categories.get(key);
+      category.attempts++;
+      if (attempt.passed) category.passed++;
+    });
+    return [...categories.values()].map(category => ({ ...category, passRate: this.rate(category.passed, category.attempts) }));
+  }
+
+  buildMissedItems(attempts) {
+    const items = new Map();
+    attempts.forEach(attempt => {
+      Object.entries(attempt.gradingResults.checkboxItems || {}).forEach(([id, item]) => {
+        if (!items.has(id)) items.set(id, { id, description: item.description, category: item.category, missed: 0, graded: 0, lastMissedAt: null });
+        const entry = items.get(id);
+        entry.graded++;
+        if (!item.completed) {
+          entry.missed++;
+          entry.lastMissedAt = attempt.completedAt;
+        }
+      });
+    });
+    return [...items.values()]
+      .filter(item => item.missed >= RECURRING_MISS_COUNT)
+      .sort((a, b) => b.missed - a.missed || a.description.localeCompare(b.description));
+  }
+
+  rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : null;
+  }
+}
+
+const attemptHistory = new AttemptHistory();
+attemptHistory.AttemptHistory = AttemptHistory;
+
+module.exports = attemptHistory;
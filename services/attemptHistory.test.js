@@ -0,0 +1,103 @@
+// services/attemptHistory.test.js
+const { AttemptHistory } = require('./attemptHistory');
+const MemorySessionStore = require('./storage/memorySessionStore');
+
+const STUDENT = { id: 'user_a', username: 'jdoe' };
+
+const grading = ({ pass, assessment, checkboxes }) => ({
+  rubric: { ref: 'emed111@1.0', totalPoints: 38 },
+  totalScore: assessment + 4,
+  overallPass: pass,
+  timeManagement: { timeSpent: 12 },
+  scoredSections: {
+    assessment: { name: 'Patient Assessment', score: assessment, maxScore: 10 },
+    vitals: { name: 'Vital Signs', score: 4, maxScore: 5 }
+  },
+  checkboxItems: Object.fromEntries(Object.entries(checkboxes).map(([id, completed]) => [
+    id, { description: `Item ${id}`, category: 'Scene', completed }
+  ])),
+  criticalFailures: pass ? [] : [{ id: 'ppe' }]
+});
+
+describe('AttemptHistory', () => {
+  let history;
+  let clock;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    history = new AttemptHistory({ store: new MemorySessionStore() });
+    clock = Date.UTC(2026, 0, 1);
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // One minute apart, so the newest-first order is well defined
+  const record = (user, scenario, results) => {
+    clock += 60000;
+    jest.setSystemTime(clock);
+    return history.recordAttempt({
+      user,
+      sessionId: 'session_1',
+      scenarioData: { ...scenario, generatedScenario: { difficulty: { level: 'beginner' } }, meta: { scenarioCode: 'M1-ABC' } },
+      gradingResults: results,
+      endReason: 'handover',
+      transcript: [
+        { role: 'user', content: 'gloves on' },
+        { role: 'system', content: 'generalImpressionShown' },
+        { role: 'assistant', content: 'The scene is safe.' }
+      ]
+    });
+  };
+
+  test('should store each run with its scenario, grading and transcript and list them per student', async () => {
+    const cardiac = { mainScenario: 'Medical Scenario', subScenario: 'Cardiac Scenario' };
+    const first = await record(STUDENT, cardiac, grading({ pass: false, assessment: 5, checkboxes: { ppe: false } }));
+    await record({ id: 'user_b', username: 'other' }, cardiac, grading({ pass: true, assessment: 8, checkboxes: { ppe: true } }));
+    const second = await record(STUDENT, cardiac, grading({ pass: true, assessment: 7, checkboxes: { ppe: true } }));
+
+    expect(first).toMatchObject({
+      userId: 'user_a',
+      scenario: { mainScenario: 'Medical Scenario', subScenario: 'Cardiac Scenario', difficulty: 'beginner', scenarioCode: 'M1-ABC' },
+      endReason: 'handover',
+      timeSpent: 12,
+      totalScore: 9,
+      maxScore: 38,
+      passed: false
+    });
+    expect(first.transcript).toEqual([
+      { role: 'user', content: 'gloves on' },
+      { role: 'assistant', content: 'The scene is safe.' }
+    ]);
+
+    const mine = await history.listAttempts({ userId: 'user_a' });
+    expect(mine.map(attempt => attempt.id)).toEqual([second.id, first.id]);
+    expect(history.summarize(first)).toMatchObject({ rubric: 'emed111@1.0', criticalFailures: 1, turns: 1 });
+    expect(history.summarize(first).transcript).toBeUndefined();
+    expect(await history.getAttempt(first.id)).toEqual(first);
+  });
+
+  test('should chart section scores, pass rate by scenario category and recurring misses', async () => {
+    const cardiac = { mainScenario: 'Medical Scenario', subScenario: 'Cardiac Scenario' };
+    const mvc = { mainScenario: 'Trauma Scenario', subScenario: 'MVC Scenario' };
+    await record(STUDENT, cardiac, grading({ pass: false, assessment: 4, checkboxes: { ppe: false, scene: false } }));
+    await record(STUDENT, mvc, grading({ pass: false, assessment: 6, checkboxes: { ppe: false, scene: true } }));
+    await record(STUDENT, cardiac, grading({ pass: true, assessment: 9, checkboxes: { ppe: false, scene: true } }));
+
+    const progress = history.buildProgress(await history.listAttempts({ userId: 'user_a' }));
+
+    expect(progress).toMatchObject({ attempts: 3, passed: 1, passRate: 33 });
+    expect(progress.sectionTrends.assessment.name).toBe('Patient Assessment');
+    expect(progress.sectionTrends.assessment.points.map(point => point.percent)).toEqual([40, 60, 90]);
+    expect(progress.categories).toEqual([
+      { mainScenario: 'Medical Scenario', subScenario: 'Cardiac Scenario', attempts: 2, passed: 1, passRate: 50 },
+      { mainScenario: 'Trauma Scenario', subScenario: 'MVC Scenario', attempts: 1, passed: 0, passRate: 0 }
+    ]);
+    expect(progress.missedItems).toEqual([
+      expect.objectContaining({ id: 'ppe', description: 'Item ppe', missed: 3, graded: 3 })
+    ]);
+  });
+});
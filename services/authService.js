@@ -0,0 +1,340 @@
+// services/authService.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createRecordStore } = require('./storage/recordStore');
+const { createSsoProvider } = require('./sso/ssoProvider');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most access; each role can do everything the ones before it can
+const ROLES = ['student', 'instructor', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._@-]{1,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Local accounts, roles and signed bearer tokens for the API. Accounts are
+ * created by an admin, by self-registration when it is switched on, or on a
+ * student's first single sign-on. Tokens carry only the user ID and expiry;
+ * every request reloads the account, so a role change or a removed account
+ * takes effect immediately.
+ */
+class AuthService {
+  constructor(options = {}) {
+    this.store = options.store || createRecordStore('user');
+    this.tokenTtlHours = options.tokenTtlHours || Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+    this.allowRegistration = options.allowRegistration ?? process.env.AUTH_ALLOW_REGISTRATION === 'true';
+    this.secret = options.secret || process.env.AUTH_SECRET || null;
+    if (!this.secret) {
+      // Tokens still work, but only until the process restarts
+      console.warn('⚠️ AUTH_SECRET is not set; using a random secret, so sign-ins end on restart');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+    this.ssoProvider = options.ssoProvider !== undefined ? options.ssoProvider : this.loadSsoProvider();
+    // Highest role a first single sign-on can claim; an admin grants more through /api/users
+    this.ssoMaxRole = options.ssoMaxRole || process.env.AUTH_SSO_MAX_ROLE || 'instructor';
+    if (!ROLES.includes(this.ssoMaxRole)) {
+      console.warn(`⚠️ Unknown AUTH_SSO_MAX_ROLE "${this.ssoMaxRole}", falling back to student`);
+      this.ssoMaxRole = 'student';
+    }
+  }
+
+  loadSsoProvider() {
+    try {
+      return createSsoProvider();
+    } catch (error) {
+      console.error('❌ Single sign-on disabled:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} role - Role of the signed-in user
+   * @param {string} required - Least role an action needs
+   * @returns {boolean} - True if the role is at least the required one
+   */
+  hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+  }
+
+  normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : '';
+  }
+
+  /**
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} - "scrypt:<salt>:<hash>"
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !expected || typeof password !== 'string') return false;
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+  }
+
+  /**
+   * Check the fields of a new or changed account
+   * @param {Object} fields - username, password, role
+   * @param {Object} options - passwordRequired
+   * @returns {string[]} - Errors, empty when the fields are valid
+   */
+  validateAccount({ username, password, role } = {}, { passwordRequired = true } = {}) {
+    const errors = [];
+    if (username !== undefined && !USERNAME_PATTERN.test(this.normalizeUsername(username))) {
+      errors.push('username must be 2-64 letters, digits or . _ @ - and start with a letter or digit');
+    }
+    if ((passwordRequired || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Create a local account
+   * @param {Object} fields - username, password, displayName, email, role (default student), sso
+   * @returns {Promise<Object>} - { user } on success, { errors } if invalid, { conflict: true } if the username is taken
+   */
+  async createUser({ username, password, displayName = null, email = null, role = 'student', sso = null } = {}) {
+    const errors = this.validateAccount({ username, password, role }, { passwordRequired: !sso });
+    if (errors.length > 0) return { errors };
+
+    const normalized = this.normalizeUsername(username);
+    if (await this.findByUsername(normalized)) return { conflict: true };
+
+    const user = {
+      id: `user_${crypto.randomUUID()}`,
+      username: normalized,
+      displayName: displayName || normalized,
+      email,
+      role,
+      passwordHash: password ? await this.hashPassword(password) : null,
+      sso,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+    await this.store.set(user.id, user);
+    console.log(`👤 Account created: ${user.username} (${user.role})`);
+    return { user: this.toPublicUser(user) };
+  }
+
+  /**
+   * Change an account's role, display name or password, or link it to single sign-on
+   * @param {string} userId - User ID
+   * @param {Object} changes - role, displayName, password, ssoSubject (the identity provider's subject; null unlinks)
+   * @returns {Promise<Object|null>} - { user } or { errors }, null if there is no such account
+   */
+  async updateUser(userId, { role, displayName, password, ssoSubject } = {}) {
+    const user = await this.getUser(userId);
+    if (!user) return null;
+
+    const errors = this.validateAccount({ role, password }, { passwordRequired: false });
+    if (ssoSubject !== undefined && ssoSubject !== null) {
+      const provider = this.ssoProvider?.name;
+      if (!provider) {
+        errors.push('single sign-on is not configured');
+      } else if (typeof ssoSubject !== 'string' || !ssoSubject.trim()) {
+        errors.push('ssoSubject must be a non-empty string');
+      } else if ((await this.listAllUsers()).some(entry => entry.id !== user.id && entry.sso?.provider === provider && entry.sso.subject === ssoSubject.trim())) {
+        errors.push('that single sign-on identity is already linked to another account');
+      }
+    }
+    if (errors.length > 0) return { errors };
+
+    if (ssoSubject !== undefined) user.sso = ssoSubject === null ? null : { provider: this.ssoProvider.name, subject: ssoSubject.trim() };
+
+    if (role !== undefined) user.role = role;
+    if (displayName !== undefined) user.displayName = String(displayName).trim() || user.username;
+    if (password !== undefined) user.passwordHash = await this.hashPassword(password);
+    await this.store.set(user.id, user);
+    return { user: this.toPublicUser(user) };
+  }
+
+  async getUser(userId) {
+    if (typeof userId !== 'string' || !userId.startsWith('user_')) return null;
+    try {
+      return await this.store.get(userId);
+    } catch {
+      return null;
+    }
+  }
+
+  async findByUsername(username) {
+    const normalized = this.normalizeUsername(username);
+    const users = await this.listAllUsers();
+    return users.find(user => user.username === normalized) || null;
+  }
+
+  async listAllUsers() {
+    const ids = await this.store.list();
+    const users = await Promise.all(ids.map(id => this.store.get(id)));
+    return users.filter(Boolean).sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * @returns {Promise<Array>} - Every account without its password hash
+   */
+  async listUsers() {
+    return (await this.listAllUsers()).map(user => this.toPublicUser(user));
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      email: user.email,
+      role: user.role,
+      sso: user.sso ? user.sso.provider : null,
+      createdAt: user.createdAt,
+      lastLoginAt: user.lastLoginAt
+    };
+  }
+
+  /**
+   * Sign in with a local password
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} - { token, expiresAt, user }, or null if the credentials are wrong
+   */
+  async login(username, password) {
+    const user = await this.findByUsername(username);
+    // Hash anyway so a missing account takes as long as a wrong password
+    const valid = await this.verifyPassword(password, user?.passwordHash || 'scrypt:00:00');
+    if (!user || !user.passwordHash || !valid) return null;
+    return this.startSession(user);
+  }
+
+  /**
+   * Sign in (creating the account on first use) from an SSO profile
+   * @param {Object} profile - SsoProvider.handleCallback output
+   * @returns {Promise<Object>} - { token, expiresAt, user }
+   */
+  async loginWithSso(profile) {
+    const provider = this.ssoProvider.name;
+    const users = await this.listAllUsers();
+    // Only the provider's subject identifies the account; a claimed username could be anyone's
+    let user = users.find(entry => entry.sso?.provider === provider && entry.sso.subject === profile.subject);
+
+    if (!user) {
+      if (users.some(entry => entry.username === this.normalizeUsername(profile.username))) {
+        throw new Error(`An account named ${profile.username} already exists; an admin has to link it to single sign-on`);
+      }
+      // No role claim (or an unknown one) makes a student, and no claim goes above AUTH_SSO_MAX_ROLE
+      const claimed = Math.max(ROLES.indexOf(profile.role), 0);
+      const created = await this.createUser({
+        username: profile.username,
+        displayName: profile.displayName,
+        email: profile.email,
+        role: ROLES[Math.min(claimed, ROLES.indexOf(this.ssoMaxRole))],
+        sso: { provider, subject: profile.subject }
+      });
+      if (created.errors) throw new Error(`Cannot create an account for ${profile.username}: ${created.errors.join('; ')}`);
+      user = await this.getUser(created.user.id);
+    } else {
+      // A role claim can take access away but never grant more than the account has
+      if (ROLES.includes(profile.role) && ROLES.indexOf(profile.role) < ROLES.indexOf(user.role)) user.role = profile.role;
+      if (profile.email) user.email = profile.email;
+    }
+
+    return this.startSession(user);
+  }
+
+  async startSession(user) {
+    user.lastLoginAt = new Date().toISOString();
+    await this.store.set(user.id, user);
+    console.log(`🔐 Signed in: ${user.username} (${user.role})`);
+
+    const expiresAt = Date.now() + this.tokenTtlHours * 60 * 60 * 1000;
+    return {
+      token: this.sign({ sub: user.id, exp: expiresAt }),
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: this.toPublicUser(user)
+    };
+  }
+
+  /**
+   * Account a bearer token was issued to
+   * @param {string} token - Token from startSession
+   * @returns {Promise<Object|null>} - Public user, or null if the token is invalid, expired or its account is gone
+   */
+  async authenticate(token) {
+    const payload = this.verify(token);
+    if (!payload?.sub) return null;
+    const user = await this.getUser(payload.sub);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Signed, expiring state for an SSO round trip, so the callback needs no server-side storage
+   * @param {Object} data - Values to get back in the callback (e.g. returnTo)
+   * @returns {string} - Opaque state
+   */
+  createState(data) {
+    return this.sign({ ...data, nonce: crypto.randomBytes(8).toString('hex'), exp: Date.now() + STATE_TTL_MS });
+  }
+
+  readState(state) {
+    return this.verify(state);
+  }
+
+  sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${body}.${this.signature(body)}`;
+  }
+
+  verify(token) {
+    if (typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return typeof payload.exp === 'number' && payload.exp > Date.now() ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+
+  /**
+   * Create the first admin from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD when there is no admin yet
+   * @param {Object} env - Environment variables (defaults to process.env)
+   * @returns {Promise<Object|null>} - The created admin, or null
+   */
+  async ensureAdmin(env = process.env) {
+    if (!env.AUTH_ADMIN_USERNAME || !env.AUTH_ADMIN_PASSWORD) return null;
+    const users = await this.listAllUsers();
+    if (users.some(user => user.role === 'admin')) return null;
+
+    const result = await this.createUser({ username: env.AUTH_ADMIN_USERNAME, password: env.AUTH_ADMIN_PASSWORD, role: 'admin' });
+    if (!result.user) {
+      console.error('❌ Could not create the admin account:', result.errors ? result.errors.join('; ') : 'username is taken');
+      return null;
+    }
+    return result.user;
+  }
+}
+
+const authService = new AuthService();
+authService.AuthService = AuthService;
+authService.ROLES = ROLES;
+
+module.exports = authService;
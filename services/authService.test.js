@@ -0,0 +1,127 @@
+// services/authService.test.js
+const { AuthService } = require('./authService');
+const MemorySessionStore = require('./storage/memorySessionStore');
+const StubSsoProvider = require('./sso/stubSsoProvider');
+const { createSsoProvider } = require('./sso/ssoProvider');
+
+describe('AuthService', () => {
+  let auth;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    auth = new AuthService({ store: new MemorySessionStore(), secret: 'test-secret', ssoProvider: new StubSsoProvider() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should sign in with a local password and resolve the token to the account', async () => {
+    const { user } = await auth.createUser({ username: 'JDoe', password: 'correct horse', displayName: 'Jane Doe' });
+
+    expect(user).toMatchObject({ username: 'jdoe', displayName: 'Jane Doe', role: 'student' });
+    expect(user.passwordHash).toBeUndefined();
+    expect(await auth.login('jdoe', 'wrong password')).toBeNull();
+    expect(await auth.login('nobody', 'correct horse')).toBeNull();
+
+    const session = await auth.login('jdoe', 'correct horse');
+    expect(await auth.authenticate(session.token)).toMatchObject({ id: user.id, role: 'student' });
+
+    await auth.updateUser(user.id, { role: 'instructor' });
+    expect((await auth.authenticate(session.token)).role).toBe('instructor');
+  });
+
+  test('should reject tampered, foreign and expired tokens', async () => {
+    const { user } = await auth.createUser({ username: 'jdoe', password: 'correct horse' });
+    const { token } = await auth.login('jdoe', 'correct horse');
+    const [body] = token.split('.');
+    const other = new AuthService({ store: auth.store, secret: 'other-secret', ssoProvider: null });
+
+    expect(await auth.authenticate(`${body}.forged`)).toBeNull();
+    expect(await other.authenticate(token)).toBeNull();
+    expect(await auth.authenticate(auth.sign({ sub: user.id, exp: Date.now() - 1000 }))).toBeNull();
+  });
+
+  test('should validate accounts and refuse duplicate usernames', async () => {
+    await auth.createUser({ username: 'jdoe', password: 'correct horse' });
+
+    expect(await auth.createUser({ username: 'JDOE', password: 'another one' })).toEqual({ conflict: true });
+    expect((await auth.createUser({ username: '-x', password: 'short', role: 'dean' })).errors).toEqual([
+      'username must be 2-64 letters, digits or . _ @ - and start with a letter or digit',
+      'password must be at least 8 characters',
+      'role must be one of: student, instructor, admin'
+    ]);
+  });
+
+  test('should rank roles so higher roles can do what lower ones can', () => {
+    expect(auth.hasRole('admin', 'instructor')).toBe(true);
+    expect(auth.hasRole('instructor', 'instructor')).toBe(true);
+    expect(auth.hasRole('student', 'instructor')).toBe(false);
+    expect(auth.hasRole('unknown', 'student')).toBe(false);
+  });
+
+  test('should create an account on first single sign-on and reuse it afterwards', async () => {
+    const url = new URL(await auth.ssoProvider.getAuthorizationUrl({
+      state: auth.createState({ returnTo: 'http://localhost:5173/' }),
+      redirectUri: 'http://localhost:3000/api/auth/sso/callback',
+      loginHint: 'asmith:instructor'
+    }));
+    const params = Object.fromEntries(url.searchParams);
+
+    expect(auth.readState(params.state).returnTo).toBe('http://localhost:5173/');
+
+    const first = await auth.loginWithSso(await auth.ssoProvider.handleCallback({ params }));
+    const again = await auth.loginWithSso(await auth.ssoProvider.handleCallback({ params: { user: 'asmith' } }));
+
+    expect(first.user).toMatchObject({ username: 'asmith', role: 'instructor', sso: 'stub' });
+    expect(again.user.id).toBe(first.user.id);
+    expect(again.user.role).toBe('instructor');
+    expect(await auth.listUsers()).toHaveLength(1);
+  });
+
+  test('should not hand a local account to an identity provider user with the same username', async () => {
+    const { user: admin } = await auth.createUser({ username: 'root', password: 'correct horse', role: 'admin' });
+    const profile = { subject: 'idp-123', username: 'root', displayName: 'root', email: null, role: 'admin' };
+
+    await expect(auth.loginWithSso(profile)).rejects.toThrow('an admin has to link it');
+    expect((await auth.getUser(admin.id)).sso).toBeNull();
+
+    expect((await auth.updateUser(admin.id, { ssoSubject: 'idp-123' })).user.sso).toBe('stub');
+    expect((await auth.loginWithSso(profile)).user.id).toBe(admin.id);
+    await expect(auth.loginWithSso({ ...profile, subject: 'idp-456' })).rejects.toThrow();
+    expect((await auth.updateUser(admin.id, { ssoSubject: 'idp-123' })).user.sso).toBe('stub');
+  });
+
+  test('should let a role claim lower an existing account but never raise it', async () => {
+    const first = await auth.loginWithSso(await auth.ssoProvider.handleCallback({ params: { user: 'bjones' } }));
+    const raised = await auth.loginWithSso(await auth.ssoProvider.handleCallback({ params: { user: 'bjones:admin' } }));
+    expect(raised.user).toMatchObject({ id: first.user.id, role: 'student' });
+
+    await auth.updateUser(first.user.id, { role: 'instructor' });
+    const lowered = await auth.loginWithSso(await auth.ssoProvider.handleCallback({ params: { user: 'bjones:student' } }));
+    expect(lowered.user.role).toBe('student');
+
+    const { user: other } = await auth.createUser({ username: 'cdoe', password: 'correct horse' });
+    expect((await auth.updateUser(other.id, { ssoSubject: 'bjones' })).errors).toEqual(['that single sign-on identity is already linked to another account']);
+  });
+
+  test('should cap the role a first single sign-on can claim', async () => {
+    const claimed = await auth.loginWithSso(await auth.ssoProvider.handleCallback({ params: { user: 'droot:admin' } }));
+    expect(claimed.user.role).toBe('instructor');
+
+    const strict = new AuthService({ store: new MemorySessionStore(), secret: 'test-secret', ssoProvider: new StubSsoProvider(), ssoMaxRole: 'student' });
+    const capped = await strict.loginWithSso(await strict.ssoProvider.handleCallback({ params: { user: 'droot:admin' } }));
+    expect(capped.user.role).toBe('student');
+
+    await strict.updateUser(capped.user.id, { role: 'admin' });
+    expect((await strict.loginWithSso(await strict.ssoProvider.handleCallback({ params: { user: 'droot:admin' } }))).user.role).toBe('admin');
+  });
+
+  test('should never enable the stub identity provider in production', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(createSsoProvider({ AUTH_SSO: 'stub', NODE_ENV: 'production' })).toBeNull();
+    expect(createSsoProvider({ AUTH_SSO: 'stub' }).name).toBe('stub');
+    expect(createSsoProvider({})).toBeNull();
+  });
+});
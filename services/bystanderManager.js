@@ -1,10 +1,12 @@
 // services/bystanderManager.js
+const SeededRandom = require('./utils/seededRandom');
 
 class BystanderManager {
   constructor() {
     this.bystanderTypes = this.initializeBystanderTypes();
     this.currentBystanders = [];
     this.interactionHistory = [];
+    this.random = new SeededRandom();
   }
 
   /**
@@ -58,9 +60,11 @@ class BystanderManager {
   /**
    * Generate bystanders based on scenario location and type
    * @param {Object} scenarioData - Current scenario data
+   * @param {SeededRandom} random - Generator for every bystander roll (derived from scenarioData.meta.seed by default)
    * @returns {Array} - Generated bystanders
    */
-  generateBystanders(scenarioData) {
+  generateBystanders(scenarioData, random = SeededRandom.forScenario(scenarioData, 'bystanders')) {
+    this.random = random;
     const location = scenarioData?.generatedScenario?.dispatchInfo?.location?.toLowerCase() || '';
     const difficulty = scenarioData?.generatedScenario?.difficulty?.level || 'intermediate';
     
@@ -70,7 +74,7 @@ class BystanderManager {
     this.currentBystanders = [];
     
     // Only generate bystanders sometimes (not every scenario)
-    if (Math.random() > bystanderProbability) {
+    if (this.random.next() > bystanderProbability) {
       return this.currentBystanders;
     }
 
@@ -79,7 +83,7 @@ class BystanderManager {
     const numBystanders = this.determineBystanderCount(location, difficulty);
     
     for (let i = 0; i < numBystanders; i++) {
-      const bystanderType = possibleTypes[Math.floor(Math.random() * possibleTypes.length)];
+      const bystanderType = this.random.pick(possibleTypes);
       const bystander = this.createBystander(bystanderType, scenarioData);
       this.currentBystanders.push(bystander);
     }
@@ -137,12 +141,12 @@ class BystanderManager {
       baseCount = 2;
     }
     if (/(highway|road|rural)/.test(location)) {
-      baseCount = Math.random() < 0.5 ? 0 : 1;
+      baseCount = this.random.next() < 0.5 ? 0 : 1;
     }
     
     // Difficulty modifiers
     if (difficulty === 'advanced') {
-      baseCount += Math.random() < 0.3 ? 1 : 0; // Sometimes add complexity
+      baseCount += this.random.next() < 0.3 ? 1 : 0; // Sometimes add complexity
     }
     
     return Math.min(baseCount, 3); // Cap at 3 bystanders
@@ -160,16 +164,16 @@ class BystanderManager {
     const patientGender = scenarioData?.generatedScenario?.patientProfile?.gender || 'male';
     
     const bystander = {
-      id: `bystander_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: `bystander_${this.currentBystanders.length + 1}`,
       type: bystanderType,
-      relationship: config.relationship[Math.floor(Math.random() * config.relationship.length)],
-      emotionalState: config.emotionalState[Math.floor(Math.random() * config.emotionalState.length)],
+      relationship: this.random.pick(config.relationship),
+      emotionalState: this.random.pick(config.emotionalState),
       knowledgeLevel: config.knowledgeLevel,
       helpfulness: config.helpfulness,
       interference: config.interference,
       hasSpoken: false,
       informationProvided: [],
-      conflictingInfo: Math.random() < 0.2 // 20% chance of providing conflicting information
+      conflictingInfo: this.random.next() < 0.2 // 20% chance of providing conflicting information
     };
 
     // Generate specific information this bystander knows
@@ -204,7 +208,7 @@ class BystanderManager {
     const chances = knowledgeChances[bystander.knowledgeLevel];
     
     Object.keys(knowledge).forEach(key => {
-      knowledge[key] = Math.random() < chances[key];
+      knowledge[key] = this.random.next() < chances[key];
     });
 
     return knowledge;
@@ -270,7 +274,7 @@ class BystanderManager {
 
     // Select bystander based on helpfulness and whether they've already spoken
     const availableBystanders = this.currentBystanders.filter(b => 
-      !b.hasSpoken || Math.random() < 0.3 // 30% chance spoken bystander responds again
+      !b.hasSpoken || this.random.next() < 0.3 // 30% chance spoken bystander responds again
     );
 
     if (availableBystanders.length === 0) {
@@ -280,12 +284,12 @@ class BystanderManager {
     // Weight selection by helpfulness
     const weights = availableBystanders.map(b => b.helpfulness);
     const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-    const random = Math.random() * totalWeight;
+    const roll = this.random.next() * totalWeight;
     
     let cumulativeWeight = 0;
     for (let i = 0; i < availableBystanders.length; i++) {
       cumulativeWeight += weights[i];
-      if (random <= cumulativeWeight) {
+      if (roll <= cumulativeWeight) {
         return availableBystanders[i];
       }
     }
@@ -356,7 +360,7 @@ class BystanderManager {
                         bystander.helpfulness > 0.7 ? 'helpful' : 'compliant';
 
     const options = responses[responseType];
-    return `**[${bystander.relationship}]** ${options[Math.floor(Math.random() * options.length)]}`;
+    return `**[${bystander.relationship}]** ${this.random.pick(options)}`;
   }
 
   /**
@@ -380,7 +384,7 @@ class BystanderManager {
         `**[${bystander.relationship}]** It happened so fast, they were complaining about pain and then just collapsed.`,
         `**[${bystander.relationship}]** I heard them say something about ${mechanism}, but I might be wrong.`
       ];
-      return confusedResponses[Math.floor(Math.random() * confusedResponses.length)];
+      return this.random.pick(confusedResponses);
     }
 
     return `**[${bystander.relationship}]** I saw them ${mechanism}. It just happened a few minutes ago.`;
@@ -399,7 +403,7 @@ class BystanderManager {
 
     // Use generic name for simulation
     const names = ['John Smith', 'Mary Johnson', 'David Wilson', 'Sarah Brown'];
-    const name = names[Math.floor(Math.random() * names.length)];
+    const name = this.random.pick(names);
     
     return `**[${bystander.relationship}]** Their name is ${name}.`;
   }
@@ -480,7 +484,7 @@ class BystanderManager {
     
     if (bystander.conflictingInfo) {
       const confusedTimes = ['about an hour ago', 'maybe 20 minutes', 'just a few minutes ago'];
-      const confusedTime = confusedTimes[Math.floor(Math.random() * confusedTimes.length)];
+      const confusedTime = this.random.pick(confusedTimes);
       return `**[${bystander.relationship}]** I think it started ${confusedTime}, but I might be wrong.`;
     }
 
@@ -503,7 +507,7 @@ class BystanderManager {
     };
 
     const stateResponses = responses[bystander.emotionalState] || responses.nervous;
-    const response = stateResponses[Math.floor(Math.random() * stateResponses.length)];
+    const response = this.random.pick(stateResponses);
     
     return `**[${bystander.relationship}]** ${response}`;
   }
@@ -525,7 +529,7 @@ class BystanderManager {
     }
 
     // Random chance of interference
-    if (Math.random() > 0.3) {
+    if (this.random.next() > 0.3) {
       return null;
     }
 
@@ -537,16 +541,32 @@ class BystanderManager {
       'Someone is taking photos/video of the scene, creating distractions.'
     ];
 
-    return complications[Math.floor(Math.random() * complications.length)];
+    return this.random.pick(complications);
   }
 
   /**
-   * Reset bystander manager for new scenario
+   * A bystander interruption an instructor injected into the scenario. The
+   * most disruptive bystander present speaks; with nobody on scene, someone
+   * walks up. Stock lines rotate so repeated interruptions differ.
+   * @param {string|null} message - What the bystander says (a stock line when omitted)
+   * @param {number} timestamp - When it happened
+   * @returns {string} - The interruption, formatted like other bystander lines
    */
-  reset() {
-    this.currentBystanders = [];
-    this.interactionHistory = [];
-    console.log('👥 Bystander manager reset');
+  interrupt(message = null, timestamp = Date.now()) {
+    const interruptions = [
+      'Hey! What is taking so long? Why aren\'t you taking them to the hospital?',
+      'I\'m their neighbor. They told me this morning they took something for the pain. Is that important?',
+      'Excuse me, I\'m a nurse. Do you want me to do compressions or something?',
+      'Somebody is blocking the ambulance in the driveway and is refusing to move.',
+      'Can I ride along? I\'m not leaving them!'
+    ];
+    const bystander = [...this.currentBystanders].sort((a, b) => b.interference - a.interference)[0] || null;
+    const count = this.interactionHistory.filter(entry => entry.type === 'interruption').length;
+    const text = message || interruptions[count % interruptions.length];
+
+    this.interactionHistory.push({ type: 'interruption', bystanderId: bystander ? bystander.id : null, text, timestamp });
+    console.log('👥 Bystander interruption injected');
+    return `**[${bystander ? bystander.relationship : 'bystander'}]** ${text}`;
   }
 
   /**
@@ -586,7 +606,9 @@ class BystanderManager {
    */
   reset() {
     this.currentBystanders = [];
+    this.interactionHistory = [];
     this.scenarioLocation = null;
+    this.random = new SeededRandom();
     console.log('🔄 Bystander manager reset');
   }
 
@@ -603,6 +625,30 @@ class BystanderManager {
       hasSpoken: this.currentBystanders.filter(b => b.hasSpoken).length
     };
   }
+
+  /**
+   * Snapshot bystander state so a session can be persisted
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      currentBystanders: this.currentBystanders,
+      interactionHistory: this.interactionHistory,
+      scenarioLocation: this.scenarioLocation || null,
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore bystander state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.currentBystanders = state.currentBystanders || [];
+    this.interactionHistory = state.interactionHistory || [];
+    this.scenarioLocation = state.scenarioLocation || null;
+    this.random = SeededRandom.fromState(state.random) || new SeededRandom();
+  }
 }
 
 module.exports = BystanderManager;
@@ -1,10 +1,12 @@
 // services/chatService.js
-const { openai } = require('../config/openai');
+const { llm, getTaskRoute } = require('../config/llm');
 const pdfProcessor = require('./pdfProcessor');
 const path = require('path');
 
 // Import modular components
 const TextNormalizer = require('./utils/textNormalizer');
+const SeededRandom = require('./utils/seededRandom');
+const { encodeScenarioCode, decodeScenarioCode } = require('./utils/scenarioCode');
 const PostProcessor = require('./processors/postProcessor');
 const ScenarioGenerator = require('./scenarioGenerator');
 const TemplateGenerator = require('./templateGenerator');
@@ -15,17 +17,40 @@ const PatientSimulator = require('./patientSimulator');
 const ActionRecognizer = require('./actionRecognizer');
 const BystanderManager = require('./bystanderManager');
 const EnvironmentalManager = require('./environmentalManager');
+const EquipmentManager = require('./equipmentManager');
+const PartnerManager = require('./partnerManager');
+const RadioManager = require('./radioManager');
+const TransferOfCareManager = require('./transferOfCareManager');
+const handoverAnalyzer = require('./handoverAnalyzer');
 const PerformanceEvaluator = require('./performanceEvaluator');
+const ScenarioTimeline = require('./scenarioTimeline');
+const scenarioReplay = require('./scenarioReplay');
+const proctorView = require('./proctorView');
 
 // Import grading and scenario ending systems
 const GradingEngine = require('./gradingEngine');
+const rubricRegistry = require('./rubricRegistry');
 const ScenarioEndingManager = require('./scenarioEndingManager');
 const ExamAssessmentManager = require('./examAssessmentManager');
+const scenarioLibrary = require('./scenarioLibrary');
+const { toScenarioData, SCENARIO_TYPES } = require('./scenarioSchema');
 // Feedback mode removed per requirements
 
+// Parsed knowledge base shared by all session instances
+let sharedKnowledgeBase = null;
+
+// Events an instructor can inject into a running scenario from the proctor console
+const INJECTABLE_EVENTS = ['deterioration', 'bystanderInterrupt', 'equipmentFailure', 'equipmentRestored'];
+
+const DETERIORATION_NOTICES = {
+  mild: 'The patient shifts uncomfortably and looks more anxious than a moment ago.',
+  moderate: 'The patient looks paler and sweatier, and their breathing has picked up.',
+  severe: 'The patient suddenly looks pale and clammy, is laboring to breathe and is getting hard to rouse.'
+};
+
 class ChatService {
   constructor() {
-    this.defaultModel = 'gpt-4o-mini'; // Dispatch/short responses
+    this.defaultTask = 'patient'; // Provider/model routing in config/llm.js
     this.maxTokens = 800;
     this.temperature = 0.7;
     this.pdfContent = null;
@@ -40,17 +65,38 @@ class ChatService {
     this.actionRecognizer = new ActionRecognizer();
     this.bystanderManager = new BystanderManager();
     this.environmentalManager = new EnvironmentalManager();
-    this.performanceEvaluator = new PerformanceEvaluator();
+    this.equipmentManager = new EquipmentManager();
+    // Simulated partner EMT the student can delegate to
+    this.partnerManager = new PartnerManager();
+    // Hospital and dispatch on the radio
+    this.radioManager = new RadioManager();
+    // Nurse or physician taking the handover at the hospital
+    this.transferOfCareManager = new TransferOfCareManager();
+    // Canonical event log for the session; grading, feedback and replay read from it
+    this.timeline = new ScenarioTimeline();
+    this.performanceEvaluator = new PerformanceEvaluator(this.timeline);
     this.gradingEngine = GradingEngine;
     this.scenarioEndingManager = ScenarioEndingManager;
     this.examAssessmentManager = ExamAssessmentManager;
+    // Second opinion from the scoring model on rubric items the rules are unsure about
+    this.llmAdjudication = process.env.GRADING_LLM_ADJUDICATION === 'true';
 
     // Physical exam guided flow is fully removed
     
+    // Session this service instance belongs to (assigned by SessionManager)
+    this.sessionId = null;
+
     // Track current scenario state
     this.currentScenarioActive = false;
     this.scenarioStartTime = null;
     this.scenarioEndReason = null;
+    // Rubric the current scenario is graded with ("id@version"), chosen when it is generated
+    this.rubricRef = null;
+    this.gradingResults = null;
+    // Instructor-injected events the student has not seen yet; delivered with the next reply
+    this.pendingNotices = [];
+    // Members and roles of a team scenario (null when one student plays)
+    this.teamRoster = null;
     
     // Feedback mode removed
   }
@@ -171,6 +217,10 @@ class ChatService {
   }
 
   generateRegionFinding(regionKey, scenarioData) {
+    // Library cases spell out their findings region by region
+    const authored = scenarioData?.generatedScenario?.regionFindings?.[regionKey];
+    if (authored) return authored;
+
     const category = this.determineScenarioCategory(scenarioData);
     const byCategory = {
       abdominal: {
@@ -498,7 +548,7 @@ class ChatService {
   async generateResponseWithContext(userMessage, conversation, scenarioData, additionalContext) {
     // Create messages with additional context
     const messages = await this.createMessages(userMessage, conversation, scenarioData, null, additionalContext);
-    const response = await this.callOpenAI(messages);
+    const response = await this.callLLM(messages);
     
     // Post-process the response
     const sanitized = PostProcessor.postProcessObjectiveContent(response, userMessage, scenarioData);
@@ -512,7 +562,7 @@ class ChatService {
 
   // ---------- Helper method to add vital signs context ----------
   async addVitalsContext(userMessage, conversation, scenarioData) {
-    const vitalsString = this.generateContextAwareVitals(conversation, scenarioData);
+    const vitalsString = this.generateContextAwareVitals(scenarioData);
     
     // Detect which vitals are being requested
     const request = this.vitalsProcessor.detectVitalsRequest(userMessage);
@@ -550,7 +600,7 @@ class ChatService {
     ];
 
     // Get AI response
-    const response = await this.callOpenAI(messages);
+    const response = await this.callLLM(messages);
     
     // Format the vitals
     const parsedVitals = this.vitalsProcessor.parseVitals(vitalsString);
@@ -561,131 +611,9 @@ class ChatService {
   }
 
   // ---------- Helper method to generate context-aware vital signs ----------
-  generateContextAwareVitals(conversation, scenarioData) {
-    // Get scenario type for context
-    const scenarioType = scenarioData?.subScenario?.toLowerCase() || '';
-    const mainScenario = scenarioData?.mainScenario?.toLowerCase() || '';
-    
-    // Determine scenario category
-    let category = 'general';
-    if (/trauma/.test(mainScenario)) category = 'trauma';
-    else if (/respiratory/.test(scenarioType)) category = 'respiratory';
-    else if (/cardiac/.test(scenarioType)) category = 'cardiac';
-    else if (/neuro|neurolog/.test(scenarioType)) category = 'neurologic';
-    else if (/metabolic|endocrine/.test(scenarioType)) category = 'metabolic';
-    
-    // Generate appropriate vital signs based on category and difficulty
-    const difficultyLevel = scenarioData?.generatedScenario?.difficulty?.level || 'intermediate';
-    
-    // Base vital signs by category
-    let vitals = this.getBaseVitalsByCategory(category);
-    
-    // Apply difficulty modifiers
-    vitals = this.applyDifficultyToVitals(vitals, difficultyLevel);
-    
-    // Apply intervention effects (simplified)
-    vitals = this.applyInterventionEffects(vitals, conversation);
-    
-    // Format vital signs string
-    return `HR ${vitals.heartRate}, RR ${vitals.respiratoryRate}, BP ${vitals.systolic}/${vitals.diastolic}, SpO2 ${vitals.spO2}%, Temp ${vitals.temperature.toFixed(1)}°F`;
-  }
-
-  // ---------- Helper method to get base vital signs by category ----------
-  getBaseVitalsByCategory(category) {
-    const baseVitals = {
-      respiratory: {
-        heartRate: 88,
-        respiratoryRate: 24,
-        systolic: 140,
-        diastolic: 85,
-        spO2: 89,
-        temperature: 98.6
-      },
-      cardiac: {
-        heartRate: 110,
-        respiratoryRate: 20,
-        systolic: 160,
-        diastolic: 95,
-        spO2: 92,
-        temperature: 98.6
-      },
-      trauma: {
-        heartRate: 105,
-        respiratoryRate: 22,
-        systolic: 145,
-        diastolic: 88,
-        spO2: 95,
-        temperature: 98.6
-      },
-      neurologic: {
-        heartRate: 85,
-        respiratoryRate: 16,
-        systolic: 130,
-        diastolic: 80,
-        spO2: 97,
-        temperature: 98.6
-      },
-      metabolic: {
-        heartRate: 95,
-        respiratoryRate: 18,
-        systolic: 135,
-        diastolic: 82,
-        spO2: 94,
-        temperature: 98.6
-      },
-      general: {
-        heartRate: 90,
-        respiratoryRate: 18,
-        systolic: 130,
-        diastolic: 80,
-        spO2: 96,
-        temperature: 98.6
-      }
-    };
-    
-    return baseVitals[category] || baseVitals.general;
-  }
-
-  // ---------- Helper method to apply difficulty to vital signs ----------
-  applyDifficultyToVitals(vitals, difficultyLevel) {
-    const adjustedVitals = { ...vitals };
-    
-    switch (difficultyLevel) {
-      case 'novice':
-        // Keep vitals in more normal ranges
-        adjustedVitals.spO2 = Math.max(adjustedVitals.spO2, 90);
-        adjustedVitals.heartRate = Math.min(adjustedVitals.heartRate, 115);
-        break;
-      case 'advanced':
-        // Make vitals more concerning
-        adjustedVitals.spO2 = Math.min(adjustedVitals.spO2, 85);
-        adjustedVitals.heartRate = Math.max(adjustedVitals.heartRate, 105);
-        adjustedVitals.respiratoryRate = Math.max(adjustedVitals.respiratoryRate, 24);
-        break;
-    }
-    
-    return adjustedVitals;
-  }
-
-  // ---------- Helper method to apply intervention effects ----------
-  applyInterventionEffects(vitals, conversation) {
-    const adjustedVitals = { ...vitals };
-    const allText = conversation.map(msg => msg.content || '').join(' ').toLowerCase();
-    
-    // Simple intervention detection
-    if (/(oxygen|o2|nasal cannula|nc|mask|bvm)/.test(allText)) {
-      adjustedVitals.spO2 += 3; // Oxygen improves SpO2
-    }
-    if (/(aspirin|asa)/.test(allText)) {
-      adjustedVitals.heartRate -= 5; // Aspirin may lower heart rate
-    }
-    if (/(albuterol|ventolin|nebulizer)/.test(allText)) {
-      adjustedVitals.respiratoryRate -= 2; // Bronchodilator improves breathing
-      adjustedVitals.spO2 += 2;
-      adjustedVitals.heartRate += 3; // Side effect
-    }
-    
-    return adjustedVitals;
+  generateContextAwareVitals(scenarioData) {
+    // Read from the session's physiology model so prompts and replies never disagree
+    return this.patientSimulator.getVitalsSummary(scenarioData);
   }
 
   // ---------- Helper method to determine scenario category ----------
@@ -702,11 +630,7 @@ class ChatService {
   }
 
   // Force end scenario for testing
-  forceEndScenario(userMessage, conversation, scenarioData) {
-    // Force end with timeout reason
-    const sessionId = this.generateSessionId(conversation);
-    const examAssessmentResults = this.examAssessmentManager.getAssessmentResults(sessionId);
-    
+  async forceEndScenario(userMessage, conversation, scenarioData) {
     // Get start time from either memory or persisted data
     const startTime = this.scenarioStartTime || scenarioData?.meta?.startTime || Date.now() - 6*60*1000;
     const timeSpent = this.scenarioEndingManager.calculateTimeSpent(startTime);
@@ -718,24 +642,14 @@ class ChatService {
       timeSpent: timeSpent,
       userMessage
     };
-    
-    // Generate comprehensive grading using EMED111 rubric
-    const gradingResults = this.gradingEngine.gradeScenario(
-      conversation, 
-      scenarioData, 
-      timeSpent,
-      examAssessmentResults
-    );
-    
-    // Generate detailed feedback report
-    const feedbackReport = this.gradingEngine.generateFeedbackReport(gradingResults, scenarioData);
+    const { gradingResults, feedbackReport } = await this.gradeEndedScenario(endingCheck, conversation, scenarioData);
     
     // End simulation systems
     this.currentScenarioActive = false;
     this.scenarioEndReason = endingCheck.reason;
     
     // Generate ending response
-    const endingResponse = this.scenarioEndingManager.generateEndingResponse(endingCheck, userMessage);
+    const endingResponse = this.scenarioEndingManager.generateEndingResponse(endingCheck);
     
     // Create comprehensive feedback
     const feedbackMessage = this.formatFeedbackMessage(feedbackReport, endingCheck);
@@ -747,6 +661,48 @@ class ChatService {
     };
   }
 
+  /**
+   * Grade a scenario that just ended and build its feedback report
+   * @param {Object} endingCheck - reason, trigger and timeSpent of the ending
+   * @param {Array} conversation - Conversation so far (the timeline's student turns are preferred)
+   * @param {Object} scenarioData - Current scenario data
+   * @returns {Promise<Object>} - { gradingResults, feedbackReport }
+   */
+  async gradeEndedScenario(endingCheck, conversation, scenarioData) {
+    // Get exam assessment results if any
+    const sessionId = this.generateSessionId(conversation);
+    const examAssessmentResults = this.examAssessmentManager.getAssessmentResults(sessionId);
+
+    this.recordScenarioEnded(endingCheck);
+
+    // Grade with the rubric chosen when the scenario was generated
+    const gradingResults = this.gradingEngine.gradeScenario(
+      conversation, 
+      scenarioData, 
+      endingCheck.timeSpent,
+      examAssessmentResults,
+      this.timeline,
+      this.getRubric()
+    );
+
+    // Let the scoring model settle critical items the rules are unsure about
+    if (this.llmAdjudication) {
+      const studentTurns = this.timeline.getStudentTurns();
+      await this.gradingEngine.adjudicateUncertainItems(
+        gradingResults,
+        studentTurns.length > 0 ? studentTurns : conversation,
+        messages => this.callLLM(messages, { task: 'scoring' })
+      );
+    }
+    
+    // Generate detailed feedback report
+    const feedbackReport = this.gradingEngine.generateFeedbackReport(gradingResults, scenarioData, this.timeline);
+    this.timeline.record('graded', { totalScore: gradingResults.totalScore, pass: gradingResults.overallPass });
+    this.gradingResults = gradingResults;
+
+    return { gradingResults, feedbackReport };
+  }
+
   // ---------- Helper method to add intervention context ----------
   addInterventionContext(userMessage, conversation, scenarioData) {
     const normalizedMessage = TextNormalizer.normalizeToAsciiLower(userMessage);
@@ -872,8 +828,378 @@ class ChatService {
     return modeKeywords.some(keyword => messageLower.includes(keyword));
   }
 
+  /**
+   * Start a scenario from a scenario library case instead of generating one
+   * @param {Object} scenarioData - Scenario selection with libraryCaseId (and optional libraryCaseVersion),
+   *   or libraryCaseDraft when an instructor previews a case from the authoring page
+   * @returns {Promise<Object>} - Dispatch response with the case loaded into scenarioData
+   */
+  async startLibraryScenario(scenarioData) {
+    if (scenarioData.libraryCaseDraft) {
+      const draft = scenarioData.libraryCaseDraft;
+      const validation = scenarioLibrary.validate(draft);
+      if (!validation.isValid) {
+        return {
+          response: `Error: This scenario draft cannot be previewed until it is valid:\n- ${validation.errors.join('\n- ')}`,
+          additionalMessages: [],
+          enhancedScenarioData: null
+        };
+      }
+      delete scenarioData.libraryCaseDraft;
+      const draftData = toScenarioData(draft);
+      draftData.generatedScenario.libraryCase.preview = true;
+      return this.beginLibraryScenario(scenarioData, draftData);
+    }
+
+    const caseData = await scenarioLibrary.getScenarioData(scenarioData.libraryCaseId, scenarioData.libraryCaseVersion || null);
+    if (!caseData) {
+      console.log(`❌ Scenario library case not found: ${scenarioData.libraryCaseId}`);
+      return {
+        response: `Error: Scenario library case "${scenarioData.libraryCaseId}" was not found.`,
+        additionalMessages: [],
+        enhancedScenarioData: null
+      };
+    }
+
+    return this.beginLibraryScenario(scenarioData, caseData);
+  }
+
+  /**
+   * Fix the scenario seed in scenarioData.meta.seed, keeping one the caller
+   * supplied and rolling a fresh one otherwise. Bystanders, environment and
+   * exam questions later derive their own generators from the stored seed.
+   * @param {Object} scenarioData - Scenario data for the new scenario
+   * @returns {SeededRandom} - Root generator for the scenario
+   */
+  initializeScenarioSeed(scenarioData) {
+    const requested = scenarioData.meta?.seed;
+    const hasSeed = requested !== undefined && requested !== null && requested !== '';
+    const seed = SeededRandom.normalizeSeed(hasSeed ? requested : SeededRandom.randomSeed());
+    scenarioData.meta = { ...scenarioData.meta, seed };
+    console.log(`🎲 Scenario seed: ${seed}${hasSeed ? ' (requested)' : ''}`);
+    return new SeededRandom(seed);
+  }
+
+  /**
+   * Choose the rubric for a new scenario: the one the scenario names, else the
+   * one for its course, else the default. The scenario clock follows the
+   * rubric's time limit.
+   * @param {Object} scenarioData - Scenario data for the new scenario
+   * @returns {Object} - The rubric
+   */
+  selectRubric(scenarioData) {
+    const rubric = this.gradingEngine.resolveRubric(scenarioData);
+    this.rubricRef = rubric.ref;
+    scenarioData.meta = { ...scenarioData.meta, rubric: rubric.ref, timeLimitMinutes: rubric.timeLimit };
+    console.log(`📋 Grading rubric: ${rubric.ref} (${rubric.timeLimit} minute limit)`);
+    return rubric;
+  }
+
+  // Rubric for the current scenario; the default one until a scenario has been generated
+  getRubric() {
+    return (this.rubricRef && rubricRegistry.get(this.rubricRef)) || this.gradingEngine.rubric;
+  }
+
+  async beginLibraryScenario(scenarioData, caseData) {
+    const { libraryCase } = caseData.generatedScenario;
+    console.log(`📚 Starting library case ${libraryCase.id}@${libraryCase.version}${libraryCase.preview ? ' (preview)' : ''}`);
+
+    Object.assign(scenarioData, caseData);
+    this.selectRubric(scenarioData);
+
+    this.recordScenarioGenerated(scenarioData);
+
+    const dispatchContent = await PostProcessor.enforceInitialDispatchMessage('', scenarioData);
+    return {
+      response: dispatchContent,
+      additionalMessages: [],
+      enhancedScenarioData: scenarioData
+    };
+  }
+
+  recordScenarioGenerated(scenarioData) {
+    this.timeline.record('scenarioGenerated', {
+      mainScenario: scenarioData.mainScenario,
+      subScenario: scenarioData.subScenario,
+      seed: scenarioData.meta?.seed ?? null,
+      scenarioCode: scenarioData.meta?.scenarioCode || null,
+      libraryCase: scenarioData.generatedScenario?.libraryCase || null,
+      dispatch: scenarioData.generatedScenario?.dispatchInfo || scenarioData.dispatchInfo || null,
+      // What a handover report is checked against
+      patient: {
+        age: scenarioData.generatedScenario?.patientProfile?.age ?? null,
+        gender: scenarioData.generatedScenario?.patientProfile?.gender ?? null,
+        chiefComplaint: scenarioData.generatedScenario?.presentation?.chiefComplaint || null
+      }
+    });
+    if (this.teamRoster) {
+      this.timeline.record('teamRoster', { members: this.teamRoster });
+    }
+  }
+
+  /**
+   * Set the members of a team scenario; grading reads them from the timeline
+   * @param {Array} members - { userId, username, displayName, role } of each member
+   */
+  setTeamRoster(members) {
+    this.teamRoster = members;
+    if (this.timeline.getEvents('scenarioGenerated').length > 0) {
+      this.timeline.record('teamRoster', { members });
+    }
+  }
+
+  recordScenarioEnded(endingCheck) {
+    this.timeline.record('scenarioEnded', {
+      reason: endingCheck.reason,
+      trigger: endingCheck.trigger || null,
+      timeSpent: endingCheck.timeSpent
+    });
+  }
+
   // ---------- Main response generation method ----------
-  async generateResponse(userMessage, conversation = [], scenarioData = null) {
+  /**
+   * Answer one student message, recording the turn on the session timeline
+   * @param {string} userMessage - Student message
+   * @param {Array} conversation - Conversation so far
+   * @param {Object} scenarioData - Current scenario data
+   * @param {Object|null} speaker - { userId, username, role } of the team member speaking
+   * @param {Object|null} voice - { durationMs } of the recording the message was transcribed from
+   * @returns {Promise<Object>} - { response, additionalMessages, enhancedScenarioData }
+   */
+  async generateResponse(userMessage, conversation = [], scenarioData = null, speaker = null, voice = null) {
+    const isInitialRequest = this.isInitialScenarioRequest(userMessage, conversation);
+    if (!isInitialRequest && scenarioData?.generatedScenario) {
+      this.timeline.recordUtterance(userMessage, Date.now(), speaker);
+    }
+
+    // Whatever the partner finished, and an ALS intercept that arrived, since the last message come before the reply
+    const arrivedReports = this.currentScenarioActive ? [...this.deliverPartnerReports(), ...this.deliverRadioArrivals()] : [];
+
+    const result = await this.generateTurnResponse(userMessage, conversation, scenarioData, voice);
+
+    if (result && arrivedReports.length > 0) {
+      result.response = [...arrivedReports, result.response].join('\n\n');
+    }
+    if (result && this.currentScenarioActive && this.pendingNotices.length > 0) {
+      result.response = [...this.pendingNotices, result.response].join('\n\n');
+      this.pendingNotices = [];
+    }
+
+    if (result?.enhancedScenarioData?.generatedScenario) {
+      this.timeline.record('assistantResponse', { text: result.response });
+      if (this.currentScenarioActive) {
+        this.timeline.record('vitals', { source: 'snapshot', vitals: this.patientSimulator.getCurrentVitals() });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Whether the simulated partner is on scene; a team with a student partner does not get one
+   * @returns {boolean}
+   */
+  hasAiPartner() {
+    return !(this.teamRoster || []).some(member => member.role === 'partner');
+  }
+
+  /**
+   * Give the partner the orders in a student message ("partner, get a full set of
+   * vitals") or answer how they are getting on. The rest of the message is
+   * answered as usual after the partner's acknowledgement.
+   * @param {string} userMessage - Student message
+   * @param {Array} conversation - Conversation so far
+   * @param {Object} scenarioData - Current scenario data
+   * @returns {Promise<Object|null>} - Turn result, or null when the message has nothing for the partner
+   */
+  async handlePartnerOrders(userMessage, conversation, scenarioData) {
+    const { orders, statusQuery, remainder } = this.partnerManager.parseOrders(userMessage);
+    if (orders.length === 0 && !statusQuery) return null;
+
+    const now = Date.now();
+    const { assigned, alreadyPending } = this.partnerManager.assign(orders, now);
+    assigned.forEach(order => {
+      this.timeline.record('partner', {
+        kind: 'order',
+        orderId: order.id,
+        task: order.task,
+        description: order.action,
+        dueAt: order.dueAt
+      }, now);
+    });
+    const reply = orders.length > 0
+      ? this.partnerManager.acknowledge(assigned, alreadyPending)
+      : this.partnerManager.describeProgress(now);
+
+    if (remainder) {
+      const rest = await this.generateTurnResponse(remainder, conversation, scenarioData);
+      return { ...rest, response: `${reply}\n\n${rest.response}` };
+    }
+    return {
+      response: `${reply}\n\nAwaiting your next step.`,
+      additionalMessages: [],
+      enhancedScenarioData: scenarioData
+    };
+  }
+
+  /**
+   * Carry out the partner's finished orders against the patient and log them
+   * like the student's own vitals checks and treatments
+   * @param {number} now - Current time
+   * @returns {Array} - The partner's report lines
+   */
+  deliverPartnerReports(now = Date.now()) {
+    return this.partnerManager.takeDue(now).map(order => {
+      const result = this.partnerManager.carryOut(order, this.patientSimulator, this.equipmentManager);
+      if (result.checked.length > 0) {
+        this.timeline.record('vitals', {
+          source: 'check',
+          by: 'partner',
+          checked: result.checked,
+          vitals: this.patientSimulator.getCurrentVitals()
+        }, order.dueAt);
+      }
+      if (order.treatment && !result.failure) {
+        this.timeline.record('intervention', {
+          kind: 'treatment',
+          by: 'partner',
+          description: `Partner: ${order.label}`,
+          treatments: result.treatments
+        }, order.dueAt);
+      }
+      this.timeline.record('partner', {
+        kind: 'report',
+        orderId: order.id,
+        task: order.task,
+        description: order.action,
+        text: result.text,
+        failure: result.failure
+      }, order.dueAt);
+      return result.text;
+    });
+  }
+
+  /**
+   * Send a student message out over the radio when it is addressed to the
+   * hospital or dispatch ("County General, this is Medic 12 ..."), and answer
+   * as the base station
+   * @param {string} userMessage - Student message
+   * @param {Object} scenarioData - Current scenario data
+   * @param {Object|null} voice - { durationMs } when the message was spoken
+   * @returns {Object|null} - Turn result, or null when the message is not radio traffic
+   */
+  handleRadioTraffic(userMessage, scenarioData, voice = null) {
+    const parsed = this.radioManager.parseTransmission(userMessage);
+    if (!parsed) return null;
+
+    const now = Date.now();
+    const { reply, transmission, response } = this.radioManager.transmit(parsed, {
+      now,
+      voiceDurationMs: voice?.durationMs ?? null,
+      seed: scenarioData?.meta?.seed ?? this.sessionId ?? ''
+    });
+    this.timeline.record('radio', transmission, now);
+    this.timeline.record('radio', response, now);
+
+    return {
+      response: reply,
+      additionalMessages: [],
+      enhancedScenarioData: scenarioData
+    };
+  }
+
+  /**
+   * Announce an ALS intercept once its ETA has passed
+   * @param {number} now - Current time
+   * @returns {Array} - Dispatch lines
+   */
+  deliverRadioArrivals(now = Date.now()) {
+    return this.radioManager.takeArrivals(now).map(({ text, intercept }) => {
+      this.timeline.record('radio', {
+        channel: 'dispatch',
+        kind: 'alsArrived',
+        unit: intercept.unit,
+        text
+      }, intercept.arrivesAt);
+      return text;
+    });
+  }
+
+  /**
+   * Give the handover at the hospital. Arriving ("we arrive at the ED") or
+   * starting a handover opens the transfer of care; from then on the receiving
+   * nurse or physician answers every message and asks for what the report
+   * leaves out. The run ends once they take the patient.
+   * @param {string} userMessage - Student message
+   * @param {Array} conversation - Conversation so far
+   * @param {Object} scenarioData - Current scenario data
+   * @returns {Promise<Object|null>} - Turn result, or null when the message is not part of a handover
+   */
+  async handleTransferOfCare(userMessage, conversation, scenarioData) {
+    const transfer = this.transferOfCareManager;
+    const lines = [];
+    // Care keeps going at the bedside until the student starts the report
+    if (transfer.isReceiving() && !transfer.hasReport() && transfer.isPatientCare(userMessage)) return null;
+    if (!transfer.isReceiving()) {
+      // "Hospital report" keyed up over the radio is the notification, not the handover at the bedside
+      if (!transfer.isStart(userMessage) || this.radioManager.parseTransmission(userMessage)) return null;
+      const withReport = transfer.extractReport(userMessage) !== '';
+      const { reply, arrival } = transfer.begin({ seed: scenarioData?.meta?.seed ?? this.sessionId ?? '', withReport });
+      this.timeline.record('handover', arrival);
+      lines.push(reply);
+      if (!withReport) {
+        return { response: reply, additionalMessages: [], enhancedScenarioData: scenarioData };
+      }
+    }
+
+    const facts = handoverAnalyzer.getFacts(this.timeline.getEvents());
+    const { reply, report, response, complete } = transfer.receive(userMessage, facts);
+    if (report) this.timeline.record('handover', report);
+    this.timeline.record('handover', response);
+    lines.push(reply);
+
+    if (!complete) {
+      return { response: lines.join('\n\n'), additionalMessages: [], enhancedScenarioData: scenarioData };
+    }
+    const startTime = this.scenarioStartTime || scenarioData?.meta?.startTime || null;
+    const endingCheck = {
+      shouldEnd: true,
+      reason: 'handover',
+      trigger: `Care transferred to the ${transfer.receiver.label}`,
+      timeSpent: this.scenarioEndingManager.calculateTimeSpent(startTime)
+    };
+    console.log('⏰ Scenario ending:', endingCheck.reason, `(${endingCheck.timeSpent} minutes)`);
+    return this.endScenario(endingCheck, conversation, scenarioData, lines.join('\n\n'));
+  }
+
+  /**
+   * Grade the run and answer with the ending and the feedback
+   * @param {Object} endingCheck - reason, trigger and timeSpent of the ending
+   * @param {Array} conversation - Conversation so far
+   * @param {Object} scenarioData - Current scenario data
+   * @param {string|null} leadIn - Reply shown before the ending (the receiver taking the patient)
+   * @returns {Promise<Object>} - Turn result
+   */
+  async endScenario(endingCheck, conversation, scenarioData, leadIn = null) {
+    const { gradingResults, feedbackReport } = await this.gradeEndedScenario(endingCheck, conversation, scenarioData);
+
+    // End simulation systems
+    this.currentScenarioActive = false;
+    this.scenarioEndReason = endingCheck.reason;
+
+    // Generate ending response
+    const endingResponse = this.scenarioEndingManager.generateEndingResponse(endingCheck);
+
+    // Create comprehensive feedback
+    const feedbackMessage = this.formatFeedbackMessage(feedbackReport, endingCheck);
+
+    return {
+      response: [leadIn, endingResponse, feedbackMessage].filter(Boolean).join('\n\n'),
+      additionalMessages: [{ role: 'system', content: 'scenarioEnded' }],
+      enhancedScenarioData: { ...scenarioData, gradingResults, feedbackReport }
+    };
+  }
+
+  async generateTurnResponse(userMessage, conversation = [], scenarioData = null, voice = null) {
     console.log('🔍 Starting generateResponse...');
     console.log('📝 Message length:', userMessage?.length || 0);
     console.log('🎭 Scenario data:', scenarioData);
@@ -887,28 +1213,59 @@ class ChatService {
       // Reset all systems for new scenario
       this.resetSimulationSystems();
       
-      // Initialize scenarioData if null
-      if (!scenarioData) {
+      if (!scenarioData) scenarioData = {};
+
+      // A scenario code carries the scenario type and seed of an earlier call
+      if (scenarioData.scenarioCode) {
+        const decoded = decodeScenarioCode(scenarioData.scenarioCode);
+        if (!decoded) {
+          console.log(`❌ Invalid scenario code: ${scenarioData.scenarioCode}`);
+          return {
+            response: `Error: "${scenarioData.scenarioCode}" is not a valid scenario code.`,
+            additionalMessages: [],
+            enhancedScenarioData: null
+          };
+        }
+        scenarioData.mainScenario = decoded.mainScenario;
+        scenarioData.subScenario = decoded.subScenario;
+        scenarioData.meta = { ...scenarioData.meta, seed: decoded.seed };
+      }
+
+      // Every roll in the scenario derives from this one seed
+      const random = this.initializeScenarioSeed(scenarioData);
+
+      // Initialize scenario type if none (or "Random Scenario") was chosen
+      if (!scenarioData.subScenario) {
         const scenarioTypes = ['Cardiac Scenario', 'Respiratory Scenario', 'Trauma Scenario', 'Neurological Scenario', 'Metabolic Scenario'];
-        const randomType = scenarioTypes[Math.floor(Math.random() * scenarioTypes.length)];
-        scenarioData = {
+        const randomType = random.fork('scenarioType').pick(scenarioTypes);
+        Object.assign(scenarioData, {
           mainScenario: randomType,
           subScenario: randomType,
           scenario: randomType,
           type: randomType
-        };
+        });
         console.log('🎲 Created random scenario data:', scenarioData);
+      } else if (scenarioData.subScenario === 'Random Scenario' && SCENARIO_TYPES[scenarioData.mainScenario]) {
+        scenarioData.subScenario = random.fork('scenarioType').pick(SCENARIO_TYPES[scenarioData.mainScenario]);
+        console.log(`🎲 Random ${scenarioData.mainScenario} resolved to ${scenarioData.subScenario}`);
       }
       
+      // Instructor-authored library case (or an unsaved draft being previewed): run it exactly as written
+      if (scenarioData.libraryCaseId || scenarioData.libraryCaseDraft) {
+        return this.startLibraryScenario(scenarioData);
+      }
+
       try {
         // Try template-based approach first (more reliable)
         console.log('🎯 Attempting template-based scenario generation...');
         let attempts = 0;
         const maxAttempts = 3;
         let templateResult;
+        // One stream across retries so each attempt differs but the sequence repeats for the seed
+        const dispatchRandom = random.fork('dispatch');
         while (attempts < maxAttempts) {
           attempts++;
-          templateResult = await this.templateGenerator.generateCompleteScenario(scenarioData);
+          templateResult = await this.templateGenerator.generateCompleteScenario(scenarioData, dispatchRandom);
           if (!templateResult.error) break;
           console.log(`🔁 Template validation failed (attempt ${attempts})`);
         }
@@ -916,13 +1273,16 @@ class ChatService {
         if (!templateResult.error) {
           console.log('✅ Template-based scenario generation successful');
           
+          templateResult.difficulty = this.scenarioGenerator.generateSimpleDifficulty(scenarioData, random.fork('difficulty'));
+
           // Store the dispatch info immediately when AI generates it
           scenarioData.dispatchInfo = templateResult.dispatchInfo;
           scenarioData.generatedScenario = templateResult; // For compatibility
           
-          // Initialize meta object with time limit
-          if (!scenarioData.meta) scenarioData.meta = {};
-          scenarioData.meta.timeLimitMinutes = this.scenarioEndingManager.TIME_LIMIT_MINUTES;
+          // Initialize meta object with the rubric and its time limit
+          this.selectRubric(scenarioData);
+          scenarioData.meta.scenarioCode = encodeScenarioCode({ ...scenarioData, seed: scenarioData.meta.seed });
+          this.recordScenarioGenerated(scenarioData);
           
           console.log('💾 Stored dispatch info:', scenarioData.dispatchInfo);
           
@@ -966,11 +1326,19 @@ class ChatService {
         // Persist start time in scenarioData to survive server restarts
         if (!scenarioData.meta) scenarioData.meta = {};
         scenarioData.meta.startTime = this.scenarioStartTime;
-        scenarioData.meta.timeLimitMinutes = this.scenarioEndingManager.TIME_LIMIT_MINUTES;
+        scenarioData.meta.rubric = this.getRubric().ref;
+        scenarioData.meta.timeLimitMinutes = this.getRubric().timeLimit;
         this.patientSimulator.initializePatient(scenarioData);
-        this.bystanderManager.generateBystanders(scenarioData);
-        this.environmentalManager.generateEnvironmentalFactors(scenarioData);
+        const bystanders = this.bystanderManager.generateBystanders(scenarioData);
+        const environment = this.environmentalManager.generateEnvironmentalFactors(scenarioData);
         this.performanceEvaluator.startEvaluation(scenarioData, this.scenarioStartTime);
+        this.timeline.start(this.scenarioStartTime);
+        this.timeline.record('bystander', { kind: 'present', bystanders });
+        this.timeline.record('environment', {
+          kind: 'conditions',
+          weather: environment?.weather || null,
+          sceneHazard: environment?.sceneHazard || null
+        });
         
         const sceneImpression = await this.buildSceneOnlyImpression(scenarioData.generatedScenario);
         return { 
@@ -987,47 +1355,17 @@ class ChatService {
 
 
 
-    // Check if scenario should end (new EMED111 grading system)
+    // Check if scenario should end (graded with the session's rubric)
     {
       // Use persisted start time if in-memory value was lost (e.g., server restart)
       const startTime = this.scenarioStartTime || scenarioData?.meta?.startTime || null;
       const endingCheck = startTime
-        ? this.scenarioEndingManager.checkForScenarioEnding(userMessage, conversation, startTime)
+        ? this.scenarioEndingManager.checkForScenarioEnding(userMessage, conversation, startTime, this.getRubric().timeLimit)
         : { shouldEnd: false, timeSpent: 0 };
-      
+
       if (endingCheck.shouldEnd) {
         console.log('⏰ Scenario ending:', endingCheck.reason, `(${endingCheck.timeSpent} minutes)`);
-        
-        // Get exam assessment results if any
-        const sessionId = this.generateSessionId(conversation);
-        const examAssessmentResults = this.examAssessmentManager.getAssessmentResults(sessionId);
-        
-        // Generate comprehensive grading using EMED111 rubric
-        const gradingResults = this.gradingEngine.gradeScenario(
-          conversation, 
-          scenarioData, 
-          endingCheck.timeSpent,
-          examAssessmentResults
-        );
-        
-        // Generate detailed feedback report
-        const feedbackReport = this.gradingEngine.generateFeedbackReport(gradingResults, scenarioData);
-        
-        // End simulation systems
-        this.currentScenarioActive = false;
-        this.scenarioEndReason = endingCheck.reason;
-        
-        // Generate ending response
-        const endingResponse = this.scenarioEndingManager.generateEndingResponse(endingCheck, userMessage);
-        
-        // Create comprehensive feedback
-        const feedbackMessage = this.formatFeedbackMessage(feedbackReport, endingCheck);
-        
-        return {
-          response: `${endingResponse}\n\n${feedbackMessage}`,
-          additionalMessages: [{ role: 'system', content: 'scenarioEnded' }],
-          enhancedScenarioData: { ...scenarioData, gradingResults, feedbackReport }
-        };
+        return this.endScenario(endingCheck, conversation, scenarioData);
       }
       
       // Time warnings disabled per requirements
@@ -1035,6 +1373,20 @@ class ChatService {
 
     // Recognize and process user actions
     if (this.currentScenarioActive) {
+      // At the hospital every message is part of the handover until the receiver takes the patient
+      const transferTurn = await this.handleTransferOfCare(userMessage, conversation, scenarioData);
+      if (transferTurn) return transferTurn;
+
+      // Orders to the simulated partner take time; the partner reports back on a later message
+      if (this.hasAiPartner()) {
+        const partnerTurn = await this.handlePartnerOrders(userMessage, conversation, scenarioData);
+        if (partnerTurn) return partnerTurn;
+      }
+
+      // Traffic to the hospital or dispatch is answered by the base station, not the patient
+      const radioTurn = this.handleRadioTraffic(userMessage, scenarioData, voice);
+      if (radioTurn) return radioTurn;
+
       // Early conversation handling: if the user is introducing themselves or
       // engaging in simple conversation, force a patient reply BEFORE any
       // action recognition to avoid unnecessary clarification prompts.
@@ -1043,7 +1395,7 @@ class ChatService {
         console.log('💬 Handling introduction/conversation before action recognition');
         const additionalContext = 'PATIENT_CONVERSATION: Respond naturally as the patient to this introduction/conversation. Keep it short and in quotes.';
         const messages = await this.createMessages(userMessage, conversation, scenarioData, null, additionalContext);
-        const response = await this.callOpenAI(messages);
+        const response = await this.callLLM(messages);
         let sanitized = PostProcessor.postProcessObjectiveContent(response, userMessage, scenarioData);
         return { response: sanitized, additionalMessages: [], enhancedScenarioData: scenarioData };
       }
@@ -1067,13 +1419,16 @@ class ChatService {
       // Log action for performance evaluation
       this.performanceEvaluator.logAction(userMessage, Date.now(), recognizedAction.details);
       
-      // Record interventions in patient simulator
-      if (recognizedAction.type === 'medicationAdmin' || recognizedAction.type === 'equipmentUse') {
-        this.patientSimulator.recordIntervention(userMessage, Date.now());
+      // Record non-drug interventions in patient simulator; medications are given once validated.
+      // Refused or only considered ones ("I will not put on oxygen") are not recorded.
+      const equipmentOrPositioning = ['equipmentUse', 'positioning'].includes(recognizedAction.type) && !recognizedAction.details.declined;
+      if (equipmentOrPositioning || this.patientSimulator.isTreatment(userMessage)) {
+        const treatments = this.patientSimulator.recordIntervention(userMessage, Date.now());
+        this.timeline.record('intervention', { kind: 'treatment', description: userMessage, treatments });
       }
       
-      // Check for contraindications
-      if (recognizedAction.type === 'medicationAdmin') {
+      // Check for contraindications; a refused or only considered dose ("I will not give epi") is not checked
+      if (recognizedAction.type === 'medicationAdmin' && !recognizedAction.details.declined) {
         const validation = this.actionRecognizer.validateMedicationAdmin(
           recognizedAction.details, 
           scenarioData?.generatedScenario?.patientProfile
@@ -1099,17 +1454,33 @@ class ChatService {
           };
         }
       }
+
+      // Medications take effect over the following minutes through the pharmacology model
+      if (recognizedAction.type === 'medicationAdmin') {
+        const dose = this.patientSimulator.administerMedication(recognizedAction.details, Date.now());
+        if (dose) {
+          this.timeline.record('intervention', {
+            kind: 'medication',
+            description: `${dose.medication} ${dose.amount} ${dose.unit} ${dose.route}`,
+            dose
+          });
+        }
+        (dose?.warnings || []).forEach(warning => {
+          this.performanceEvaluator.logError(`medication_${warning.type}`, warning.message, Date.now());
+        });
+      }
       
       // Update patient vitals based on time progression
-      this.patientSimulator.updateVitalsForTimeProgression(scenarioData);
-      this.patientSimulator.updateConsciousness(scenarioData);
+      this.patientSimulator.updateVitalsForTimeProgression();
+      this.patientSimulator.updateConsciousness();
     }
 
     // Handle vital signs requests with patient simulator
     if (this.currentScenarioActive) {
       const vitalsRequest = this.vitalsProcessor.detectVitalsRequest(userMessage);
       if (vitalsRequest.isHeartRate || vitalsRequest.isBloodPressure || vitalsRequest.isRespRate || 
-          vitalsRequest.isTemperature || vitalsRequest.isPulseOx) {
+          vitalsRequest.isTemperature || vitalsRequest.isPulseOx || vitalsRequest.isGlucose ||
+          vitalsRequest.isEtco2 || vitalsRequest.isGcs) {
         
         // Collect all requested vitals
         const requestedVitals = [];
@@ -1118,11 +1489,19 @@ class ChatService {
         if (vitalsRequest.isRespRate) requestedVitals.push('respiratory rate');
         if (vitalsRequest.isTemperature) requestedVitals.push('temperature');
         if (vitalsRequest.isPulseOx) requestedVitals.push('oxygen saturation');
+        if (vitalsRequest.isGlucose) requestedVitals.push('blood glucose');
+        if (vitalsRequest.isEtco2) requestedVitals.push('etco2');
+        if (vitalsRequest.isGcs) requestedVitals.push('gcs');
         
         // Get all requested vitals
-        const vitalResponses = requestedVitals.map(vitalType => 
-          this.patientSimulator.getSpecificVital(vitalType)
+        const vitalResponses = requestedVitals.map(vitalType =>
+          this.equipmentManager.getReadingFailure(vitalType, userMessage) || this.patientSimulator.getSpecificVital(vitalType)
         );
+        this.timeline.record('vitals', {
+          source: 'check',
+          checked: requestedVitals,
+          vitals: this.patientSimulator.getCurrentVitals()
+        });
         
         const patientResponse = this.patientSimulator.generatePatientResponse(userMessage, scenarioData);
         
@@ -1151,9 +1530,17 @@ class ChatService {
         let response = patientResponse;
         
         // Automatically provide readings for monitoring equipment
-        if (equipmentPlacement.providesReading) {
+        const failure = this.equipmentManager.getPlacementFailure(equipmentPlacement.equipmentType);
+        if (failure) {
+          response += `\n\n${failure}`;
+        } else if (equipmentPlacement.providesReading) {
           const reading = this.patientSimulator.getSpecificVital(equipmentPlacement.readingType);
           response += `\n\n${reading}`;
+          this.timeline.record('vitals', {
+            source: 'check',
+            checked: [equipmentPlacement.readingType],
+            vitals: this.patientSimulator.getCurrentVitals()
+          });
         }
         
         response += '\n\nAwaiting your next step.';
@@ -1192,30 +1579,6 @@ class ChatService {
         conversationCheck: conversationCheckForScenario
       });
       
-      // Check if scenario should end (timeout or handover) - only if scenario is actually active
-      if (this.currentScenarioActive) {
-        const shouldEnd = this.patientSimulator.shouldEndScenario();
-        const isHandover = this.isHandoverReport(userMessage);
-        if (shouldEnd || isHandover) {
-          console.log('🏁 Scenario ending...', { shouldEnd, isHandover });
-          this.currentScenarioActive = false;
-          this.scenarioEndReason = shouldEnd ? 'timeout' : 'handover';
-          
-          // Generate performance summary
-          const performanceSummary = await this.generatePerformanceSummary(scenarioData);
-          return {
-            response: performanceSummary,
-            additionalMessages: [],
-            enhancedScenarioData: scenarioData
-          };
-        }
-      }
-      
-      // Log user action for evaluation (only if scenario is active)
-      if (this.currentScenarioActive) {
-        this.performanceEvaluator.logAction(userMessage);
-      }
-      
       // Check if this is conversation and/or action
       const conversationCheck = this.isPatientConversation(userMessage);
       console.log('🔍 Conversation check:', { userMessage, conversationCheck });
@@ -1228,29 +1591,9 @@ class ChatService {
         actionResult = this.actionRecognizer.recognizeAction(userMessage);
         console.log('🎯 Action recognized:', actionResult);
         
-        // Handle medication administration with contraindications
-        if (actionResult.type === 'medication') {
-          const contraindication = this.patientSimulator.checkContraindications(
-            actionResult.medication, 
-            actionResult.dose, 
-            actionResult.route
-          );
-          if (contraindication) {
-            // Patient shows adverse reaction
-            this.patientSimulator.applyIntervention(actionResult.type, actionResult, false);
-            actionContext = `CONTRAINDICATION ALERT: ${contraindication}`;
-          } else {
-            this.patientSimulator.applyIntervention(actionResult.type, actionResult, true);
-          }
-        } else if (actionResult.type !== 'unclear') {
-          // Apply intervention effect
-          this.patientSimulator.applyIntervention(actionResult.type, actionResult, true);
-        }
-        
-        // Handle vitals requests specifically
-        if (actionResult.type === 'vitals_check') {
-          const vitalsResponse = this.patientSimulator.getRequestedVitals(actionResult.vitalsRequested);
-          actionContext = `VITALS RESPONSE: ${vitalsResponse}`;
+        // Treatments were already applied to the physiology model above; vitals checks read from it
+        if (actionResult.type === 'vitalCheck' && this.currentScenarioActive) {
+          actionContext = `VITALS RESPONSE: ${this.patientSimulator.getVitalsSummary()}`;
         }
       }
       
@@ -1276,6 +1619,7 @@ class ChatService {
       // Generate bystander interactions
       const bystanderResponse = this.bystanderManager.generateResponse(userMessage, null);
       if (bystanderResponse) {
+        this.timeline.record('bystander', { kind: 'response', text: bystanderResponse });
         additionalContext = additionalContext ? 
           `${additionalContext}\n\nBYSTANDER: ${bystanderResponse}` : 
           `BYSTANDER: ${bystanderResponse}`;
@@ -1284,6 +1628,7 @@ class ChatService {
       // Generate environmental factors
       const environmentalFactor = this.environmentalManager.generateFactor();
       if (environmentalFactor) {
+        this.timeline.record('environment', { kind: 'factor', text: environmentalFactor });
         additionalContext = additionalContext ? 
           `${additionalContext}\n\nENVIRONMENT: ${environmentalFactor}` : 
           `ENVIRONMENT: ${environmentalFactor}`;
@@ -1308,7 +1653,7 @@ class ChatService {
 
     // Standard LLM response generation
     const messages = await this.createMessages(userMessage, conversation, scenarioData, null, additionalContext || null);
-    const response = await this.callOpenAI(messages);
+    const response = await this.callLLM(messages);
 
     // Post-process the response
     let sanitized = PostProcessor.postProcessObjectiveContent(response, userMessage, scenarioData);
@@ -1323,12 +1668,14 @@ class ChatService {
     if (this.currentScenarioActive) {
       const bystanderResponse = this.bystanderManager.generateBystanderResponse(userMessage, scenarioData);
       if (bystanderResponse) {
+        this.timeline.record('bystander', { kind: 'response', text: bystanderResponse });
         finalResponse += `\n\n${bystanderResponse}`;
       }
       
       // Check for environmental complications
       const complication = this.bystanderManager.checkForComplications(userMessage);
       if (complication) {
+        this.timeline.record('bystander', { kind: 'complication', text: complication });
         finalResponse += `\n\n*${complication}*`;
       }
       
@@ -1342,7 +1689,7 @@ class ChatService {
     };
   }
 
-  // ---------- Message creation and OpenAI call ----------
+  // ---------- Message creation and LLM call ----------
   async createMessages(userMessage, conversation = [], scenarioData = null, evolutionAnalysis = null, additionalContext = null) {
     console.log('🎯 Creating messages...');
 
@@ -1361,8 +1708,13 @@ class ChatService {
     
     // Add current vital signs for the LLM to use when responding to vitals requests
     if (scenarioData) {
-      const vitalsContext = this.generateContextAwareVitals(conversation, scenarioData);
+      const vitalsContext = this.generateContextAwareVitals(scenarioData);
       systemMessage += `\n\nCURRENT VITAL SIGNS: ${vitalsContext}`;
+
+      const sideEffects = this.patientSimulator.getActiveSideEffects();
+      if (sideEffects.length > 0) {
+        systemMessage += `\n\nMEDICATION EFFECTS: The patient ${sideEffects.join('; ')}.`;
+      }
     }
     
     messages.push({ role: 'system', content: systemMessage });
@@ -1382,23 +1734,29 @@ class ChatService {
     return messages;
   }
 
-  async callOpenAI(messages, options = {}) {
-    console.log('🚀 Calling OpenAI API...');
-    const model = options.model || this.defaultModel;
+  /**
+   * Send messages to the provider/model configured for a task
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - task (dispatch|patient|scene|scoring), optional model override
+   * @returns {string} - Assistant response text
+   */
+  async callLLM(messages, options = {}) {
+    const route = getTaskRoute(options.task || this.defaultTask);
+    const model = options.model || route.model;
+    console.log(`🚀 Calling ${route.provider.name}...`);
     console.log('🤖 Model:', model);
 
     try {
-      const completion = await openai.chat.completions.create({
+      const response = await route.provider.chat(messages, {
         model: model,
-        messages: messages,
-        max_tokens: this.maxTokens,
+        maxTokens: this.maxTokens,
         temperature: this.temperature,
       });
 
-      console.log('✅ OpenAI API call successful');
-      return completion.choices[0]?.message?.content || '';
+      console.log(`✅ ${route.provider.name} call successful`);
+      return response;
     } catch (error) {
-      console.error('❌ OpenAI API call failed:', error);
+      console.error(`❌ ${route.provider.name} call failed:`, error);
       throw error;
     }
   }
@@ -1543,15 +1901,9 @@ SCENARIO EVOLUTION:
 65. Maintain consistency with your initial presentation and medical condition
 
 VITAL SIGNS GENERATION:
-66. Generate realistic vital signs based on your medical condition and scenario type
-67. Cardiac conditions: Show elevated heart rate, blood pressure changes, normal to slightly low SpO2
-68. Respiratory conditions: Show elevated respiratory rate, decreased SpO2, normal heart rate
-69. Trauma conditions: Show elevated heart rate, normal to elevated blood pressure, normal SpO2
-70. Neurologic conditions: Show normal vital signs unless severe, may have altered mental status
-71. Metabolic conditions: Show variable vital signs based on specific condition
-72. Show vital sign changes based on interventions (oxygen improves SpO2, aspirin may lower heart rate)
-73. Maintain realistic ranges: HR 40-200, RR 8-50, BP 60/40-250/150, SpO2 70-100%, Temp 95-106°F
-74. Show gradual improvement or deterioration based on intervention quality and timing
+66. Vital signs come from the patient physiology model and are listed under CURRENT VITAL SIGNS
+67. Never invent, estimate or adjust vital sign values; quote only the current values when asked
+68. Let your symptoms, breathing and mental status match those values (e.g. confused with a low GCS, gasping with low SpO2)
 
 SCENARIO CONTEXT:`;
 
@@ -1575,7 +1927,7 @@ DETAILED PATIENT INFORMATION:
 - Allergies: ${gs.patientProfile?.allergies?.join(', ') || 'NKDA'}
 - Chief Complaint: ${gs.presentation?.chiefComplaint || 'Unknown'}
 - Symptom Onset: ${gs.presentation?.onsetTime || 'Unknown'}
-- Current Condition: ${gs.physicalFindings?.consciousness || 'Alert'}
+- Current Condition: ${gs.physicalFindings?.consciousness || 'Alert'}${this.formatHistoryDetails(gs.history)}
 
 You are this specific patient. Respond consistently with this medical profile and current condition.`;
       }
@@ -1609,6 +1961,18 @@ ${this.buildEvolutionContext(evolutionAnalysis)}`;
     return systemMessage;
   }
 
+  // Extra history lines authored in library cases (events, last oral intake, ...)
+  formatHistoryDetails(history) {
+    if (!history) return '';
+    return Object.entries(history)
+      .filter(([, value]) => typeof value === 'string' && value.trim())
+      .map(([key, value]) => {
+        const label = key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+        return `\n- ${label}: ${value}`;
+      })
+      .join('');
+  }
+
   buildEvolutionContext(evolutionAnalysis) {
     const { progression, nextEvolution } = evolutionAnalysis;
     let context = `Current Phase: ${progression.currentPhase.toUpperCase()}`;
@@ -1680,9 +2044,16 @@ ${this.buildEvolutionContext(evolutionAnalysis)}`;
       return this.pdfContent;
     }
 
+    // Every session has its own ChatService, so share the parsed PDFs between them
+    if (sharedKnowledgeBase) {
+      this.pdfContent = sharedKnowledgeBase;
+      return this.pdfContent;
+    }
+
     try {
       const pdfDir = path.join(__dirname, '../knowledge/pdfs');
       this.pdfContent = await pdfProcessor.loadKnowledgeBase(pdfDir);
+      sharedKnowledgeBase = this.pdfContent;
       console.log('✅ Knowledge base loaded successfully');
       return this.pdfContent;
     } catch (error) {
@@ -1694,11 +2065,10 @@ ${this.buildEvolutionContext(evolutionAnalysis)}`;
   // ---------- Additional required methods ----------
   async getAvailableModels() {
     try {
-      const models = await openai.models.list();
-      return models.data.map(model => model.id).filter(id => id.includes('gpt'));
+      return await llm.listModels();
     } catch (error) {
       console.error('❌ Failed to get available models:', error);
-      return [this.defaultModel];
+      return [getTaskRoute(this.defaultTask).model];
     }
   }
 
@@ -1750,7 +2120,7 @@ Format as JSON with keys: assessment, strengths, improvements, recommendations,
         { role: 'user', content: feedbackPrompt }
       ];
 
-      const response = await this.callOpenAI(messages);
+      const response = await this.callLLM(messages, { task: 'scoring' });
 
       try {
         return JSON.parse(response);
@@ -1777,16 +2147,174 @@ Format as JSON with keys: assessment, strengths, improvements, recommendations,
     }
   }
 
+  /**
+   * Snapshot per-session simulation state for the session store
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      currentScenarioActive: this.currentScenarioActive,
+      scenarioStartTime: this.scenarioStartTime,
+      scenarioEndReason: this.scenarioEndReason,
+      rubricRef: this.rubricRef,
+      gradingResults: this.gradingResults,
+      patient: this.patientSimulator.getState(),
+      bystanders: this.bystanderManager.getState(),
+      environment: this.environmentalManager.getState(),
+      equipment: this.equipmentManager.getState(),
+      partner: this.partnerManager.getState(),
+      radio: this.radioManager.getState(),
+      transfer: this.transferOfCareManager.getState(),
+      pendingNotices: this.pendingNotices,
+      teamRoster: this.teamRoster,
+      evaluation: this.performanceEvaluator.getState(),
+      timeline: this.timeline.getState(),
+      exam: this.sessionId ? this.examAssessmentManager.exportSessionData(this.sessionId) : null
+    };
+  }
+
+  /**
+   * Restore simulation state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.currentScenarioActive = !!state.currentScenarioActive;
+    this.scenarioStartTime = state.scenarioStartTime || null;
+    this.scenarioEndReason = state.scenarioEndReason || null;
+    this.rubricRef = state.rubricRef || null;
+    this.gradingResults = state.gradingResults || null;
+    this.patientSimulator.restoreState(state.patient);
+    this.bystanderManager.restoreState(state.bystanders);
+    this.environmentalManager.restoreState(state.environment);
+    this.equipmentManager.restoreState(state.equipment);
+    this.partnerManager.restoreState(state.partner);
+    this.radioManager.restoreState(state.radio);
+    this.transferOfCareManager.restoreState(state.transfer);
+    this.pendingNotices = state.pendingNotices || [];
+    this.teamRoster = state.teamRoster || null;
+    this.performanceEvaluator.restoreState(state.evaluation);
+    this.timeline.restoreState(state.timeline);
+    if (this.sessionId && state.exam) {
+      this.examAssessmentManager.importSessionData(this.sessionId, state.exam);
+    }
+  }
+
+  /**
+   * Turn-by-turn replay of the current scenario with its vitals and grading
+   * @returns {Object} - Replay built by ScenarioReplay
+   */
+  getReplay() {
+    return scenarioReplay.build({
+      timeline: this.timeline,
+      vitalsHistory: this.patientSimulator.vitalsHistory,
+      gradingResults: this.gradingResults
+    });
+  }
+
+  /**
+   * What an instructor proctoring this session sees right now
+   * @returns {Object} - Live status built by ProctorView
+   */
+  getLiveStatus() {
+    return proctorView.build({
+      timeline: this.timeline,
+      patientSimulator: this.patientSimulator,
+      equipmentManager: this.equipmentManager,
+      rubric: this.getRubric(),
+      gradingResults: this.gradingResults,
+      active: this.currentScenarioActive,
+      endReason: this.scenarioEndReason,
+      pendingNotices: this.pendingNotices
+    });
+  }
+
+  /**
+   * Inject an event into the running scenario from the proctor console. The
+   * effect is immediate; the student reads about it at the top of their next reply.
+   * @param {Object} request - { type, severity, equipment, message }
+   * @param {Object} instructor - User injecting the event
+   * @returns {Object} - { event }, { errors } for a bad request or { inactive: true } when no scenario is running
+   */
+  injectEvent({ type, severity = 'moderate', equipment = null, message = null } = {}, instructor = null) {
+    const errors = [];
+    if (!INJECTABLE_EVENTS.includes(type)) {
+      errors.push(`type must be one of: ${INJECTABLE_EVENTS.join(', ')}`);
+    }
+    if (type === 'deterioration' && !DETERIORATION_NOTICES[severity]) {
+      errors.push(`severity must be one of: ${Object.keys(DETERIORATION_NOTICES).join(', ')}`);
+    }
+    if ((type === 'equipmentFailure' || type === 'equipmentRestored') && !this.equipmentManager.isKnown(equipment)) {
+      errors.push(`equipment must be one of: ${this.equipmentManager.listEquipment().map(e => e.id).join(', ')}`);
+    }
+    if (message !== null && (typeof message !== 'string' || message.trim().length === 0 || message.length > 500)) {
+      errors.push('message must be a non-empty string of at most 500 characters');
+    }
+    if (errors.length > 0) return { errors };
+    if (!this.currentScenarioActive) return { inactive: true };
+
+    const now = Date.now();
+    const text = message ? message.trim() : null;
+    let description;
+    let notice;
+
+    switch (type) {
+      case 'deterioration':
+        this.patientSimulator.deteriorate(severity, now);
+        description = `Patient deteriorates (${severity})`;
+        notice = `**[Patient]** ${text || DETERIORATION_NOTICES[severity]}`;
+        break;
+      case 'bystanderInterrupt':
+        notice = this.bystanderManager.interrupt(text, now);
+        description = 'Bystander interrupts';
+        break;
+      case 'equipmentFailure': {
+        const failure = this.equipmentManager.fail(equipment, now);
+        if (!failure) return { errors: [`${equipment} has already failed`] };
+        if (failure.stopsTreatment) this.patientSimulator.stopTreatment(failure.stopsTreatment, now);
+        description = `${failure.label} fails`;
+        notice = `**[Equipment]** ${text || failure.description}`;
+        break;
+      }
+      case 'equipmentRestored': {
+        if (!this.equipmentManager.restore(equipment)) return { errors: [`${equipment} has not failed`] };
+        const { label } = EquipmentManager.EQUIPMENT[equipment];
+        description = `${label} working again`;
+        notice = `**[Equipment]** ${text || `The ${label.toLowerCase()} is working again.`}`;
+        break;
+      }
+    }
+
+    const event = this.timeline.record('injected', {
+      kind: type,
+      description,
+      notice,
+      severity: type === 'deterioration' ? severity : null,
+      equipment: equipment || null,
+      by: instructor?.username || null
+    }, now);
+    this.pendingNotices.push(notice);
+    console.log(`🎬 Instructor event: ${description}`);
+    return { event };
+  }
+
   /**
    * Reset all simulation systems for a new scenario
    */
   resetSimulationSystems() {
     this.currentScenarioActive = false;
     this.scenarioEndReason = null;
+    this.rubricRef = null;
+    this.gradingResults = null;
     this.patientSimulator.reset();
     this.bystanderManager.reset();
     this.environmentalManager.reset();
+    this.equipmentManager.reset();
+    this.partnerManager.reset();
+    this.radioManager.reset();
+    this.transferOfCareManager.reset();
+    this.pendingNotices = [];
     this.performanceEvaluator.reset();
+    this.timeline.reset();
     console.log('🔄 All simulation systems reset for new scenario');
   }
 
@@ -1988,14 +2516,14 @@ Follow these STRICT guidelines:
 
 Do NOT mention specific symptoms or complaints. Only describe what is visually observable.`;
 
-      // Call OpenAI to generate the scene description
+      // Call the LLM to generate the scene description
       const messages = [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ];
       
-      // Use higher-quality model for scene generation
-      const response = await this.callOpenAI(messages, { model: 'gpt-4o' });
+      // Scene generation has its own route (a higher-quality model by default)
+      const response = await this.callLLM(messages, { task: 'scene' });
       
       // Ensure the response ends with "Awaiting your next step." on a new line
       let impression = response;
@@ -2016,37 +2544,147 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
   }
 
   // Format comprehensive feedback message for scenario ending
+  // Render rubric citations as quoted student turns under a feedback line
+  formatCitations(citations = [], limit = 3) {
+    const quote = text => {
+      const flat = String(text).replace(/\s+/g, ' ').trim();
+      return flat.length > 80 ? `${flat.slice(0, 77)}...` : flat;
+    };
+
+    let lines = citations.slice(0, limit).map(citation => {
+      const where = `${citation.elapsed} turn ${citation.turn}${citation.speaker ? ` (${citation.speaker.username})` : ''}`;
+      const said = citation.quote ? ` "${quote(citation.quote)}"` : '';
+      if (citation.status === 'missed') return `  - ${where}${said}: not credited (${citation.reason})\n`;
+      return `  - ${where}${said}${citation.level !== undefined ? ` → level ${citation.level}` : ''}\n`;
+    }).join('');
+
+    if (citations.length > limit) {
+      lines += `  - ...and ${citations.length - limit} more\n`;
+    }
+    return lines;
+  }
+
   formatFeedbackMessage(feedbackReport, endingCheck) {
     const { summary, checkboxItems, scoredSections, recommendations, strengths, areasForImprovement } = feedbackReport;
+    const rules = feedbackReport.passRules;
+    const checks = feedbackReport.passChecks;
     
     let message = '';
     
     // Overall Results
     message += `**Overall Result: ${summary.pass ? '✅ PASS' : '❌ FAIL'}**\n`;
     message += `**Total Score: ${summary.totalScore}/${summary.maxScore} (${summary.percentage}%)**\n`;
-    message += `**Time: ${summary.timeSpent}/${summary.timeLimit} minutes**\n\n`;
+    message += `**Time: ${summary.timeSpent}/${summary.timeLimit} minutes**\n`;
+    message += `**Rubric: ${feedbackReport.rubric.title} (${feedbackReport.rubric.ref})**\n\n`;
+    
+    // Critical failures fail the attempt on their own, so they come first
+    const criticalFailures = feedbackReport.criticalCriteria?.failures || [];
+    if (criticalFailures.length > 0) {
+      message += '**🚫 Automatic Fail:**\n';
+      criticalFailures.forEach(failure => {
+        message += `- ${failure.reason}\n`;
+        message += failure.turn !== null
+          ? this.formatCitations([failure])
+          : '  - Not done by the end of the scenario\n';
+      });
+      message += '\n';
+    }
     
-    // Pass Requirements Status
+    // Pass Requirements Status, as the rubric defines them
     message += '**Pass Requirements:**\n';
-    message += `- All Critical Items: ${checkboxItems.completed === checkboxItems.total ? '✅' : '❌'} (${checkboxItems.completed}/${checkboxItems.total})\n`;
-    message += `- All Sections ≥2: ${Object.values(scoredSections).every(s => s.score >= 2) ? '✅' : '❌'}\n`;
-    message += `- Time Management: ${summary.timeSpent <= summary.timeLimit ? '✅' : '❌'}\n\n`;
+    if (rules.allCheckboxItems) {
+      message += `- All Critical Items: ${checks.allCheckboxItems ? '✅' : '❌'} (${checkboxItems.completed}/${checkboxItems.total})\n`;
+    }
+    if (rules.minimumScorePerSection !== null) {
+      message += `- All Sections ≥${rules.minimumScorePerSection}: ${checks.minimumScorePerSection ? '✅' : '❌'}\n`;
+    }
+    if (rules.minimumTotalScore !== null) {
+      message += `- Total Score ≥${rules.minimumTotalScore}: ${checks.minimumTotalScore ? '✅' : '❌'}\n`;
+    }
+    if (rules.withinTimeLimit) {
+      message += `- Time Management: ${checks.withinTimeLimit ? '✅' : '❌'}\n`;
+    }
+    if (feedbackReport.criticalCriteria?.total > 0) {
+      message += `- No Critical Failures: ${checks.noCriticalFailures ? '✅' : '❌'}\n`;
+    }
+    message += '\n';
     
-    // Scored Sections Summary
+    // Scored Sections Summary, with the turns behind each score
     message += '**Section Scores:**\n';
     Object.entries(scoredSections).forEach(([key, section]) => {
-      const emoji = section.score >= 2 ? '✅' : '❌';
-      message += `${emoji} **${section.name}**: ${section.score}/3\n`;
+      const emoji = this.gradingEngine.isSectionBelowStandard(section, rules) ? '❌' : '✅';
+      message += `${emoji} **${section.name}**: ${section.score}/${section.maxScore} (${section.criteria})\n`;
+      (section.deductions || []).forEach(deduction => {
+        message += `  - −${deduction.points}: ${deduction.description}\n`;
+      });
+      message += this.formatCitations(section.citations);
+      if (section.nextCriteria) {
+        message += `  - ${section.elements ? 'Not covered' : 'Next level'}: ${section.nextCriteria}\n`;
+      }
     });
     message += '\n';
     
-    // Critical Items Status
-    if (checkboxItems.completed < checkboxItems.total) {
-      message += '**❌ Missing Critical Items:**\n';
+    // Team scenarios: what each member did and how the lead's delegations went
+    if (feedbackReport.teamwork) {
+      const { members, delegations } = feedbackReport.teamwork;
+      message += '**👥 Teamwork:**\n';
+      members.forEach(member => {
+        message += `- ${member.roleLabel} ${member.username}: ${member.turns} turn${member.turns === 1 ? '' : 's'}, first to ${member.checkboxItems.length} critical item${member.checkboxItems.length === 1 ? '' : 's'}\n`;
+      });
+      delegations.forEach(delegation => {
+        const outcome = delegation.carriedOutTurn !== null ? `done at turn ${delegation.carriedOutTurn}` : 'not followed through';
+        message += `- ${this.gradingEngine.formatElapsed(delegation.elapsedMs)} turn ${delegation.turn}: ${delegation.from} asked the ${delegation.toRole} (${delegation.to}) for ${delegation.task}, ${outcome}\n`;
+      });
+      if (delegations.length === 0) {
+        message += '- The team lead did not hand any tasks to teammates\n';
+      }
+      message += '\n';
+    }
+    
+    // What the simulated partner was asked to do, and when it was done
+    if (feedbackReport.partnerOrders?.length > 0) {
+      message += '**🧑‍⚕️ Partner:**\n';
+      feedbackReport.partnerOrders.forEach(order => {
+        const outcome = order.done
+          ? `done at ${this.gradingEngine.formatElapsed(order.reportedElapsedMs)}`
+          : 'not finished before the scenario ended';
+        message += `- ${this.gradingEngine.formatElapsed(order.elapsedMs)} turn ${order.turn}: ${order.description}, ${outcome}\n`;
+      });
+      message += '\n';
+    }
+
+    // Each hospital notification keyed up: how long it ran and what the base station had to ask for
+    if (feedbackReport.radioReports?.length > 0) {
+      message += '**📻 Radio:**\n';
+      feedbackReport.radioReports.forEach(report => {
+        const timing = `${Math.round(report.durationMs / 1000)} s ${report.durationSource === 'audio' ? 'spoken' : 'estimated from its length'}`;
+        const labels = elements => elements.map(element => RadioManager.REPORT_ELEMENTS[element].label).join(', ');
+        const notes = [
+          report.missing.length > 0 ? `missing ${labels(report.missing)}` : 'complete',
+          report.questions.length > 0 ? `the hospital had to ask for ${labels(report.questions)}` : null,
+          ...report.concerns.map(concern => RadioManager.CONCERNS[concern].description)
+        ].filter(Boolean);
+        message += `- ${this.gradingEngine.formatElapsed(report.elapsedMs)} turn ${report.turn}: hospital notification, ${timing}; ${notes.join('; ')}\n`;
+      });
+      message += '\n';
+    }
+
+    // Order and timing of care, with when each rule was broken
+    if (feedbackReport.sequenceViolations?.length > 0) {
+      message += '**⏱️ Order & Timing of Care:**\n';
+      feedbackReport.sequenceViolations.forEach(violation => {
+        const where = violation.turn !== null ? `${violation.elapsed} turn ${violation.turn}` : violation.elapsed;
+        message += `- ${where}: ${violation.message} (−${violation.points} ${violation.sectionName})\n`;
+      });
+      message += '\n';
+    }
+    
+    // Critical Items Status, with the turns that earned or missed each one
+    if (checkboxItems.total > 0) {
+      message += `**Critical Items (${checkboxItems.completed}/${checkboxItems.total}):**\n`;
       Object.entries(checkboxItems.details).forEach(([key, item]) => {
-        if (!item.completed) {
-          message += `- ${item.description}\n`;
-        }
+        message += `${item.completed ? '✅' : '❌'} ${item.description}\n`;
+        message += item.citations?.length > 0 ? this.formatCitations(item.citations) : '  - Not evident in your turns\n';
       });
       message += '\n';
     }
@@ -2078,19 +2716,34 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
       message += '\n';
     }
     
-    // Handover Analysis (if applicable)
-    if (endingCheck.reason === 'handover') {
-      const handoverContent = this.scenarioEndingManager.extractHandoverContent(endingCheck.userMessage || '');
-      if (handoverContent) {
-        const handoverAnalysis = this.scenarioEndingManager.analyzeHandoverQuality(handoverContent);
-        const handoverFeedback = this.scenarioEndingManager.generateHandoverFeedback(handoverAnalysis, handoverContent);
-        
-        message += '**📋 Handover Report Analysis:**\n';
-        handoverFeedback.forEach(feedback => {
-          message += `- ${feedback}\n`;
-        });
-        message += '\n';
-      }
+    // Timed key events from the session timeline
+    if (feedbackReport.keyEvents?.length > 0) {
+      message += '**⏱️ Key Events:**\n';
+      feedbackReport.keyEvents.forEach(event => {
+        message += `- ${event.elapsed} ${event.description}\n`;
+      });
+      message += '\n';
+    }
+    
+    // Handover: the format it followed and what it got wrong, left out or did not need
+    if (feedbackReport.handover) {
+      const { structure, labelled, missing, discrepancies, unreported, irrelevant, elements, asked = [] } = feedbackReport.handover;
+      const missingLabels = handoverAnalyzer.ELEMENT_LABELS;
+      message += '**📋 Handover Report Analysis:**\n';
+      message += structure
+        ? `- Followed ${structure}${labelled ? ' with its headings said out loud' : ''}\n`
+        : '- No recognizable structure (SBAR, DMIST or MIST)\n';
+      if (missing.length > 0) message += `- Left out: ${missing.map(element => missingLabels[element]).join(', ')}\n`;
+      if (asked.length > 0) message += `- The receiver had to ask for: ${asked.map(element => missingLabels[element]).join(', ')}\n`;
+      discrepancies.forEach(discrepancy => {
+        message += `- ⚠️ ${discrepancy.message}\n`;
+      });
+      if (unreported.length > 0) message += `- Not reported although given: ${unreported.join(', ')}\n`;
+      irrelevant.forEach(text => {
+        message += `- Not needed in a handover: "${text}"\n`;
+      });
+      if (!elements.impression) message += '- No field impression stated\n';
+      message += '\n';
     }
     
     // Ending note
@@ -2103,7 +2756,7 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
   getEndingReasonText(reason) {
     switch (reason) {
       case 'handover':
-        return 'Handover report provided';
+        return 'Care transferred at the hospital';
       case 'manual':
         return 'Manual scenario termination';
       case 'timeout':
@@ -2131,6 +2784,7 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
     // Generate acknowledgment and first question
     const acknowledgment = this.examAssessmentManager.generateAcknowledgmentMessage(examIntent);
     const firstQuestion = this.examAssessmentManager.getCurrentQuestion(sessionId);
+    this.recordExamQuestion(assessment.examType, firstQuestion);
     
     const response = `${acknowledgment}\n\n**Question ${firstQuestion.questionNumber} of ${firstQuestion.totalQuestions}:**\n${firstQuestion.questionText}\n\nAwaiting your next step.`;
     
@@ -2143,7 +2797,15 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
 
   // Handle exam assessment answer submission
   async handleExamAssessmentAnswer(userMessage, conversation, scenarioData, sessionId) {
+    const answeredQuestion = this.examAssessmentManager.getCurrentQuestion(sessionId);
     const result = this.examAssessmentManager.submitAnswer(sessionId, userMessage);
+    if (result && answeredQuestion) {
+      this.timeline.record('examAnswer', {
+        questionId: answeredQuestion.questionId,
+        questionNumber: answeredQuestion.questionNumber,
+        text: userMessage
+      });
+    }
     
     if (!result) {
       return {
@@ -2156,6 +2818,7 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
     if (result.status === 'continue') {
       // More questions to ask
       const nextQuestion = result.nextQuestion;
+      this.recordExamQuestion(null, nextQuestion);
       const response = `**Question ${nextQuestion.questionNumber} of ${nextQuestion.totalQuestions}:**\n${nextQuestion.questionText}\n\nAwaiting your next step.`;
       
       return {
@@ -2166,6 +2829,11 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
     } else if (result.status === 'complete') {
       // Assessment complete, generate findings
       console.log('✅ Exam assessment completed, generating findings');
+      this.timeline.record('examCompleted', {
+        examType: result.examType,
+        examKey: result.examKey,
+        score: result.results.overallScore
+      });
       
       // Generate comprehensive findings for the exam type
       const findings = await this.generateExamFindings(result.examKey, scenarioData);
@@ -2186,8 +2854,29 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
     };
   }
 
+  recordExamQuestion(examType, question) {
+    if (!question) return;
+    this.timeline.record('examQuestion', {
+      examType,
+      questionId: question.questionId,
+      questionNumber: question.questionNumber,
+      text: question.questionText
+    });
+  }
+
   // Generate comprehensive exam findings based on scenario
   async generateExamFindings(examKey, scenarioData) {
+    // Library cases answer from their authored per-region findings
+    if (scenarioData?.generatedScenario?.regionFindings) {
+      const examRegions = {
+        focusedChest: ['chest'],
+        focusedAbdomen: ['abdomen'],
+        rapidTrauma: ['head', 'neck', 'chest', 'abdomen', 'pelvis', 'back', 'upper_extremities', 'lower_extremities'],
+        fullSecondary: ['head', 'neck', 'chest', 'abdomen', 'pelvis', 'back', 'upper_extremities', 'lower_extremities']
+      };
+      return this.formatRegionFindings(examRegions[examKey] || examRegions.focusedChest, scenarioData);
+    }
+
     try {
       // Create context for AI to generate realistic findings
       const examTypeInstructions = {
@@ -2208,7 +2897,7 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
         { role: 'user', content: userPrompt }
       ];
 
-      const response = await this.callOpenAI(messages, { model: 'gpt-4o-mini' });
+      const response = await this.callLLM(messages, { task: 'patient' });
       
       return response;
     } catch (error) {
@@ -2217,9 +2906,10 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
     }
   }
 
-  // Generate a simple session ID based on conversation length
+  // Resolve the session ID used to key exam assessments for this scenario
   generateSessionId(conversation) {
-    // Simple session ID based on conversation hash - in production, use proper session management
+    if (this.sessionId) return this.sessionId;
+    // Fallback for services used outside a managed session
     return `session_${conversation.length}_${Date.now()}`;
   }
 
@@ -2307,4 +2997,6 @@ Do NOT mention specific symptoms or complaints. Only describe what is visually o
 
 }
 
+ChatService.INJECTABLE_EVENTS = INJECTABLE_EVENTS;
+
 module.exports = ChatService;
\ No newline at end of file
@@ -0,0 +1,281 @@
+// services/cohortReport.js
+const formatElapsed = require('./utils/formatElapsed');
+
+// Time-to-first-intervention histogram buckets are this wide, in minutes
+const BUCKET_MINUTES = 1;
+// Items shown in the cohort's common misses
+const COMMON_MISS_LIMIT = 15;
+
+/**
+ * Cohort dashboard and gradebook built from the graded attempts its students
+ * stored. Section results are laid out by the cohort's rubric; attempts
+ * graded with another rubric still count toward attempts, categories and
+ * timing but not toward the rubric's sections.
+ */
+class CohortReport {
+  /**
+   * @param {Object} input - cohort, members (public users), attempts (stored attempts of the members), rubric (normalized)
+   * @returns {Object} - { cohort, rubric, students, categories, sections, commonMisses, firstIntervention }
+   */
+  buildDashboard({ cohort, members, attempts, rubric }) {
+    const graded = attempts.filter(attempt => attempt.gradingResults?.rubric?.id === rubric.id);
+    return {
+      cohort: { id: cohort.id, name: cohort.name, course: cohort.course, students: members.length },
+      rubric: { id: rubric.id, ref: rubric.ref, title: rubric.title },
+      students: this.buildStudents(members, attempts),
+      categories: this.buildCategories(attempts),
+      sections: this.buildSections(graded, rubric),
+      commonMisses: this.buildCommonMisses(attempts),
+      firstIntervention: this.buildFirstIntervention(attempts)
+    };
+  }
+
+  /**
+   * Who attempted which scenario categories, and how it went
+   */
+  buildStudents(members, attempts) {
+    return members.map(member => {
+      const own = attempts.filter(attempt => attempt.userId === member.id);
+      const categories = {};
+      own.forEach(attempt => {
+        const key = this.categoryKey(attempt);
+        if (!categories[key]) categories[key] = { attempts: 0, passed: 0 };
+        categories[key].attempts++;
+        if (attempt.passed) categories[key].passed++;
+      });
+      return {
+        userId: member.id,
+        username: member.username,
+        displayName: member.displayName,
+        attempts: own.length,
+        passed: own.filter(attempt => attempt.passed).length,
+        lastAttemptAt: own.reduce((latest, attempt) => (!latest || attempt.completedAt > latest ? attempt.completedAt : latest), null),
+        categories
+      };
+    });
+  }
+
+  buildCategories(attempts) {
+    const categories = new Map();
+    attempts.forEach(attempt => {
+      const key = this.categoryKey(attempt);
+      if (!categories.has(key)) {
+        categories.set(key, { key, mainScenario: attempt.scenario.mainScenario, subScenario: attempt.scenario.subScenario, attempts: 0, passed: 0, students: new Set() });
+      }
+      const category = categories.get(key);
+      category.attempts++;
+      if (attempt.passed) category.passed++;
+      category.students.add(attempt.userId);
+    });
+    return [...categories.values()]
+      .map(category => ({ ...category, students: category.students.size, passRate: this.rate(category.passed, category.attempts) }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Pass/fail of each rubric section: a section passes at the rubric's
+   * minimum score per section, or at full marks when the rubric sets none
+   */
+  buildSections(attempts, rubric) {
+    const minimum = rubric.passRules.minimumScorePerSection;
+    return rubric.scoredSections.map(definition => {
+      const scores = attempts
+        .map(attempt => attempt.gradingResults.scoredSections?.[definition.id])
+        .filter(Boolean)
+        .map(section => section.score);
+      const passed = scores.filter(score => this.sectionPassed(score, definition.maxScore, minimum)).length;
+      return {
+        id: definition.id,
+        name: definition.name,
+        maxScore: definition.maxScore,
+        passScore: minimum ?? definition.maxScore,
+        graded: scores.length,
+        passed,
+        failed: scores.length - passed,
+        passRate: this.rate(passed, scores.length),
+        averageScore: scores.length > 0 ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10 : null
+      };
+    });
+  }
+
+  sectionPassed(score, maxScore, minimum) {
+    return score >= (minimum ?? maxScore);
+  }
+
+  /**
+   * Checkbox items the cohort misses most, by share of attempts missed
+   */
+  buildCommonMisses(attempts) {
+    const items = new Map();
+    attempts.forEach(attempt => {
+      Object.entries(attempt.gradingResults?.checkboxItems || {}).forEach(([id, item]) => {
+        if (!items.has(id)) items.set(id, { id, description: item.description, category: item.category, missed: 0, graded: 0, students: new Set() });
+        const entry = items.get(id);
+        entry.graded++;
+        if (!item.completed) {
+          entry.missed++;
+          entry.students.add(attempt.userId);
+        }
+      });
+    });
+    return [...items.values()]
+      .filter(item => item.missed > 0)
+      .map(item => ({ ...item, students: item.students.size, missRate: this.rate(item.missed, item.graded) }))
+      .sort((a, b) => b.missRate - a.missRate || b.missed - a.missed || a.description.localeCompare(b.description))
+      .slice(0, COMMON_MISS_LIMIT);
+  }
+
+  /**
+   * Distribution of the time from scenario start to the first intervention
+   * @param {Array} attempts - Stored attempts
+   * @returns {Object} - { timed, withoutIntervention, p25Ms, medianMs, p75Ms, histogram: [{ fromMinute, toMinute, count }] }
+   */
+  buildFirstIntervention(attempts) {
+    const times = attempts
+      .map(attempt => attempt.firstInterventionMs)
+      .filter(ms => typeof ms === 'number')
+      .sort((a, b) => a - b);
+
+    const histogram = [];
+    if (times.length > 0) {
+      const buckets = Math.floor(times[times.length - 1] / (BUCKET_MINUTES * 60000)) + 1;
+      for (let i = 0; i < buckets; i++) {
+        histogram.push({ fromMinute: i * BUCKET_MINUTES, toMinute: (i + 1) * BUCKET_MINUTES, count: 0 });
+      }
+      times.forEach(ms => histogram[Math.floor(ms / (BUCKET_MINUTES * 60000))].count++);
+    }
+
+    return {
+      timed: times.length,
+      withoutIntervention: attempts.length - times.length,
+      p25Ms: this.percentile(times, 25),
+      medianMs: this.percentile(times, 50),
+      p75Ms: this.percentile(times, 75),
+      histogram
+    };
+  }
+
+  /**
+   * One row per attempt, oldest first, with a score and pass column per rubric section
+   * @param {Object} input - cohort, members, attempts, rubric (as for buildDashboard)
+   * @returns {Object} - { cohort, rubric, sections: [{ id, name, maxScore }], rows }
+   */
+  buildGradebook({ cohort, members, attempts, rubric }) {
+    const membersById = new Map(members.map(member => [member.id, member]));
+    const minimum = rubric.passRules.minimumScorePerSection;
+
+    const rows = [...attempts]
+      .sort((a, b) => a.completedAt.localeCompare(b.completedAt))
+      .map(attempt => {
+        const member = membersById.get(attempt.userId);
+        const grading = attempt.gradingResults;
+        const summary = attempt.feedbackReport?.summary;
+        const sameRubric = grading.rubric?.id === rubric.id;
+        const sections = {};
+        rubric.scoredSections.forEach(definition => {
+          const section = sameRubric ? grading.scoredSections?.[definition.id] : null;
+          sections[definition.id] = section
+            ? { score: section.score, passed: this.sectionPassed(section.score, definition.maxScore, minimum) }
+            : null;
+        });
+
+        return {
+          attemptId: attempt.id,
+          userId: attempt.userId,
+          username: member ? member.username : attempt.username,
+          displayName: member ? member.displayName : attempt.username,
+          completedAt: attempt.completedAt,
+          mainScenario: attempt.scenario.mainScenario,
+          subScenario: attempt.scenario.subScenario,
+          difficulty: attempt.scenario.difficulty,
+          scenarioCode: attempt.scenario.scenarioCode,
+          rubric: grading.rubric?.ref || null,
+          totalScore: attempt.totalScore,
+          maxScore: attempt.maxScore,
+          percentage: summary ? summary.percentage : this.rate(attempt.totalScore, attempt.maxScore),
+          passed: attempt.passed,
+          timeSpentMinutes: attempt.timeSpent,
+          firstIntervention: attempt.firstInterventionMs === null || attempt.firstInterventionMs === undefined
+            ? null
+            : formatElapsed(attempt.firstInterventionMs),
+          criticalFailures: (grading.criticalFailures || []).map(failure => failure.id),
+          sequenceViolations: (grading.sequenceViolations || []).length,
+          checkboxItemsCompleted: Object.values(grading.checkboxItems || {}).filter(item => item.completed).length,
+          checkboxItemsTotal: Object.keys(grading.checkboxItems || {}).length,
+          sections
+        };
+      });
+
+    return {
+      cohort: { id: cohort.id, name: cohort.name, course: cohort.course },
+      rubric: { id: rubric.id, ref: rubric.ref, title: rubric.title },
+      sections: rubric.scoredSections.map(({ id, name, maxScore }) => ({ id, name, maxScore })),
+      rows
+    };
+  }
+
+  /**
+   * Gradebook as CSV for a spreadsheet or the course's LMS
+   * @param {Object} gradebook - buildGradebook output
+   * @returns {string} - CSV text with a header row
+   */
+  toCsv(gradebook) {
+    const columns = [
+      ['Username', row => row.username],
+      ['Name', row => row.displayName],
+      ['Completed', row => row.completedAt],
+      ['Scenario', row => row.mainScenario],
+      ['Type', row => row.subScenario],
+      ['Difficulty', row => row.difficulty],
+      ['Scenario code', row => row.scenarioCode],
+      ['Rubric', row => row.rubric],
+      ['Score', row => row.totalScore],
+      ['Max score', row => row.maxScore],
+      ['Percent', row => row.percentage],
+      ['Pass', row => (row.passed ? 'PASS' : 'FAIL')],
+      ['Minutes', row => row.timeSpentMinutes],
+      ['First intervention', row => row.firstIntervention],
+      ['Critical failures', row => row.criticalFailures.join('; ')],
+      ['Order/timing violations', row => row.sequenceViolations],
+      ['Checklist items', row => `${row.checkboxItemsCompleted}/${row.checkboxItemsTotal}`],
+      ...gradebook.sections.flatMap(section => [
+        [`${section.name} (/${section.maxScore})`, row => row.sections[section.id]?.score],
+        [`${section.name} pass`, row => (row.sections[section.id] ? (row.sections[section.id].passed ? 'PASS' : 'FAIL') : '')]
+      ]),
+      ['Attempt ID', row => row.attemptId]
+    ];
+
+    const lines = [columns.map(([header]) => this.csvCell(header)).join(',')];
+    gradebook.rows.forEach(row => {
+      lines.push(columns.map(([, value]) => this.csvCell(value(row))).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Keep spreadsheets from running cell text as a formula
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  categoryKey(attempt) {
+    return `${attempt.scenario.mainScenario} / ${attempt.scenario.subScenario}`;
+  }
+
+  percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+  }
+
+  rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : null;
+  }
+}
+
+const cohortReport = new CohortReport();
+cohortReport.CohortReport = CohortReport;
+
+module.exports = cohortReport;
@@ -0,0 +1,96 @@
+// services/cohortReport.test.js
+const cohortReport = require('./cohortReport');
+
+const RUBRIC = {
+  id: 'emed111',
+  ref: 'emed111@1.0',
+  title: 'EMED111',
+  passRules: { minimumScorePerSection: 2 },
+  scoredSections: [
+    { id: 'hpi', name: 'History of Present Illness', maxScore: 3 },
+    { id: 'vitals', name: 'Vital Signs', maxScore: 3 }
+  ]
+};
+
+const COHORT = { id: 'cohort_1', name: 'Fall, section "A"', course: 'EMED111' };
+
+const MEMBERS = [
+  { id: 'user_a', username: 'adoe', displayName: 'Ann Doe' },
+  { id: 'user_b', username: 'bdoe', displayName: 'Ben Doe' },
+  { id: 'user_c', username: 'cdoe', displayName: 'Cat Doe' }
+];
+
+const attempt = ({ id, userId, subScenario = 'Cardiac Scenario', hpi, vitals, passed, firstInterventionMs = null, checkboxes = {} }) => ({
+  id,
+  userId,
+  username: userId,
+  completedAt: `2026-01-0${id.slice(-1)}T10:00:00.000Z`,
+  scenario: { mainScenario: 'Medical Scenario', subScenario, difficulty: 'beginner', scenarioCode: 'M1-ABC' },
+  timeSpent: 14,
+  firstInterventionMs,
+  totalScore: hpi + vitals,
+  maxScore: 6,
+  passed,
+  gradingResults: {
+    rubric: { id: 'emed111', ref: 'emed111@1.0', totalPoints: 6 },
+    scoredSections: {
+      hpi: { name: 'History of Present Illness', score: hpi, maxScore: 3 },
+      vitals: { name: 'Vital Signs', score: vitals, maxScore: 3 }
+    },
+    checkboxItems: Object.fromEntries(Object.entries(checkboxes).map(([item, completed]) => [
+      item, { description: `Item ${item}`, category: 'Scene', completed }
+    ])),
+    criticalFailures: passed ? [] : [{ id: 'ppe' }]
+  },
+  feedbackReport: { summary: { percentage: Math.round(((hpi + vitals) / 6) * 100), pass: passed } }
+});
+
+const ATTEMPTS = [
+  attempt({ id: 'attempt_1', userId: 'user_a', hpi: 3, vitals: 1, passed: false, firstInterventionMs: 45000, checkboxes: { ppe: false, scene: true } }),
+  attempt({ id: 'attempt_2', userId: 'user_a', hpi: 3, vitals: 3, passed: true, firstInterventionMs: 150000, checkboxes: { ppe: true, scene: true } }),
+  attempt({ id: 'attempt_3', userId: 'user_b', subScenario: 'Stroke Scenario', hpi: 1, vitals: 2, passed: false, checkboxes: { ppe: false, scene: false } })
+];
+
+describe('CohortReport', () => {
+  test('should summarize who attempted what, section pass/fail, common misses and time to first intervention', () => {
+    const dashboard = cohortReport.buildDashboard({ cohort: COHORT, members: MEMBERS, attempts: ATTEMPTS, rubric: RUBRIC });
+
+    expect(dashboard.students.map(student => [student.username, student.attempts, student.passed])).toEqual([
+      ['adoe', 2, 1], ['bdoe', 1, 0], ['cdoe', 0, 0]
+    ]);
+    expect(dashboard.students[0].categories).toEqual({ 'Medical Scenario / Cardiac Scenario': { attempts: 2, passed: 1 } });
+    expect(dashboard.categories).toEqual([
+      expect.objectContaining({ key: 'Medical Scenario / Cardiac Scenario', students: 1, attempts: 2, passRate: 50 }),
+      expect.objectContaining({ key: 'Medical Scenario / Stroke Scenario', students: 1, attempts: 1, passRate: 0 })
+    ]);
+    expect(dashboard.sections).toEqual([
+      { id: 'hpi', name: 'History of Present Illness', maxScore: 3, passScore: 2, graded: 3, passed: 2, failed: 1, passRate: 67, averageScore: 2.3 },
+      { id: 'vitals', name: 'Vital Signs', maxScore: 3, passScore: 2, graded: 3, passed: 2, failed: 1, passRate: 67, averageScore: 2 }
+    ]);
+    expect(dashboard.commonMisses.map(item => [item.id, item.missed, item.students, item.missRate])).toEqual([
+      ['ppe', 2, 2, 67], ['scene', 1, 1, 33]
+    ]);
+    expect(dashboard.firstIntervention).toMatchObject({ timed: 2, withoutIntervention: 1, medianMs: 45000, p75Ms: 150000 });
+    expect(dashboard.firstIntervention.histogram.map(bucket => bucket.count)).toEqual([1, 0, 1]);
+  });
+
+  test('should export one gradebook row per attempt with per-section pass and quoted CSV cells', () => {
+    const gradebook = cohortReport.buildGradebook({ cohort: COHORT, members: MEMBERS, attempts: ATTEMPTS, rubric: RUBRIC });
+
+    expect(gradebook.rows[0]).toMatchObject({
+      attemptId: 'attempt_1',
+      displayName: 'Ann Doe',
+      percentage: 67,
+      passed: false,
+      firstIntervention: '0:45',
+      criticalFailures: ['ppe'],
+      sections: { hpi: { score: 3, passed: true }, vitals: { score: 1, passed: false } }
+    });
+
+    const csv = cohortReport.toCsv({ ...gradebook, rows: [{ ...gradebook.rows[0], displayName: '=Doe, "Ann"' }] });
+    const [header, row] = csv.trim().split('\r\n');
+    expect(header).toContain('History of Present Illness (/3),History of Present Illness pass');
+    expect(row).toContain('"\'=Doe, ""Ann"""');
+    expect(row).toContain(',3,PASS,1,FAIL,attempt_1');
+  });
+});
@@ -0,0 +1,86 @@
+// services/cohortService.js
+const crypto = require('crypto');
+const { createRecordStore } = require('./storage/recordStore');
+
+/**
+ * Classes of students an instructor follows together. A cohort names its
+ * course, which picks the rubric its dashboard and gradebook are laid out
+ * by, and lists its students and instructors by user ID.
+ */
+class CohortService {
+  constructor(options = {}) {
+    this.store = options.store || createRecordStore('cohort');
+  }
+
+  /**
+   * @param {Object} fields - name, course (default EMED111)
+   * @param {Object} instructor - Creating user; becomes the cohort's first instructor
+   * @returns {Promise<Object>} - { cohort }, or { errors } if invalid
+   */
+  async createCohort({ name, course = 'EMED111' } = {}, instructor) {
+    const errors = [];
+    if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+    if (typeof course !== 'string' || !course.trim()) errors.push('course is required');
+    if (errors.length > 0) return { errors };
+
+    const cohort = {
+      id: `cohort_${crypto.randomUUID()}`,
+      name: name.trim(),
+      course: course.trim(),
+      instructorIds: [instructor.id],
+      memberIds: [],
+      createdAt: new Date().toISOString()
+    };
+    await this.store.set(cohort.id, cohort);
+    console.log(`🏫 Cohort created: ${cohort.name} (${cohort.course})`);
+    return { cohort };
+  }
+
+  async getCohort(cohortId) {
+    if (typeof cohortId !== 'string' || !cohortId.startsWith('cohort_')) return null;
+    try {
+      return await this.store.get(cohortId);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Cohorts a user teaches, or every cohort for an admin
+   * @param {Object} user - req.user
+   * @returns {Promise<Array>} - Cohorts sorted by name
+   */
+  async listCohorts(user) {
+    const ids = await this.store.list();
+    const cohorts = await Promise.all(ids.map(id => this.store.get(id)));
+    return cohorts
+      .filter(cohort => cohort && this.canManage(user, cohort))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  canManage(user, cohort) {
+    return !!user && !!cohort && (user.role === 'admin' || cohort.instructorIds.includes(user.id));
+  }
+
+  /**
+   * @param {Object} cohort - Stored cohort
+   * @param {string[]} userIds - Students to add; already enrolled ones are skipped
+   * @returns {Promise<Object>} - The updated cohort
+   */
+  async addMembers(cohort, userIds) {
+    cohort.memberIds = [...new Set([...cohort.memberIds, ...userIds])];
+    await this.store.set(cohort.id, cohort);
+    return cohort;
+  }
+
+  async removeMember(cohort, userId) {
+    cohort.memberIds = cohort.memberIds.filter(id => id !== userId);
+    await this.store.set(cohort.id, cohort);
+    return cohort;
+  }
+}
+
+const cohortService = new CohortService();
+cohortService.CohortService = CohortService;
+
+module.exports = cohortService;
@@ -0,0 +1,114 @@
+// services/criticalCriteria.js
+const rubricMatcher = require('./rubricMatcher');
+
+// Every way a rubric's critical criteria can be failed
+const CRITERION_KINDS = [
+  'required',   // keywords/patterns never evident in a student turn, or only after withinMinutes
+  'order',      // a turn evident for `then` with no earlier turn evident for `first`
+  'error',      // a timeline error of one of the listed errorTypes (contraindication, medication_overdose, ...)
+  'forbidden'   // keywords/patterns evident in a student turn; negated and hypothetical mentions do not count
+];
+
+/**
+ * Checks a rubric's critical criteria against the order of events in a
+ * scenario run. Any failed criterion fails the attempt whatever the score, as
+ * on a skills exam sheet. Criterion descriptions are written as the failure
+ * ("Failure to take or verbalize PPE precautions"), so the description is
+ * also the reason reported.
+ */
+class CriticalCriteria {
+  /**
+   * @param {Array} criteria - rubric.criticalCriteria
+   * @param {Object} context - turns (RubricMatcher.toStudentTurns output) and events (timeline events)
+   * @returns {Object} - Keyed by criterion id: { description, kind, failed, reason, turn, elapsedMs, quote }
+   */
+  evaluate(criteria = [], { turns = [], events = [] } = {}) {
+    const results = {};
+    criteria.forEach(criterion => {
+      const failure = this.findFailure(criterion, turns, events);
+      results[criterion.id] = {
+        description: criterion.description,
+        kind: criterion.kind,
+        failed: failure !== null,
+        reason: failure ? failure.reason : null,
+        turn: failure ? failure.turn : null,
+        elapsedMs: failure ? failure.elapsedMs : null,
+        quote: failure ? failure.quote : null
+      };
+    });
+    return results;
+  }
+
+  /**
+   * @param {Object} criterion - One critical criterion
+   * @param {Array} turns - Student turns
+   * @param {Array} events - Timeline events
+   * @returns {Object|null} - { reason, turn, elapsedMs, quote }, or null when the criterion is met
+   */
+  findFailure(criterion, turns, events) {
+    switch (criterion.kind) {
+      case 'required': {
+        const first = this.findEvidentTurns(turns, criterion)[0];
+        if (!first) {
+          return { reason: criterion.description, turn: null, elapsedMs: null, quote: null };
+        }
+        const deadlineMs = criterion.withinMinutes ? criterion.withinMinutes * 60000 : null;
+        if (deadlineMs !== null && first.elapsedMs !== null && first.elapsedMs > deadlineMs) {
+          return { reason: `${criterion.description} (first done after ${criterion.withinMinutes} minutes)`, ...this.describeTurn(first) };
+        }
+        return null;
+      }
+
+      case 'order': {
+        const firstTurns = this.findEvidentTurns(turns, criterion.first);
+        // The same turn counts as in order ("open the airway, then check the abdomen")
+        const outOfOrder = this.findEvidentTurns(turns, criterion.then)
+          .find(turn => !firstTurns.some(first => first.turn <= turn.turn));
+        return outOfOrder ? { reason: criterion.description, ...this.describeTurn(outOfOrder) } : null;
+      }
+
+      case 'error': {
+        const error = events.find(event => event.type === 'error' && criterion.errorTypes.includes(event.errorType));
+        if (!error) return null;
+        const utterance = turns.find(turn => turn.turn === error.turn);
+        return {
+          reason: `${criterion.description}: ${error.message}`,
+          turn: error.turn,
+          elapsedMs: error.elapsedMs,
+          quote: utterance ? utterance.content : null
+        };
+      }
+
+      case 'forbidden': {
+        const first = this.findEvidentTurns(turns, criterion)[0];
+        return first ? { reason: criterion.description, ...this.describeTurn(first) } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Turns that clearly show an action, in the order they were said. Weak and
+   * hypothetical matches are left out: an auto-fail should not rest on "should I...?"
+   * @param {Array} turns - Student turns
+   * @param {Object} matchers - keywords and patterns
+   * @returns {Array} - Evidence entries sorted by turn
+   */
+  findEvidentTurns(turns, matchers) {
+    return rubricMatcher.findEvidence(turns, matchers).evidence
+      .filter(entry => !entry.hypothetical && entry.confidence >= rubricMatcher.COMPLETION_THRESHOLD)
+      .sort((a, b) => a.turn - b.turn);
+  }
+
+  describeTurn(entry) {
+    return { turn: entry.turn, elapsedMs: entry.elapsedMs, quote: entry.text };
+  }
+}
+
+const criticalCriteria = new CriticalCriteria();
+criticalCriteria.CriticalCriteria = CriticalCriteria;
+criticalCriteria.CRITERION_KINDS = CRITERION_KINDS;
+
+module.exports = criticalCriteria;
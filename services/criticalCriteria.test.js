@@ -0,0 +1,95 @@
+// services/criticalCriteria.test.js
+const ScenarioTimeline = require('./scenarioTimeline');
+const criticalCriteria = require('./criticalCriteria');
+const rubricMatcher = require('./rubricMatcher');
+const gradingEngine = require('./gradingEngine');
+
+const LIFE_THREATS_FIRST = {
+  id: 'lifeThreatsFirst',
+  kind: 'order',
+  description: 'Started the secondary before the primary survey',
+  first: { keywords: ['airway', 'pulse'] },
+  then: { keywords: ['allergies', 'pupils'] }
+};
+
+describe('CriticalCriteria', () => {
+  let timeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    timeline = new ScenarioTimeline();
+    timeline.recordUtterance("I'm ready", 0);
+    timeline.start(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const evaluate = criteria => criticalCriteria.evaluate(criteria, {
+    turns: rubricMatcher.toStudentTurns(timeline.getStudentTurns()),
+    events: timeline.getEvents()
+  });
+
+  test('should fail an order criterion at the first turn that comes too early', () => {
+    timeline.recordUtterance('any allergies?', 20000);
+    timeline.recordUtterance('open the airway and check the pupils', 50000);
+
+    expect(evaluate([LIFE_THREATS_FIRST]).lifeThreatsFirst).toEqual({
+      description: 'Started the secondary before the primary survey',
+      kind: 'order',
+      failed: true,
+      reason: 'Started the secondary before the primary survey',
+      turn: 2,
+      elapsedMs: 20000,
+      quote: 'any allergies?'
+    });
+  });
+
+  test('should accept the later step in the same turn as the earlier one', () => {
+    timeline.recordUtterance('open the airway, then any allergies?', 20000);
+
+    expect(evaluate([LIFE_THREATS_FIRST]).lifeThreatsFirst.failed).toBe(false);
+  });
+
+  test('should fail on logged errors, late required actions and forbidden orders only when they really happen', () => {
+    timeline.recordUtterance('give 324 mg aspirin', 30000);
+    timeline.record('error', { errorType: 'contraindication', message: 'Patient is allergic to aspirin.' }, 31000);
+    timeline.recordUtterance('do not give him water, should I remove the knife?', 60000);
+    timeline.recordUtterance('we need rapid transport', 11 * 60000);
+
+    const results = evaluate([
+      { id: 'unsafeMedication', kind: 'error', description: 'Gave a contraindicated medication', errorTypes: ['contraindication'] },
+      { id: 'transport', kind: 'required', description: 'No transport call', withinMinutes: 10, keywords: ['rapid transport'] },
+      { id: 'ppe', kind: 'required', description: 'No PPE', keywords: ['gloves'] },
+      {
+        id: 'dangerous', kind: 'forbidden', description: 'Ordered a dangerous intervention',
+        patterns: ['(give|offer) (him )?water', 'remove the knife']
+      }
+    ]);
+
+    expect(results.unsafeMedication).toMatchObject({
+      failed: true, reason: 'Gave a contraindicated medication: Patient is allergic to aspirin.', turn: 2, quote: 'give 324 mg aspirin'
+    });
+    expect(results.transport).toMatchObject({ failed: true, reason: 'No transport call (first done after 10 minutes)', turn: 4 });
+    expect(results.ppe).toMatchObject({ failed: true, reason: 'No PPE', turn: null, quote: null });
+    expect(results.dangerous.failed).toBe(false);
+  });
+
+  test('should fail an attempt on a critical failure whatever the score', () => {
+    timeline.recordUtterance('gloves on, is the scene safe?', 10000);
+    timeline.recordUtterance('any allergies or medications?', 30000);
+    timeline.recordUtterance('check the airway and breathing', 60000);
+
+    const results = gradingEngine.gradeScenario([], { course: 'EMED111' }, 5, null, timeline);
+    const report = gradingEngine.generateFeedbackReport(results, {});
+
+    expect(results.criticalFailures).toEqual([
+      expect.objectContaining({ id: 'lifeThreatsBeforeSecondary', turn: 3, elapsed: '0:30', quote: 'any allergies or medications?' })
+    ]);
+    expect(results.passChecks.noCriticalFailures).toBe(false);
+    expect(results.overallPass).toBe(false);
+    expect(report.criticalCriteria.failures).toHaveLength(1);
+    expect(report.recommendations[0]).toMatch(/^Critical failure: Started the history or secondary exam/);
+  });
+});
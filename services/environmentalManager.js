@@ -1,10 +1,12 @@
 // services/environmentalManager.js
+const SeededRandom = require('./utils/seededRandom');
 
 class EnvironmentalManager {
   constructor() {
     this.weatherConditions = this.initializeWeatherConditions();
     this.sceneHazards = this.initializeSceneHazards();
     this.currentEnvironment = null;
+    this.random = new SeededRandom();
   }
 
   /**
@@ -132,15 +134,17 @@ class EnvironmentalManager {
   /**
    * Generate environmental factors for a scenario
    * @param {Object} scenarioData - Current scenario data
+   * @param {SeededRandom} random - Generator for weather, hazard and factor rolls (derived from scenarioData.meta.seed by default)
    * @returns {Object|null} - Environmental conditions or null if none
    */
-  generateEnvironmentalFactors(scenarioData) {
+  generateEnvironmentalFactors(scenarioData, random = SeededRandom.forScenario(scenarioData, 'environment')) {
+    this.random = random;
     const difficulty = scenarioData?.generatedScenario?.difficulty?.level || 'intermediate';
     const location = scenarioData?.generatedScenario?.dispatchInfo?.location?.toLowerCase() || '';
     const time = scenarioData?.generatedScenario?.dispatchInfo?.time || '';
     
     // Environmental factors should be uncommon (as per requirements)
-    const shouldHaveEnvironmental = Math.random() < 0.25; // 25% chance
+    const shouldHaveEnvironmental = this.random.next() < 0.25; // 25% chance
     
     if (!shouldHaveEnvironmental) {
       this.currentEnvironment = null;
@@ -148,8 +152,8 @@ class EnvironmentalManager {
     }
 
     // Determine if weather or scene hazard (or both)
-    const hasWeather = Math.random() < 0.6; // 60% chance if environmental factors present
-    const hasHazard = Math.random() < 0.4;  // 40% chance if environmental factors present
+    const hasWeather = this.random.next() < 0.6; // 60% chance if environmental factors present
+    const hasHazard = this.random.next() < 0.4;  // 40% chance if environmental factors present
     
     this.currentEnvironment = {
       weather: hasWeather ? this.selectWeatherCondition(location, time) : null,
@@ -180,17 +184,17 @@ class EnvironmentalManager {
       // Outdoor locations more affected by weather
       const isOutdoor = /(highway|road|park|trail|construction|rural)/.test(location);
       if (!isOutdoor && ['heavyRain', 'snow', 'wind'].includes(key)) {
-        return Math.random() < 0.3; // Reduced chance for indoor-adjacent scenes
+        return this.random.next() < 0.3; // Reduced chance for indoor-adjacent scenes
       }
       
-      return Math.random() < weather.probability;
+      return this.random.next() < weather.probability;
     });
 
     if (suitableWeather.length === 0) {
       return null;
     }
 
-    const [selectedKey, selectedWeather] = suitableWeather[Math.floor(Math.random() * suitableWeather.length)];
+    const [selectedKey, selectedWeather] = this.random.pick(suitableWeather);
     
     return {
       type: selectedKey,
@@ -219,21 +223,21 @@ class EnvironmentalManager {
       
       // Difficulty affects probability of high-severity hazards
       if (hazard.severity === 'high' && difficulty === 'novice') {
-        return Math.random() < 0.3; // Reduced chance for novice
+        return this.random.next() < 0.3; // Reduced chance for novice
       }
       
       if (hazard.severity === 'mild' && difficulty === 'advanced') {
-        return Math.random() < 0.7; // Reduced chance for advanced (they get harder hazards)
+        return this.random.next() < 0.7; // Reduced chance for advanced (they get harder hazards)
       }
       
-      return Math.random() < hazard.probability;
+      return this.random.next() < hazard.probability;
     });
 
     if (suitableHazards.length === 0) {
       return null;
     }
 
-    const [selectedKey, selectedHazard] = suitableHazards[Math.floor(Math.random() * suitableHazards.length)];
+    const [selectedKey, selectedHazard] = this.random.pick(suitableHazards);
     
     return {
       type: selectedKey,
@@ -429,14 +433,6 @@ class EnvironmentalManager {
     return recommendations;
   }
 
-  /**
-   * Reset environmental manager for new scenario
-   */
-  reset() {
-    this.currentEnvironment = null;
-    console.log('🌦️ Environmental manager reset');
-  }
-
   /**
    * Get current environmental status
    * @returns {Object|null} - Current environment status
@@ -491,7 +487,7 @@ class EnvironmentalManager {
    */
   generateFactor() {
     // Only generate environmental factors occasionally (20% chance)
-    if (Math.random() > 0.2) {
+    if (this.random.next() > 0.2) {
       return null;
     }
 
@@ -511,7 +507,7 @@ class EnvironmentalManager {
       factors.push(`Scene hazard: ${hazard.description}`);
     }
 
-    return factors.length > 0 ? factors[Math.floor(Math.random() * factors.length)] : null;
+    return factors.length > 0 ? this.random.pick(factors) : null;
   }
 
   /**
@@ -519,8 +515,29 @@ class EnvironmentalManager {
    */
   reset() {
     this.currentEnvironment = null;
+    this.random = new SeededRandom();
     console.log('🌤️ Environmental manager reset');
   }
+
+  /**
+   * Snapshot environment state so a session can be persisted
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      currentEnvironment: this.currentEnvironment,
+      random: this.random.getState()
+    };
+  }
+
+  /**
+   * Restore environment state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.currentEnvironment = state.currentEnvironment || null;
+    this.random = SeededRandom.fromState(state.random) || new SeededRandom();
+  }
 }
 
 module.exports = EnvironmentalManager;
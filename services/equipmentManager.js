@@ -0,0 +1,154 @@
+// services/equipmentManager.js
+
+/**
+ * Equipment an instructor can make fail during a scenario. A failed device
+ * gives no readings (or stops the treatment it was delivering) until the
+ * instructor restores it. Readings use the vital names the chat service asks
+ * PatientSimulator.getSpecificVital for; placements use the equipment types
+ * ChatService.detectEquipmentPlacement reports.
+ */
+const EQUIPMENT = {
+  pulseOximeter: {
+    label: 'Pulse oximeter',
+    readings: ['oxygen saturation'],
+    placements: ['pulse_oximeter'],
+    failure: 'The pulse oximeter screen goes blank and it will not give a reading.'
+  },
+  bpCuff: {
+    label: 'Automatic BP cuff',
+    readings: ['blood pressure'],
+    placements: ['bp_cuff'],
+    // A manual pressure with a stethoscope still works
+    manualAlternative: /\b(manual(?:ly)?|ausculta\w*|stethoscope|sphygmo\w*|palpat\w*)\b/,
+    failure: 'The automatic blood pressure cuff keeps erroring out and will not give a reading.'
+  },
+  cardiacMonitor: {
+    label: 'Cardiac monitor',
+    readings: ['etco2'],
+    placements: ['cardiac_monitor'],
+    failure: 'The cardiac monitor\'s battery dies and the screen goes dark.'
+  },
+  glucometer: {
+    label: 'Glucometer',
+    readings: ['blood glucose'],
+    placements: [],
+    failure: 'The glucometer shows an error and will not read the strip.'
+  },
+  oxygen: {
+    label: 'Oxygen supply',
+    readings: [],
+    placements: [],
+    // Oxygen already flowing stops; the student has to notice and switch tanks
+    stopsTreatment: 'oxygen',
+    failure: 'The oxygen tank regulator reads empty. No oxygen is flowing.'
+  },
+  suction: {
+    label: 'Suction unit',
+    readings: [],
+    placements: [],
+    failure: 'The portable suction unit will not turn on.'
+  }
+};
+
+class EquipmentManager {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.failures = [];
+  }
+
+  /**
+   * @returns {Array} - { id, label } of every device that can fail
+   */
+  listEquipment() {
+    return Object.entries(EQUIPMENT).map(([id, equipment]) => ({ id, label: equipment.label }));
+  }
+
+  isKnown(equipmentId) {
+    return Object.prototype.hasOwnProperty.call(EQUIPMENT, equipmentId);
+  }
+
+  isFailed(equipmentId) {
+    return this.failures.some(failure => failure.equipment === equipmentId);
+  }
+
+  /**
+   * Make a device fail
+   * @param {string} equipmentId - Key into EQUIPMENT
+   * @param {number} timestamp - When it failed
+   * @returns {Object|null} - { equipment, label, failedAt, description, stopsTreatment }, or null if unknown or already failed
+   */
+  fail(equipmentId, timestamp = Date.now()) {
+    if (!this.isKnown(equipmentId) || this.isFailed(equipmentId)) return null;
+    const equipment = EQUIPMENT[equipmentId];
+    const failure = {
+      equipment: equipmentId,
+      label: equipment.label,
+      failedAt: timestamp,
+      description: equipment.failure,
+      stopsTreatment: equipment.stopsTreatment || null
+    };
+    this.failures.push(failure);
+    console.log(`🔧 Equipment failure: ${equipment.label}`);
+    return failure;
+  }
+
+  /**
+   * Bring a failed device back
+   * @param {string} equipmentId - Key into EQUIPMENT
+   * @returns {boolean} - True if it had failed
+   */
+  restore(equipmentId) {
+    const before = this.failures.length;
+    this.failures = this.failures.filter(failure => failure.equipment !== equipmentId);
+    return this.failures.length < before;
+  }
+
+  getFailures() {
+    return this.failures;
+  }
+
+  /**
+   * What the student gets instead of a reading from failed equipment
+   * @param {string} vitalType - Vital name passed to PatientSimulator.getSpecificVital
+   * @param {string} userMessage - Student message, to allow manual alternatives
+   * @returns {string|null} - Failure description, or null when the reading can be taken
+   */
+  getReadingFailure(vitalType, userMessage = '') {
+    const failure = this.failures.find(({ equipment }) => EQUIPMENT[equipment].readings.includes(vitalType));
+    if (!failure) return null;
+    const manual = EQUIPMENT[failure.equipment].manualAlternative;
+    if (manual && manual.test(String(userMessage).toLowerCase())) return null;
+    return failure.description;
+  }
+
+  /**
+   * @param {string} equipmentType - equipmentType from ChatService.detectEquipmentPlacement
+   * @returns {string|null} - Failure description, or null when the device works
+   */
+  getPlacementFailure(equipmentType) {
+    const failure = this.failures.find(({ equipment }) => EQUIPMENT[equipment].placements.includes(equipmentType));
+    return failure ? failure.description : null;
+  }
+
+  /**
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return { failures: this.failures };
+  }
+
+  /**
+   * Restore state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.failures = (state?.failures || []).filter(failure => this.isKnown(failure.equipment));
+  }
+}
+
+EquipmentManager.EQUIPMENT = EQUIPMENT;
+
+module.exports = EquipmentManager;
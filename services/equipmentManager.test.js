@@ -0,0 +1,40 @@
+// services/equipmentManager.test.js
+const EquipmentManager = require('./equipmentManager');
+
+describe('EquipmentManager', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should withhold readings from failed equipment until it is restored', () => {
+    const equipment = new EquipmentManager();
+
+    expect(equipment.fail('defibrillator')).toBeNull();
+    expect(equipment.fail('pulseOximeter', 1000)).toMatchObject({ equipment: 'pulseOximeter', failedAt: 1000, stopsTreatment: null });
+    expect(equipment.fail('pulseOximeter')).toBeNull();
+
+    expect(equipment.getReadingFailure('oxygen saturation')).toMatch(/pulse oximeter/);
+    expect(equipment.getPlacementFailure('pulse_oximeter')).toMatch(/pulse oximeter/);
+    expect(equipment.getReadingFailure('heart rate')).toBeNull();
+
+    expect(equipment.restore('pulseOximeter')).toBe(true);
+    expect(equipment.getReadingFailure('oxygen saturation')).toBeNull();
+    expect(equipment.restore('pulseOximeter')).toBe(false);
+  });
+
+  test('should still allow a manual blood pressure when the cuff fails', () => {
+    const equipment = new EquipmentManager();
+    equipment.fail('bpCuff');
+
+    expect(equipment.getReadingFailure('blood pressure', 'what is the BP?')).toMatch(/blood pressure cuff/);
+    expect(equipment.getReadingFailure('blood pressure', 'I take a manual BP with my stethoscope')).toBeNull();
+
+    const restored = new EquipmentManager();
+    restored.restoreState(JSON.parse(JSON.stringify(equipment.getState())));
+    expect(restored.isFailed('bpCuff')).toBe(true);
+  });
+});
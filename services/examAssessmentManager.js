@@ -1,5 +1,6 @@
 // services/examAssessmentManager.js
 const TextNormalizer = require('./utils/textNormalizer');
+const SeededRandom = require('./utils/seededRandom');
 
 class ExamAssessmentManager {
   constructor() {
@@ -273,7 +274,7 @@ class ExamAssessmentManager {
     }
 
     // Select 3-5 questions randomly from the set, ensuring coverage of all categories
-    const selectedQuestions = this.selectQuestionsForAssessment(questionSet.questions, scenarioData);
+    const selectedQuestions = this.selectQuestionsForAssessment(questionSet.questions, scenarioData, `exam:${examKey}`);
     
     const assessment = {
       sessionId,
@@ -293,8 +294,9 @@ class ExamAssessmentManager {
     return assessment;
   }
 
-  // Select appropriate questions ensuring category coverage
-  selectQuestionsForAssessment(questions, scenarioData) {
+  // Select appropriate questions ensuring category coverage; the same scenario seed asks the same questions
+  selectQuestionsForAssessment(questions, scenarioData, label = 'exam') {
+    const random = SeededRandom.forScenario(scenarioData, label);
     const categories = ['anatomy', 'pathology', 'technique'];
     const selected = [];
     
@@ -302,8 +304,7 @@ class ExamAssessmentManager {
     categories.forEach(category => {
       const categoryQuestions = questions.filter(q => q.category === category);
       if (categoryQuestions.length > 0) {
-        const randomIndex = Math.floor(Math.random() * categoryQuestions.length);
-        selected.push(categoryQuestions[randomIndex]);
+        selected.push(random.pick(categoryQuestions));
       }
     });
 
@@ -312,12 +313,12 @@ class ExamAssessmentManager {
     const additionalCount = Math.min(2, Math.max(0, 5 - selected.length));
     
     for (let i = 0; i < additionalCount && remaining.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * remaining.length);
+      const randomIndex = random.int(0, remaining.length - 1);
       selected.push(remaining.splice(randomIndex, 1)[0]);
     }
 
     // Randomize final order
-    return selected.sort(() => Math.random() - 0.5);
+    return random.shuffle(selected);
   }
 
   // Get the current question for an active assessment
@@ -495,6 +496,24 @@ class ExamAssessmentManager {
     this.activeAssessments.delete(sessionId);
     this.assessmentResults.delete(sessionId);
   }
+
+  // Export a session's assessment data for persistence
+  exportSessionData(sessionId) {
+    return {
+      activeAssessment: this.activeAssessments.get(sessionId) || null,
+      assessmentResults: this.assessmentResults.get(sessionId) || null
+    };
+  }
+
+  // Restore a session's assessment data after a restart
+  importSessionData(sessionId, data = {}) {
+    if (data.activeAssessment) {
+      this.activeAssessments.set(sessionId, data.activeAssessment);
+    }
+    if (data.assessmentResults) {
+      this.assessmentResults.set(sessionId, data.assessmentResults);
+    }
+  }
 }
 
 module.exports = new ExamAssessmentManager();
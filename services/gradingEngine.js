@@ -1,283 +1,556 @@
 // services/gradingEngine.js
 const TextNormalizer = require('./utils/textNormalizer');
+const rubricMatcher = require('./rubricMatcher');
+const rubricRegistry = require('./rubricRegistry');
+const criticalCriteria = require('./criticalCriteria');
+const sequenceRules = require('./sequenceRules');
+const teamwork = require('./teamwork');
+const handoverAnalyzer = require('./handoverAnalyzer');
+const formatElapsed = require('./utils/formatElapsed');
+
+// Longest hospital notification for the top two Hospital Radio levels
+const RADIO_REPORT_LIMITS_MS = { complete: 60000, concise: 30000 };
 
 class GradingEngine {
   constructor() {
-    this.rubric = this.initializeEMED111Rubric();
+    // Default rubric; scenarios may be graded with another (see resolveRubric)
+    this.rubric = rubricRegistry.resolve();
   }
 
-  // Initialize the EMED111 rubric structure
-  initializeEMED111Rubric() {
-    return {
-      totalPoints: 38,
-      passRequirements: {
-        allCheckboxItems: true,
-        minimumScorePerSection: 2
-      },
-      timeLimit: 20, // minutes
-
-      checkboxItems: {
-        preArrivalSceneSize: [
-          { id: 'ppe', description: 'Dons appropriate PPE', keywords: ['ppe', 'gloves', 'mask', 'eye protection', 'body substance isolation', 'bsi'] },
-          { id: 'sceneSize', description: 'Performs scene survey with safety hazards', keywords: ['scene size', 'scene survey', 'safety', 'hazard', 'safe', 'environment'] },
-          { id: 'spinalStab', description: 'Takes manual spinal stabilization if indicated', keywords: ['spinal', 'c-spine', 'stabilization', 'head', 'neck'] }
-        ],
-        primarySurvey: [
-          { id: 'avpu', description: 'Determines responsiveness (AVPU) and consent', keywords: ['avpu', 'responsive', 'alert', 'verbal', 'pain', 'unresponsive', 'consent'] },
-          { id: 'hemorrhage', description: 'Manages massive hemorrhage if present', keywords: ['bleeding', 'hemorrhage', 'blood', 'tourniquet', 'pressure'] },
-          { id: 'airway', description: 'Airway assessment and management', keywords: ['airway', 'open airway', 'jaw thrust', 'head tilt', 'chin lift'] },
-          { id: 'breathing', description: 'Breathing assessment and intervention', keywords: ['breathing', 'ventilation', 'bvm', 'bag mask', 'respiratory'] },
-          { id: 'oxygen', description: 'SpO2 and oxygen therapy', keywords: ['spo2', 'pulse ox', 'oxygen', 'o2', 'nasal cannula', 'nrb'] },
-          { id: 'pulse', description: 'Pulse assessment', keywords: ['pulse', 'heart rate', 'radial', 'carotid', 'brachial'] },
-          { id: 'skin', description: 'Skin assessment', keywords: ['skin', 'color', 'temperature', 'condition', 'pale', 'cyanotic'] },
-          { id: 'cpr', description: 'Recognizes cardiac arrest and begins CPR', keywords: ['cardiac arrest', 'cpr', 'chest compressions', 'no pulse'] },
-          { id: 'transport', description: 'States transport urgency/ALS need', keywords: ['transport', 'als', 'priority', 'urgent', 'emergent'] }
-        ]
-      },
-
-      scoredSections: [
-        {
-          id: 'hpi',
-          name: 'History of Present Illness',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'obtains an HPI that is incomplete or not aligned with the patient\'s complaint',
-            2: 'obtains a complete HPI using an appropriate standard mnemonic',
-            3: 'obtains a thorough HPI structured around the DDX'
-          },
-          keywords: ['onset', 'provocation', 'quality', 'radiation', 'severity', 'time', 'opqrst', 'history']
-        },
-        {
-          id: 'pmh',
-          name: 'Past Medical History',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'obtains an incomplete SAMPLE history',
-            2: 'obtains a complete SAMPLE history',
-            3: 'obtains a thorough PMHx structured around the DDX'
-          },
-          keywords: ['sample', 'allergies', 'medications', 'past medical', 'last meal', 'events']
-        },
-        {
-          id: 'vitals',
-          name: 'Vital Signs',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'obtains incomplete vital signs or fails to acknowledge a finding outside of normal limits',
-            2: 'obtains complete vital signs (HR, RR, SBP/DBP, Temp, SpO2) and acknowledges abnormal findings',
-            3: 'obtains initial and repeat vital signs and interprets trends within the context of the patient\'s condition'
-          },
-          keywords: ['vital signs', 'blood pressure', 'heart rate', 'respiratory rate', 'temperature', 'pulse ox']
-        },
-        {
-          id: 'physicalExam',
-          name: 'Physical Exam',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'physical exam is incomplete for complaint or performed with poor technique',
-            2: 'physical exam is adequate for complaint and performed with proper technique',
-            3: 'well-performed physical exam is structured around DDX and integrated into patient assessment'
-          },
-          keywords: ['physical exam', 'assessment', 'palpate', 'auscultate', 'inspect', 'examine']
-        },
-        {
-          id: 'medicalManagement',
-          name: 'Medical Management',
-          maxScore: 3,
-          criteria: {
-            0: 'orders or performs an inappropriate or harmful intervention',
-            1: 'fails to appropriately manage patient\'s condition and/or reassess patient',
-            2: 'completes all required scenario-specific interventions and reassesses patient',
-            3: 'confidently manages all aspects of patient\'s condition and continuously reassesses for changes'
-          },
-          keywords: ['treatment', 'intervention', 'medication', 'therapy', 'management', 'reassess']
-        },
-        {
-          id: 'patientInteraction',
-          name: 'Provider-Patient Interaction',
-          maxScore: 3,
-          criteria: {
-            0: 'exhibits inappropriate or unprofessional behavior',
-            1: 'is impersonal and/or demonstrates limited engagement with patient',
-            2: 'maintains professional affect, communicates clearly, and acknowledges patient needs',
-            3: 'establishes patient rapport and demonstrates therapeutic communication'
-          },
-          keywords: ['communication', 'rapport', 'professional', 'empathy', 'bedside manner']
-        },
-        {
-          id: 'hospitalRadio',
-          name: 'Hospital Radio Notification',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'incomplete, disorganized, inaccurate, or over 1 minute in duration',
-            2: 'contains all relevant information, is logically organized, and is under 1 minute in duration',
-            3: 'contains only the relevant information and is under 30 seconds in duration'
-          },
-          keywords: ['hospital', 'radio', 'notification', 'report', 'eta']
-        },
-        {
-          id: 'handover',
-          name: 'Handover Report',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'incomplete, disorganized, or inaccurate',
-            2: 'contains all relevant information and is logically organized',
-            3: 'contains only the relevant information organized around the patient complaint and field impression'
-          },
-          keywords: ['handover', 'report', 'transfer of care', 'giving report']
-        },
-        {
-          id: 'disposition',
-          name: 'Disposition',
-          maxScore: 3,
-          criteria: {
-            0: 'not attempted',
-            1: 'incomplete or inappropriate',
-            2: 'states appropriate field impression and transport destination',
-            3: 'comprehensive disposition with clear reasoning'
-          },
-          keywords: ['field impression', 'transport', 'destination', 'priority', 'disposition']
-        },
-        {
-          id: 'leadership',
-          name: 'Scene and Resource Management',
-          maxScore: 3,
-          criteria: {
-            0: 'compromises safety or acts unprofessionally towards other providers',
-            1: 'demonstrates minimal situational awareness or ineffectively utilizes partner(s)',
-            2: 'manages scene hazards, delegates tasks appropriately, and requests resources as required',
-            3: 'displays continuous situational awareness and utilizes partner(s) to provide collaborative patient care'
-          },
-          keywords: ['leadership', 'delegation', 'resources', 'partner', 'teamwork', 'scene management']
-        }
-      ]
-    };
+  /**
+   * Rubric a scenario is graded with
+   * @param {Object} scenarioData - rubric (id or id@version), course and mainScenario pick the rubric
+   * @returns {Object} - Rubric from RubricRegistry
+   */
+  resolveRubric(scenarioData = {}) {
+    return rubricRegistry.resolve({
+      rubric: scenarioData?.rubric || null,
+      course: scenarioData?.course || null,
+      mainScenario: scenarioData?.mainScenario || null
+    });
   }
 
-  // Grade the entire scenario based on conversation history
-  gradeScenario(conversation, scenarioData, timeSpentMinutes, examAssessmentResults = null) {
-    console.log('🎯 Starting scenario grading...');
+  // Grade the entire scenario; the session timeline, when given, supplies the student's
+  // turns and the vitals checks and interventions that actually happened. The rubric
+  // defaults to the one resolveRubric() picks for the scenario.
+  gradeScenario(conversation, scenarioData, timeSpentMinutes, examAssessmentResults = null, timeline = null, rubric = null) {
+    rubric = rubric || this.resolveRubric(scenarioData);
+    console.log(`🎯 Starting scenario grading with ${rubric.ref}...`);
+
+    // Only the student's own turns count; the patient saying "my head hurts" credits nothing
+    const timelineTurns = timeline ? timeline.getStudentTurns() : [];
+    const turns = rubricMatcher.toStudentTurns(timelineTurns.length > 0 ? timelineTurns : conversation);
+    const events = timeline ? timeline.getEvents() : [];
+    // Order-of-care and timing rules take points off the sections they name
+    const sequence = this.gradeSequenceRules(turns, events, rubric);
     
     const results = {
-      checkboxItems: this.gradeCheckboxItems(conversation, scenarioData),
-      scoredSections: this.gradeScoredSections(conversation, scenarioData, examAssessmentResults),
-      timeManagement: this.gradeTimeManagement(timeSpentMinutes),
+      rubric: {
+        id: rubric.id,
+        version: rubric.version,
+        ref: rubric.ref,
+        title: rubric.title,
+        totalPoints: rubric.totalPoints,
+        timeLimitMinutes: rubric.timeLimit,
+        passRules: { ...rubric.passRules }
+      },
+      checkboxItems: this.gradeCheckboxItems(turns, scenarioData, rubric),
+      scoredSections: this.gradeScoredSections(turns, scenarioData, examAssessmentResults, events, rubric, sequence),
+      timeManagement: this.gradeTimeManagement(timeSpentMinutes, rubric),
+      criticalCriteria: this.gradeCriticalCriteria(turns, events, rubric),
+      criticalFailures: [],
+      sequenceRules: sequence,
+      sequenceViolations: this.listSequenceViolations(sequence, rubric),
       examAssessments: examAssessmentResults || {},
       overallPass: false,
       totalScore: 0,
       feedback: []
     };
 
-    // Calculate total score
+    const roster = teamwork.getRoster(events);
+    if (roster) {
+      results.teamwork = teamwork.analyze(turns, roster, results);
+    }
+    const partnerOrders = teamwork.getPartnerOrders(events);
+    if (partnerOrders.length > 0) {
+      results.partnerOrders = partnerOrders;
+    }
+    const radioReports = this.getRadioReports(events);
+    if (radioReports.length > 0) {
+      results.radioReports = radioReports;
+    }
+    const handover = handoverAnalyzer.analyzeEvents(events);
+    if (handover) {
+      results.handover = handover;
+    }
+
+    this.computeOutcome(results);
+
+    console.log(`📊 Grading complete. Score: ${results.totalScore}/${rubric.totalPoints}, Pass: ${results.overallPass}`);
+    return results;
+  }
+
+  // Total score and pass/fail from the graded items, by the pass rules of the rubric used.
+  // A failed critical criterion fails the attempt whatever the score.
+  computeOutcome(results) {
+    const rules = (results.rubric || this.rubric).passRules;
     results.totalScore = Object.values(results.scoredSections).reduce((sum, section) => sum + section.score, 0);
 
-    // Determine pass/fail
-    const allCheckboxesPassed = Object.values(results.checkboxItems).every(item => item.completed);
-    const allSectionsMinimum = Object.values(results.scoredSections).every(section => section.score >= 2);
-    const timePass = results.timeManagement.passed;
+    const checks = {
+      allCheckboxItems: !rules.allCheckboxItems || Object.values(results.checkboxItems).every(item => item.completed),
+      minimumScorePerSection: rules.minimumScorePerSection === null ||
+        Object.values(results.scoredSections).every(section => section.score >= rules.minimumScorePerSection),
+      minimumTotalScore: rules.minimumTotalScore === null || results.totalScore >= rules.minimumTotalScore,
+      withinTimeLimit: !rules.withinTimeLimit || results.timeManagement.passed
+    };
 
-    results.overallPass = allCheckboxesPassed && allSectionsMinimum && timePass;
+    // Earliest first; omissions (no turn) come last
+    results.criticalFailures = Object.entries(results.criticalCriteria || {})
+      .filter(([, criterion]) => criterion.failed)
+      .map(([id, criterion]) => ({ id, ...criterion }))
+      .sort((a, b) => (a.turn ?? Infinity) - (b.turn ?? Infinity));
+    checks.noCriticalFailures = results.criticalFailures.length === 0;
 
-    console.log(`📊 Grading complete. Score: ${results.totalScore}/38, Pass: ${results.overallPass}`);
+    results.passChecks = checks;
+    results.overallPass = Object.values(checks).every(Boolean);
     return results;
   }
 
+  /**
+   * Rubric items earned so far in a scenario that is still running, for the
+   * live proctor view. Nothing here is final, so only critical criteria the
+   * student has already broken are reported, not ones they have yet to do.
+   * @param {Object} timeline - ScenarioTimeline of the running scenario
+   * @param {Object} rubric - Rubric the scenario is graded with
+   * @returns {Object} - { rubric, checkboxItems, scoredSections, totalScore, criticalFailures, sequenceViolations }
+   */
+  gradeProgress(timeline, rubric = this.rubric) {
+    const turns = rubricMatcher.toStudentTurns(timeline.getStudentTurns());
+    const events = timeline.getEvents();
+    const sequence = this.gradeSequenceRules(turns, events, rubric);
+    const scoredSections = this.gradeScoredSections(turns, null, null, events, rubric, sequence);
+
+    return {
+      rubric: { id: rubric.id, ref: rubric.ref, title: rubric.title, totalPoints: rubric.totalPoints },
+      checkboxItems: this.gradeCheckboxItems(turns, null, rubric),
+      scoredSections,
+      totalScore: Object.values(scoredSections).reduce((sum, section) => sum + section.score, 0),
+      criticalFailures: Object.entries(this.gradeCriticalCriteria(turns, events, rubric))
+        .filter(([, criterion]) => criterion.failed && criterion.turn !== null)
+        .map(([id, criterion]) => ({ id, ...criterion })),
+      sequenceViolations: this.listSequenceViolations(sequence, rubric)
+    };
+  }
+
+  /**
+   * Ask the language model to settle critical items the rules are unsure about
+   * (confidence between 0.3 and 0.7). Rule results stand if the reply cannot be used.
+   * @param {Object} results - Output of gradeScenario()
+   * @param {Array} conversation - Student turns or conversation that was graded
+   * @param {Function} callLLM - async (messages) => reply text
+   * @returns {Promise<Object>} - The same results, adjudicated items updated
+   */
+  async adjudicateUncertainItems(results, conversation, callLLM) {
+    const uncertain = Object.entries(results.checkboxItems)
+      .filter(([, item]) => rubricMatcher.isUncertain(item.confidence));
+    if (uncertain.length === 0) return results;
+
+    const turns = rubricMatcher.toStudentTurns(conversation);
+    const transcript = turns.map(turn => `[turn ${turn.turn}] ${turn.content}`).join('\n');
+    const itemList = uncertain
+      .map(([id, item]) => `- ${id}: ${item.description} (candidate turns: ${item.evidence.map(e => e.turn).join(', ') || 'none'})`)
+      .join('\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an EMT instructor grading rubric items from a student\'s scenario transcript. Only credit an item when the student actually performed or stated it; mentions that are negated, hypothetical or about something else do not count.'
+      },
+      {
+        role: 'user',
+        content: `Student turns:\n${transcript}\n\nRubric items:\n${itemList}\n\nReply with only a JSON array: [{"id": "...", "completed": true|false, "confidence": 0-1, "evidenceTurns": [turn numbers]}]`
+      }
+    ];
+
+    try {
+      const reply = await callLLM(messages);
+      const verdicts = JSON.parse(String(reply).match(/\[[\s\S]*\]/)?.[0] || 'null');
+      if (!Array.isArray(verdicts)) throw new Error('reply is not a JSON array');
+
+      verdicts.forEach(verdict => {
+        const item = results.checkboxItems[verdict.id];
+        if (!item || !rubricMatcher.isUncertain(item.confidence) || typeof verdict.completed !== 'boolean') return;
+
+        const evidenceTurns = Array.isArray(verdict.evidenceTurns) ? verdict.evidenceTurns.map(Number) : [];
+        item.completed = verdict.completed;
+        item.confidence = Math.max(0, Math.min(1, Number(verdict.confidence) || (verdict.completed ? 0.7 : 0.3)));
+        item.evidence = verdict.completed
+          ? turns.filter(turn => evidenceTurns.includes(turn.turn))
+              .map(turn => ({ turn: turn.turn, elapsedMs: turn.elapsedMs, text: turn.content, matched: null, confidence: item.confidence }))
+          : [];
+        item.citations = this.citeCheckboxItem(item.evidence, item.rejected);
+        item.method = 'llm';
+      });
+      console.log(`🧑‍⚖️ LLM adjudicated ${verdicts.length} uncertain rubric item(s)`);
+    } catch (error) {
+      console.error('❌ Rubric adjudication failed; keeping rule-based results:', error.message);
+    }
+
+    return this.computeOutcome(results);
+  }
+
   // Grade checkbox (critical) items
-  gradeCheckboxItems(conversation, scenarioData) {
+  gradeCheckboxItems(conversation, scenarioData, rubric = this.rubric) {
     const results = {};
-    const conversationText = this.getConversationText(conversation);
-
-    // Grade Pre-Arrival & Scene Size-Up items
-    this.rubric.checkboxItems.preArrivalSceneSize.forEach(item => {
+    const turns = rubricMatcher.toStudentTurns(conversation);
+    const gradeItem = (item, category) => {
+      const { confidence, evidence, rejected } = rubricMatcher.findEvidence(turns, item);
       results[item.id] = {
         description: item.description,
-        completed: this.checkKeywordsInConversation(conversationText, item.keywords),
-        category: 'Pre-Arrival & Scene Size-Up'
+        completed: confidence >= rubricMatcher.COMPLETION_THRESHOLD,
+        category,
+        confidence,
+        evidence,
+        rejected,
+        citations: this.citeCheckboxItem(evidence, rejected),
+        method: 'rules'
       };
+    };
+
+    rubric.checkboxGroups.forEach(group => {
+      group.items.forEach(item => gradeItem(item, group.name));
     });
 
-    // Grade Primary Survey items
-    this.rubric.checkboxItems.primarySurvey.forEach(item => {
-      results[item.id] = {
-        description: item.description,
-        completed: this.checkKeywordsInConversation(conversationText, item.keywords),
-        category: 'Primary Survey & Resuscitation'
-      };
+    return results;
+  }
+
+  /**
+   * Check the rubric's critical criteria against the student turns and timeline events
+   * @param {Array} turns - Student turns
+   * @param {Array} events - Timeline events
+   * @param {Object} rubric - Rubric being graded
+   * @returns {Object} - Keyed by criterion id: { description, kind, failed, reason, turn, elapsedMs, elapsed, quote }
+   */
+  gradeCriticalCriteria(turns, events = [], rubric = this.rubric) {
+    const results = criticalCriteria.evaluate(rubric.criticalCriteria, { turns, events });
+    Object.values(results).forEach(criterion => {
+      criterion.elapsed = criterion.failed && criterion.turn !== null ? this.formatElapsed(criterion.elapsedMs) : null;
     });
+    return results;
+  }
 
+  /**
+   * Check the rubric's order-of-care and timing rules against the timeline
+   * @param {Array} turns - Student turns
+   * @param {Array} events - Timeline events
+   * @param {Object} rubric - Rubric being graded
+   * @returns {Object} - Keyed by rule id: { description, kind, section, points, applied, violations: [{ message, turn, elapsedMs, elapsed, quote }] }
+   */
+  gradeSequenceRules(turns, events = [], rubric = this.rubric) {
+    const results = sequenceRules.evaluate(rubric.sequenceRules, { turns, events });
+    Object.values(results).forEach(rule => {
+      rule.violations.forEach(violation => {
+        violation.elapsed = this.formatElapsed(violation.elapsedMs);
+      });
+    });
     return results;
   }
 
+  // Every violation in time order, with the section and points it cost
+  listSequenceViolations(sequence, rubric = this.rubric) {
+    const sectionNames = Object.fromEntries(rubric.scoredSections.map(section => [section.id, section.name]));
+    return Object.entries(sequence)
+      .flatMap(([id, rule]) => rule.violations.map(violation => ({
+        rule: id,
+        description: rule.description,
+        section: rule.section,
+        sectionName: sectionNames[rule.section] || rule.section,
+        points: rule.points,
+        ...violation
+      })))
+      .sort((a, b) => (a.elapsedMs ?? Infinity) - (b.elapsedMs ?? Infinity));
+  }
+
   // Grade scored sections (0-3 points each)
-  gradeScoredSections(conversation, scenarioData, examAssessmentResults = null) {
+  gradeScoredSections(conversation, scenarioData, examAssessmentResults = null, events = [], rubric = this.rubric, sequence = {}) {
     const results = {};
+    conversation = rubricMatcher.toStudentTurns(conversation);
     const conversationText = this.getConversationText(conversation);
 
-    this.rubric.scoredSections.forEach(section => {
-      let score = this.scoreSectionBasedOnContent(conversationText, section, conversation);
+    rubric.scoredSections.forEach(section => {
+      let score = Math.max(
+        this.scoreSectionBasedOnContent(conversationText, section, conversation, events),
+        Math.min(section.maxScore, this.scoreSectionFromEvents(section.scorer, events))
+      );
       
       // Enhance physical exam scoring with assessment results
-      if (examAssessmentResults && section.id === 'physicalExam') {
+      const examEnhanced = !!examAssessmentResults && section.scorer === 'physicalExam';
+      if (examEnhanced) {
         score = this.enhancePhysicalExamScore(score, examAssessmentResults);
       }
+
+      // A broken sequence rule costs its points once, however often it was broken
+      const deductions = Object.entries(sequence)
+        .filter(([, rule]) => rule.section === section.id && rule.violations.length > 0)
+        .map(([id, rule]) => ({ rule: id, description: rule.description, points: rule.points }));
+      score = Math.max(0, score - deductions.reduce((sum, deduction) => sum + deduction.points, 0));
       
+      const { confidence, evidence, rejected } = rubricMatcher.findEvidence(conversation, this.getSectionMatchers(section));
+      const elements = section.elements ? this.gradeElements(conversation, section) : null;
       results[section.id] = {
         score,
         maxScore: section.maxScore,
         name: section.name,
-        criteria: section.criteria[score],
-        feedback: this.generateSectionFeedback(conversationText, section, score),
-        examAssessmentEnhanced: examAssessmentResults && section.id === 'physicalExam'
+        criteria: this.describeSectionLevel(section, score, elements),
+        nextCriteria: this.describeNextLevel(section, score, elements),
+        confidence: score > 0 ? confidence : 0,
+        evidence: score > 0 ? evidence : [],
+        citations: this.citeSection(section, conversation, events, score > 0 ? evidence : [], rejected),
+        ...(elements ? { elements } : {}),
+        deductions,
+        method: 'rules',
+        feedback: this.generateSectionFeedback(conversationText, section, score, events),
+        examAssessmentEnhanced: examEnhanced
       };
     });
 
     return results;
   }
 
+  // Keywords and patterns that show a section was worked on, including those of its elements
+  getSectionMatchers(section) {
+    const elements = section.elements || [];
+    return {
+      keywords: [...(section.keywords || []), ...elements.flatMap(element => element.keywords || [])],
+      patterns: [...(section.patterns || []), ...elements.flatMap(element => element.patterns || [])]
+    };
+  }
+
+  /**
+   * Credit each element of a points-per-element section (NREMT-style sheets)
+   * @param {Array} turns - Student turns from RubricMatcher.toStudentTurns()
+   * @param {Object} section - Rubric section with elements
+   * @returns {Array} - { id, description, points, earned, confidence, turn }
+   */
+  gradeElements(turns, section) {
+    return section.elements.map(element => {
+      const { confidence, evidence } = rubricMatcher.findEvidence(turns, element);
+      const earned = confidence >= rubricMatcher.COMPLETION_THRESHOLD;
+      return {
+        id: element.id,
+        description: element.description,
+        points: element.points || 1,
+        earned,
+        confidence,
+        turn: earned ? Math.min(...evidence.filter(e => e.confidence >= rubricMatcher.COMPLETION_THRESHOLD).map(e => e.turn)) : null
+      };
+    });
+  }
+
+  // Rubric wording for the level reached; element sections list what was covered instead
+  describeSectionLevel(section, score, elements = null) {
+    if (section.criteria?.[score]) return section.criteria[score];
+    if (elements) return `${elements.filter(element => element.earned).length} of ${elements.length} elements`;
+    return `${score}/${section.maxScore} points`;
+  }
+
+  describeNextLevel(section, score, elements = null) {
+    if (score >= section.maxScore) return null;
+    if (section.criteria) return section.criteria[score + 1] || null;
+    const missing = (elements || []).filter(element => !element.earned);
+    return missing.length > 0 ? missing.map(element => element.description).join('; ') : null;
+  }
+
+  /**
+   * Quote the student turns behind a critical item: the turns that earned it and
+   * the mentions that did not count (negated, hypothetical or too vague)
+   * @param {Array} evidence - Evidence from RubricMatcher.findEvidence()
+   * @param {Array} rejected - Negated mentions from RubricMatcher.findEvidence()
+   * @returns {Array} - { turn, elapsedMs, elapsed, quote, status, reason, speaker (team scenarios) }
+   */
+  citeCheckboxItem(evidence = [], rejected = []) {
+    const cite = (entry, status, reason) => ({
+      turn: entry.turn,
+      elapsedMs: entry.elapsedMs ?? null,
+      elapsed: this.formatElapsed(entry.elapsedMs),
+      quote: entry.text,
+      status,
+      reason,
+      ...(entry.speaker ? { speaker: entry.speaker } : {})
+    });
+
+    return [
+      ...evidence.map(entry => {
+        if (entry.confidence >= rubricMatcher.COMPLETION_THRESHOLD) return cite(entry, 'earned', null);
+        return cite(entry, 'missed', entry.hypothetical ? 'hypothetical' : 'unclear');
+      }),
+      ...rejected.map(entry => cite(entry, 'missed', entry.reason))
+    ].sort((a, b) => a.turn - b.turn);
+  }
+
+  /**
+   * Quote the student turns behind a section score. Each earned citation carries
+   * the criterion level (0-3) the section had reached once that turn was taken.
+   * @param {Object} section - Rubric section
+   * @param {Array} turns - Student turns from RubricMatcher.toStudentTurns()
+   * @param {Array} events - Timeline events
+   * @param {Array} evidence - Evidence from RubricMatcher.findEvidence()
+   * @param {Array} rejected - Negated mentions from RubricMatcher.findEvidence()
+   * @returns {Array} - { turn, elapsedMs, elapsed, quote, status, reason, level, criterion, speaker (team scenarios) }
+   */
+  citeSection(section, turns, events, evidence = [], rejected = []) {
+    // Turns whose recorded vitals checks or interventions fed scoreSectionFromEvents()
+    const eventTurns = this.scoreSectionFromEvents(section.scorer, events) > 0
+      ? events
+          .filter(e => (section.scorer === 'vitals' && e.type === 'vitals' && e.source === 'check') ||
+            (section.scorer === 'medicalManagement' && e.type === 'intervention') ||
+            (section.scorer === 'hospitalRadio' && e.type === 'radio' && e.channel === 'hospital' && e.kind === 'transmission') ||
+            (section.scorer === 'handover' && e.type === 'handover' && e.kind === 'report'))
+          .map(e => e.turn)
+      : [];
+    // In team scenarios the lead's delegations are what leadership was scored on; alone, the orders to the partner
+    const roster = section.scorer === 'leadership' ? teamwork.getRoster(events) : null;
+    const delegationTurns = roster
+      ? teamwork.findDelegations(turns, roster).map(delegation => delegation.turn)
+      : section.scorer === 'leadership' ? teamwork.getPartnerOrders(events).map(order => order.turn) : [];
+    const citedTurns = [...new Set([...evidence.map(e => e.turn), ...eventTurns, ...delegationTurns])].sort((a, b) => a - b);
+
+    const levelAtTurn = turnNumber => {
+      const turnsSoFar = turns.filter(turn => turn.turn <= turnNumber);
+      return Math.max(
+        this.scoreSectionBasedOnContent(this.getConversationText(turnsSoFar), section, turnsSoFar, events.filter(e => e.turn <= turnNumber)),
+        Math.min(section.maxScore, this.scoreSectionFromEvents(section.scorer, events.filter(e => e.turn <= turnNumber)))
+      );
+    };
+
+    const earned = citedTurns.map(turnNumber => {
+      const turn = turns.find(t => t.turn === turnNumber);
+      const level = levelAtTurn(turnNumber);
+      return {
+        turn: turnNumber,
+        elapsedMs: turn?.elapsedMs ?? null,
+        elapsed: this.formatElapsed(turn?.elapsedMs),
+        quote: turn ? turn.content : null,
+        status: 'earned',
+        reason: null,
+        level,
+        criterion: section.criteria?.[level] ?? null,
+        ...(turn?.speaker ? { speaker: turn.speaker } : {})
+      };
+    });
+
+    const missed = rejected.map(entry => ({
+      turn: entry.turn,
+      elapsedMs: entry.elapsedMs ?? null,
+      elapsed: this.formatElapsed(entry.elapsedMs),
+      quote: entry.text,
+      status: 'missed',
+      reason: entry.reason,
+      level: null,
+      criterion: null,
+      ...(entry.speaker ? { speaker: entry.speaker } : {})
+    }));
+
+    return [...earned, ...missed].sort((a, b) => a.turn - b.turn);
+  }
+
   // Score individual section based on conversation content
-  scoreSectionBasedOnContent(conversationText, section, conversation) {
-    const keywordMatches = this.checkKeywordsInConversation(conversationText, section.keywords);
+  scoreSectionBasedOnContent(conversationText, section, conversation, events = []) {
+    // Team scenarios grade leadership on who delegated what to whom, not on the words used
+    const roster = section.scorer === 'leadership' ? teamwork.getRoster(events) : null;
+    if (roster) {
+      return Math.min(section.maxScore, teamwork.scoreLeadership(conversation, roster));
+    }
+
+    const matchers = this.getSectionMatchers(section);
+    const keywordMatches = rubricMatcher.hasEvidence(conversation, matchers);
     
     if (!keywordMatches) {
       return 0; // Not attempted
     }
 
+    // Points-per-element sections add up the elements covered
+    if (section.elements) {
+      const earned = this.gradeElements(conversation, section)
+        .filter(element => element.earned)
+        .reduce((sum, element) => sum + element.points, 0);
+      return Math.min(section.maxScore, earned);
+    }
+
     // Count relevant interactions for this section
-    const relevantInteractions = this.countRelevantInteractions(conversation, section.keywords);
+    const relevantInteractions = this.countRelevantInteractions(conversation, matchers.keywords);
     
     // Special scoring logic for specific sections
-    switch (section.id) {
+    let score;
+    switch (section.scorer) {
       case 'hpi':
-        return this.scoreHPI(conversation);
+        score = this.scoreHPI(conversation);
+        break;
       case 'pmh':
-        return this.scorePMH(conversation);
+        score = this.scorePMH(conversation);
+        break;
       case 'vitals':
-        return this.scoreVitals(conversation);
+        score = this.scoreVitals(conversation);
+        break;
       case 'physicalExam':
-        return this.scorePhysicalExam(conversation);
+        score = this.scorePhysicalExam(conversation);
+        break;
       case 'medicalManagement':
-        return this.scoreMedicalManagement(conversation);
+        score = this.scoreMedicalManagement(conversation);
+        break;
       case 'patientInteraction':
-        return this.scorePatientInteraction(conversation);
+        score = this.scorePatientInteraction(conversation);
+        break;
       case 'hospitalRadio':
-        return this.scoreHospitalRadio(conversation);
+        score = this.scoreHospitalRadio(conversation, events);
+        break;
       case 'handover':
-        return this.scoreHandover(conversation);
+        score = this.scoreHandover(conversation, events);
+        break;
       case 'disposition':
-        return this.scoreDisposition(conversation);
+        score = this.scoreDisposition(conversation);
+        break;
       case 'leadership':
-        return this.scoreLeadership(conversation);
+        // Orders the simulated partner carried out count as using the partner
+        score = Math.max(this.scoreLeadership(conversation), teamwork.scorePartnerLeadership(conversation, events));
+        break;
       default:
         // Default scoring based on keyword matches and interactions
-        if (relevantInteractions >= 3) return 3;
-        if (relevantInteractions >= 2) return 2;
-        if (relevantInteractions >= 1) return 1;
+        score = relevantInteractions;
+    }
+    return Math.min(section.maxScore, score);
+  }
+
+  // Score sections the timeline records directly, so a vitals check or treatment
+  // counts even when the student phrased it without the rubric keywords
+  scoreSectionFromEvents(scorer, events = []) {
+    const vitalsChecks = events.filter(e => e.type === 'vitals' && e.source === 'check');
+    const interventions = events.filter(e => e.type === 'intervention');
+
+    switch (scorer) {
+      case 'vitals': {
+        const checked = new Set(vitalsChecks.flatMap(e => e.checked));
+        const checkTurns = new Set(vitalsChecks.map(e => e.turn));
+        const repeatVitals = checkTurns.size >= 2;
+
+        if (checked.size === 0) return 0;
+        if (checked.size < 4) return 1;
+        return repeatVitals ? 3 : 2;
+      }
+      case 'hospitalRadio':
+        return this.scoreRadioReports(events);
+      case 'handover':
+        return handoverAnalyzer.analyzeEvents(events)?.score ?? 0;
+      case 'medicalManagement': {
+        if (interventions.length === 0) return 0;
+        const firstIntervention = interventions[0].seq;
+        const reassessment = vitalsChecks.some(e => e.seq > firstIntervention);
+
+        if (interventions.length >= 3 && reassessment) return 3;
+        if (interventions.length >= 2 && reassessment) return 2;
+        return 1;
+      }
+      default:
         return 0;
     }
   }
@@ -286,7 +559,7 @@ class GradingEngine {
   scoreHPI(conversation) {
     const opqrstElements = ['onset', 'provocation', 'quality', 'radiation', 'severity', 'time'];
     const foundElements = opqrstElements.filter(element => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [element])
+      rubricMatcher.hasEvidence(conversation, [element])
     );
 
     if (foundElements.length === 0) return 0;
@@ -298,7 +571,7 @@ class GradingEngine {
   scorePMH(conversation) {
     const sampleElements = ['allergies', 'medications', 'past medical', 'last meal', 'events'];
     const foundElements = sampleElements.filter(element => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [element])
+      rubricMatcher.hasEvidence(conversation, [element])
     );
 
     if (foundElements.length === 0) return 0;
@@ -310,10 +583,10 @@ class GradingEngine {
   scoreVitals(conversation) {
     const vitalSigns = ['blood pressure', 'heart rate', 'respiratory rate', 'temperature', 'pulse ox'];
     const foundVitals = vitalSigns.filter(vital => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [vital])
+      rubricMatcher.hasEvidence(conversation, [vital])
     );
 
-    const repeatVitals = this.checkKeywordsInConversation(this.getConversationText(conversation), ['repeat vitals', 'second set']);
+    const repeatVitals = rubricMatcher.hasEvidence(conversation, ['repeat vitals', 'second set']);
 
     if (foundVitals.length === 0) return 0;
     if (foundVitals.length < 3) return 1;
@@ -325,7 +598,7 @@ class GradingEngine {
   scorePhysicalExam(conversation) {
     const examActions = ['inspect', 'palpate', 'auscultate', 'examine'];
     const foundActions = examActions.filter(action => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [action])
+      rubricMatcher.hasEvidence(conversation, [action])
     );
 
     if (foundActions.length === 0) return 0;
@@ -336,7 +609,7 @@ class GradingEngine {
 
   scoreMedicalManagement(conversation) {
     const treatments = this.countRelevantInteractions(conversation, ['treatment', 'medication', 'intervention', 'therapy']);
-    const reassessment = this.checkKeywordsInConversation(this.getConversationText(conversation), ['reassess', 'recheck']);
+    const reassessment = rubricMatcher.hasEvidence(conversation, ['reassess', 'recheck']);
 
     if (treatments === 0) return 0;
     if (treatments < 2 && !reassessment) return 1;
@@ -350,10 +623,10 @@ class GradingEngine {
     const empathyWords = ['understand', 'comfortable', 'help', 'support'];
     
     const professionalism = professionalWords.some(word => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [word])
+      rubricMatcher.hasEvidence(conversation, [word])
     );
     const empathy = empathyWords.some(word => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [word])
+      rubricMatcher.hasEvidence(conversation, [word])
     );
 
     if (!professionalism && !empathy) return 0;
@@ -363,23 +636,28 @@ class GradingEngine {
     // Check for therapeutic communication
     const therapeuticWords = ['rapport', 'active listening', 'validation'];
     const therapeutic = therapeuticWords.some(word => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [word])
+      rubricMatcher.hasEvidence(conversation, [word])
     );
     
     if (professionalism && empathy && therapeutic) return 3;
     return 2;
   }
 
-  scoreHospitalRadio(conversation) {
+  scoreHospitalRadio(conversation, events = []) {
+    // A notification keyed up over the radio is graded on what reached the hospital and how long it took
+    if (this.getRadioReports(events).length > 0) {
+      return this.scoreRadioReports(events);
+    }
+
     const radioKeywords = ['hospital', 'radio', 'notification', 'eta'];
-    if (!this.checkKeywordsInConversation(this.getConversationText(conversation), radioKeywords)) {
+    if (!rubricMatcher.hasEvidence(conversation, radioKeywords)) {
       return 0;
     }
 
     // Check for completeness and organization
     const essentialElements = ['age', 'chief complaint', 'eta', 'priority'];
     const foundElements = essentialElements.filter(element => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [element])
+      rubricMatcher.hasEvidence(conversation, [element])
     );
 
     if (foundElements.length < 2) return 1;
@@ -387,16 +665,62 @@ class GradingEngine {
     return 3;
   }
 
-  scoreHandover(conversation) {
+  /**
+   * Hospital notifications the student keyed up, each gathered over the
+   * transmissions it took, including the answers to the base station's questions
+   * @param {Array} events - Timeline events
+   * @returns {Array} - { reportId, turn, elapsedMs, transmissions, durationMs, durationSource, elements, missing, questions, concerns }
+   */
+  getRadioReports(events = []) {
+    const radio = events.filter(event => event.type === 'radio' && event.channel === 'hospital');
+    const reportIds = [...new Set(radio.filter(event => event.kind === 'transmission').map(event => event.reportId))];
+
+    return reportIds.map(reportId => {
+      const transmissions = radio.filter(event => event.kind === 'transmission' && event.reportId === reportId);
+      const last = transmissions[transmissions.length - 1];
+      return {
+        reportId,
+        turn: transmissions[0].turn,
+        elapsedMs: transmissions[0].elapsedMs,
+        transmissions: transmissions.length,
+        durationMs: transmissions.reduce((sum, event) => sum + event.durationMs, 0),
+        // Timed from the recording only when every transmission was spoken
+        durationSource: transmissions.every(event => event.durationSource === 'audio') ? 'audio' : 'estimated',
+        elements: [...new Set(transmissions.flatMap(event => event.elements))],
+        missing: last.missing,
+        questions: radio.filter(event => event.kind === 'reply' && event.reportId === reportId && event.question).map(event => event.question),
+        concerns: [...new Set(transmissions.flatMap(event => event.concerns))]
+      };
+    });
+  }
+
+  // Hospital Radio (0-3) from the best notification: complete and under a minute
+  // earns 2; complete without prompting, nothing out of place and under 30 s earns 3
+  scoreRadioReports(events = []) {
+    const scores = this.getRadioReports(events).map(report => {
+      if (report.missing.length > 0 || report.durationMs > RADIO_REPORT_LIMITS_MS.complete) return 1;
+      if (report.questions.length > 0 || report.concerns.length > 0 || report.durationMs > RADIO_REPORT_LIMITS_MS.concise) return 2;
+      return 3;
+    });
+    return scores.length > 0 ? Math.max(...scores) : 0;
+  }
+
+  scoreHandover(conversation, events = []) {
+    // A handover given at the transfer of care is graded on its structure and accuracy (HandoverAnalyzer)
+    const handover = handoverAnalyzer.analyzeEvents(events);
+    if (handover) {
+      return handover.score;
+    }
+
     const handoverKeywords = ['handover', 'report', 'transfer of care', 'giving report'];
-    if (!this.checkKeywordsInConversation(this.getConversationText(conversation), handoverKeywords)) {
+    if (!rubricMatcher.hasEvidence(conversation, handoverKeywords)) {
       return 0;
     }
 
     // Check for completeness
     const handoverElements = ['age', 'complaint', 'findings', 'vitals', 'treatments'];
     const foundElements = handoverElements.filter(element => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [element])
+      rubricMatcher.hasEvidence(conversation, [element])
     );
 
     if (foundElements.length < 2) return 1;
@@ -407,7 +731,7 @@ class GradingEngine {
   scoreDisposition(conversation) {
     const dispositionKeywords = ['field impression', 'transport', 'destination'];
     const foundElements = dispositionKeywords.filter(keyword => 
-      this.checkKeywordsInConversation(this.getConversationText(conversation), [keyword])
+      rubricMatcher.hasEvidence(conversation, [keyword])
     );
 
     if (foundElements.length === 0) return 0;
@@ -420,8 +744,8 @@ class GradingEngine {
     const leadershipKeywords = ['delegate', 'partner', 'help', 'assist', 'teamwork'];
     const safetyKeywords = ['safety', 'hazard', 'secure'];
     
-    const leadership = this.checkKeywordsInConversation(this.getConversationText(conversation), leadershipKeywords);
-    const safety = this.checkKeywordsInConversation(this.getConversationText(conversation), safetyKeywords);
+    const leadership = rubricMatcher.hasEvidence(conversation, leadershipKeywords);
+    const safety = rubricMatcher.hasEvidence(conversation, safetyKeywords);
 
     if (!leadership && !safety) return 0;
     if (leadership || safety) return 1;
@@ -429,22 +753,22 @@ class GradingEngine {
     
     // Check for advanced leadership indicators
     const advancedKeywords = ['situational awareness', 'resource management', 'collaborative'];
-    const advanced = this.checkKeywordsInConversation(this.getConversationText(conversation), advancedKeywords);
+    const advanced = rubricMatcher.hasEvidence(conversation, advancedKeywords);
     
     if (leadership && safety && advanced) return 3;
     return 2;
   }
 
   // Grade time management
-  gradeTimeManagement(timeSpentMinutes) {
-    const passed = timeSpentMinutes <= this.rubric.timeLimit;
+  gradeTimeManagement(timeSpentMinutes, rubric = this.rubric) {
+    const passed = timeSpentMinutes <= rubric.timeLimit;
     return {
       timeSpent: timeSpentMinutes,
-      timeLimit: this.rubric.timeLimit,
+      timeLimit: rubric.timeLimit,
       passed,
       feedback: passed ? 
         'Completed within time limit' : 
-        `Exceeded time limit by ${timeSpentMinutes - this.rubric.timeLimit} minutes`
+        `Exceeded time limit by ${timeSpentMinutes - rubric.timeLimit} minutes`
     };
   }
 
@@ -466,35 +790,35 @@ class GradingEngine {
   }
 
   countRelevantInteractions(conversation, keywords) {
-    let count = 0;
-    const userMessages = conversation.filter(msg => msg.role === 'user');
-    
-    userMessages.forEach(msg => {
-      if (this.checkKeywordsInConversation(msg.content, keywords)) {
-        count++;
-      }
-    });
-    
-    return count;
+    return rubricMatcher.countEvidenceTurns(conversation, keywords);
   }
 
-  generateSectionFeedback(conversationText, section, score) {
+  generateSectionFeedback(conversationText, section, score, events = []) {
     const feedback = [];
     
+    // Sections out of more than 3 points are judged by the share of points earned
+    const level = section.maxScore === 3 ? score : Math.floor((score / section.maxScore) * 3);
     if (score === 0) {
       feedback.push(`${section.name} was not attempted or not evident in the conversation.`);
-    } else if (score === 1) {
+    } else if (level <= 1) {
       feedback.push(`${section.name} was attempted but incomplete or poorly executed.`);
-    } else if (score === 2) {
+    } else if (level === 2) {
       feedback.push(`${section.name} was adequately performed.`);
     } else {
       feedback.push(`${section.name} was excellently performed.`);
     }
 
+    // A handover report given at the transfer of care gets feedback from its analysis, not keywords
+    const handover = section.scorer === 'handover' ? handoverAnalyzer.analyzeEvents(events) : null;
+    if (handover) {
+      return [...feedback, ...handoverAnalyzer.suggest(handover)];
+    }
+
     // Add specific suggestions based on missing elements
-    const keywordFound = this.checkKeywordsInConversation(conversationText, section.keywords);
-    if (!keywordFound) {
-      feedback.push(`Consider including: ${section.keywords.slice(0, 3).join(', ')}`);
+    const { keywords } = this.getSectionMatchers(section);
+    const keywordFound = this.checkKeywordsInConversation(conversationText, keywords);
+    if (!keywordFound && keywords.length > 0) {
+      feedback.push(`Consider including: ${keywords.slice(0, 3).join(', ')}`);
     }
 
     return feedback;
@@ -518,33 +842,112 @@ class GradingEngine {
   }
 
   // Generate comprehensive feedback report
-  generateFeedbackReport(gradingResults, scenarioData) {
+  generateFeedbackReport(gradingResults, scenarioData, timeline = null) {
+    const rubric = gradingResults.rubric || this.rubric;
     const report = {
+      rubric: { id: rubric.id, version: rubric.version, ref: rubric.ref, title: rubric.title },
       summary: {
         totalScore: gradingResults.totalScore,
-        maxScore: this.rubric.totalPoints,
-        percentage: Math.round((gradingResults.totalScore / this.rubric.totalPoints) * 100),
+        maxScore: rubric.totalPoints,
+        percentage: Math.round((gradingResults.totalScore / rubric.totalPoints) * 100),
         pass: gradingResults.overallPass,
         timeSpent: gradingResults.timeManagement.timeSpent,
         timeLimit: gradingResults.timeManagement.timeLimit
       },
+      passRules: { ...rubric.passRules },
+      passChecks: gradingResults.passChecks || null,
+      criticalCriteria: {
+        total: Object.keys(gradingResults.criticalCriteria || {}).length,
+        failures: gradingResults.criticalFailures || []
+      },
       checkboxItems: {
         completed: Object.values(gradingResults.checkboxItems).filter(item => item.completed).length,
         total: Object.keys(gradingResults.checkboxItems).length,
         details: gradingResults.checkboxItems
       },
       scoredSections: gradingResults.scoredSections,
+      sequenceViolations: gradingResults.sequenceViolations || [],
       recommendations: this.generateRecommendations(gradingResults),
       strengths: this.identifyStrengths(gradingResults),
-      areasForImprovement: this.identifyAreasForImprovement(gradingResults)
+      areasForImprovement: this.identifyAreasForImprovement(gradingResults),
+      keyEvents: this.summarizeKeyEvents(timeline),
+      teamwork: gradingResults.teamwork || null,
+      partnerOrders: gradingResults.partnerOrders || [],
+      radioReports: gradingResults.radioReports || [],
+      handover: gradingResults.handover || null
     };
 
     return report;
   }
 
+  // Rubric items one student turn satisfied: credited critical items and scored
+  // sections that list the turn among their evidence
+  getRubricItemsForTurn(turnNumber, gradingResults) {
+    if (!gradingResults) return [];
+    const citesTurn = result => (result.evidence || []).some(e => e.turn === turnNumber);
+    const items = [];
+
+    Object.entries(gradingResults.checkboxItems).forEach(([id, item]) => {
+      if (item.completed && citesTurn(item)) {
+        items.push({ id, label: item.description, kind: 'critical', confidence: item.confidence });
+      }
+    });
+
+    Object.entries(gradingResults.scoredSections).forEach(([id, section]) => {
+      if (section.score > 0 && citesTurn(section)) {
+        items.push({ id, label: section.name, kind: 'section', confidence: section.confidence });
+      }
+    });
+
+    return items;
+  }
+
+  // Timed list of what the student did to the patient, for the feedback report
+  summarizeKeyEvents(timeline) {
+    if (!timeline) return [];
+
+    const describe = event => {
+      switch (event.type) {
+        case 'intervention': return event.description;
+        case 'vitals': return `${event.by === 'partner' ? 'Partner checked' : 'Checked'} ${event.checked.join(', ')}`;
+        case 'error': return `⚠️ ${event.message}`;
+        case 'examCompleted': return `${event.examType} completed (${event.score}%)`;
+        case 'injected': return `Instructor: ${event.description}`;
+        case 'radio': return this.describeRadioEvent(event);
+        case 'scenarioEnded': return `Scenario ended: ${event.trigger || event.reason}`;
+        default: return null;
+      }
+    };
+
+    return timeline.getEvents(['intervention', 'vitals', 'error', 'injected', 'radio', 'examCompleted', 'scenarioEnded'])
+      .filter(event => event.type !== 'vitals' || event.source === 'check')
+      .filter(event => event.type !== 'radio' || this.describeRadioEvent(event) !== null)
+      .map(event => ({
+        type: event.type,
+        elapsed: this.formatElapsed(event.elapsedMs),
+        description: describe(event)
+      }));
+  }
+
+  // Radio traffic worth listing among the key events: the start of each hospital notification and the ALS intercept
+  describeRadioEvent(event) {
+    if (event.kind === 'intercept') return `Requested ALS intercept (${event.unit}, ETA ${event.etaMinutes} min)`;
+    if (event.kind === 'alsArrived') return `ALS intercept ${event.unit} arrived`;
+    if (event.kind === 'transmission' && event.reportStart) return 'Radio report to the hospital';
+    return null;
+  }
+
+  formatElapsed(elapsedMs) {
+    return formatElapsed(elapsedMs);
+  }
+
   generateRecommendations(gradingResults) {
     const recommendations = [];
 
+    (gradingResults.criticalFailures || []).forEach(failure => {
+      recommendations.push(`Critical failure: ${failure.reason}`);
+    });
+
     // Check for failed checkbox items
     Object.entries(gradingResults.checkboxItems).forEach(([key, item]) => {
       if (!item.completed) {
@@ -554,11 +957,17 @@ class GradingEngine {
 
     // Check for low-scoring sections
     Object.entries(gradingResults.scoredSections).forEach(([key, section]) => {
-      if (section.score < 2) {
+      if (this.isSectionBelowStandard(section, (gradingResults.rubric || this.rubric).passRules)) {
         recommendations.push(`Improve ${section.name}: ${section.criteria}`);
       }
     });
 
+    Object.values(gradingResults.sequenceRules || {}).forEach(rule => {
+      if (rule.violations.length > 0) {
+        recommendations.push(`Order and timing of care: ${rule.description}`);
+      }
+    });
+
     if (!gradingResults.timeManagement.passed) {
       recommendations.push('Work on time management - practice completing assessments more efficiently');
     }
@@ -566,11 +975,18 @@ class GradingEngine {
     return recommendations;
   }
 
+  // Below the rubric's per-section minimum, or under two thirds of the points when it has none
+  isSectionBelowStandard(section, passRules = this.rubric.passRules) {
+    const minimum = passRules.minimumScorePerSection;
+    if (minimum !== null) return section.score < minimum;
+    return section.score < (section.maxScore * 2) / 3;
+  }
+
   identifyStrengths(gradingResults) {
     const strengths = [];
 
     Object.entries(gradingResults.scoredSections).forEach(([key, section]) => {
-      if (section.score === 3) {
+      if (section.score === section.maxScore) {
         strengths.push(`Excellent ${section.name}`);
       }
     });
@@ -578,7 +994,7 @@ class GradingEngine {
     const completedCheckboxes = Object.values(gradingResults.checkboxItems).filter(item => item.completed).length;
     const totalCheckboxes = Object.keys(gradingResults.checkboxItems).length;
     
-    if (completedCheckboxes === totalCheckboxes) {
+    if (totalCheckboxes > 0 && completedCheckboxes === totalCheckboxes) {
       strengths.push('Completed all critical assessment items');
     }
 
@@ -593,7 +1009,7 @@ class GradingEngine {
     const areas = [];
 
     Object.entries(gradingResults.scoredSections).forEach(([key, section]) => {
-      if (section.score < 2) {
+      if (this.isSectionBelowStandard(section, (gradingResults.rubric || this.rubric).passRules)) {
         areas.push(section.name);
       }
     });
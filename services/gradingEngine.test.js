@@ -0,0 +1,44 @@
+// services/gradingEngine.test.js
+const ScenarioTimeline = require('./scenarioTimeline');
+const gradingEngine = require('./gradingEngine');
+
+describe('GradingEngine citations', () => {
+  let timeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    timeline = new ScenarioTimeline();
+    timeline.recordUtterance("I'm ready", 0);
+    timeline.start(0);
+    timeline.recordUtterance('gloves on, any allergies?', 15000);
+    timeline.recordUtterance('what medications do you take?', 45000);
+    timeline.recordUtterance('I will not do a blood sweep', 75000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should quote the turns behind a section score with the level each one reached', () => {
+    const results = gradingEngine.gradeScenario([], {}, 5, null, timeline);
+    const pmh = results.scoredSections.pmh;
+
+    expect(pmh).toMatchObject({ score: 1, nextCriteria: 'obtains a complete SAMPLE history' });
+    expect(pmh.citations).toEqual([
+      expect.objectContaining({ turn: 2, elapsed: '0:15', quote: 'gloves on, any allergies?', status: 'earned', level: 1, criterion: 'obtains an incomplete SAMPLE history' }),
+      expect.objectContaining({ turn: 3, elapsed: '0:45', quote: 'what medications do you take?', status: 'earned', level: 1 })
+    ]);
+  });
+
+  test('should cite the turns that earned or missed each critical item', () => {
+    const results = gradingEngine.gradeScenario([], {}, 5, null, timeline);
+
+    expect(results.checkboxItems.ppe.citations).toEqual([
+      expect.objectContaining({ turn: 2, elapsed: '0:15', status: 'earned', reason: null })
+    ]);
+    expect(results.checkboxItems.hemorrhage.citations).toEqual([
+      expect.objectContaining({ turn: 4, elapsed: '1:15', quote: 'I will not do a blood sweep', status: 'missed', reason: 'negated' })
+    ]);
+    expect(results.checkboxItems.cpr.citations).toEqual([]);
+  });
+});
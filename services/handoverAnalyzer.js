@@ -0,0 +1,358 @@
+// services/handoverAnalyzer.js
+const TextNormalizer = require('./utils/textNormalizer');
+const rubricMatcher = require('./rubricMatcher');
+const { TREATMENTS } = require('./physiologyEngine');
+const { DRUGS } = require('./pharmacology');
+
+/**
+ * What a part of the report is about. A clause can cover several ("58 year old
+ * male complaining of chest pain" is demographics and complaint); the order in
+ * which each first comes up decides the structure.
+ */
+const COMPONENTS = {
+  demographics: /\b\d{1,3} ?(?:year|yr|yo|y\/o|month)|\b(?:age|aged) \d{1,3}\b|\b(?:male|female|man|woman|gentleman|lady|boy|girl)\b/,
+  mechanism: /\b(fell|fall|falls|mvc|mva|collision|crash|struck|hit by|assault\w*|stab\w*|gunshot|gsw|ejected|rollover|mechanism|dropped)\b/,
+  complaint: /\b(complain\w*|c\/o|chief complaint|presenting with|pain|shortness of breath|short of breath|difficulty breathing|sob|unresponsive|altered|seizure\w*|weakness|dizz\w*|nause\w*|vomit\w*|bleeding|found)\b/,
+  findings: /\b(injur\w*|deformit\w*|fractur\w*|lacerations?|abrasions?|contusions?|tender\w*|swelling|swollen|bruis\w*|wheez\w*|crackles|diaphore\w*|pale|cyanotic|lung sounds|pupils|gcs|alert|oriented|exam|findings?)\b/,
+  signs: /\b\d{2,3} ?(?:over|\/) ?\d{2,3}\b|\b(?:pulse|heart rate|hr|resp\w*|rr|sats?|spo2|saturation|bp|blood pressure|glucose|sugar|bgl)(?: rate)?(?: is| of| at| was)? \d{1,3}\b|\bvitals?\b/,
+  background: /\b(history|hx|pmh|medications?|meds|allerg\w*|nkda|takes|prescribed|last oral intake|hypertension|copd|asthma)\b/,
+  treatment: /\b(gave|given|administered|placed|applied|started|treated|treatment|oxygen|o2|nrb|non ?rebreather|nasal cannula|bvm|aspirin|asa|nitro\w*|ntg|epi\w*|albuterol|oral glucose|splint\w*|c ?collar|backboard|tourniquet|direct pressure|position of comfort|cooling)\b/,
+  impression: /\b(impression|suspect\w*|likely|possible|probable|consistent with|concern(?:ed)? for|rule out|working diagnosis)\b/,
+  recommendation: /\b(recommend\w*|request\w*|suggest\w*|would like|needs? (?:a|an|to)|please)\b/
+};
+
+// Report formats, as their parts map onto the components above
+const STRUCTURES = {
+  // Situation, Background, Assessment, Recommendation
+  SBAR: [['demographics', 'complaint', 'mechanism'], ['background'], ['findings', 'signs', 'impression'], ['recommendation']],
+  // Demographics, Mechanism or medical complaint, Injuries or illness, Signs, Treatment
+  DMIST: [['demographics'], ['mechanism', 'complaint'], ['findings'], ['signs'], ['treatment']],
+  MIST: [['mechanism', 'complaint'], ['findings'], ['signs'], ['treatment']]
+};
+
+// Headings a student may say out loud ("Situation: ...", "Mechanism: ...")
+const LABELS = {
+  SBAR: /\b(situation|background|assessment|recommendation)\s*:/g,
+  MIST: /\b(mechanism|injur(?:y|ies)|illness|signs|treatments?)\s*:/g
+};
+
+// Openers and sign-offs that are neither relevant nor out of place
+const FILLER = /^(?:hi|hello|hey|this is|my name|i am|im|here is|heres|report|handover|handing over|hand over|giving (?:my )?report|transfer\w*(?: of)? care|ok|okay|so|thanks?|thank you|any questions?|that is all|thats all)\b/;
+
+// Vitals a report can state, with how far off a stated value may be from the last reading
+const VITALS = {
+  heartRate: { label: 'heart rate', checked: 'heart rate', tolerance: 10, pattern: /\b(?:pulse|heart rate|hr)(?: rate)?(?: is| of| at| was)? (\d{2,3})\b/ },
+  bloodPressure: { label: 'blood pressure', checked: 'blood pressure', tolerance: 10, pattern: /\b(\d{2,3}) ?(?:over|\/) ?(\d{2,3})\b/ },
+  respiratoryRate: { label: 'respiratory rate', checked: 'respiratory rate', tolerance: 4, pattern: /\b(?:resp\w*|rr)(?: rate)?(?: is| of| at| was)? (\d{1,2})\b/ },
+  spO2: { label: 'SpO2', checked: 'oxygen saturation', tolerance: 2, pattern: /\b(?:sats?|spo2|saturation|pulse ox)(?: is| of| at| was)? (\d{2,3})\b|\b(\d{2,3}) percent\b/ },
+  glucose: { label: 'blood glucose', checked: 'blood glucose', tolerance: 15, pattern: /\b(?:glucose|sugar|bgl)(?: is| of| at| was)? (\d{2,3})\b/ }
+};
+
+// Treatments and medications a report can claim, keyed as the timeline records them
+const STATED_TREATMENTS = {
+  oxygen: { label: 'oxygen', pattern: TREATMENTS.oxygen.pattern },
+  hemorrhageControl: { label: 'bleeding control', pattern: TREATMENTS.hemorrhageControl.pattern },
+  positioning: { label: 'positioning', pattern: TREATMENTS.positioning.pattern },
+  cooling: { label: 'cooling', pattern: TREATMENTS.cooling.pattern }
+};
+const STATED_MEDICATIONS = {
+  epinephrine: /\b(epi|epinephrine|epipen|epi pen)\b/,
+  albuterol: /\b(albuterol|ventolin|nebulizer|neb)\b/,
+  nitroglycerin: /\b(nitro|nitroglycerin|ntg)\b/,
+  aspirin: /\b(aspirin|asa)\b/,
+  glucose: /\b(oral glucose|glucose gel|insta ?glucose)\b/
+};
+
+// Required elements as feedback names them
+const ELEMENT_LABELS = {
+  age: 'patient age',
+  chiefComplaint: 'chief complaint',
+  vitals: 'vital signs',
+  treatment: 'treatments given'
+};
+
+/**
+ * Grades a handover report on what a receiving nurse or physician needs:
+ * the structure it follows (SBAR, DMIST or MIST), whether its facts match the
+ * scenario (the patient's age, the last vitals taken, the treatments actually
+ * given), what it left out, and what did not belong in it. The report is the
+ * text of the handover events on the timeline, and the facts come from the
+ * same timeline, so a report is graded against what the student actually did.
+ */
+class HandoverAnalyzer {
+  /**
+   * Analyze the handover on a timeline
+   * @param {Array} events - Timeline events
+   * @returns {Object|null} - Analysis from analyze() with the turns it took and what the receiver asked for, or null when no handover was given
+   */
+  analyzeEvents(events = []) {
+    const reports = events.filter(event => event.type === 'handover' && event.kind === 'report');
+    if (reports.length === 0) return null;
+
+    // Only what had happened by the time the report started can be reported
+    const before = events.filter(event => event.seq < reports[0].seq);
+    const analysis = {
+      turns: reports.map(event => event.turn),
+      asked: events.filter(event => event.type === 'handover' && event.kind === 'question').map(event => event.element),
+      ...this.analyze(reports.map(event => event.text).join('\n'), this.getFacts(before))
+    };
+    analysis.score = this.score(analysis);
+    return analysis;
+  }
+
+  /**
+   * The facts a report is checked against
+   * @param {Array} events - Timeline events up to the handover
+   * @returns {Object} - { age, chiefComplaint, vitals: { heartRate: { value, elapsedMs }, ... }, performed: [key] }
+   */
+  getFacts(events = []) {
+    const generated = events.filter(event => event.type === 'scenarioGenerated').pop();
+    const age = parseInt(generated?.patient?.age ?? generated?.dispatch?.age, 10);
+
+    const vitals = {};
+    events
+      .filter(event => event.type === 'vitals' && event.source === 'check' && event.vitals)
+      .forEach(event => {
+        Object.entries(VITALS).forEach(([key, definition]) => {
+          if (!(event.checked || []).includes(definition.checked)) return;
+          vitals[key] = {
+            value: key === 'bloodPressure' ? [event.vitals.systolic, event.vitals.diastolic] : event.vitals[key],
+            elapsedMs: event.elapsedMs
+          };
+        });
+      });
+
+    const performed = new Set();
+    events.filter(event => event.type === 'intervention').forEach(event => {
+      (event.treatments || []).forEach(key => performed.add(key));
+      if (event.dose?.medication) performed.add(event.dose.medication);
+    });
+
+    return {
+      age: Number.isFinite(age) ? age : null,
+      chiefComplaint: generated?.patient?.chiefComplaint || null,
+      vitals,
+      performed: [...performed]
+    };
+  }
+
+  /**
+   * Analyze a handover report
+   * @param {string} text - What the student said, across all of their handover messages
+   * @param {Object} facts - Facts from getFacts()
+   * @returns {Object} - { structure, labelled, components, elements, missing, discrepancies, unreported, irrelevant, score }
+   */
+  analyze(text, facts = {}) {
+    const clauses = this.splitClauses(text);
+    if (clauses.length === 0) {
+      return { structure: null, labelled: false, components: [], elements: {}, missing: [], discrepancies: [], unreported: [], irrelevant: [], score: 0 };
+    }
+
+    const classified = clauses.map(clause => ({ ...clause, components: this.classify(clause.normalized, facts) }));
+    const components = [];
+    classified.forEach(clause => clause.components.forEach(component => {
+      if (!components.includes(component)) components.push(component);
+    }));
+    const { structure, labelled } = this.detectStructure(text, components);
+
+    const stated = this.findStated(classified);
+    const performed = facts.performed || [];
+    const elements = {
+      age: stated.age !== null,
+      chiefComplaint: components.includes('complaint') || components.includes('mechanism'),
+      vitals: Object.keys(stated.vitals).length > 0,
+      treatment: stated.treatments.length > 0 || stated.noTreatment,
+      impression: components.includes('impression')
+    };
+    const missing = ['age', 'chiefComplaint', 'vitals', 'treatment']
+      .filter(element => !elements[element])
+      // Nothing given, nothing to report
+      .filter(element => element !== 'treatment' || performed.length > 0);
+
+    const analysis = {
+      structure,
+      labelled,
+      components,
+      elements,
+      missing,
+      discrepancies: this.checkFacts(stated, facts),
+      unreported: performed.filter(key => !stated.treatments.includes(key)).map(key => this.describeTreatment(key)),
+      irrelevant: classified
+        .filter(clause => clause.components.length === 0 && !FILLER.test(clause.normalized) && clause.normalized.split(' ').length >= 3)
+        .map(clause => clause.text)
+    };
+    analysis.score = this.score(analysis);
+    return analysis;
+  }
+
+  // Sentences and comma-separated parts, each kept with its normalized form
+  splitClauses(text) {
+    return String(text || '')
+      .split(/[.;!?\n]+|,(?!\d)/)
+      .map(part => part.replace(/^\s*(?:situation|background|assessment|recommendation|mechanism|injur(?:y|ies)|illness|signs|treatments?|demographics?)\s*:\s*/i, '').trim())
+      .filter(Boolean)
+      .map(part => ({ text: part, normalized: this.normalize(part) }))
+      .filter(part => part.normalized.length > 0);
+  }
+
+  classify(normalized, facts = {}) {
+    const found = Object.keys(COMPONENTS).filter(component => COMPONENTS[component].test(normalized));
+    // The scenario's own chief complaint counts even in words the patterns do not know
+    if (!found.includes('complaint') && this.mentionsChiefComplaint(normalized, facts.chiefComplaint)) found.push('complaint');
+    // Home medications are background, not treatment given
+    return found.includes('background') ? found.filter(component => component !== 'treatment') : found;
+  }
+
+  mentionsChiefComplaint(normalized, chiefComplaint) {
+    const words = this.normalize(chiefComplaint || '').split(' ').filter(word => word.length >= 5);
+    return words.some(word => new RegExp(`\\b${word}`).test(normalized));
+  }
+
+  /**
+   * Which format the report follows: said-out-loud headings first, otherwise the
+   * order its parts come up in
+   * @param {string} text - Report text
+   * @param {Array} components - Components in order of first mention
+   * @returns {Object} - { structure: 'SBAR' | 'DMIST' | 'MIST' | null, labelled }
+   */
+  detectStructure(text, components) {
+    const lower = String(text || '').toLowerCase();
+    const sbarLabels = new Set(lower.match(LABELS.SBAR) || []);
+    if (sbarLabels.size >= 3) return { structure: 'SBAR', labelled: true };
+    const mistLabels = new Set(lower.match(LABELS.MIST) || []);
+    if (mistLabels.size >= 3) {
+      return { structure: components[0] === 'demographics' ? 'DMIST' : 'MIST', labelled: true };
+    }
+
+    const structure = ['SBAR', 'DMIST', 'MIST'].find(name => this.followsOrder(STRUCTURES[name], components, name)) || null;
+    return { structure, labelled: false };
+  }
+
+  // Every part present, except the optional injuries/illness, and first mentioned in order
+  followsOrder(parts, components, name) {
+    const positions = parts.map(part => {
+      const indexes = part.map(component => components.indexOf(component)).filter(index => index >= 0);
+      return indexes.length > 0 ? Math.min(...indexes) : -1;
+    });
+    const optional = name === 'SBAR' ? [] : [parts.findIndex(part => part.includes('findings'))];
+    if (positions.some((position, index) => position < 0 && !optional.includes(index))) return false;
+    const present = positions.filter(position => position >= 0);
+    return present.every((position, index) => index === 0 || position > present[index - 1]);
+  }
+
+  // Age, vitals and treatments the report states, skipping negated ones ("no nitro given")
+  findStated(clauses) {
+    const stated = { age: null, vitals: {}, treatments: [], noTreatment: false };
+
+    clauses.forEach(({ normalized, components }) => {
+      const age = /\b(\d{1,3}) ?(?:year|yr|yo|y\/o)|\b(?:age|aged) (\d{1,3})\b|\b(\d{1,3}) ?(?:male|female|man|woman)\b/.exec(normalized);
+      if (age && stated.age === null) stated.age = Number(age[1] || age[2] || age[3]);
+
+      Object.entries(VITALS).forEach(([key, definition]) => {
+        const match = definition.pattern.exec(normalized);
+        if (!match || stated.vitals[key]) return;
+        stated.vitals[key] = key === 'bloodPressure'
+          ? [Number(match[1]), Number(match[2])]
+          : Number(match[1] || match[2]);
+      });
+
+      if (!components.includes('treatment')) return;
+      if (/\bno (?:treatments?|interventions?|meds|medications) (?:given|done)\b|\bnothing given\b/.test(normalized)) stated.noTreatment = true;
+      // "o2 sat 94" is a reading, not oxygen given
+      const treatmentText = normalized.replace(/\b(?:o2|oxygen) sat\w*(?: \d+)?/g, '');
+      const claims = [
+        ...Object.entries(STATED_TREATMENTS).map(([key, definition]) => [key, definition.pattern]),
+        ...Object.entries(STATED_MEDICATIONS)
+      ];
+      claims.forEach(([key, pattern]) => {
+        const match = new RegExp(pattern.source).exec(treatmentText);
+        if (!match || stated.treatments.includes(key)) return;
+        if (!rubricMatcher.isNegated(treatmentText.slice(0, match.index).trim())) stated.treatments.push(key);
+      });
+    });
+
+    return stated;
+  }
+
+  /**
+   * Facts the report got wrong
+   * @param {Object} stated - From findStated()
+   * @param {Object} facts - From getFacts()
+   * @returns {Array} - { kind: 'age' | 'vital' | 'treatment', item, stated, actual, message }
+   */
+  checkFacts(stated, facts = {}) {
+    const discrepancies = [];
+
+    if (stated.age !== null && facts.age !== null && facts.age !== undefined && Math.abs(stated.age - facts.age) > 1) {
+      discrepancies.push({ kind: 'age', item: 'age', stated: stated.age, actual: facts.age, message: `Stated age ${stated.age}, but the patient is ${facts.age}` });
+    }
+
+    Object.entries(stated.vitals).forEach(([key, value]) => {
+      const definition = VITALS[key];
+      const reading = facts.vitals?.[key];
+      const format = v => (Array.isArray(v) ? v.join('/') : String(v));
+      if (!reading) {
+        discrepancies.push({ kind: 'vital', item: key, stated: value, actual: null, message: `Reported a ${definition.label} of ${format(value)} without ever measuring it` });
+        return;
+      }
+      const statedValues = [].concat(value);
+      const actualValues = [].concat(reading.value);
+      if (statedValues.some((v, index) => Math.abs(v - actualValues[index]) > definition.tolerance)) {
+        discrepancies.push({ kind: 'vital', item: key, stated: value, actual: reading.value, message: `Stated ${definition.label} ${format(value)}, but the last reading was ${format(reading.value)}` });
+      }
+    });
+
+    stated.treatments
+      .filter(key => !(facts.performed || []).includes(key))
+      .forEach(key => {
+        discrepancies.push({ kind: 'treatment', item: key, stated: true, actual: false, message: `Reported ${this.describeTreatment(key)}, which was never given` });
+      });
+
+    return discrepancies;
+  }
+
+  /**
+   * Handover Report (0-3): complete, accurate and structured earns 2; with a
+   * field impression, nothing out of place and no questions from the receiver earns 3
+   * @param {Object} analysis - From analyze()
+   * @returns {number} - Section score
+   */
+  score(analysis) {
+    if (!analysis || analysis.components.length === 0) return 0;
+    if (analysis.missing.length > 0 || analysis.discrepancies.length > 0 || analysis.unreported.length > 0 || !analysis.structure) return 1;
+    if (analysis.irrelevant.length > 0 || !analysis.elements.impression || (analysis.asked || []).length > 0) return 2;
+    return 3;
+  }
+
+  /**
+   * What to change in the report, for the Handover Report section's feedback
+   * @param {Object} analysis - From analyzeEvents()
+   * @returns {Array} - Feedback lines, none for a report that earned full marks
+   */
+  suggest(analysis) {
+    const suggestions = [];
+    if (analysis.missing.length > 0) suggestions.push(`Include: ${analysis.missing.map(element => ELEMENT_LABELS[element]).join(', ')}`);
+    analysis.discrepancies.forEach(discrepancy => suggestions.push(discrepancy.message));
+    if (analysis.unreported.length > 0) suggestions.push(`Report every treatment given: ${analysis.unreported.map(key => this.describeTreatment(key)).join(', ')}`);
+    if (!analysis.structure) suggestions.push('Organize the report as SBAR, DMIST or MIST');
+    if ((analysis.asked || []).length > 0) suggestions.push(`Give it without being asked for: ${analysis.asked.map(element => ELEMENT_LABELS[element]).join(', ')}`);
+    if (!analysis.elements.impression) suggestions.push('State your field impression');
+    if (analysis.irrelevant.length > 0) suggestions.push(`Leave out: ${analysis.irrelevant.map(text => `"${text}"`).join(', ')}`);
+    return suggestions;
+  }
+
+  describeTreatment(key) {
+    return STATED_TREATMENTS[key]?.label || DRUGS[key]?.label.toLowerCase() || key;
+  }
+
+  normalize(text) {
+    return TextNormalizer.normalizeToAsciiLower(text).replace(/['’]/g, '').replace(/[^a-z0-9/ ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+}
+
+const handoverAnalyzer = new HandoverAnalyzer();
+handoverAnalyzer.HandoverAnalyzer = HandoverAnalyzer;
+handoverAnalyzer.STRUCTURES = STRUCTURES;
+handoverAnalyzer.ELEMENT_LABELS = ELEMENT_LABELS;
+
+module.exports = handoverAnalyzer;
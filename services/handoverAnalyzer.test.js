@@ -0,0 +1,90 @@
+// services/handoverAnalyzer.test.js
+const handoverAnalyzer = require('./handoverAnalyzer');
+const ScenarioTimeline = require('./scenarioTimeline');
+const gradingEngine = require('./gradingEngine');
+
+describe('HandoverAnalyzer', () => {
+  const facts = {
+    age: 58,
+    chiefComplaint: 'chest pain',
+    vitals: {
+      heartRate: { value: 96, elapsedMs: 120000 },
+      bloodPressure: { value: [150, 90], elapsedMs: 120000 }
+    },
+    performed: ['oxygen', 'aspirin']
+  };
+  const dmist = '58 year old male complaining of chest pain. Pale and diaphoretic. Pulse 96, BP 150/90. ' +
+    'We gave oxygen and aspirin. Suspect a cardiac event.';
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should recognize the report structure', () => {
+    expect(handoverAnalyzer.analyze(dmist, facts)).toMatchObject({ structure: 'DMIST', labelled: false, missing: [], score: 3 });
+
+    const sbar = handoverAnalyzer.analyze('Situation: 58 year old male with chest pain. Background: history of hypertension. ' +
+      'Assessment: pulse 96, BP 150/90, likely cardiac. Gave oxygen and aspirin. Recommendation: needs a 12 lead right away.', facts);
+    expect(sbar).toMatchObject({ structure: 'SBAR', labelled: true, score: 3 });
+
+    expect(handoverAnalyzer.analyze('We gave oxygen and aspirin. Pulse 96, BP 150/90. He is 58 and has chest pain.', facts).structure).toBeNull();
+  });
+
+  test('should check what was said against the patient and the readings', () => {
+    const analysis = handoverAnalyzer.analyze('62 year old male complaining of chest pain. Pulse 130, BP 150/90, sats 98. ' +
+      'We gave oxygen, aspirin and nitro.', facts);
+
+    expect(analysis.discrepancies.map(d => `${d.kind}:${d.item}`)).toEqual(
+      expect.arrayContaining(['age:age', 'vital:heartRate', 'vital:spO2', 'treatment:nitroglycerin'])
+    );
+    expect(analysis.discrepancies.map(d => d.item)).not.toContain('bloodPressure');
+    expect(analysis.score).toBe(1);
+  });
+
+  test('should flag treatments left out and content that does not belong', () => {
+    const analysis = handoverAnalyzer.analyze('58 year old male complaining of chest pain. Pulse 96, BP 150/90. ' +
+      'His wife says he likes golf. Suspect a cardiac event.', facts);
+
+    expect(analysis.missing).toEqual(['treatment']);
+    expect(analysis.unreported).toEqual(['oxygen', 'aspirin']);
+    expect(analysis.irrelevant).toEqual(['His wife says he likes golf']);
+    expect(handoverAnalyzer.analyze('handing over', facts).score).toBe(0);
+  });
+
+  test('should analyze a handover spread across messages against the timeline', () => {
+    const timeline = new ScenarioTimeline();
+    timeline.record('scenarioGenerated', { patient: { age: 58, chiefComplaint: 'chest pain' } }, 0);
+    timeline.recordUtterance("I'm ready", 0);
+    timeline.start(0);
+    timeline.record('vitals', { source: 'check', checked: ['heart rate', 'blood pressure'], vitals: { heartRate: 96, systolic: 150, diastolic: 90 } }, 60000);
+    timeline.record('intervention', { kind: 'treatment', description: 'oxygen', treatments: ['oxygen'] }, 90000);
+    timeline.record('intervention', { kind: 'medication', description: 'aspirin', dose: { medication: 'aspirin' } }, 100000);
+    timeline.recordUtterance('Handover: 58 year old male complaining of chest pain.', 120000);
+    timeline.record('handover', { kind: 'report', text: '58 year old male complaining of chest pain. Pale and diaphoretic.' }, 120000);
+    timeline.recordUtterance('Pulse 96, BP 150/90. We gave oxygen and aspirin. Suspect a cardiac event.', 150000);
+    timeline.record('handover', { kind: 'report', text: 'Pulse 96, BP 150/90. We gave oxygen and aspirin. Suspect a cardiac event.' }, 150000);
+    // Given after the report started, so the report could not have included it
+    timeline.record('vitals', { source: 'check', checked: ['heart rate'], vitals: { heartRate: 130 } }, 160000);
+
+    const analysis = handoverAnalyzer.analyzeEvents(timeline.getEvents());
+    expect(analysis).toMatchObject({ turns: [2, 3], structure: 'DMIST', discrepancies: [], score: 3 });
+    expect(handoverAnalyzer.analyzeEvents([])).toBeNull();
+
+    const results = gradingEngine.gradeScenario([], {}, 5, null, timeline);
+    expect(results.scoredSections.handover.score).toBe(3);
+    expect(results.handover.structure).toBe('DMIST');
+    expect(results.scoredSections.handover.feedback).toEqual(['Handover Report was excellently performed.']);
+
+    // Having to be asked for part of it at the bedside keeps it from full marks
+    timeline.record('handover', { kind: 'question', element: 'treatment', text: 'What have you given so far?' }, 170000);
+    expect(handoverAnalyzer.analyzeEvents(timeline.getEvents())).toMatchObject({ asked: ['treatment'], score: 2 });
+    expect(gradingEngine.gradeScenario([], {}, 5, null, timeline).scoredSections.handover.feedback).toEqual([
+      'Handover Report was adequately performed.',
+      'Give it without being asked for: treatments given'
+    ]);
+  });
+});
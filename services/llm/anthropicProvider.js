@@ -0,0 +1,102 @@
+// services/llm/anthropicProvider.js
+const LLMProvider = require('./llmProvider');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API over plain HTTPS (no SDK dependency).
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('Anthropic');
+
+    if (!options.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not defined in environment variables');
+    }
+
+    this.apiKey = options.apiKey;
+    this.baseURL = (options.baseURL || 'https://api.anthropic.com').replace(/\/+$/, '');
+  }
+
+  async request(pathname, init = {}) {
+    const response = await fetch(`${this.baseURL}${pathname}`, {
+      ...init,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        ...(init.headers || {})
+      }
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Anthropic API error ${response.status}: ${body?.error?.message || response.statusText}`);
+    }
+    return body;
+  }
+
+  /**
+   * Convert OpenAI-style messages: system prompts move to the top-level field,
+   * and consecutive turns from the same role are merged since the API
+   * requires user/assistant alternation starting with a user turn.
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @returns {Object} - { system, messages } for the Messages API
+   */
+  toAnthropicMessages(messages) {
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const turns = [];
+    for (const message of messages) {
+      if (message.role === 'system') continue;
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role, content: String(message.content || '') });
+      }
+    }
+    if (turns.length === 0 || turns[0].role !== 'user') {
+      turns.unshift({ role: 'user', content: '(continue)' });
+    }
+
+    return { system, messages: turns };
+  }
+
+  async chat(messages, options = {}) {
+    const converted = this.toAnthropicMessages(messages);
+    const request = {
+      model: options.model,
+      max_tokens: options.maxTokens || 1024,
+      messages: converted.messages
+    };
+    if (converted.system) request.system = converted.system;
+    if (options.temperature !== undefined) request.temperature = Math.min(1, options.temperature);
+    if (options.topP !== undefined) request.top_p = options.topP;
+
+    const body = await this.request('/v1/messages', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+
+    return (body.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  async transcribe() {
+    throw new Error('Anthropic does not provide speech transcription; route the transcription task to another provider');
+  }
+
+  async listModels() {
+    const body = await this.request('/v1/models', { method: 'GET' });
+    return (body.data || []).map(model => model.id);
+  }
+}
+
+module.exports = AnthropicProvider;
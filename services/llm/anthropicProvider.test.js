@@ -0,0 +1,63 @@
+// services/llm/anthropicProvider.test.js
+const AnthropicProvider = require('./anthropicProvider');
+
+describe('AnthropicProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AnthropicProvider({ apiKey: 'test-key' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should require an API key', () => {
+    expect(() => new AnthropicProvider({})).toThrow('ANTHROPIC_API_KEY');
+  });
+
+  test('should lift system prompts and merge consecutive turns', () => {
+    const converted = provider.toAnthropicMessages([
+      { role: 'system', content: 'You are the patient.' },
+      { role: 'system', content: 'Stay in character.' },
+      { role: 'user', content: 'Hi, I am an EMT.' },
+      { role: 'user', content: 'What happened?' },
+      { role: 'assistant', content: '"My chest hurts."' }
+    ]);
+
+    expect(converted.system).toBe('You are the patient.\n\nStay in character.');
+    expect(converted.messages).toEqual([
+      { role: 'user', content: 'Hi, I am an EMT.\n\nWhat happened?' },
+      { role: 'assistant', content: '"My chest hurts."' }
+    ]);
+  });
+
+  test('should start with a user turn', () => {
+    const converted = provider.toAnthropicMessages([{ role: 'assistant', content: 'Dispatch...' }]);
+    expect(converted.messages[0].role).toBe('user');
+  });
+
+  test('should send a Messages API request and join text blocks', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ content: [{ type: 'text', text: '"It started ' }, { type: 'text', text: 'an hour ago."' }] })
+    });
+
+    const reply = await provider.chat(
+      [{ role: 'system', content: 'Patient' }, { role: 'user', content: 'When did it start?' }],
+      { model: 'claude-test', maxTokens: 200, temperature: 0.7 }
+    );
+
+    expect(reply).toBe('"It started an hour ago."');
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(init.headers['x-api-key']).toBe('test-key');
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'claude-test',
+      max_tokens: 200,
+      system: 'Patient',
+      temperature: 0.7,
+      messages: [{ role: 'user', content: 'When did it start?' }]
+    });
+  });
+});
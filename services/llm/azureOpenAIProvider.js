@@ -0,0 +1,32 @@
+// services/llm/azureOpenAIProvider.js
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Azure OpenAI Service. The `model` passed per call is the Azure deployment name.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new Error('AZURE_OPENAI_ENDPOINT is not defined in environment variables');
+    }
+    if (!options.apiKey) {
+      throw new Error('AZURE_OPENAI_API_KEY is not defined in environment variables');
+    }
+
+    super({ apiKey: options.apiKey });
+    this.name = 'Azure OpenAI';
+    this.client = new AzureOpenAI({
+      apiKey: options.apiKey,
+      endpoint: options.endpoint,
+      apiVersion: options.apiVersion || '2024-10-21'
+    });
+  }
+
+  async listModels() {
+    const models = await this.client.models.list();
+    return models.data.map(model => model.id);
+  }
+}
+
+module.exports = AzureOpenAIProvider;
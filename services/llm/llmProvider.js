@@ -0,0 +1,56 @@
+// services/llm/llmProvider.js
+
+/**
+ * Interface every language-model backend implements. Services talk to this
+ * instead of a vendor SDK so the backend can be swapped (or mocked) by config.
+ */
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {Object} options - model, maxTokens, temperature, topP, frequencyPenalty, presencePenalty,
+   *   seed (best-effort repeatability; backends without seeded sampling ignore it)
+   * @returns {Promise<string>} - Assistant message content
+   */
+  async chat() {
+    throw new Error(`${this.constructor.name}.chat() not implemented`);
+  }
+
+  /**
+   * Transcribe recorded speech to text
+   * @param {Object} audio - { buffer, mimeType }
+   * @returns {Promise<string>} - Transcribed text
+   */
+  async transcribe() {
+    throw new Error(`${this.constructor.name}.transcribe() not implemented`);
+  }
+
+  /**
+   * List chat models available from this provider
+   * @returns {Promise<string[]>} - Model identifiers
+   */
+  async listModels() {
+    throw new Error(`${this.constructor.name}.listModels() not implemented`);
+  }
+
+  /**
+   * Verify the provider is reachable
+   * @returns {Promise<boolean>} - True if the provider responded
+   */
+  async testConnection() {
+    try {
+      await this.listModels();
+      console.log(`✅ ${this.name} connection successful`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${this.name} connection failed:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,201 @@
+// services/llm/mockProvider.js
+const fs = require('fs');
+const LLMProvider = require('./llmProvider');
+const TextNormalizer = require('../utils/textNormalizer');
+
+const TRAUMA_MECHANISMS = {
+  'MVC Scenario': 'two cars crashed, driver injured',
+  'Fall Scenario': 'fell down stairs, leg pain',
+  'Assault Scenario': 'assault, person hurt',
+  'Sport Injury Scenario': 'bicycle crash, head injury',
+  'Stabbing Scenario': 'someone got stabbed, bleeding',
+  'GSW Scenario': 'gunshot wound, victim hurt',
+  'Burn Scenario': 'kitchen fire, someone burned'
+};
+
+const MEDICAL_SYMPTOMS = {
+  'Cardiac Scenario': 'chest pain and trouble breathing',
+  'Respiratory Scenario': 'shortness of breath with wheezing',
+  'Neurologic Scenario': 'confusion and slurred speech',
+  'Metabolic Scenario': 'confusion and dizziness',
+  'Abdominal Scenario': 'severe stomach pain',
+  'Environmental Scenario': 'trouble breathing after bee sting',
+  'OB/GYN Scenario': 'pregnant woman, contractions'
+};
+
+// Locations are kept free of substrings the dispatch validator treats as medical facilities
+const LOCATIONS = [
+  'Santa Clara Central Park',
+  'Mission College parking lot',
+  'Santa Clara Caltrain station platform',
+  'Levi\'s Stadium parking lot',
+  'Westfield Valley Fair food court'
+];
+
+const CALLERS = [
+  'A coworker called 911 and is present on scene as well.',
+  'A friend called 911 and is present on scene as well.',
+  'A family member called 911 and is present on scene as well.',
+  'A bystander called 911 and is present on scene as well.',
+  'The patient called 911 themselves.'
+];
+
+const PATIENT_REPLIES = [
+  { pattern: /\b(name|who are you)\b/, replies: ['"It\'s Alex... Alex Morgan."', '"My name is Sam."'] },
+  { pattern: /\b(allerg)/, replies: ['"No allergies that I know of."', '"Just penicillin, I think."'] },
+  { pattern: /\b(medication|meds|pills|take anything)\b/, replies: ['"Just a baby aspirin every morning."', '"Nothing regular, no."'] },
+  { pattern: /\b(history|medical problems|conditions)\b/, replies: ['"I have high blood pressure."', '"Nothing major, just asthma as a kid."'] },
+  { pattern: /\b(eat|drink|last meal|last oral)\b/, replies: ['"I had lunch a couple hours ago."', '"Just coffee this morning."'] },
+  { pattern: /\b(when|start|began|onset)\b/, replies: ['"About twenty minutes ago, out of nowhere."', '"Maybe half an hour ago."'] },
+  { pattern: /\b(scale|rate|1 to 10|one to ten)\b/, replies: ['"It\'s like an eight."', '"Seven, maybe worse."'] },
+  { pattern: /\b(pain|hurt)\b/, replies: ['"It really hurts... right here."', '"It\'s a pressure, like something heavy."'] }
+];
+
+const DEFAULT_REPLIES = [
+  '"Okay... please help me."',
+  '"I don\'t feel good at all."',
+  '"What\'s happening to me?"'
+];
+
+/**
+ * Offline provider that answers with scripted or rule-based responses.
+ * Output depends only on the prompt, so runs are repeatable for demos and tests.
+ */
+class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('Mock LLM');
+    this.script = (options.script || []).map(rule => ({
+      match: rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i'),
+      response: rule.response
+    }));
+    this.defaultTranscript = options.defaultTranscript || 'I\'m ready.';
+    this.calls = [];
+  }
+
+  /**
+   * Load scripted rules from a JSON file: [{ "match": "regex", "response": "text" }]
+   * @param {string} filePath - Path to the script file
+   * @returns {Array} - Rules for the constructor's script option
+   */
+  static loadScript(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to load mock LLM script ${filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Add a scripted rule; scripted rules take priority over built-in rules
+   * @param {RegExp|string} match - Pattern tested against the latest user message
+   * @param {string|Function} response - Reply text, or a function of (messages, options)
+   */
+  addRule(match, response) {
+    this.script.push({ match: match instanceof RegExp ? match : new RegExp(match, 'i'), response });
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages, options });
+
+    const system = messages.filter(m => m.role === 'system').map(m => m.content || '').join('\n');
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+    for (const rule of this.script) {
+      if (rule.match.test(lastUser)) {
+        return typeof rule.response === 'function' ? rule.response(messages, options) : rule.response;
+      }
+    }
+
+    const dispatchRequest = lastUser.match(/Generate complete dispatch information for a (.+?)\.\s/);
+    if (dispatchRequest) return this.buildDispatch(dispatchRequest[1].trim());
+    if (/creating realistic training scenarios/i.test(system)) return this.buildScenario(lastUser);
+    if (/initial scene description/i.test(system)) return this.buildSceneImpression(lastUser);
+    if (/structured feedback/i.test(system)) return this.buildScoredFeedback();
+    if (/examination findings/i.test(system)) return this.buildExamFindings();
+
+    return this.buildPatientReply(lastUser);
+  }
+
+  async transcribe({ buffer, mimeType = '' }) {
+    // Text payloads are echoed back so tests can drive the voice path with plain strings
+    if (mimeType.startsWith('text/')) return buffer.toString('utf8').trim();
+    return this.defaultTranscript;
+  }
+
+  async listModels() {
+    return ['mock-llm'];
+  }
+
+  pick(options, seedText) {
+    return TextNormalizer.pickDeterministicOption(seedText, options);
+  }
+
+  buildDispatch(scenarioType) {
+    const isTrauma = Object.prototype.hasOwnProperty.call(TRAUMA_MECHANISMS, scenarioType);
+    const hour = TextNormalizer.computeDeterministicInt(`${scenarioType}:hour`, 1, 12);
+    const minute = TextNormalizer.computeDeterministicInt(`${scenarioType}:minute`, 0, 59);
+    const period = TextNormalizer.computeDeterministicInt(`${scenarioType}:period`, 0, 1) ? 'pm' : 'am';
+    const [minAge, maxAge] = /cardiac/i.test(scenarioType) ? [45, 75] : isTrauma ? [18, 50] : [25, 65];
+
+    const dispatch = {
+      age: String(TextNormalizer.computeDeterministicInt(`${scenarioType}:age`, minAge, maxAge)),
+      gender: this.pick(['male', 'female'], `${scenarioType}:gender`),
+      location: this.pick(LOCATIONS, `${scenarioType}:location`),
+      time: `${hour}:${String(minute).padStart(2, '0')}${period}`,
+      callerInfo: this.pick(CALLERS, `${scenarioType}:caller`)
+    };
+    if (isTrauma) {
+      dispatch.mechanism = TRAUMA_MECHANISMS[scenarioType];
+      // The validator's trauma pattern misses some subtypes (e.g. sport injuries), so fill both
+      dispatch.symptoms = dispatch.mechanism;
+    } else {
+      dispatch.symptoms = MEDICAL_SYMPTOMS[scenarioType] || 'sudden weakness and dizziness';
+    }
+    return JSON.stringify(dispatch, null, 2);
+  }
+
+  buildScenario(prompt) {
+    const complaint = Object.values({ ...MEDICAL_SYMPTOMS, ...TRAUMA_MECHANISMS })
+      .find(text => prompt.toLowerCase().includes(text)) || 'chest pain and trouble breathing';
+    return JSON.stringify({
+      patientProfile: { age: '54', gender: 'male', medicalHistory: ['Hypertension'], medications: ['Lisinopril'], allergies: ['NKDA'] },
+      presentation: { chiefComplaint: complaint, onsetTime: '20 minutes ago', severity: 'moderate' },
+      vitals: { baseline: { heartRate: 104, respiratoryRate: 22, bloodPressure: '148/92', spO2: 94, temperature: 98.6 } },
+      physicalFindings: { generalAppearance: 'anxious and pale', consciousness: 'alert', breathing: 'mildly labored', skin: 'cool and diaphoretic' },
+      dispatchInfo: { location: LOCATIONS[0], time: '3:20pm', callerInfo: CALLERS[2] },
+      expectedFindings: ['tachycardia', 'mild hypoxia'],
+      emtInterventions: ['oxygen therapy', 'vital sign monitoring', 'rapid transport']
+    }, null, 2);
+  }
+
+  buildSceneImpression(prompt) {
+    const location = prompt.match(/- Location: (.+)/)?.[1]?.trim() || 'the scene';
+    const patient = prompt.match(/- Patient: (.+)/)?.[1]?.trim() || 'adult patient';
+    const appearance = prompt.match(/- Appearance: (.+)/)?.[1]?.trim() || 'appears to be in mild distress';
+    return `You arrive at ${location}. A ${patient} is seated nearby and ${appearance}. The scene appears safe.\n\nAwaiting your next step.`;
+  }
+
+  buildScoredFeedback() {
+    return JSON.stringify({
+      assessment: 'Systematic approach with room to tighten the primary survey.',
+      strengths: ['Introduced self and obtained consent', 'Checked vital signs'],
+      improvements: ['State scene safety and BSI explicitly'],
+      recommendations: ['Verbalize a transport decision earlier'],
+      score: 7,
+      justification: 'Mock provider feedback'
+    });
+  }
+
+  buildExamFindings() {
+    return 'Inspection: no obvious deformities or asymmetry. Palpation: no crepitus or point tenderness. Auscultation: breath sounds present and equal bilaterally.';
+  }
+
+  buildPatientReply(userMessage) {
+    const normalized = TextNormalizer.normalizeToAsciiLower(userMessage);
+    const match = PATIENT_REPLIES.find(entry => entry.pattern.test(normalized));
+    return this.pick(match ? match.replies : DEFAULT_REPLIES, normalized);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,88 @@
+// services/llm/mockProvider.test.js
+process.env.LLM_PROVIDER = 'mock';
+
+const MockProvider = require('./mockProvider');
+const TemplateGenerator = require('../templateGenerator');
+
+describe('MockProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    provider = new MockProvider();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should generate dispatches that pass template validation for every scenario type', async () => {
+    const generator = new TemplateGenerator();
+    const types = [
+      'Cardiac Scenario', 'Respiratory Scenario', 'Neurologic Scenario', 'Metabolic Scenario',
+      'Abdominal Scenario', 'Environmental Scenario', 'OB/GYN Scenario',
+      'MVC Scenario', 'Fall Scenario', 'Assault Scenario', 'Sport Injury Scenario',
+      'Stabbing Scenario', 'GSW Scenario', 'Burn Scenario'
+    ];
+
+    for (const type of types) {
+      const response = await provider.chat([
+        { role: 'user', content: generator.generateCompleteDispatchTemplate(type) }
+      ]);
+      const parsed = generator.parseTemplateResponse(response);
+      const validation = generator.validateDispatchData(parsed.data, type);
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.score).toBeGreaterThanOrEqual(80);
+    }
+  });
+
+  test('should return the same reply for the same prompt', async () => {
+    const messages = [{ role: 'user', content: 'Do you have any allergies?' }];
+    expect(await provider.chat(messages)).toBe(await provider.chat(messages));
+  });
+
+  test('should prefer scripted rules over built-in rules', async () => {
+    provider.addRule(/allergies/, '"I\'m allergic to latex."');
+    const reply = await provider.chat([{ role: 'user', content: 'Any allergies?' }]);
+    expect(reply).toBe('"I\'m allergic to latex."');
+  });
+
+  test('should echo text payloads when transcribing', async () => {
+    const text = await provider.transcribe({ buffer: Buffer.from('BP is 120 over 80'), mimeType: 'text/plain' });
+    expect(text).toBe('BP is 120 over 80');
+  });
+
+  test('should always report a healthy connection', async () => {
+    expect(await provider.testConnection()).toBe(true);
+  });
+});
+
+describe('ChatService with the mock provider', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should run scenario generation and the scene impression offline', async () => {
+    const ChatService = require('../chatService');
+    const service = new ChatService();
+    const scenarioData = { mainScenario: 'Medical Scenario', subScenario: 'Cardiac Scenario' };
+
+    const dispatch = await service.generateResponse('Generate a Cardiac Scenario scenario for me.', [], scenarioData);
+    expect(dispatch.enhancedScenarioData.generatedScenario).toBeDefined();
+
+    const conversation = [
+      { role: 'user', content: 'Generate a Cardiac Scenario scenario for me.' },
+      { role: 'assistant', content: dispatch.response }
+    ];
+    const scene = await service.generateResponse("I'm ready", conversation, dispatch.enhancedScenarioData);
+
+    expect(scene.response).toMatch(/^You arrive at /);
+    expect(scene.additionalMessages).toEqual([{ role: 'system', content: 'generalImpressionShown' }]);
+    expect(service.currentScenarioActive).toBe(true);
+  });
+});
@@ -0,0 +1,67 @@
+// services/llm/openaiProvider.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('openai');
+const LLMProvider = require('./llmProvider');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('OpenAI');
+
+    if (!options.apiKey) {
+      throw new Error('OPENAI_API_KEY is not defined in environment variables');
+    }
+
+    // baseURL points the client at OpenAI-compatible servers (vLLM, Ollama, LM Studio, ...)
+    this.baseURL = options.baseURL || null;
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      ...(this.baseURL ? { baseURL: this.baseURL } : {})
+    });
+    if (this.baseURL) this.name = `OpenAI-compatible (${this.baseURL})`;
+  }
+
+  async chat(messages, options = {}) {
+    const request = {
+      model: options.model,
+      messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature
+    };
+    if (options.topP !== undefined) request.top_p = options.topP;
+    if (options.frequencyPenalty !== undefined) request.frequency_penalty = options.frequencyPenalty;
+    if (options.presencePenalty !== undefined) request.presence_penalty = options.presencePenalty;
+    if (options.seed !== undefined) request.seed = options.seed;
+
+    const completion = await this.client.chat.completions.create(request);
+    return completion.choices[0]?.message?.content || '';
+  }
+
+  async transcribe({ buffer, mimeType = 'audio/webm', model = 'whisper-1' }) {
+    const ext = mimeType.includes('wav') ? 'wav' : mimeType.includes('mp3') ? 'mp3' : mimeType.includes('m4a') ? 'm4a' : mimeType.includes('ogg') ? 'ogg' : 'webm';
+    const tmpPath = path.join(os.tmpdir(), `asr-${Date.now()}.${ext}`);
+    fs.writeFileSync(tmpPath, buffer);
+
+    try {
+      const resp = await this.client.audio.transcriptions.create({
+        file: fs.createReadStream(tmpPath),
+        model
+        // smart punctuation/casing are handled by model defaults
+      });
+      return resp?.text || '';
+    } finally {
+      // cleanup
+      try { fs.unlinkSync(tmpPath); } catch { /* already removed */ }
+    }
+  }
+
+  async listModels() {
+    const models = await this.client.models.list();
+    const ids = models.data.map(model => model.id);
+    // OpenAI lists embeddings/audio/image models too; other servers name models freely
+    return this.baseURL ? ids : ids.filter(id => id.includes('gpt'));
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,355 @@
+// services/partnerManager.js
+const TextNormalizer = require('./utils/textNormalizer');
+const rubricMatcher = require('./rubricMatcher');
+
+/**
+ * Tasks the partner takes orders for. Each takes durationMs of scenario time;
+ * vitals tasks report the readings they name (PatientSimulator.getSpecificVital
+ * names), treatments are applied to the physiology with their treatment text,
+ * and equipment names the EquipmentManager device the task needs.
+ */
+const TASKS = {
+  fullVitals: {
+    pattern: /\b(full set|set of vitals|baseline vitals|vital signs|vitals)\b/,
+    durationMs: 90000,
+    action: 'getting a full set of vitals',
+    label: 'Full set of vitals',
+    readings: ['heart rate', 'blood pressure', 'respiratory rate', 'oxygen saturation']
+  },
+  bloodPressure: {
+    pattern: /\b(blood pressure|bp)\b/,
+    durationMs: 45000,
+    action: 'taking a blood pressure',
+    label: 'Blood pressure',
+    readings: ['blood pressure']
+  },
+  pulse: {
+    pattern: /\b(pulse(?! ?ox)|heart rate|hr)\b/,
+    durationMs: 30000,
+    action: 'getting a pulse',
+    label: 'Pulse',
+    readings: ['heart rate']
+  },
+  respiratoryRate: {
+    pattern: /\b(respirations?|resp(?:iratory)? rate|breathing rate|rr)\b/,
+    durationMs: 30000,
+    action: 'counting respirations',
+    label: 'Respirations',
+    readings: ['respiratory rate']
+  },
+  spO2: {
+    pattern: /\b(pulse ?ox\w*|spo2|sats?|o2 sat\w*|oxygen saturation)\b/,
+    durationMs: 15000,
+    action: 'putting the pulse ox on',
+    label: 'Pulse ox',
+    readings: ['oxygen saturation']
+  },
+  glucose: {
+    pattern: /\b(glucose|sugar|bgl|glucometer)\b/,
+    durationMs: 60000,
+    action: 'checking a blood sugar',
+    label: 'Blood sugar',
+    readings: ['blood glucose']
+  },
+  oxygen: {
+    pattern: /\b(oxygen|o2)\b(?! ?sat)|\b(nasal cannula|non ?rebreather|nrb|bvm|bag valve mask)\b/,
+    durationMs: 30000,
+    equipment: 'oxygen'
+  },
+  bleedingControl: {
+    pattern: /\b(direct pressure|tourniquet|pressure dressing|bleeding|bleed)\b/,
+    durationMs: 15000
+  },
+  cSpine: {
+    pattern: /\b(c ?spine|manual (?:stabilization|in ?line)|hold (?:the|his|her|their) head)\b/,
+    durationMs: 5000,
+    action: 'holding manual c-spine',
+    done: 'I\'ve got manual c-spine and I\'m holding it.',
+    treatment: 'manual c-spine stabilization'
+  },
+  positioning: {
+    pattern: /\b(sit (?:him|her|them|the patient) up|position of comfort|fowlers?|semi fowlers?)\b/,
+    durationMs: 15000,
+    action: 'sitting them up',
+    done: 'They\'re sitting up in a position of comfort.',
+    treatment: 'position of comfort, sitting upright'
+  },
+  stretcher: {
+    pattern: /\b(stretcher|cot|stair chair)\b/,
+    durationMs: 120000,
+    action: 'going for the stretcher',
+    done: 'The stretcher is set up next to the patient.'
+  }
+};
+
+// Words that address the partner, and that ask how their tasks are going
+const ADDRESS = /\bpartner\b/;
+const STATUS_QUERY = /\?|\b(what|how|status|update|results?|numbers|readings?|done|finished)\b/;
+// Where a sentence turns from the partner's orders to what the student does themselves
+const SELF_CLAUSE = /(?:,|\b(?:while|and|then))\s+(?:i|ill|i will|im|i am|let me)\s/;
+
+/**
+ * A simulated partner EMT the student can delegate to ("partner, get a full
+ * set of vitals", "partner, set up the NRB at 15 lpm"). Orders are worked one
+ * after another, each taking realistic time; when one is done the partner
+ * reports back with readings from the patient's current state. ChatService
+ * delivers the reports on the student's next message and logs the checks and
+ * treatments on the timeline, so they are graded like the student's own.
+ */
+class PartnerManager {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.orders = [];
+    this.nextOrderId = 1;
+  }
+
+  /**
+   * Pick the partner's orders out of a student message
+   * @param {string} message - Student message
+   * @returns {Object} - { orders: [{ task, treatment, action, label, done }], statusQuery, remainder }
+   *   remainder is the rest of the message, for the simulator to answer as usual
+   */
+  parseOrders(message) {
+    const sentences = String(message || '').match(/[^.!?;\n]+[.!?;]*/g) || [];
+    const orders = [];
+    const remainder = [];
+    let statusQuery = false;
+
+    sentences.forEach(sentence => {
+      const normalized = TextNormalizer.normalizeToAsciiLower(sentence).replace(/['’]/g, '').replace(/[^a-z0-9?/ ]+/g, ' ').replace(/\s+/g, ' ').trim();
+      if (!ADDRESS.test(normalized)) {
+        remainder.push(sentence.trim());
+        return;
+      }
+
+      // "partner, get vitals while I check the airway": the student keeps the second half
+      const selfClause = SELF_CLAUSE.exec(normalized);
+      const forPartner = selfClause ? normalized.slice(0, selfClause.index) : normalized;
+      if (selfClause) remainder.push(normalized.slice(selfClause.index).replace(/^(?:,|while|and|then)\s+/, ''));
+
+      const found = this.matchTasks(forPartner);
+      found.forEach(order => {
+        if (!orders.some(existing => existing.task === order.task)) orders.push(order);
+      });
+      if (found.length > 0) return;
+      if (STATUS_QUERY.test(forPartner)) {
+        statusQuery = true;
+      } else if (!selfClause) {
+        // Mentions the partner without giving them anything to do ("my partner and I will lift")
+        remainder.push(sentence.trim());
+      }
+    });
+
+    return {
+      orders,
+      statusQuery,
+      remainder: remainder.filter(text => text.split(/\s+/).filter(Boolean).length >= 2).join(' ')
+    };
+  }
+
+  // Tasks named in the part of a sentence addressed to the partner, skipping negated and "if ..." ones
+  matchTasks(text) {
+    const found = Object.entries(TASKS)
+      .map(([task, definition]) => ({ task, match: definition.pattern.exec(text) }))
+      .filter(({ match }) => {
+        if (!match) return false;
+        const before = text.slice(0, match.index).trim();
+        return !rubricMatcher.isNegated(before) && !rubricMatcher.isHypothetical(before);
+      })
+      .sort((a, b) => a.match.index - b.match.index)
+      .map(({ task }) => this.describeOrder(task, text));
+
+    // A full set already covers the single readings it includes
+    const full = found.find(order => order.task === 'fullVitals');
+    return full
+      ? found.filter(order => !TASKS[order.task].readings || order.task === 'fullVitals' ||
+          !TASKS[order.task].readings.every(reading => TASKS.fullVitals.readings.includes(reading)))
+      : found;
+  }
+
+  // What exactly the partner does for a task: oxygen device and flow, tourniquet or pressure
+  describeOrder(task, text) {
+    const definition = TASKS[task];
+    if (task === 'oxygen') {
+      const flow = /\b(\d{1,2}) ?(?:lpm|l|liters?|lit)\b/.exec(text);
+      const device = /\b(nasal cannula|nc)\b/.test(text)
+        ? { name: 'nasal cannula', flow: 4 }
+        : /\b(bvm|bag valve mask)\b/.test(text)
+          ? { name: 'BVM', flow: 15 }
+          : { name: 'non-rebreather', flow: 15 };
+      const lpm = flow ? Number(flow[1]) : device.flow;
+      return {
+        task,
+        treatment: `${device.name} oxygen at ${lpm} lpm`,
+        action: `setting up the ${device.name} at ${lpm} lpm`,
+        label: `${device.name} at ${lpm} lpm`,
+        done: `Oxygen is on: ${device.name} at ${lpm} lpm.`
+      };
+    }
+    if (task === 'bleedingControl') {
+      const tourniquet = /\btourniquet\b/.test(text);
+      return {
+        task,
+        treatment: tourniquet ? 'tourniquet applied' : 'direct pressure on the bleeding',
+        action: tourniquet ? 'putting on a tourniquet' : 'holding direct pressure on the bleeding',
+        label: tourniquet ? 'Tourniquet' : 'Direct pressure',
+        done: tourniquet ? 'Tourniquet is on and tight; time noted.' : 'I\'ve got direct pressure on the bleeding.'
+      };
+    }
+    return {
+      task,
+      treatment: definition.treatment || null,
+      action: definition.action,
+      label: definition.label || definition.action,
+      done: definition.done || null
+    };
+  }
+
+  /**
+   * Hand the partner new orders; they start once the tasks already queued are done
+   * @param {Array} orders - Orders from parseOrders()
+   * @param {number} now - When they were given
+   * @returns {Object} - { assigned: new orders with dueAt, alreadyPending: orders the partner is already on }
+   */
+  assign(orders, now = Date.now()) {
+    const assigned = [];
+    const alreadyPending = [];
+
+    orders.forEach(order => {
+      const pending = this.getPending().find(existing => existing.task === order.task);
+      if (pending) {
+        alreadyPending.push(pending);
+        return;
+      }
+      const startAt = Math.max(now, ...this.getPending().map(existing => existing.dueAt));
+      const assignedOrder = {
+        ...order,
+        id: this.nextOrderId++,
+        orderedAt: now,
+        dueAt: startAt + TASKS[order.task].durationMs,
+        status: 'pending',
+        report: null
+      };
+      this.orders.push(assignedOrder);
+      assigned.push(assignedOrder);
+    });
+
+    return { assigned, alreadyPending };
+  }
+
+  getPending() {
+    return this.orders.filter(order => order.status === 'pending');
+  }
+
+  /**
+   * Orders finished by now, marked done, in the order they finished
+   * @param {number} now - Current time
+   * @returns {Array} - Finished orders
+   */
+  takeDue(now = Date.now()) {
+    const due = this.getPending().filter(order => order.dueAt <= now).sort((a, b) => a.dueAt - b.dueAt);
+    due.forEach(order => { order.status = 'done'; });
+    return due;
+  }
+
+  /**
+   * Do a finished order against the patient: take the readings or apply the treatment
+   * @param {Object} order - Order from takeDue()
+   * @param {Object} patientSimulator - PatientSimulator of the scenario
+   * @param {Object} equipmentManager - EquipmentManager of the scenario
+   * @returns {Object} - { text, checked (vital names read), treatments, failure }
+   */
+  carryOut(order, patientSimulator, equipmentManager) {
+    const task = TASKS[order.task];
+    let result;
+
+    if (task.readings) {
+      // Where a manual method exists (a blood pressure with the automatic cuff down) the partner uses it
+      const readings = task.readings.map(type => ({ type, failure: equipmentManager.getReadingFailure(type, 'manual') }));
+      const lines = readings.map(reading => reading.failure || patientSimulator.getSpecificVital(reading.type));
+      result = {
+        text: `${order.label}: ${lines.join(', ')}`,
+        checked: readings.filter(reading => !reading.failure).map(reading => reading.type),
+        treatments: [],
+        failure: readings.some(reading => reading.failure)
+      };
+    } else {
+      const failure = task.equipment
+        ? (equipmentManager.getFailures().find(entry => entry.equipment === task.equipment) || null)
+        : null;
+      result = failure
+        ? { text: `I couldn't finish ${order.action}. ${failure.description}`, checked: [], treatments: [], failure: true }
+        : {
+            text: order.done,
+            checked: [],
+            treatments: order.treatment ? patientSimulator.recordIntervention(order.treatment, order.dueAt) : [],
+            failure: false
+          };
+    }
+
+    order.report = this.formatLine(result.text);
+    console.log(`🧑‍⚕️ Partner finished: ${order.action}`);
+    return { ...result, text: order.report };
+  }
+
+  /**
+   * The partner's reply when given orders
+   * @param {Array} assigned - Newly assigned orders
+   * @param {Array} alreadyPending - Orders the partner was already on
+   * @returns {string} - Formatted partner line
+   */
+  acknowledge(assigned, alreadyPending = []) {
+    const parts = [];
+    if (assigned.length > 0) {
+      parts.push(`Copy, ${assigned.map(order => order.action).join(', then ')}.`);
+    }
+    if (alreadyPending.length > 0) {
+      parts.push(`Already on it: ${alreadyPending.map(order => order.action).join(', ')}.`);
+    }
+    return this.formatLine(parts.join(' '));
+  }
+
+  /**
+   * The partner's answer to "partner, how's it going?"
+   * @param {number} now - Current time
+   * @returns {string} - Formatted partner line
+   */
+  describeProgress(now = Date.now()) {
+    const pending = this.getPending().sort((a, b) => a.dueAt - b.dueAt);
+    if (pending.length > 0) {
+      const [current, ...queued] = pending;
+      const seconds = Math.max(5, Math.ceil((current.dueAt - now) / 5000) * 5);
+      const next = queued.length > 0 ? ` Then ${queued.map(order => order.action).join(', then ')}.` : '';
+      return this.formatLine(`Still ${current.action}, about ${seconds} more seconds.${next}`);
+    }
+    const last = [...this.orders].reverse().find(order => order.report);
+    return last ? last.report : this.formatLine('Nothing assigned yet. What do you need?');
+  }
+
+  formatLine(text) {
+    return `**[Partner]** ${text}`;
+  }
+
+  /**
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return { orders: this.orders, nextOrderId: this.nextOrderId };
+  }
+
+  /**
+   * Restore state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.orders = (state?.orders || []).filter(order => Object.prototype.hasOwnProperty.call(TASKS, order.task));
+    this.nextOrderId = state?.nextOrderId || this.orders.length + 1;
+  }
+}
+
+PartnerManager.TASKS = TASKS;
+
+module.exports = PartnerManager;
@@ -0,0 +1,85 @@
+// services/partnerManager.test.js
+const PartnerManager = require('./partnerManager');
+const EquipmentManager = require('./equipmentManager');
+
+describe('PartnerManager', () => {
+  let partner;
+  let equipment;
+  const patient = {
+    getSpecificVital: type => `${type}: reading`,
+    recordIntervention: jest.fn(() => ['oxygen'])
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    partner = new PartnerManager();
+    equipment = new EquipmentManager();
+    patient.recordIntervention.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pick orders out of the partner\'s sentence and leave the student\'s own part', () => {
+    const parsed = partner.parseOrders('Partner, get a full set of vitals and set up the NRB at 12 lpm while I check the airway. Sir, can you hear me?');
+
+    expect(parsed.orders.map(order => order.task)).toEqual(['fullVitals', 'oxygen']);
+    expect(parsed.orders[1].treatment).toBe('non-rebreather oxygen at 12 lpm');
+    expect(parsed.remainder).toBe('i check the airway Sir, can you hear me?');
+    expect(parsed.statusQuery).toBe(false);
+  });
+
+  test('should ignore negated orders and messages that only mention the partner', () => {
+    expect(partner.parseOrders('Partner, do not put her on oxygen yet').orders).toEqual([]);
+    expect(partner.parseOrders('My partner and I will lift him onto the cot').orders).toEqual([]);
+    expect(partner.parseOrders('Checking the pulse ox myself').orders).toEqual([]);
+    expect(partner.parseOrders('Partner, what do you have?').statusQuery).toBe(true);
+  });
+
+  test('should work orders one after another and report readings when each is done', () => {
+    const { assigned } = partner.assign(partner.parseOrders('Partner, get a blood pressure and a pulse ox').orders, 0);
+    expect(assigned.map(order => order.dueAt)).toEqual([45000, 60000]);
+    expect(partner.assign(partner.parseOrders('Partner, BP please').orders, 10000).alreadyPending).toHaveLength(1);
+    expect(partner.describeProgress(10000)).toBe('**[Partner]** Still taking a blood pressure, about 35 more seconds. Then putting the pulse ox on.');
+
+    expect(partner.takeDue(30000)).toEqual([]);
+    const [bp] = partner.takeDue(50000);
+    expect(partner.carryOut(bp, patient, equipment)).toEqual({
+      text: '**[Partner]** Blood pressure: blood pressure: reading',
+      checked: ['blood pressure'],
+      treatments: [],
+      failure: false
+    });
+    expect(partner.getPending().map(order => order.task)).toEqual(['spO2']);
+  });
+
+  test('should report failed equipment instead of applying the treatment', () => {
+    equipment.fail('oxygen', 0);
+    partner.assign(partner.parseOrders('Partner, put him on a non rebreather').orders, 0);
+    const [order] = partner.takeDue(30000);
+
+    const result = partner.carryOut(order, patient, equipment);
+
+    expect(result.failure).toBe(true);
+    expect(result.text).toContain('regulator reads empty');
+    expect(patient.recordIntervention).not.toHaveBeenCalled();
+  });
+
+  test('should take a manual pressure when the automatic cuff is down', () => {
+    equipment.fail('bpCuff', 0);
+    partner.assign(partner.parseOrders('Partner, get a full set of vitals').orders, 0);
+    const [order] = partner.takeDue(90000);
+
+    expect(partner.carryOut(order, patient, equipment).checked).toEqual(['heart rate', 'blood pressure', 'respiratory rate', 'oxygen saturation']);
+  });
+
+  test('should restore pending orders', () => {
+    partner.assign(partner.parseOrders('Partner, go get the stretcher').orders, 0);
+    const restored = new PartnerManager();
+    restored.restoreState(JSON.parse(JSON.stringify(partner.getState())));
+
+    expect(restored.takeDue(120000).map(order => order.action)).toEqual(['going for the stretcher']);
+    expect(restored.assign(restored.parseOrders('Partner, hold c-spine').orders, 120000).assigned[0].id).toBe(2);
+  });
+});
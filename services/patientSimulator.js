@@ -1,5 +1,6 @@
 // services/patientSimulator.js
 const TextNormalizer = require('./utils/textNormalizer');
+const PhysiologyEngine = require('./physiologyEngine');
 
 class PatientSimulator {
   constructor() {
@@ -10,6 +11,7 @@ class PatientSimulator {
     this.interventionsPerformed = [];
     this.consciousnessLevel = 'alert'; // alert, altered, unconscious
     this.patientResponses = [];
+    this.physiology = new PhysiologyEngine();
   }
 
   /**
@@ -23,11 +25,10 @@ class PatientSimulator {
     this.interventionsPerformed = [];
     this.patientResponses = [];
     
-    // Set initial consciousness level from scenario
-    this.consciousnessLevel = scenarioData?.generatedScenario?.physicalFindings?.consciousness || 'alert';
-    
-    // Initialize baseline vitals
-    const baselineVitals = this.getBaselineVitals(scenarioData);
+    // Every vitals reading for this patient comes from the physiology model
+    this.physiology.initialize(scenarioData, this.scenarioStartTime);
+    const baselineVitals = this.physiology.getVitals(this.scenarioStartTime);
+    this.consciousnessLevel = this.consciousnessFromGcs(baselineVitals.gcs);
     this.vitalsHistory.push({
       timestamp: this.scenarioStartTime,
       vitals: baselineVitals,
@@ -36,7 +37,7 @@ class PatientSimulator {
 
     console.log('🏥 Patient simulator initialized');
     console.log('⏰ Scenario start time:', new Date(this.scenarioStartTime).toLocaleTimeString());
-    console.log('💓 Baseline vitals:', baselineVitals);
+    console.log('💓 Baseline vitals:', baselineVitals, `(${this.physiology.getStatus(this.scenarioStartTime).label})`);
     
     return {
       startTime: this.scenarioStartTime,
@@ -74,90 +75,11 @@ class PatientSimulator {
     return Math.ceil(remaining / 60000);
   }
 
-  /**
-   * Get baseline vitals based on scenario type and difficulty
-   * @param {Object} scenarioData - Scenario data
-   * @returns {Object} - Baseline vital signs
-   */
-  getBaselineVitals(scenarioData) {
-    const difficulty = scenarioData?.generatedScenario?.difficulty?.level || 'intermediate';
-    const scenarioType = this.determineScenarioType(scenarioData);
-    
-    // Get base vitals from scenario if available
-    const scenarioVitals = scenarioData?.generatedScenario?.vitals?.baseline;
-    if (scenarioVitals) {
-      return {
-        heartRate: scenarioVitals.heartRate || 90,
-        respiratoryRate: scenarioVitals.respiratoryRate || 18,
-        systolic: scenarioVitals.bloodPressureSystolic || 130,
-        diastolic: scenarioVitals.bloodPressureDiastolic || 80,
-        temperature: scenarioVitals.temperature || 98.6,
-        spO2: scenarioVitals.spO2 || 96
-      };
-    }
-
-    // Fallback to category-based vitals
-    return this.getVitalsByCategory(scenarioType, difficulty);
-  }
-
-  /**
-   * Determine scenario type from scenario data
-   * @param {Object} scenarioData - Scenario data
-   * @returns {string} - Scenario category
-   */
-  determineScenarioType(scenarioData) {
-    const mainScenario = scenarioData?.mainScenario?.toLowerCase() || '';
-    const subScenario = scenarioData?.subScenario?.toLowerCase() || '';
-    
-    if (mainScenario.includes('trauma')) return 'trauma';
-    if (subScenario.includes('cardiac') || subScenario.includes('chest pain')) return 'cardiac';
-    if (subScenario.includes('respiratory') || subScenario.includes('breathing')) return 'respiratory';
-    if (subScenario.includes('neurologic') || subScenario.includes('stroke')) return 'neurologic';
-    if (subScenario.includes('metabolic') || subScenario.includes('diabetic')) return 'metabolic';
-    if (subScenario.includes('allergic') || subScenario.includes('anaphylaxis')) return 'allergic';
-    
-    return 'general';
-  }
-
-  /**
-   * Get vitals by category and difficulty
-   * @param {string} category - Scenario category
-   * @param {string} difficulty - Difficulty level
-   * @returns {Object} - Vital signs
-   */
-  getVitalsByCategory(category, difficulty) {
-    const baseVitals = {
-      cardiac: { heartRate: 110, respiratoryRate: 20, systolic: 160, diastolic: 95, spO2: 92, temperature: 98.6 },
-      respiratory: { heartRate: 88, respiratoryRate: 24, systolic: 140, diastolic: 85, spO2: 89, temperature: 98.6 },
-      trauma: { heartRate: 105, respiratoryRate: 22, systolic: 145, diastolic: 88, spO2: 95, temperature: 98.6 },
-      neurologic: { heartRate: 85, respiratoryRate: 16, systolic: 130, diastolic: 80, spO2: 97, temperature: 98.6 },
-      metabolic: { heartRate: 95, respiratoryRate: 18, systolic: 135, diastolic: 82, spO2: 94, temperature: 98.6 },
-      allergic: { heartRate: 120, respiratoryRate: 26, systolic: 100, diastolic: 60, spO2: 88, temperature: 98.6 },
-      general: { heartRate: 90, respiratoryRate: 18, systolic: 130, diastolic: 80, spO2: 96, temperature: 98.6 }
-    };
-
-    let vitals = { ...baseVitals[category] || baseVitals.general };
-
-    // Apply difficulty modifiers
-    switch (difficulty) {
-      case 'novice':
-        vitals.spO2 = Math.max(vitals.spO2, 90);
-        vitals.heartRate = Math.min(vitals.heartRate, 115);
-        break;
-      case 'advanced':
-        vitals.spO2 = Math.min(vitals.spO2, 85);
-        vitals.heartRate = Math.max(vitals.heartRate, 105);
-        vitals.respiratoryRate = Math.max(vitals.respiratoryRate, 24);
-        break;
-    }
-
-    return vitals;
-  }
-
   /**
    * Record an intervention performed by the EMT
    * @param {string} intervention - Description of intervention
    * @param {number} timestamp - When intervention was performed
+   * @returns {Array} - Treatments the physiology model applied
    */
   recordIntervention(intervention, timestamp = Date.now()) {
     this.interventionsPerformed.push({
@@ -166,148 +88,92 @@ class PatientSimulator {
       elapsedTime: Math.floor((timestamp - this.scenarioStartTime) / 60000)
     });
     
-    console.log('💉 Intervention recorded:', intervention);
-    
-    // Update vitals based on intervention
-    this.updateVitalsForIntervention(intervention, timestamp);
+    const treatments = this.physiology.applyTreatment(intervention, timestamp);
+    console.log('💉 Intervention recorded:', intervention, treatments.length ? `(${treatments.join(', ')})` : '');
+    return treatments;
   }
 
   /**
-   * Update vital signs based on intervention performed
-   * @param {string} intervention - Intervention performed
-   * @param {number} timestamp - When intervention was performed
+   * Give a medication through the pharmacology model
+   * @param {Object} details - medicationAdmin details from ActionRecognizer
+   * @param {number} timestamp - When the medication was given
+   * @returns {Object|null} - Dose record with any rule warnings, or null for unknown drugs and declined orders
    */
-  updateVitalsForIntervention(intervention, timestamp) {
-    const currentVitals = this.getCurrentVitals();
-    const newVitals = { ...currentVitals };
-    const normalizedIntervention = intervention.toLowerCase();
-
-    // Oxygen therapy
-    if (/(oxygen|o2|nasal cannula|nc|mask|bvm|bag valve)/.test(normalizedIntervention)) {
-      newVitals.spO2 = Math.min(100, newVitals.spO2 + 3);
-      newVitals.respiratoryRate = Math.max(12, newVitals.respiratoryRate - 2);
-    }
+  administerMedication(details, timestamp = Date.now()) {
+    if (details.declined) return null;
+    const dose = this.physiology.administerMedication(details, timestamp);
+    if (!dose) return null;
 
-    // Aspirin
-    if (/(aspirin|asa)/.test(normalizedIntervention)) {
-      newVitals.heartRate = Math.max(60, newVitals.heartRate - 5);
-    }
-
-    // Albuterol
-    if (/(albuterol|ventolin|nebulizer|inhaler)/.test(normalizedIntervention)) {
-      newVitals.respiratoryRate = Math.max(12, newVitals.respiratoryRate - 4);
-      newVitals.spO2 = Math.min(100, newVitals.spO2 + 4);
-      newVitals.heartRate = Math.min(150, newVitals.heartRate + 8); // Side effect
-    }
-
-    // Positioning
-    if (/(sit.*up|upright|position|fowler)/.test(normalizedIntervention)) {
-      newVitals.respiratoryRate = Math.max(12, newVitals.respiratoryRate - 2);
-      newVitals.spO2 = Math.min(100, newVitals.spO2 + 2);
-    }
-
-    // IV fluids
-    if (/(iv|intravenous|fluid|saline)/.test(normalizedIntervention)) {
-      newVitals.systolic = Math.min(180, newVitals.systolic + 5);
-      newVitals.heartRate = Math.max(60, newVitals.heartRate - 3);
-    }
-
-    // Epinephrine
-    if (/(epi|epinephrine|auto.*injector)/.test(normalizedIntervention)) {
-      newVitals.heartRate = Math.min(150, newVitals.heartRate + 15);
-      newVitals.systolic = Math.min(200, newVitals.systolic + 20);
-      newVitals.spO2 = Math.min(100, newVitals.spO2 + 5);
-      newVitals.respiratoryRate = Math.max(12, newVitals.respiratoryRate - 3);
-    }
-
-    // Record the new vitals
-    this.vitalsHistory.push({
+    this.interventionsPerformed.push({
+      intervention: `${dose.medication} ${dose.amount} ${dose.unit} ${dose.route}`,
       timestamp,
-      vitals: newVitals,
-      reason: `intervention: ${intervention}`
+      elapsedTime: Math.floor((timestamp - this.scenarioStartTime) / 60000),
+      dose
     });
+    console.log(`💊 ${dose.medication} ${dose.amount} ${dose.unit} ${dose.route} (dose ${dose.doseNumber})`,
+      dose.warnings.length ? dose.warnings.map(w => w.message) : '');
+    return dose;
   }
 
   /**
-   * Update vitals based on time progression and scenario evolution
-   * @param {Object} scenarioData - Current scenario data
+   * Worsen the patient beyond their condition's course (instructor-injected)
+   * @param {string} severity - mild, moderate or severe
+   * @param {number} timestamp - When the deterioration begins
+   * @returns {Object|null} - The deterioration, or null for an unknown severity
    */
-  updateVitalsForTimeProgression(scenarioData) {
-    const elapsedMinutes = this.getElapsedTime();
-    const currentVitals = this.getCurrentVitals();
-    const newVitals = { ...currentVitals };
-    const scenarioType = this.determineScenarioType(scenarioData);
-    const difficulty = scenarioData?.generatedScenario?.difficulty?.level || 'intermediate';
-
-    // Check if critical interventions are missing
-    const criticalInterventions = this.getCriticalInterventions(scenarioType);
-    const providedInterventions = this.interventionsPerformed.map(i => i.intervention.toLowerCase());
-    const missingCritical = criticalInterventions.filter(critical => 
-      !providedInterventions.some(provided => provided.includes(critical))
-    );
+  deteriorate(severity, timestamp = Date.now()) {
+    const deterioration = this.physiology.deteriorate(severity, timestamp);
+    if (deterioration) console.log(`📉 Patient deteriorating (${severity})`);
+    return deterioration;
+  }
 
-    // Deterioration based on missing critical interventions and time
-    if (missingCritical.length > 0 && elapsedMinutes > 5) {
-      const deteriorationFactor = Math.min(elapsedMinutes / 10, 1.0);
-      
-      switch (scenarioType) {
-        case 'cardiac':
-          if (missingCritical.includes('oxygen')) {
-            newVitals.spO2 = Math.max(75, newVitals.spO2 - (2 * deteriorationFactor));
-          }
-          if (missingCritical.includes('aspirin')) {
-            newVitals.heartRate = Math.min(140, newVitals.heartRate + (5 * deteriorationFactor));
-          }
-          break;
-        case 'respiratory':
-          if (missingCritical.includes('oxygen')) {
-            newVitals.spO2 = Math.max(70, newVitals.spO2 - (3 * deteriorationFactor));
-            newVitals.respiratoryRate = Math.min(35, newVitals.respiratoryRate + (3 * deteriorationFactor));
-          }
-          break;
-        case 'allergic':
-          if (missingCritical.includes('epinephrine')) {
-            newVitals.spO2 = Math.max(65, newVitals.spO2 - (4 * deteriorationFactor));
-            newVitals.systolic = Math.max(70, newVitals.systolic - (10 * deteriorationFactor));
-          }
-          break;
-      }
-    }
+  /**
+   * Stop a running treatment, e.g. oxygen when the tank runs dry
+   * @param {string} treatment - Treatment key (see PhysiologyEngine.TREATMENTS)
+   * @param {number} timestamp - When it stopped
+   * @returns {number} - How many running applications were stopped
+   */
+  stopTreatment(treatment, timestamp = Date.now()) {
+    return this.physiology.stopTreatment(treatment, timestamp);
+  }
 
-    // Natural progression based on difficulty
-    if (difficulty === 'advanced' && elapsedMinutes > 8) {
-      // Advanced scenarios may deteriorate even with proper care
-      newVitals.heartRate = Math.min(130, newVitals.heartRate + 2);
-      newVitals.respiratoryRate = Math.min(28, newVitals.respiratoryRate + 1);
-    }
+  /**
+   * Noticeable medication side effects, for the patient's portrayal
+   * @returns {Array} - Side effect descriptions
+   */
+  getActiveSideEffects() {
+    if (!this.physiology.isInitialized()) return [];
+    return this.physiology.getStatus(Date.now()).sideEffects;
+  }
 
-    // Record updated vitals if they changed significantly
-    if (this.vitalsChangedSignificantly(currentVitals, newVitals)) {
-      this.vitalsHistory.push({
-        timestamp: Date.now(),
-        vitals: newVitals,
-        reason: `time progression: ${elapsedMinutes} minutes`
-      });
-    }
+  /**
+   * Check whether an EMT action includes a treatment the physiology responds to
+   * @param {string} text - EMT message
+   * @returns {boolean} - True if a known treatment is described
+   */
+  isTreatment(text) {
+    return PhysiologyEngine.matchTreatments(text).length > 0;
   }
 
   /**
-   * Get critical interventions for scenario type
-   * @param {string} scenarioType - Type of scenario
-   * @returns {Array} - List of critical interventions
+   * Sample the physiology and record the reading if it moved noticeably
+   * @param {number} timestamp - When to sample
    */
-  getCriticalInterventions(scenarioType) {
-    const criticalMap = {
-      cardiac: ['oxygen', 'aspirin'],
-      respiratory: ['oxygen', 'positioning'],
-      allergic: ['epinephrine', 'oxygen'],
-      trauma: ['oxygen', 'immobilization'],
-      neurologic: ['oxygen', 'positioning'],
-      metabolic: ['glucose', 'oxygen'],
-      general: ['oxygen']
-    };
-    
-    return criticalMap[scenarioType] || criticalMap.general;
+  updateVitalsForTimeProgression(timestamp = Date.now()) {
+    if (!this.physiology.isInitialized()) return;
+
+    const previous = this.vitalsHistory.length > 0
+      ? this.vitalsHistory[this.vitalsHistory.length - 1].vitals
+      : null;
+    const vitals = this.physiology.getVitals(timestamp);
+
+    if (!previous || this.vitalsChangedSignificantly(previous, vitals)) {
+      this.vitalsHistory.push({
+        timestamp,
+        vitals,
+        reason: `time progression: ${Math.floor((timestamp - this.scenarioStartTime) / 60000)} minutes`
+      });
+    }
   }
 
   /**
@@ -323,7 +189,10 @@ class PatientSimulator {
       systolic: 10,
       diastolic: 5,
       spO2: 2,
-      temperature: 0.5
+      temperature: 0.5,
+      etco2: 4,
+      glucose: 10,
+      gcs: 1
     };
 
     return Object.keys(thresholds).some(key => 
@@ -336,12 +205,30 @@ class PatientSimulator {
    * @returns {Object} - Current vital signs
    */
   getCurrentVitals() {
+    if (this.physiology.isInitialized()) {
+      return this.physiology.getVitals(Date.now());
+    }
     if (this.vitalsHistory.length === 0) {
-      return { heartRate: 90, respiratoryRate: 18, systolic: 130, diastolic: 80, spO2: 96, temperature: 98.6 };
+      return { ...PhysiologyEngine.NORMAL_VITALS };
     }
     return { ...this.vitalsHistory[this.vitalsHistory.length - 1].vitals };
   }
 
+  /**
+   * One-line vitals summary for prompts and vitals parsing
+   * @param {Object} scenarioData - Used to preview baseline vitals before the scenario starts
+   * @returns {string} - e.g. "HR 104, RR 22, BP 148/92, SpO2 94%, Temp 98.6°F, EtCO2 36 mmHg, BGL 140 mg/dL, GCS 15"
+   */
+  getVitalsSummary(scenarioData) {
+    const vitals = this.physiology.isInitialized() || !scenarioData
+      ? this.getCurrentVitals()
+      : new PhysiologyEngine().initialize(scenarioData).getVitals();
+
+    return `HR ${vitals.heartRate}, RR ${vitals.respiratoryRate}, BP ${vitals.systolic}/${vitals.diastolic}, ` +
+      `SpO2 ${vitals.spO2}%, Temp ${vitals.temperature.toFixed(1)}°F, EtCO2 ${vitals.etco2} mmHg, ` +
+      `BGL ${vitals.glucose} mg/dL, GCS ${vitals.gcs}`;
+  }
+
   /**
    * Get specific vital sign requested by EMT
    * @param {string} vitalType - Type of vital requested
@@ -351,6 +238,15 @@ class PatientSimulator {
     const currentVitals = this.getCurrentVitals();
     const normalizedType = vitalType.toLowerCase();
 
+    if (/(etco2|end.?tidal|capnograph)/.test(normalizedType)) {
+      return `EtCO2: ${currentVitals.etco2} mmHg`;
+    }
+    if (/(glucose|sugar|bgl)/.test(normalizedType)) {
+      return `Blood glucose: ${currentVitals.glucose} mg/dL`;
+    }
+    if (/(gcs|glasgow)/.test(normalizedType)) {
+      return `GCS: ${currentVitals.gcs}`;
+    }
     if (/(heart rate|pulse|hr)/.test(normalizedType)) {
       return `Heart rate: ${currentVitals.heartRate} bpm`;
     }
@@ -371,31 +267,34 @@ class PatientSimulator {
   }
 
   /**
-   * Update consciousness level based on scenario progression
-   * @param {Object} scenarioData - Current scenario data
+   * Update consciousness level from the patient's current GCS and perfusion
    */
-  updateConsciousness(scenarioData) {
-    const elapsedMinutes = this.getElapsedTime();
+  updateConsciousness() {
+    if (!this.physiology.isInitialized()) return;
+
     const currentVitals = this.getCurrentVitals();
-    const difficulty = scenarioData?.generatedScenario?.difficulty?.level || 'intermediate';
-
-    // Consciousness changes based on vitals and time
-    if (currentVitals.spO2 < 80 || currentVitals.systolic < 80) {
-      if (this.consciousnessLevel === 'alert') {
-        this.consciousnessLevel = 'altered';
-      } else if (this.consciousnessLevel === 'altered' && currentVitals.spO2 < 75) {
-        this.consciousnessLevel = 'unconscious';
-      }
+    let level = this.consciousnessFromGcs(currentVitals.gcs);
+
+    // Severe hypoxia or hypotension clouds mentation before GCS catches up
+    if (level === 'alert' && (currentVitals.spO2 < 80 || currentVitals.systolic < 80)) {
+      level = 'altered';
     }
 
-    // Recovery with proper interventions
-    const hasOxygen = this.interventionsPerformed.some(i => 
-      /(oxygen|o2|nasal cannula|mask|bvm)/.test(i.intervention.toLowerCase())
-    );
-    
-    if (hasOxygen && currentVitals.spO2 > 90 && this.consciousnessLevel === 'altered') {
-      this.consciousnessLevel = 'alert';
+    if (level !== this.consciousnessLevel) {
+      console.log('🧠 Consciousness updated:', level);
     }
+    this.consciousnessLevel = level;
+  }
+
+  /**
+   * Map a Glasgow Coma Scale score to the simulator's consciousness levels
+   * @param {number} gcs - GCS 3-15
+   * @returns {string} - alert, altered or unconscious
+   */
+  consciousnessFromGcs(gcs) {
+    if (gcs >= 15) return 'alert';
+    if (gcs > 8) return 'altered';
+    return 'unconscious';
   }
 
   /**
@@ -522,41 +421,7 @@ class PatientSimulator {
    * Update vitals based on time progression and interventions
    */
   updateVitals() {
-    if (!this.scenarioStartTime) return;
-    
-    const elapsedMinutes = this.getElapsedTime();
-    const updatedVitals = this.calculateVitalsProgression(elapsedMinutes);
-    
-    this.vitalsHistory.push({
-      timestamp: Date.now(),
-      vitals: updatedVitals,
-      elapsedTime: elapsedMinutes
-    });
-    
-    console.log('📊 Vitals updated:', updatedVitals);
-  }
-
-  /**
-   * Update consciousness level based on condition and interventions
-   */
-  updateConsciousness() {
-    if (!this.scenarioStartTime) return;
-    
-    const currentVitals = this.getCurrentVitals();
-    const elapsedMinutes = this.getElapsedTime();
-    
-    // Determine consciousness based on vitals and time
-    if (currentVitals.spO2 < 80 || currentVitals.systolic < 80) {
-      this.consciousnessLevel = 'altered';
-    } else if (currentVitals.spO2 < 70 || currentVitals.systolic < 70) {
-      this.consciousnessLevel = 'unconscious';
-    } else if (elapsedMinutes > 10 && this.interventionsPerformed.length === 0) {
-      this.consciousnessLevel = 'altered'; // Deterioration without treatment
-    } else {
-      this.consciousnessLevel = 'alert';
-    }
-    
-    console.log('🧠 Consciousness updated:', this.consciousnessLevel);
+    this.updateVitalsForTimeProgression(Date.now());
   }
 
   /**
@@ -579,9 +444,38 @@ class PatientSimulator {
     this.interventionsPerformed = [];
     this.consciousnessLevel = 'alert';
     this.patientResponses = [];
+    this.physiology.reset();
     
     console.log('🔄 Patient simulator reset');
   }
+
+  /**
+   * Snapshot the simulation state so a session can be persisted
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      scenarioStartTime: this.scenarioStartTime,
+      vitalsHistory: this.vitalsHistory,
+      interventionsPerformed: this.interventionsPerformed,
+      consciousnessLevel: this.consciousnessLevel,
+      patientResponses: this.patientResponses,
+      physiology: this.physiology.getState()
+    };
+  }
+
+  /**
+   * Restore simulation state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.scenarioStartTime = state.scenarioStartTime || null;
+    this.vitalsHistory = state.vitalsHistory || [];
+    this.interventionsPerformed = state.interventionsPerformed || [];
+    this.consciousnessLevel = state.consciousnessLevel || 'alert';
+    this.patientResponses = state.patientResponses || [];
+    this.physiology.restoreState(state.physiology);
+  }
 }
 
 module.exports = PatientSimulator;
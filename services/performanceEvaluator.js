@@ -1,8 +1,13 @@
 // services/performanceEvaluator.js
+const ScenarioTimeline = require('./scenarioTimeline');
 
 class PerformanceEvaluator {
-  constructor() {
+  /**
+   * @param {ScenarioTimeline} timeline - Session event log; actions, interventions and errors are read from it
+   */
+  constructor(timeline = new ScenarioTimeline()) {
     this.evaluationCriteria = this.initializeEvaluationCriteria();
+    this.timeline = timeline;
     this.scenarioLog = [];
     this.performanceMetrics = {};
   }
@@ -27,43 +32,70 @@ class PerformanceEvaluator {
       scenarioType: scenarioData?.mainScenario || 'Unknown',
       difficulty: scenarioData?.generatedScenario?.difficulty?.level || 'intermediate',
       totalTime: 0,
-      actions: [],
-      vitalsChecked: [],
-      interventionsPerformed: [],
       communicationEvents: [],
-      errors: [],
       scores: {}
     };
     console.log('📊 Performance evaluation started');
   }
 
-  logAction(action, timestamp, details = {}) {
-    const actionLog = {
-      action,
-      timestamp,
-      elapsedTime: timestamp - this.performanceMetrics.startTime,
-      details,
-      category: this.categorizeAction(action)
-    };
+  /**
+   * Record a recognized student action on the timeline
+   * @param {string} action - What the student said
+   * @param {number} timestamp - When it happened
+   * @param {Object} details - ActionRecognizer details (actionType, vitalType, medication, ...)
+   */
+  logAction(action, timestamp = Date.now(), details = {}) {
+    this.timeline.record('action', {
+      text: action,
+      actionType: details.actionType || 'unknown',
+      category: this.categorizeAction(action),
+      details
+    }, timestamp);
+  }
 
-    this.performanceMetrics.actions.push(actionLog);
+  /**
+   * Record a mistake such as a contraindicated or mis-dosed medication
+   * @param {string} type - Error category, e.g. contraindication or medication_overdose
+   * @param {string} message - What went wrong
+   * @param {number} timestamp - When it happened
+   */
+  logError(type, message, timestamp = Date.now()) {
+    this.timeline.record('error', { errorType: type, message }, timestamp);
+    console.log(`⚠️ Performance error logged (${type}):`, message);
+  }
 
-    if (details.actionType === 'vitalCheck') {
-      this.performanceMetrics.vitalsChecked.push({
-        vitalType: details.vitalType,
-        timestamp,
-        elapsedTime: actionLog.elapsedTime
-      });
-    }
+  getActions() {
+    return this.timeline.getEvents('action').map(event => ({
+      action: event.text,
+      timestamp: event.timestamp,
+      elapsedTime: event.elapsedMs,
+      details: event.details,
+      category: event.category
+    }));
+  }
 
-    if (details.actionType === 'medicationAdmin' || details.actionType === 'equipmentUse') {
-      this.performanceMetrics.interventionsPerformed.push({
-        intervention: action,
-        timestamp,
-        elapsedTime: actionLog.elapsedTime,
-        details
-      });
-    }
+  getVitalsChecked() {
+    return this.getActions()
+      .filter(action => action.details.actionType === 'vitalCheck')
+      .map(action => ({ vitalType: action.details.vitalType, timestamp: action.timestamp, elapsedTime: action.elapsedTime }));
+  }
+
+  getInterventionsPerformed() {
+    return this.timeline.getEvents('intervention').map(event => ({
+      intervention: event.description,
+      timestamp: event.timestamp,
+      elapsedTime: event.elapsedMs,
+      details: event
+    }));
+  }
+
+  getErrors() {
+    return this.timeline.getEvents('error').map(event => ({
+      type: event.errorType,
+      message: event.message,
+      timestamp: event.timestamp,
+      elapsedTime: event.elapsedMs
+    }));
   }
 
   categorizeAction(action) {
@@ -104,7 +136,7 @@ class PerformanceEvaluator {
 
   calculateCategoryScore(category, finalState) {
     const criteria = this.evaluationCriteria[category];
-    const categoryActions = this.performanceMetrics.actions.filter(action => action.category === category);
+    const categoryActions = this.getActions().filter(action => action.category === category);
     
     let points = 0;
     const feedback = [];
@@ -165,7 +197,7 @@ class PerformanceEvaluator {
 
   evaluateVitalSigns(strengths, improvements) {
     let points = 0;
-    const vitalsChecked = this.performanceMetrics.vitalsChecked;
+    const vitalsChecked = this.getVitalsChecked();
     
     if (vitalsChecked.some(v => v.vitalType === 'bloodPressure')) {
       points += 3;
@@ -193,7 +225,7 @@ class PerformanceEvaluator {
 
   evaluateInterventions(strengths, improvements) {
     let points = 0;
-    const interventions = this.performanceMetrics.interventionsPerformed;
+    const interventions = this.getInterventionsPerformed();
     
     if (interventions.length >= 2) {
       points += 15;
@@ -211,7 +243,12 @@ class PerformanceEvaluator {
       points += 10;
       strengths.push('Performed interventions in timely manner');
     }
-    
+
+    // Medication errors (dose, route, repeat timing, hold parameters) cost points
+    const medicationErrors = this.getErrors().filter(e => e.type.startsWith('medication_'));
+    medicationErrors.forEach(error => improvements.push(error.message));
+    points = Math.max(0, points - medicationErrors.length * 5);
+
     return points;
   }
 
@@ -257,9 +294,9 @@ class PerformanceEvaluator {
       strengths: this.getAllStrengths(),
       improvements: this.getAllImprovements(),
       detailedMetrics: {
-        totalActions: this.performanceMetrics.actions.length,
-        vitalsChecked: this.performanceMetrics.vitalsChecked.length,
-        interventionsPerformed: this.performanceMetrics.interventionsPerformed.length
+        totalActions: this.getActions().length,
+        vitalsChecked: this.getVitalsChecked().length,
+        interventionsPerformed: this.getInterventionsPerformed().length
       }
     };
   }
@@ -285,6 +322,18 @@ class PerformanceEvaluator {
     this.performanceMetrics = {};
     console.log('📊 Performance evaluator reset');
   }
+
+  getState() {
+    return {
+      scenarioLog: this.scenarioLog,
+      performanceMetrics: this.performanceMetrics
+    };
+  }
+
+  restoreState(state = {}) {
+    this.scenarioLog = state.scenarioLog || [];
+    this.performanceMetrics = state.performanceMetrics || {};
+  }
 }
 
 module.exports = PerformanceEvaluator;
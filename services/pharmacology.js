@@ -0,0 +1,257 @@
+// services/pharmacology.js
+
+/**
+ * EMT-scope formulary. Each drug has a standard adult dose and a time course
+ * for every route it works by. Times are in minutes after administration:
+ *   onset     first noticeable effect
+ *   peak      full effect
+ *   duration  effect gone (null = lasts for the rest of the scenario)
+ * Effects are per-vital deltas at peak for the standard dose and scale with
+ * the dose given. Side effects scale without a cap, so overdoses show.
+ */
+const DRUGS = {
+  epinephrine: {
+    label: 'Epinephrine',
+    standardDose: 0.3,
+    unit: 'mg',
+    units: { mg: 1, mcg: 0.001 },
+    maxSingleDose: 0.5,
+    defaultRoute: 'intramuscular',
+    routes: {
+      intramuscular: { onset: 1, peak: 5, duration: 20 },
+      intravenous: { onset: 0.5, peak: 1, duration: 5 }
+    },
+    effects: { heartRate: 15, respiratoryRate: -2, systolic: 20, diastolic: 6, spO2: 2 },
+    sideEffects: {
+      deltas: { heartRate: 10 },
+      description: 'feels shaky and anxious, with a pounding heart'
+    },
+    repeat: { minIntervalMinutes: 5, maxDoses: 2 }
+  },
+  albuterol: {
+    label: 'Albuterol',
+    standardDose: 2.5,
+    unit: 'mg',
+    // Inhaler puffs are counted as their nebulized equivalent
+    units: { mg: 1, puff: 0.625 },
+    maxSingleDose: 5,
+    defaultRoute: 'inhaled',
+    routes: {
+      inhaled: { onset: 2, peak: 10, duration: 30 }
+    },
+    effects: { respiratoryRate: -4, spO2: 4, etco2: -3 },
+    sideEffects: {
+      deltas: { heartRate: 12 },
+      description: 'is tremulous and says their heart is racing'
+    },
+    repeat: { minIntervalMinutes: 5, maxDoses: 3 }
+  },
+  nitroglycerin: {
+    label: 'Nitroglycerin',
+    standardDose: 0.4,
+    unit: 'mg',
+    units: { mg: 1, tablet: 0.4, spray: 0.4 },
+    maxSingleDose: 0.4,
+    defaultRoute: 'sublingual',
+    routes: {
+      sublingual: { onset: 1, peak: 3, duration: 25 }
+    },
+    effects: { heartRate: 6, systolic: -18, diastolic: -8 },
+    sideEffects: {
+      deltas: { systolic: -4 },
+      description: 'complains of a pounding headache'
+    },
+    repeat: { minIntervalMinutes: 5, maxDoses: 3 },
+    // Nitrates drop preload; giving them to a hypotensive patient is an error
+    holdIf: { systolicBelow: 100 }
+  },
+  aspirin: {
+    label: 'Aspirin',
+    standardDose: 324,
+    unit: 'mg',
+    units: { mg: 1, tablet: 81 },
+    maxSingleDose: 325,
+    defaultRoute: 'oral',
+    routes: {
+      oral: { onset: 5, peak: 30, duration: null }
+    },
+    effects: {},
+    sideEffects: null,
+    repeat: { minIntervalMinutes: 0, maxDoses: 1 }
+  },
+  glucose: {
+    label: 'Oral glucose',
+    standardDose: 15,
+    unit: 'g',
+    units: { g: 1, gram: 1, tube: 15 },
+    maxSingleDose: 30,
+    defaultRoute: 'oral',
+    routes: {
+      oral: { onset: 3, peak: 15, duration: null },
+      intravenous: { onset: 0.5, peak: 2, duration: null }
+    },
+    effects: { glucose: 40 },
+    sideEffects: null,
+    repeat: { minIntervalMinutes: 10, maxDoses: 2 }
+  }
+};
+
+// Unit spellings from ActionRecognizer.extractDosage mapped to formulary units
+const UNIT_ALIASES = {
+  mg: 'mg', mcg: 'mcg', g: 'g', gram: 'gram', grams: 'gram',
+  tablet: 'tablet', tablets: 'tablet', tab: 'tablet', tabs: 'tablet',
+  puff: 'puff', puffs: 'puff', spray: 'spray', sprays: 'spray', tube: 'tube', tubes: 'tube'
+};
+
+// Cap on how far a large dose can push the therapeutic effect
+const MAX_EFFECT_SCALE = 2;
+
+/**
+ * Turns medication actions into timed, dose-dependent vital sign effects and
+ * checks them against route, dose and repeat-dose rules.
+ */
+class Pharmacology {
+  constructor(formulary = DRUGS) {
+    this.drugs = formulary;
+  }
+
+  getDrug(medication) {
+    return this.drugs[medication] || null;
+  }
+
+  /**
+   * Convert an extracted dosage ("0.3 mg", "2 puffs") to the drug's standard unit
+   * @param {Object} drug - Formulary entry
+   * @param {string|null} dosage - Dosage from ActionRecognizer.extractDosage
+   * @returns {number|null} - Amount in drug.unit, or null if it cannot be read
+   */
+  parseDose(drug, dosage) {
+    if (!dosage) return null;
+    const match = String(dosage).toLowerCase().match(/(\d+(?:\.\d+)?)\s*([a-z]+)/);
+    if (!match) return null;
+
+    // "1 dose" means the standard dose
+    if (/^doses?$/.test(match[2])) return Number(match[1]) * drug.standardDose;
+
+    const unit = UNIT_ALIASES[match[2]];
+    const factor = unit ? drug.units[unit] : undefined;
+    return factor === undefined ? null : Number(match[1]) * factor;
+  }
+
+  /**
+   * Build a dose record and list any rule the administration breaks
+   * @param {Object} details - medicationAdmin details: medication, dosage, route
+   * @param {Array} previousDoses - Doses already given this scenario
+   * @param {number} timestamp - When the dose was given
+   * @param {Object} vitals - Vitals at the time of administration
+   * @returns {Object|null} - Dose record with warnings, or null for unknown drugs
+   */
+  administer(details, previousDoses = [], timestamp = Date.now(), vitals = {}) {
+    const drug = this.getDrug(details.medication);
+    if (!drug) return null;
+
+    const warnings = [];
+    const route = details.route || drug.defaultRoute;
+    let amount = this.parseDose(drug, details.dosage);
+    if (amount === null) {
+      amount = drug.standardDose;
+      if (details.dosage) warnings.push({ type: 'dose', message: `Could not read a ${drug.label.toLowerCase()} dose from "${details.dosage}"; assumed ${drug.standardDose} ${drug.unit}` });
+    }
+
+    if (!drug.routes[route]) {
+      warnings.push({ type: 'route', message: `${drug.label} is not effective by the ${route} route` });
+    }
+    if (amount > drug.maxSingleDose) {
+      warnings.push({ type: 'overdose', message: `${amount} ${drug.unit} of ${drug.label.toLowerCase()} exceeds the maximum single dose of ${drug.maxSingleDose} ${drug.unit}` });
+    }
+
+    const priorDoses = previousDoses.filter(dose => dose.medication === details.medication);
+    const lastDose = priorDoses[priorDoses.length - 1];
+    if (priorDoses.length >= drug.repeat.maxDoses) {
+      warnings.push({ type: 'repeat', message: `${drug.label} has already been given ${priorDoses.length} time(s); the limit is ${drug.repeat.maxDoses}` });
+    } else if (lastDose && (timestamp - lastDose.timestamp) / 60000 < drug.repeat.minIntervalMinutes) {
+      warnings.push({ type: 'repeat', message: `${drug.label} repeated less than ${drug.repeat.minIntervalMinutes} minutes after the previous dose` });
+    }
+
+    if (drug.holdIf?.systolicBelow && vitals.systolic < drug.holdIf.systolicBelow) {
+      warnings.push({ type: 'hold', message: `${drug.label} given with a systolic pressure of ${vitals.systolic} (hold below ${drug.holdIf.systolicBelow})` });
+    }
+
+    return {
+      medication: details.medication,
+      amount,
+      unit: drug.unit,
+      route,
+      timestamp,
+      doseNumber: priorDoses.length + 1,
+      warnings
+    };
+  }
+
+  /**
+   * Share of a dose's peak effect present at a point in time
+   * @param {Object} dose - Dose record from administer()
+   * @param {number} at - Timestamp to evaluate
+   * @returns {number} - 0 to 1
+   */
+  effectFraction(dose, at) {
+    const timing = this.getDrug(dose.medication)?.routes[dose.route];
+    if (!timing) return 0;
+
+    const minutes = (at - dose.timestamp) / 60000;
+    if (minutes < timing.onset) return 0;
+    if (minutes < timing.peak) return (minutes - timing.onset) / (timing.peak - timing.onset);
+    if (timing.duration === null) return 1;
+    if (minutes < timing.duration) return 1 - (minutes - timing.peak) / (timing.duration - timing.peak);
+    return 0;
+  }
+
+  /**
+   * Vital sign changes a dose is causing at a point in time
+   * @param {Object} dose - Dose record from administer()
+   * @param {number} at - Timestamp to evaluate
+   * @returns {Object} - Per-vital deltas
+   */
+  effectAt(dose, at) {
+    const drug = this.getDrug(dose.medication);
+    const fraction = this.effectFraction(dose, at);
+    const deltas = {};
+    if (!drug || fraction === 0) return deltas;
+
+    const scale = dose.amount / drug.standardDose;
+    const add = (changes, factor) => Object.entries(changes).forEach(([key, delta]) => {
+      deltas[key] = (deltas[key] || 0) + delta * factor * fraction;
+    });
+
+    add(drug.effects, Math.min(scale, MAX_EFFECT_SCALE));
+    if (drug.sideEffects) add(drug.sideEffects.deltas, scale);
+    return deltas;
+  }
+
+  /**
+   * When a dose starts working, used to decide when it controls a condition
+   * @param {Object} dose - Dose record from administer()
+   * @returns {number|null} - Timestamp of onset, or null if the route is ineffective
+   */
+  getOnsetTime(dose) {
+    const timing = this.getDrug(dose.medication)?.routes[dose.route];
+    return timing ? dose.timestamp + timing.onset * 60000 : null;
+  }
+
+  /**
+   * Side effects the patient is noticeably experiencing
+   * @param {Array} doses - Doses given this scenario
+   * @param {number} at - Timestamp to evaluate
+   * @returns {Array} - Descriptions such as "feels shaky and anxious"
+   */
+  getActiveSideEffects(doses, at) {
+    const descriptions = doses
+      .filter(dose => this.getDrug(dose.medication)?.sideEffects && this.effectFraction(dose, at) >= 0.3)
+      .map(dose => this.getDrug(dose.medication).sideEffects.description);
+    return [...new Set(descriptions)];
+  }
+}
+
+Pharmacology.DRUGS = DRUGS;
+
+module.exports = Pharmacology;
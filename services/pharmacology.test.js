@@ -0,0 +1,58 @@
+// services/pharmacology.test.js
+const Pharmacology = require('./pharmacology');
+const ActionRecognizer = require('./actionRecognizer');
+
+const START = 1_700_000_000_000;
+const minutes = n => START + n * 60000;
+
+describe('Pharmacology', () => {
+  let pharmacology;
+
+  beforeEach(() => {
+    pharmacology = new Pharmacology();
+  });
+
+  test('should follow onset, peak and wear-off for IM epinephrine', () => {
+    const dose = pharmacology.administer({ medication: 'epinephrine', dosage: '0.3 mg', route: 'intramuscular' }, [], START);
+
+    expect(pharmacology.effectAt(dose, minutes(0.5))).toEqual({});
+    const rising = pharmacology.effectAt(dose, minutes(3)).systolic;
+    const peak = pharmacology.effectAt(dose, minutes(5)).systolic;
+    const fading = pharmacology.effectAt(dose, minutes(15)).systolic;
+
+    expect(rising).toBeGreaterThan(0);
+    expect(peak).toBeGreaterThan(rising);
+    expect(fading).toBeLessThan(peak);
+    expect(pharmacology.effectAt(dose, minutes(25))).toEqual({});
+  });
+
+  test('should scale effects and side effects with the dose', () => {
+    const standard = pharmacology.administer({ medication: 'albuterol', dosage: '2.5 mg' }, [], START);
+    const half = pharmacology.administer({ medication: 'albuterol', dosage: '2 puffs' }, [], START);
+
+    expect(half.amount).toBeCloseTo(1.25);
+    expect(pharmacology.effectAt(half, minutes(10)).heartRate).toBeCloseTo(pharmacology.effectAt(standard, minutes(10)).heartRate / 2);
+  });
+
+  test('should flag overdoses, wrong routes, early repeats and hold parameters', () => {
+    const overdose = pharmacology.administer({ medication: 'epinephrine', dosage: '3 mg' }, [], START);
+    expect(overdose.warnings.map(w => w.type)).toContain('overdose');
+
+    const wrongRoute = pharmacology.administer({ medication: 'glucose', dosage: '15 g', route: 'intramuscular' }, [], START);
+    expect(wrongRoute.warnings.map(w => w.type)).toContain('route');
+    expect(pharmacology.effectAt(wrongRoute, minutes(20))).toEqual({});
+
+    const first = pharmacology.administer({ medication: 'nitroglycerin', dosage: '0.4 mg' }, [], START, { systolic: 150 });
+    expect(first.warnings).toEqual([]);
+    const early = pharmacology.administer({ medication: 'nitroglycerin', dosage: '0.4 mg' }, [first], minutes(2), { systolic: 92 });
+    expect(early.doseNumber).toBe(2);
+    expect(early.warnings.map(w => w.type)).toEqual(['repeat', 'hold']);
+  });
+
+  test('should read dose and route from recognized actions', () => {
+    const action = new ActionRecognizer().recognizeAction('Give the patient her epi pen in the thigh');
+
+    expect(action.type).toBe('medicationAdmin');
+    expect(action.details).toMatchObject({ medication: 'epinephrine', dosage: '0.3 mg', route: 'intramuscular' });
+  });
+});
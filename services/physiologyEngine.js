@@ -0,0 +1,537 @@
+// services/physiologyEngine.js
+const Pharmacology = require('./pharmacology');
+const rubricMatcher = require('./rubricMatcher');
+
+// Physiological limits every computed value is clamped to
+const VITAL_LIMITS = {
+  heartRate: [20, 220],
+  respiratoryRate: [4, 60],
+  systolic: [40, 250],
+  diastolic: [20, 150],
+  spO2: [50, 100],
+  temperature: [90, 108],
+  etco2: [5, 90],
+  glucose: [10, 600],
+  gcs: [3, 15]
+};
+
+// Healthy adult values; recovery trends toward these and never past them
+const NORMAL_VITALS = {
+  heartRate: 80,
+  respiratoryRate: 16,
+  systolic: 124,
+  diastolic: 78,
+  spO2: 98,
+  temperature: 98.6,
+  etco2: 38,
+  glucose: 100,
+  gcs: 15
+};
+
+const VITAL_KEYS = Object.keys(NORMAL_VITALS);
+
+/**
+ * Condition profiles. Each one has baseline vitals and trajectory phases.
+ * A phase's rates are per-minute changes that apply while the condition is untreated.
+ * Once a controlling treatment is given (or a controlling drug takes effect),
+ * the slide stops and any recovery speeds (per minute, toward normal) take over.
+ */
+const CONDITIONS = {
+  anaphylaxis: {
+    label: 'Anaphylaxis',
+    baseline: { heartRate: 118, respiratoryRate: 26, systolic: 100, diastolic: 62, spO2: 91, etco2: 31, glucose: 118 },
+    phases: [
+      { name: 'progressing', until: 4, rates: { heartRate: 1.5, respiratoryRate: 0.5, systolic: -2, diastolic: -1.5, spO2: -0.5 } },
+      { name: 'worsening', until: Infinity, rates: { heartRate: 2.5, respiratoryRate: 1, systolic: -5, diastolic: -3, spO2: -1.5, etco2: -0.8, gcs: -0.25 } }
+    ],
+    controlledBy: ['epinephrine'],
+    recovery: { heartRate: 1.5, respiratoryRate: 1, systolic: 4, diastolic: 2, spO2: 1, etco2: 0.5, gcs: 0.5 }
+  },
+  hemorrhagicShock: {
+    label: 'Hemorrhagic shock',
+    baseline: { heartRate: 112, respiratoryRate: 22, systolic: 118, diastolic: 86, spO2: 96, etco2: 34, temperature: 97.9 },
+    phases: [
+      // Tachycardia climbs and pulse pressure narrows while systolic pressure holds
+      { name: 'compensated', until: 8, rates: { heartRate: 2.5, respiratoryRate: 0.5, systolic: -0.5, diastolic: 0.25, etco2: -0.3 } },
+      // Compensation fails and pressure falls
+      { name: 'decompensated', until: Infinity, rates: { heartRate: 1.5, respiratoryRate: 1, systolic: -5, diastolic: -3.5, spO2: -0.8, etco2: -1.2, gcs: -0.4, temperature: -0.05 } }
+    ],
+    controlledBy: ['hemorrhageControl'],
+    // Bleeding control halts the slide; volume replacement happens at the hospital
+    recovery: { heartRate: 0.5, respiratoryRate: 0.25 }
+  },
+  acuteCoronarySyndrome: {
+    label: 'Acute coronary syndrome',
+    baseline: { heartRate: 104, respiratoryRate: 20, systolic: 156, diastolic: 94, spO2: 93, etco2: 36, glucose: 140 },
+    phases: [
+      { name: 'ischemic', until: Infinity, rates: { heartRate: 0.6, respiratoryRate: 0.2, systolic: -0.6, diastolic: -0.3, spO2: -0.2 } }
+    ],
+    controlledBy: ['aspirin'],
+    recovery: { heartRate: 0.5, respiratoryRate: 0.2 }
+  },
+  bronchospasm: {
+    label: 'Bronchospasm',
+    baseline: { heartRate: 112, respiratoryRate: 28, systolic: 142, diastolic: 86, spO2: 90, etco2: 46 },
+    phases: [
+      { name: 'tiring', until: 10, rates: { heartRate: 0.8, respiratoryRate: 0.4, spO2: -0.4, etco2: 0.6 } },
+      { name: 'respiratory failure', until: Infinity, rates: { heartRate: 1, respiratoryRate: -1.2, spO2: -1.2, etco2: 1.5, gcs: -0.3 } }
+    ],
+    controlledBy: ['albuterol'],
+    recovery: { heartRate: 0.5, respiratoryRate: 0.8, spO2: 0.8, etco2: 0.8, gcs: 0.5 }
+  },
+  stroke: {
+    label: 'Stroke',
+    baseline: { heartRate: 88, respiratoryRate: 18, systolic: 182, diastolic: 102, spO2: 96, glucose: 128, gcs: 14 },
+    phases: [
+      { name: 'evolving deficit', until: Infinity, rates: { systolic: 0.5, gcs: -0.1 } }
+    ],
+    controlledBy: [],
+    recovery: {}
+  },
+  hypoglycemia: {
+    label: 'Hypoglycemia',
+    baseline: { heartRate: 102, respiratoryRate: 18, systolic: 132, diastolic: 80, spO2: 97, temperature: 97.8, glucose: 48, gcs: 13 },
+    phases: [
+      { name: 'falling glucose', until: Infinity, rates: { heartRate: 0.5, glucose: -1, gcs: -0.2 } }
+    ],
+    controlledBy: ['glucose'],
+    recovery: { heartRate: 1, glucose: 10, gcs: 0.5 }
+  },
+  heatIllness: {
+    label: 'Heat illness',
+    baseline: { heartRate: 124, respiratoryRate: 24, systolic: 108, diastolic: 64, spO2: 96, temperature: 103.8, glucose: 110, gcs: 14 },
+    phases: [
+      { name: 'rising core temperature', until: Infinity, rates: { heartRate: 0.8, systolic: -0.8, temperature: 0.08, gcs: -0.1 } }
+    ],
+    controlledBy: ['cooling'],
+    recovery: { heartRate: 1, systolic: 1, temperature: 0.1, gcs: 0.3 }
+  },
+  trauma: {
+    label: 'Trauma without major hemorrhage',
+    baseline: { heartRate: 104, respiratoryRate: 22, systolic: 142, diastolic: 88, spO2: 95 },
+    phases: [{ name: 'stable', until: Infinity, rates: {} }],
+    controlledBy: [],
+    recovery: {}
+  },
+  stable: {
+    label: 'Stable',
+    baseline: { heartRate: 90, respiratoryRate: 18, systolic: 130, diastolic: 80, spO2: 96 },
+    phases: [{ name: 'stable', until: Infinity, rates: {} }],
+    controlledBy: [],
+    recovery: {}
+  }
+};
+
+/**
+ * Non-drug treatments recognized in EMT actions; medications go through
+ * Pharmacology. Effects are per-vital deltas that ramp in over onsetMinutes,
+ * hold for durationMinutes (null = while applied) and then wear off over the
+ * same time they took to come on.
+ */
+const TREATMENTS = {
+  oxygen: {
+    pattern: /(oxygen|\bo2\b|nasal cannula|non.?rebreather|\bnrb\b|\bbvm\b|bag valve)/,
+    effect: { deltas: { spO2: 5, respiratoryRate: -1 }, onsetMinutes: 2, durationMinutes: null }
+  },
+  hemorrhageControl: {
+    pattern: /(tourniquet|direct pressure|pressure dressing|wound packing|pack the wound|hemostatic)/,
+    effect: null
+  },
+  positioning: {
+    pattern: /(sit .*up\b|upright|fowler|position of comfort)/,
+    effect: { deltas: { respiratoryRate: -1, spO2: 1 }, onsetMinutes: 1, durationMinutes: null }
+  },
+  cooling: {
+    pattern: /(cooling|ice packs?|cold packs?|cool (?:the patient|them|him|her) down|into the shade|air.?condition)/,
+    effect: null
+  }
+};
+
+/**
+ * Setbacks an instructor can inject into a running scenario, on top of the
+ * condition's own course. Deltas ramp in over onsetMinutes and persist; the
+ * student has to notice and respond, as no treatment takes them back.
+ */
+const DETERIORATIONS = {
+  onsetMinutes: 2,
+  severities: {
+    mild: { heartRate: 10, respiratoryRate: 3, systolic: -10, diastolic: -6, spO2: -2 },
+    moderate: { heartRate: 20, respiratoryRate: 6, systolic: -22, diastolic: -12, spO2: -5, etco2: -3, gcs: -1 },
+    severe: { heartRate: 35, respiratoryRate: 10, systolic: -40, diastolic: -22, spO2: -10, etco2: -6, gcs: -4 }
+  }
+};
+
+// Difficulty scales how fast untreated conditions deteriorate
+const DIFFICULTY_RATE_MULTIPLIERS = { novice: 0.6, intermediate: 1, advanced: 1.4 };
+
+/**
+ * One patient's physiology. Vitals are a pure function of elapsed scenario
+ * time and the treatments given so far, so readings are continuous, repeatable
+ * and survive a save/restore without drift.
+ */
+class PhysiologyEngine {
+  constructor() {
+    this.pharmacology = new Pharmacology();
+    this.reset();
+  }
+
+  reset() {
+    this.condition = null;
+    this.baseline = null;
+    this.trajectory = null;
+    this.difficulty = 'intermediate';
+    this.startTime = null;
+    this.treatments = [];
+    this.doses = [];
+    this.deteriorations = [];
+  }
+
+  /**
+   * Set up the physiology for a scenario
+   * @param {Object} scenarioData - Complete scenario data
+   * @param {number} startTime - Scenario start timestamp
+   * @returns {PhysiologyEngine} - this, for chaining
+   */
+  initialize(scenarioData, startTime = Date.now()) {
+    const generated = scenarioData?.generatedScenario || {};
+    const condition = generated.physiology?.condition;
+
+    this.condition = CONDITIONS[condition] ? condition : PhysiologyEngine.detectCondition(scenarioData);
+    this.trajectory = generated.physiology?.trajectory || null;
+    this.difficulty = generated.difficulty?.level || 'intermediate';
+    this.startTime = startTime;
+    this.treatments = [];
+    this.doses = [];
+    this.deteriorations = [];
+    this.baseline = this.buildBaseline(generated);
+    return this;
+  }
+
+  isInitialized() {
+    return this.startTime !== null;
+  }
+
+  /**
+   * Pick the condition profile that best matches the scenario
+   * @param {Object} scenarioData - Scenario data
+   * @returns {string} - Key into CONDITIONS
+   */
+  static detectCondition(scenarioData) {
+    const main = (scenarioData?.mainScenario || '').toLowerCase();
+    const text = [
+      scenarioData?.subScenario,
+      scenarioData?.dispatchInfo?.symptoms,
+      scenarioData?.dispatchInfo?.mechanism,
+      scenarioData?.generatedScenario?.presentation?.chiefComplaint
+    ].filter(Boolean).join(' ').toLowerCase();
+
+    if (/anaphyla|allergic|bee sting|stung|hives/.test(text)) return 'anaphylaxis';
+    if (main.includes('trauma')) {
+      return /stab|gunshot|gsw|bleed|hemorrh|laceration|amputat|impale/.test(text) ? 'hemorrhagicShock' : 'trauma';
+    }
+    if (/cardiac|chest pain/.test(text)) return 'acuteCoronarySyndrome';
+    if (/respiratory|asthma|wheez|copd|shortness of breath/.test(text)) return 'bronchospasm';
+    if (/neurolog|stroke|slurred|facial droop/.test(text)) return 'stroke';
+    if (/metabolic|diabet|hypoglyc|low blood sugar/.test(text)) return 'hypoglycemia';
+    if (/heat|hypertherm/.test(text)) return 'heatIllness';
+    return 'stable';
+  }
+
+  /**
+   * The condition profile, with any trajectory the scenario authored in place
+   * of the stock phases, controlling treatments and recovery speeds.
+   * A phase without `until` lasts for the rest of the scenario.
+   * @returns {Object} - Profile shaped like an entry in CONDITIONS
+   */
+  getProfile() {
+    const profile = CONDITIONS[this.condition];
+    if (!this.trajectory) return profile;
+    return {
+      ...profile,
+      phases: this.trajectory.phases.map(phase => ({ name: phase.name, until: phase.until ?? Infinity, rates: phase.rates || {} })),
+      controlledBy: this.trajectory.controlledBy || profile.controlledBy,
+      recovery: this.trajectory.recovery || profile.recovery
+    };
+  }
+
+  /**
+   * Merge the condition baseline with any vitals the scenario specifies
+   * @param {Object} generated - generatedScenario section of the scenario
+   * @returns {Object} - Baseline vitals for every tracked parameter
+   */
+  buildBaseline(generated) {
+    const baseline = { ...NORMAL_VITALS, ...CONDITIONS[this.condition].baseline };
+
+    const consciousness = (generated.physicalFindings?.consciousness || '').toLowerCase();
+    if (/unresponsive|unconscious/.test(consciousness)) baseline.gcs = Math.min(baseline.gcs, 7);
+    else if (/altered|confused|disoriented|letharg/.test(consciousness)) baseline.gcs = Math.min(baseline.gcs, 13);
+
+    const scenarioVitals = generated.vitals?.baseline || {};
+    const [bpSystolic, bpDiastolic] = String(scenarioVitals.bloodPressure || '').split('/').map(Number);
+    const overrides = {
+      heartRate: scenarioVitals.heartRate,
+      respiratoryRate: scenarioVitals.respiratoryRate,
+      systolic: scenarioVitals.bloodPressureSystolic || bpSystolic,
+      diastolic: scenarioVitals.bloodPressureDiastolic || bpDiastolic,
+      spO2: scenarioVitals.spO2,
+      temperature: scenarioVitals.temperature,
+      etco2: scenarioVitals.etco2,
+      glucose: scenarioVitals.glucose,
+      gcs: scenarioVitals.gcs,
+      ...(generated.physiology?.baseline || {})
+    };
+
+    VITAL_KEYS.forEach(key => {
+      const value = Number(overrides[key]);
+      if (Number.isFinite(value) && value > 0) baseline[key] = value;
+    });
+    return baseline;
+  }
+
+  /**
+   * Find the treatments an EMT action gives
+   * @param {string} text - EMT message or intervention description
+   * @returns {Array} - Matching keys into TREATMENTS
+   */
+  static matchTreatments(text) {
+    const normalized = (text || '').toLowerCase();
+    // Negated or hypothetical mentions ("I will not put on oxygen") are not treatments
+    return Object.keys(TREATMENTS).filter(key =>
+      [...normalized.matchAll(new RegExp(TREATMENTS[key].pattern.source, 'g'))]
+        .some(match => !rubricMatcher.isQualifiedAt(normalized, match.index)));
+  }
+
+  /**
+   * Record treatments described in an EMT action
+   * @param {string} text - EMT message or intervention description
+   * @param {number} timestamp - When the treatment was given
+   * @returns {Array} - Treatment keys that were applied
+   */
+  applyTreatment(text, timestamp = Date.now()) {
+    const keys = PhysiologyEngine.matchTreatments(text);
+    keys.forEach(key => this.treatments.push({ key, timestamp, description: text }));
+    return keys;
+  }
+
+  /**
+   * Stop a treatment that was running, e.g. when the oxygen supply fails.
+   * Its effect wears off over the time it took to come on.
+   * @param {string} key - Key into TREATMENTS
+   * @param {number} timestamp - When it stopped
+   * @returns {number} - How many running applications were stopped
+   */
+  stopTreatment(key, timestamp = Date.now()) {
+    const running = this.treatments.filter(treatment => treatment.key === key && !treatment.stoppedAt && treatment.timestamp <= timestamp);
+    running.forEach(treatment => {
+      treatment.stoppedAt = timestamp;
+    });
+    return running.length;
+  }
+
+  /**
+   * Make the patient worse than their condition alone would
+   * @param {string} severity - Key into DETERIORATIONS.severities
+   * @param {number} timestamp - When the deterioration begins
+   * @returns {Object|null} - The recorded deterioration, or null for an unknown severity
+   */
+  deteriorate(severity, timestamp = Date.now()) {
+    if (!DETERIORATIONS.severities[severity]) return null;
+    const deterioration = { severity, timestamp };
+    this.deteriorations.push(deterioration);
+    return deterioration;
+  }
+
+  /**
+   * Give a medication; its effects play out over the following minutes
+   * @param {Object} details - medicationAdmin details: medication, dosage, route
+   * @param {number} timestamp - When the dose was given
+   * @returns {Object|null} - Dose record with any rule warnings, or null for unknown drugs
+   */
+  administerMedication(details, timestamp = Date.now()) {
+    const dose = this.pharmacology.administer(details, this.doses, timestamp, this.getVitals(timestamp));
+    if (dose) this.doses.push(dose);
+    return dose;
+  }
+
+  /**
+   * When the condition first came under control: a controlling treatment was
+   * applied, or a controlling drug reached its onset
+   * @returns {number|null} - Timestamp, or null while untreated
+   */
+  getControlTime() {
+    const controlledBy = this.getProfile()?.controlledBy || [];
+    const times = [
+      ...this.treatments.filter(t => controlledBy.includes(t.key)).map(t => t.timestamp),
+      ...this.doses.filter(d => controlledBy.includes(d.medication)).map(d => this.pharmacology.getOnsetTime(d))
+    ].filter(time => time !== null);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  /**
+   * Vital signs at a point in scenario time
+   * @param {number} at - Timestamp to evaluate (defaults to now)
+   * @returns {Object} - heartRate, respiratoryRate, systolic, diastolic, spO2, temperature, etco2, glucose, gcs
+   */
+  getVitals(at = Date.now()) {
+    if (!this.isInitialized()) return { ...NORMAL_VITALS };
+
+    const profile = this.getProfile();
+    const controlTime = this.getControlTime();
+    const elapsedMinutes = Math.max(0, (at - this.startTime) / 60000);
+    const untreatedMinutes = controlTime !== null && controlTime <= at
+      ? Math.max(0, (controlTime - this.startTime) / 60000)
+      : elapsedMinutes;
+
+    const vitals = this.integratePhases(profile, untreatedMinutes);
+
+    if (controlTime !== null && controlTime <= at) {
+      const recoveryMinutes = (at - controlTime) / 60000;
+      Object.entries(profile.recovery).forEach(([key, speed]) => {
+        const gap = NORMAL_VITALS[key] - vitals[key];
+        vitals[key] += Math.sign(gap) * Math.min(Math.abs(gap), speed * recoveryMinutes);
+      });
+    }
+
+    this.treatments.forEach(treatment => {
+      const effect = TREATMENTS[treatment.key]?.effect;
+      if (!effect) return;
+      const fraction = this.treatmentFraction(treatment, effect, at);
+      Object.entries(effect.deltas).forEach(([key, delta]) => {
+        vitals[key] += delta * fraction;
+      });
+    });
+
+    this.deteriorations.forEach(deterioration => {
+      const fraction = this.effectFraction(
+        { onsetMinutes: DETERIORATIONS.onsetMinutes, durationMinutes: null },
+        (at - deterioration.timestamp) / 60000
+      );
+      Object.entries(DETERIORATIONS.severities[deterioration.severity] || {}).forEach(([key, delta]) => {
+        vitals[key] += delta * fraction;
+      });
+    });
+
+    this.doses.forEach(dose => {
+      Object.entries(this.pharmacology.effectAt(dose, at)).forEach(([key, delta]) => {
+        vitals[key] += delta;
+      });
+    });
+
+    return this.roundVitals(vitals);
+  }
+
+  integratePhases(profile, minutes) {
+    const multiplier = DIFFICULTY_RATE_MULTIPLIERS[this.difficulty] || 1;
+    const vitals = { ...this.baseline };
+    let phaseStart = 0;
+
+    for (const phase of profile.phases) {
+      if (minutes <= phaseStart) break;
+      const span = Math.min(minutes, phase.until) - phaseStart;
+      Object.entries(phase.rates).forEach(([key, rate]) => {
+        vitals[key] = this.clamp(key, vitals[key] + rate * multiplier * span);
+      });
+      phaseStart = phase.until;
+    }
+    return vitals;
+  }
+
+  /**
+   * Share of a treatment's full effect present some minutes after it was given
+   * @param {Object} effect - Treatment effect definition
+   * @param {number} minutesSince - Minutes since the treatment
+   * @returns {number} - 0 to 1
+   */
+  effectFraction(effect, minutesSince) {
+    const { onsetMinutes, durationMinutes } = effect;
+    if (minutesSince <= 0) return 0;
+    if (minutesSince < onsetMinutes) return minutesSince / onsetMinutes;
+    if (durationMinutes === null || minutesSince < durationMinutes) return 1;
+    return Math.max(0, 1 - (minutesSince - durationMinutes) / onsetMinutes);
+  }
+
+  // Share of a treatment's effect at a time, fading out after the treatment was stopped
+  treatmentFraction(treatment, effect, at) {
+    if (!treatment.stoppedAt || at <= treatment.stoppedAt) {
+      return this.effectFraction(effect, (at - treatment.timestamp) / 60000);
+    }
+    const atStop = this.effectFraction(effect, (treatment.stoppedAt - treatment.timestamp) / 60000);
+    return atStop * Math.max(0, 1 - (at - treatment.stoppedAt) / 60000 / effect.onsetMinutes);
+  }
+
+  clamp(key, value) {
+    const [min, max] = VITAL_LIMITS[key];
+    return Math.min(max, Math.max(min, value));
+  }
+
+  roundVitals(vitals) {
+    const rounded = {};
+    VITAL_KEYS.forEach(key => {
+      const value = this.clamp(key, vitals[key]);
+      rounded[key] = key === 'temperature' ? Math.round(value * 10) / 10 : Math.round(value);
+    });
+    return rounded;
+  }
+
+  /**
+   * Describe where the patient is on their trajectory
+   * @param {number} at - Timestamp to evaluate (defaults to now)
+   * @returns {Object} - condition, label, phase, controlled, sideEffects
+   */
+  getStatus(at = Date.now()) {
+    if (!this.isInitialized()) return { condition: null, label: null, phase: null, controlled: false, sideEffects: [] };
+
+    const profile = this.getProfile();
+    const controlTime = this.getControlTime();
+    const controlled = controlTime !== null && controlTime <= at;
+    let phase;
+    if (controlled) {
+      phase = Object.keys(profile.recovery).length > 0 ? 'improving' : 'stabilized';
+    } else {
+      const minutes = (at - this.startTime) / 60000;
+      phase = profile.phases.find(p => minutes < p.until)?.name || profile.phases[profile.phases.length - 1].name;
+    }
+
+    const sideEffects = this.pharmacology.getActiveSideEffects(this.doses, at);
+    return { condition: this.condition, label: profile.label, phase, controlled, sideEffects };
+  }
+
+  /**
+   * Snapshot the physiology so a session can be persisted
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      condition: this.condition,
+      baseline: this.baseline,
+      trajectory: this.trajectory,
+      difficulty: this.difficulty,
+      startTime: this.startTime,
+      treatments: this.treatments,
+      doses: this.doses,
+      deteriorations: this.deteriorations
+    };
+  }
+
+  /**
+   * Restore physiology produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.condition = CONDITIONS[state.condition] ? state.condition : null;
+    this.baseline = state.baseline || null;
+    this.trajectory = state.trajectory || null;
+    this.difficulty = state.difficulty || 'intermediate';
+    this.startTime = this.condition && this.baseline ? state.startTime ?? null : null;
+    this.treatments = state.treatments || [];
+    this.doses = state.doses || [];
+    this.deteriorations = state.deteriorations || [];
+  }
+}
+
+PhysiologyEngine.CONDITIONS = CONDITIONS;
+PhysiologyEngine.TREATMENTS = TREATMENTS;
+PhysiologyEngine.DETERIORATIONS = DETERIORATIONS;
+PhysiologyEngine.NORMAL_VITALS = NORMAL_VITALS;
+
+module.exports = PhysiologyEngine;
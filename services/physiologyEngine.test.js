@@ -0,0 +1,143 @@
+// services/physiologyEngine.test.js
+const PhysiologyEngine = require('./physiologyEngine');
+const PatientSimulator = require('./patientSimulator');
+const ActionRecognizer = require('./actionRecognizer');
+
+const START = 1_700_000_000_000;
+const minutes = n => START + n * 60000;
+
+const anaphylaxisScenario = {
+  mainScenario: 'Medical',
+  subScenario: 'Environmental Scenario',
+  dispatchInfo: { symptoms: 'trouble breathing after bee sting' },
+  generatedScenario: { difficulty: { level: 'intermediate' } }
+};
+
+const stabbingScenario = {
+  mainScenario: 'Trauma',
+  subScenario: 'Stabbing Scenario',
+  dispatchInfo: { mechanism: 'someone got stabbed, bleeding' },
+  generatedScenario: {}
+};
+
+describe('PhysiologyEngine', () => {
+  test('should pick condition profiles from the scenario', () => {
+    expect(PhysiologyEngine.detectCondition(anaphylaxisScenario)).toBe('anaphylaxis');
+    expect(PhysiologyEngine.detectCondition(stabbingScenario)).toBe('hemorrhagicShock');
+    expect(PhysiologyEngine.detectCondition({ mainScenario: 'Medical', subScenario: 'Cardiac Scenario' })).toBe('acuteCoronarySyndrome');
+    expect(PhysiologyEngine.detectCondition({ mainScenario: 'Medical', subScenario: 'OB/GYN Scenario' })).toBe('stable');
+  });
+
+  test('should worsen untreated anaphylaxis and reverse it after epinephrine', () => {
+    const untreated = new PhysiologyEngine().initialize(anaphylaxisScenario, START);
+    const atStart = untreated.getVitals(minutes(0));
+    const atEight = untreated.getVitals(minutes(8));
+
+    expect(atEight.systolic).toBeLessThan(atStart.systolic - 20);
+    expect(atEight.spO2).toBeLessThan(atStart.spO2);
+    expect(untreated.getStatus(minutes(8)).phase).toBe('worsening');
+
+    const treated = new PhysiologyEngine().initialize(anaphylaxisScenario, START);
+    treated.administerMedication({ medication: 'epinephrine', dosage: '0.3 mg', route: 'intramuscular' }, minutes(2));
+    const afterEpi = treated.getVitals(minutes(8));
+
+    expect(afterEpi.systolic).toBeGreaterThan(atEight.systolic);
+    expect(afterEpi.spO2).toBeGreaterThan(atEight.spO2);
+    expect(treated.getStatus(minutes(8)).phase).toBe('improving');
+  });
+
+  test('should hold blood pressure while compensated, then let it fall', () => {
+    const engine = new PhysiologyEngine().initialize(stabbingScenario, START);
+    const atStart = engine.getVitals(minutes(0));
+    const compensated = engine.getVitals(minutes(6));
+    const decompensated = engine.getVitals(minutes(12));
+
+    expect(engine.getStatus(minutes(6)).phase).toBe('compensated');
+    expect(compensated.heartRate).toBeGreaterThan(atStart.heartRate + 10);
+    expect(atStart.systolic - compensated.systolic).toBeLessThan(5);
+    expect(compensated.systolic - compensated.diastolic).toBeLessThan(atStart.systolic - atStart.diastolic);
+
+    expect(engine.getStatus(minutes(12)).phase).toBe('decompensated');
+    expect(decompensated.systolic).toBeLessThan(compensated.systolic - 15);
+  });
+
+  test('should use vitals written into the scenario as the baseline', () => {
+    const engine = new PhysiologyEngine().initialize({
+      mainScenario: 'Medical',
+      subScenario: 'Cardiac Scenario',
+      generatedScenario: { vitals: { baseline: { heartRate: 104, bloodPressure: '148/92', spO2: 94 } } }
+    }, START);
+
+    expect(engine.getVitals(START)).toMatchObject({ heartRate: 104, systolic: 148, diastolic: 92, spO2: 94, gcs: 15 });
+  });
+
+  test('should give identical readings after a save/restore', () => {
+    const engine = new PhysiologyEngine().initialize(anaphylaxisScenario, START);
+    engine.applyTreatment('non-rebreather at 15 lpm', minutes(1));
+
+    const restored = new PhysiologyEngine();
+    restored.restoreState(JSON.parse(JSON.stringify(engine.getState())));
+
+    expect(restored.getVitals(minutes(5))).toEqual(engine.getVitals(minutes(5)));
+  });
+
+  test('should ramp in an injected deterioration and let stopped oxygen wear off', () => {
+    const stroke = { mainScenario: 'Medical', subScenario: 'Neurological Scenario' };
+    const engine = new PhysiologyEngine().initialize(stroke, START);
+    const before = engine.getVitals(minutes(3));
+
+    expect(engine.deteriorate('catastrophic', minutes(3))).toBeNull();
+    engine.deteriorate('severe', minutes(3));
+    expect(engine.getVitals(minutes(3))).toEqual(before);
+    expect(engine.getVitals(minutes(5)).systolic).toBeLessThanOrEqual(before.systolic - 39);
+    expect(engine.getVitals(minutes(5)).heartRate).toBe(before.heartRate + 35);
+
+    const oxygenated = new PhysiologyEngine().initialize(stroke, START);
+    oxygenated.applyTreatment('nasal cannula at 4 lpm', minutes(0));
+    const onOxygen = oxygenated.getVitals(minutes(4)).spO2;
+    expect(oxygenated.stopTreatment('oxygen', minutes(4))).toBe(1);
+    expect(oxygenated.getVitals(minutes(5)).spO2).toBeLessThan(onOxygen);
+    expect(oxygenated.getVitals(minutes(7)).spO2).toBe(new PhysiologyEngine().initialize(stroke, START).getVitals(minutes(7)).spO2);
+  });
+
+  test('should not apply treatments the student refuses or only considers', () => {
+    expect(PhysiologyEngine.matchTreatments('I will not put on oxygen')).toEqual([]);
+    expect(PhysiologyEngine.matchTreatments("Don't sit him up. Should we use the NRB?")).toEqual([]);
+    expect(PhysiologyEngine.matchTreatments('No need for oxygen yet, sit him upright')).toEqual(['positioning']);
+    expect(PhysiologyEngine.matchTreatments("I won't use the nasal cannula. Put him on the NRB")).toEqual(['oxygen']);
+
+    const engine = new PhysiologyEngine().initialize(anaphylaxisScenario, START);
+    expect(engine.applyTreatment('I will not put on oxygen', minutes(1))).toEqual([]);
+    expect(engine.getVitals(minutes(6))).toEqual(new PhysiologyEngine().initialize(anaphylaxisScenario, START).getVitals(minutes(6)));
+  });
+});
+
+describe('PatientSimulator vitals', () => {
+  test('should answer every reading from the same physiology model', () => {
+    const simulator = new PatientSimulator();
+    simulator.initializePatient(anaphylaxisScenario);
+    const vitals = simulator.getCurrentVitals();
+
+    expect(simulator.getSpecificVital('heart rate')).toBe(`Heart rate: ${vitals.heartRate} bpm`);
+    expect(simulator.getSpecificVital('blood glucose')).toBe(`Blood glucose: ${vitals.glucose} mg/dL`);
+    expect(simulator.getSpecificVital('etco2')).toBe(`EtCO2: ${vitals.etco2} mmHg`);
+    expect(simulator.getVitalsSummary()).toContain(`BP ${vitals.systolic}/${vitals.diastolic}, SpO2 ${vitals.spO2}%`);
+  });
+
+  test('should not give a dose the student refuses or only considers', () => {
+    const recognizer = new ActionRecognizer();
+    const simulator = new PatientSimulator();
+    simulator.initializePatient(anaphylaxisScenario);
+    const start = simulator.scenarioStartTime;
+    const untreated = new PhysiologyEngine().initialize(anaphylaxisScenario, start);
+
+    ['I will not give 0.3 mg epinephrine IM', 'Should I give the epi pen?'].forEach(message => {
+      const action = recognizer.recognizeAction(message);
+      expect(action).toMatchObject({ type: 'medicationAdmin', details: { medication: 'epinephrine', declined: true } });
+      expect(simulator.administerMedication(action.details, start + 60000)).toBeNull();
+    });
+
+    expect(simulator.physiology.getVitals(start + 8 * 60000)).toEqual(untreated.getVitals(start + 8 * 60000));
+    expect(recognizer.recognizeAction('Give 0.3 mg epinephrine IM').details.declined).toBe(false);
+  });
+});
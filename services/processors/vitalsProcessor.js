@@ -10,7 +10,10 @@ class VitalsProcessor {
       isHeartRate: /(heart rate|pulse|hr)\b/.test(normalizedMessage),
       isRespRate: /(respiratory rate|breathing rate|rr)\b/.test(normalizedMessage),
       isBloodPressure: /(blood pressure|bp)\b/.test(normalizedMessage),
-      isTemperature: /(temp|temperature)\b/.test(normalizedMessage)
+      isTemperature: /(temp|temperature)\b/.test(normalizedMessage),
+      isGlucose: /(blood sugar|blood glucose|glucose level|sugar level|glucometer|\bbgl\b|check (?:\w+ )?(?:sugar|glucose))/.test(normalizedMessage),
+      isEtco2: /(etco2|end.?tidal|capnograph)/.test(normalizedMessage),
+      isGcs: /\b(gcs|glasgow)\b/.test(normalizedMessage)
     };
     
     // Check if any specific vitals are mentioned
@@ -0,0 +1,104 @@
+// services/proctorView.js
+const gradingEngine = require('./gradingEngine');
+
+/**
+ * Builds what an instructor proctoring a scenario sees while it runs: the
+ * transcript, the patient's vitals right now, the rubric items the student
+ * has earned so far and the events the instructor injected.
+ */
+class ProctorView {
+  /**
+   * @param {Object} sources - timeline, patientSimulator, equipmentManager, rubric, gradingResults
+   *   (once graded), active, endReason and pendingNotices of the session's ChatService
+   * @param {number} now - Time of the view
+   * @returns {Object} - { scenario, active, endReason, startTime, elapsedMs, timeLimitMinutes, vitals, patientStatus,
+   *   transcript, rubric, equipmentFailures, injectedEvents, pendingNotices }
+   */
+  build({ timeline, patientSimulator, equipmentManager, rubric, gradingResults = null, active = false, endReason = null, pendingNotices = [] }, now = Date.now()) {
+    const events = timeline.getEvents();
+    const generated = events.find(event => event.type === 'scenarioGenerated') || null;
+    const ended = events.find(event => event.type === 'scenarioEnded') || null;
+    const started = patientSimulator.physiology.isInitialized();
+
+    return {
+      scenario: generated
+        ? {
+            mainScenario: generated.mainScenario || null,
+            subScenario: generated.subScenario || null,
+            scenarioCode: generated.scenarioCode || null,
+            libraryCase: generated.libraryCase?.title || null
+          }
+        : null,
+      active,
+      endReason,
+      startTime: timeline.startTime,
+      elapsedMs: this.elapsedMs(timeline, ended, now),
+      timeLimitMinutes: rubric.timeLimit,
+      // Sampled at the time of the view, as the student would read them
+      vitals: started ? patientSimulator.getCurrentVitals() : null,
+      patientStatus: started ? patientSimulator.physiology.getStatus(now) : null,
+      transcript: events
+        .filter(event => event.type === 'studentUtterance' || event.type === 'assistantResponse')
+        .map(event => ({
+          role: event.type === 'studentUtterance' ? 'user' : 'assistant',
+          content: event.text,
+          turn: event.turn,
+          elapsedMs: event.elapsedMs
+        })),
+      rubric: this.buildRubricProgress(timeline, rubric, gradingResults),
+      equipmentFailures: equipmentManager.getFailures(),
+      injectedEvents: events.filter(event => event.type === 'injected'),
+      pendingNotices
+    };
+  }
+
+  elapsedMs(timeline, ended, now) {
+    if (timeline.startTime === null) return null;
+    return ended && ended.elapsedMs !== null ? ended.elapsedMs : now - timeline.startTime;
+  }
+
+  /**
+   * Rubric items fired so far, or the final grading once the scenario ended
+   * @returns {Object|null} - { ref, final, totalScore, totalPoints, checkboxItems, sections, criticalFailures, sequenceViolations }
+   */
+  buildRubricProgress(timeline, rubric, gradingResults) {
+    if (!gradingResults && timeline.getStudentTurns().length === 0) return null;
+    const results = gradingResults || gradingEngine.gradeProgress(timeline, rubric);
+
+    return {
+      ref: results.rubric?.ref || rubric.ref,
+      final: !!gradingResults,
+      totalScore: results.totalScore,
+      totalPoints: rubric.totalPoints,
+      checkboxItems: Object.entries(results.checkboxItems).map(([id, item]) => {
+        const first = item.completed && item.evidence.length > 0
+          ? item.evidence.reduce((earliest, evidence) => (evidence.turn < earliest.turn ? evidence : earliest))
+          : null;
+        return {
+          id,
+          description: item.description,
+          category: item.category,
+          completed: item.completed,
+          turn: first ? first.turn : null,
+          elapsedMs: first ? first.elapsedMs ?? null : null
+        };
+      }),
+      sections: Object.entries(results.scoredSections).map(([id, section]) => ({
+        id,
+        name: section.name,
+        score: section.score,
+        maxScore: section.maxScore
+      })),
+      criticalFailures: (results.criticalFailures || [])
+        .filter(failure => failure.turn !== null || !!gradingResults)
+        .map(failure => ({ id: failure.id, reason: failure.reason, turn: failure.turn, elapsed: failure.elapsed || null })),
+      sequenceViolations: (results.sequenceViolations || [])
+        .map(violation => ({ rule: violation.rule, message: violation.message, elapsed: violation.elapsed || null }))
+    };
+  }
+}
+
+const proctorView = new ProctorView();
+proctorView.ProctorView = ProctorView;
+
+module.exports = proctorView;
@@ -0,0 +1,338 @@
+// services/radioManager.js
+const TextNormalizer = require('./utils/textNormalizer');
+const rubricMatcher = require('./rubricMatcher');
+
+/**
+ * Who the student can key up to. A transmission goes to the channel it names;
+ * one that only gives a call sign goes to the hospital unless it talks to dispatch.
+ */
+const CHANNELS = {
+  hospital: {
+    label: 'Hospital'
+  },
+  dispatch: {
+    label: 'Dispatch',
+    pattern: /\b(dispatch|comm center|communications)\b/
+  }
+};
+
+/**
+ * What a hospital notification carries. The base station asks for required
+ * elements that were left out, one question each; a report missing any of them
+ * is incomplete.
+ */
+const REPORT_ELEMENTS = {
+  age: {
+    label: 'age',
+    required: true,
+    pattern: /\b\d{1,3} ?(?:year|yr|yo|y\/o|month)|\b(?:age|aged) \d{1,3}\b|\b\d{1,3} ?(?:male|female|m|f)\b/,
+    question: 'Say again the patient\'s age?'
+  },
+  chiefComplaint: {
+    label: 'chief complaint',
+    required: true,
+    pattern: /\b(complain\w*|c\/o|chief complaint|presenting with|pain|shortness of breath|short of breath|sob|difficulty breathing|unresponsive|altered|seizure\w*|stroke|bleeding|overdose|fall|fell|mvc|mva|collision|injur\w*|fracture\w*|allergic|anaphyla\w*|hypoglycemi\w*|diabetic|syncop\w*|trauma)\b/,
+    question: 'What is the chief complaint?'
+  },
+  vitals: {
+    label: 'vitals',
+    required: true,
+    pattern: /\b\d{2,3} ?(?:over|\/) ?\d{2,3}\b|\b(?:pulse|heart rate|hr|resp\w*|rr|sats?|spo2|saturation|bp|blood pressure)(?: is| of| at| rate)? \d{1,3}\b/,
+    question: 'Copy. What are your most recent vitals?'
+  },
+  treatment: {
+    label: 'treatment',
+    required: false,
+    pattern: /\b(gave|given|administered|placed|applied|started|oxygen|o2|nrb|non ?rebreather|nasal cannula|aspirin|nitro\w*|epi\w*|oral glucose|naloxone|narcan|albuterol|splint\w*|c ?collar|backboard|tourniquet|no treatment|no interventions?)\b/
+  },
+  eta: {
+    label: 'ETA',
+    required: true,
+    pattern: /\beta\b|\b\d{1,2} ?(?:min|mins|minutes) (?:out|away)\b|\b(?:arriv\w*|be there|there) in (?:about |approximately )?\d{1,2}\b/,
+    question: 'What\'s your ETA?'
+  },
+  priority: {
+    label: 'priority',
+    required: false,
+    pattern: /\bpriority (?:\d|one|two|three)\b|\bcode (?:\d|one|two|three)\b|\b(?:stable|unstable|critical|non ?emergent|emergent)\b/
+  }
+};
+
+// Content that does not belong on an open radio channel
+const CONCERNS = {
+  patientName: {
+    pattern: /\b(?:(?:patients|his|her|their) name is|name is|named)\b/,
+    description: 'Patient name given over the radio'
+  }
+};
+
+// Keying up to a channel, giving a call sign, and asking dispatch for paramedics
+const KEY_UP = /\b(?:radio(?:ing)?|call(?:ing)?|key(?:ing)? up(?: to)?|patch(?:ing)?(?: me)?(?: through)? to|notify(?:ing)?|contact(?:ing)?)(?: to)?(?: the)?(?: receiving)? (hospital|er|ed|emergency department|base|medical control|dispatch)\b/;
+const RADIO_OPENING = /^(?:radio(?:ing)?|keying up|on the radio)\b/;
+// "this is Medic 12", or "Medic 12 to County General" / "Medic 12 requesting ..."
+const CALL_SIGNS = [
+  /\bthis is (medic|ambulance|unit|rescue|ems|squad|bls|als) ?(\d{1,4})\b/,
+  /\b(medic|ambulance|unit|rescue|ems|squad|bls|als) ?(\d{1,4}) (?:to|requesting|calling|en route|on scene|transporting)\b/
+];
+const INTERCEPT = /\b(?:als|paramedic|medic unit)(?: unit)? (?:intercept|backup|back up)\b|\bintercept\b/;
+const MEET_POINT = /\b(?:meet|rendezvous)(?: us| you)? (?:at|on) ([a-z0-9 ]{3,40}?)(?: over| eta| in \d|$)/;
+// Words that keep a message on a channel left open for it
+const RADIO_TRAFFIC = /\b(over|copy|en route|on scene|transporting|requesting|request)\b/;
+
+// Speaking pace used to time typed transmissions (words per minute)
+const WORDS_PER_MINUTE = 150;
+
+/**
+ * Radio traffic to the receiving hospital and dispatch. The student keys up
+ * ("County General, this is Medic 12 ..."), a simulated base station answers
+ * and asks for whatever a hospital notification left out, and dispatch sends
+ * an ALS intercept when one is requested, arriving after its ETA. Each
+ * transmission is timed, from the recording when it came in by voice and by
+ * speaking pace otherwise, so the hospital notification can be graded on its
+ * length.
+ */
+class RadioManager {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.callSign = null;
+    this.reports = [];
+    this.nextReportId = 1;
+    // Channel the base station is waiting on: { channel, reportId }
+    this.openChannel = null;
+    this.intercept = null;
+  }
+
+  /**
+   * Whether a student message goes out over the radio, and to whom
+   * @param {string} message - Student message
+   * @returns {Object|null} - { channel, text, intercept, callSign, elements, concerns, meetAt, etaMinutes }, or null when it is not radio traffic
+   */
+  parseTransmission(message) {
+    const text = this.normalize(message);
+    const intercept = this.findUnqualified(INTERCEPT, text);
+    const keyUp = this.findUnqualified(KEY_UP, text);
+    const callSign = CALL_SIGNS.map(pattern => pattern.exec(text)).find(Boolean) || null;
+    const elements = Object.keys(REPORT_ELEMENTS).filter(element => REPORT_ELEMENTS[element].pattern.test(text));
+
+    let channel = null;
+    if (intercept) {
+      channel = 'dispatch';
+    } else if (keyUp) {
+      channel = keyUp[1] === 'dispatch' ? 'dispatch' : 'hospital';
+    } else if (callSign || RADIO_OPENING.test(text)) {
+      channel = CHANNELS.dispatch.pattern.test(text) ? 'dispatch' : 'hospital';
+    } else if (this.openChannel && (elements.length > 0 || RADIO_TRAFFIC.test(text))) {
+      channel = this.openChannel.channel;
+    }
+    if (!channel) return null;
+
+    const meetAt = MEET_POINT.exec(text);
+    return {
+      channel,
+      text: String(message).trim(),
+      intercept: !!intercept,
+      callSign: callSign ? this.formatCallSign(callSign[1], callSign[2]) : null,
+      elements,
+      concerns: Object.keys(CONCERNS).filter(concern => CONCERNS[concern].pattern.test(text)),
+      meetAt: meetAt ? meetAt[1].trim() : null,
+      etaMinutes: this.findEtaMinutes(text)
+    };
+  }
+
+  /**
+   * Send a transmission and get the base station's answer
+   * @param {Object} parsed - Transmission from parseTransmission()
+   * @param {Object} options - now, voiceDurationMs (recording length when spoken) and seed (for the ALS unit's ETA)
+   * @returns {Object} - { reply (formatted line), transmission and response (timeline event data) }
+   */
+  transmit(parsed, { now = Date.now(), voiceDurationMs = null, seed = '' } = {}) {
+    if (parsed.callSign) this.callSign = parsed.callSign;
+    const timing = Number.isFinite(voiceDurationMs) && voiceDurationMs > 0
+      ? { durationMs: Math.round(voiceDurationMs), durationSource: 'audio' }
+      : { durationMs: this.estimateDuration(parsed.text), durationSource: 'estimated' };
+
+    const result = parsed.channel === 'dispatch'
+      ? this.callDispatch(parsed, timing, now, seed)
+      : this.callHospital(parsed, timing);
+    console.log(`📻 ${CHANNELS[parsed.channel].label} radio: ${result.transmission.kind}, ${Math.round(timing.durationMs / 1000)} s (${timing.durationSource})`);
+    return { ...result, reply: this.formatLine(parsed.channel, result.response.text) };
+  }
+
+  // Hospital notification: a report runs over every transmission until the base station has what it needs
+  callHospital(parsed, timing) {
+    let report = this.openChannel?.channel === 'hospital'
+      ? this.reports.find(entry => entry.id === this.openChannel.reportId)
+      : null;
+    if (!report) {
+      report = { id: this.nextReportId++, elements: [], questions: [], etaMinutes: null };
+      this.reports.push(report);
+    }
+    // The first transmission with anything about the patient, after a bare key-up if there was one
+    const reportStart = report.elements.length === 0 && parsed.elements.length > 0;
+    report.elements = [...new Set([...report.elements, ...parsed.elements])];
+    report.etaMinutes = parsed.etaMinutes ?? report.etaMinutes;
+    const missing = Object.keys(REPORT_ELEMENTS).filter(element => REPORT_ELEMENTS[element].required && !report.elements.includes(element));
+
+    let text;
+    let question = null;
+    if (report.elements.length === 0) {
+      text = `${this.callSign || 'Unit calling'}, ${CHANNELS.hospital.label.toLowerCase()} here, go ahead.`;
+      this.openChannel = { channel: 'hospital', reportId: report.id };
+    } else {
+      question = missing.find(element => !report.questions.includes(element)) || null;
+      if (question) {
+        report.questions.push(question);
+        text = REPORT_ELEMENTS[question].question;
+        this.openChannel = { channel: 'hospital', reportId: report.id };
+      } else {
+        const eta = report.etaMinutes ? `, ETA ${report.etaMinutes} minutes` : '';
+        text = `Copy${this.callSign ? `, ${this.callSign}` : ''}${eta}. We'll have a room ready for you. Hospital clear.`;
+        this.openChannel = null;
+      }
+    }
+
+    return {
+      transmission: {
+        channel: 'hospital',
+        kind: 'transmission',
+        reportId: report.id,
+        text: parsed.text,
+        elements: parsed.elements,
+        reportStart,
+        missing,
+        concerns: parsed.concerns,
+        ...timing
+      },
+      response: { channel: 'hospital', kind: 'reply', reportId: report.id, text, question }
+    };
+  }
+
+  // Dispatch: ALS intercepts, and acknowledging anything else
+  callDispatch(parsed, timing, now, seed) {
+    const unit = this.callSign || 'Unit calling';
+    let kind = 'transmission';
+    let text;
+
+    if (parsed.intercept) {
+      kind = 'intercept';
+      if (this.intercept && !this.intercept.arrived) {
+        const minutes = Math.max(1, Math.ceil((this.intercept.arrivesAt - now) / 60000));
+        text = `${this.intercept.unit} is already en route to you, about ${minutes} minutes out.`;
+      } else {
+        const etaMinutes = TextNormalizer.computeDeterministicInt(`${seed}:intercept:eta`, 6, 12);
+        this.intercept = {
+          unit: `Medic ${TextNormalizer.computeDeterministicInt(`${seed}:intercept:unit`, 2, 19)}`,
+          requestedAt: now,
+          etaMinutes,
+          arrivesAt: now + etaMinutes * 60000,
+          meetAt: parsed.meetAt,
+          arrived: false
+        };
+        const meet = parsed.meetAt ? ` to meet you at ${parsed.meetAt}` : '';
+        text = `Copy, ${unit}, ALS intercept. ${this.intercept.unit} is responding${meet}, ETA ${etaMinutes} minutes.`;
+      }
+      this.openChannel = null;
+    } else if (parsed.elements.length === 0 && !RADIO_TRAFFIC.test(this.normalize(parsed.text))) {
+      text = `${unit}, dispatch, go ahead.`;
+      this.openChannel = { channel: 'dispatch', reportId: null };
+    } else {
+      text = `Dispatch copies, ${unit}.`;
+      this.openChannel = null;
+    }
+
+    return {
+      transmission: {
+        channel: 'dispatch',
+        kind,
+        text: parsed.text,
+        ...(kind === 'intercept' ? { unit: this.intercept.unit, etaMinutes: this.intercept.etaMinutes, meetAt: this.intercept.meetAt } : {}),
+        ...timing
+      },
+      response: { channel: 'dispatch', kind: 'reply', text, question: null }
+    };
+  }
+
+  /**
+   * The ALS intercept, once it has arrived by now
+   * @param {number} now - Current time
+   * @returns {Array} - [{ text (formatted line), intercept }] for an intercept that just arrived
+   */
+  takeArrivals(now = Date.now()) {
+    if (!this.intercept || this.intercept.arrived || this.intercept.arrivesAt > now) return [];
+    this.intercept.arrived = true;
+    const where = this.intercept.meetAt ? `at ${this.intercept.meetAt}` : 'on scene with you';
+    console.log(`📻 ALS intercept ${this.intercept.unit} arrived`);
+    return [{
+      text: this.formatLine('dispatch', `${this.intercept.unit} is ${where}. The ALS crew is coming to your patient.`),
+      intercept: this.intercept
+    }];
+  }
+
+  // "medic", "12" -> "Medic 12"; "als", "3" -> "ALS 3"
+  formatCallSign(service, number) {
+    const name = ['ems', 'bls', 'als'].includes(service) ? service.toUpperCase() : service[0].toUpperCase() + service.slice(1);
+    return `${name} ${number}`;
+  }
+
+  // About how long a typed message would take to say
+  estimateDuration(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    return Math.round(words * 60000 / WORDS_PER_MINUTE);
+  }
+
+  // Minutes in a stated ETA ("ETA 10 minutes", "10 minutes out")
+  findEtaMinutes(text) {
+    const match = /\beta(?: of| is)?(?: about| approximately)? (\d{1,2})\b|\b(\d{1,2}) ?(?:min|mins|minutes) (?:out|away)\b|\bthere in (?:about |approximately )?(\d{1,2})\b/.exec(text);
+    return match ? Number(match[1] || match[2] || match[3]) : null;
+  }
+
+  // First match that is not negated ("no need to call dispatch") or hypothetical ("if he worsens, radio the hospital")
+  findUnqualified(pattern, text) {
+    const match = pattern.exec(text);
+    if (!match) return null;
+    const before = text.slice(0, match.index).trim();
+    return rubricMatcher.isNegated(before) || rubricMatcher.isHypothetical(before) ? null : match;
+  }
+
+  normalize(message) {
+    return TextNormalizer.normalizeToAsciiLower(message).replace(/['’]/g, '').replace(/[^a-z0-9?/ ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  formatLine(channel, text) {
+    return `**[${CHANNELS[channel].label}]** ${text}`;
+  }
+
+  /**
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      callSign: this.callSign,
+      reports: this.reports,
+      nextReportId: this.nextReportId,
+      openChannel: this.openChannel,
+      intercept: this.intercept
+    };
+  }
+
+  /**
+   * Restore state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.callSign = state?.callSign || null;
+    this.reports = state?.reports || [];
+    this.nextReportId = state?.nextReportId || this.reports.length + 1;
+    this.openChannel = state?.openChannel || null;
+    this.intercept = state?.intercept || null;
+  }
+}
+
+RadioManager.CHANNELS = CHANNELS;
+RadioManager.REPORT_ELEMENTS = REPORT_ELEMENTS;
+RadioManager.CONCERNS = CONCERNS;
+
+module.exports = RadioManager;
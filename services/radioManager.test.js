@@ -0,0 +1,90 @@
+// services/radioManager.test.js
+const RadioManager = require('./radioManager');
+const ScenarioTimeline = require('./scenarioTimeline');
+const gradingEngine = require('./gradingEngine');
+
+describe('RadioManager', () => {
+  let radio;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    radio = new RadioManager();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (message, options = {}) => radio.transmit(radio.parseTransmission(message), { now: 0, seed: 'seed', ...options });
+
+  test('should tell radio traffic from talking to the patient', () => {
+    expect(radio.parseTransmission('County General, this is Medic 12 with a 58 year old male')).toMatchObject({ channel: 'hospital', callSign: 'Medic 12' });
+    expect(radio.parseTransmission('Medic 12 to dispatch, we are transporting')).toMatchObject({ channel: 'dispatch' });
+    expect(radio.parseTransmission('Sir, which hospital do you usually go to?')).toBeNull();
+    expect(radio.parseTransmission('No need to call the hospital yet')).toBeNull();
+  });
+
+  test('should read back a complete hospital notification and close the channel', () => {
+    const { reply, transmission } = send('County General, this is Medic 12. 58 year old male complaining of chest pain, BP 150/90, pulse 96, gave aspirin, ETA 10 minutes.');
+
+    expect(reply).toBe('**[Hospital]** Copy, Medic 12, ETA 10 minutes. We\'ll have a room ready for you. Hospital clear.');
+    expect(transmission).toMatchObject({ reportId: 1, reportStart: true, missing: [], durationSource: 'estimated' });
+    expect(radio.parseTransmission('Pulse 100')).toBeNull();
+  });
+
+  test('should ask for what the report left out and keep the answers on the same report', () => {
+    expect(send('Radio the hospital').reply).toBe('**[Hospital]** Unit calling, hospital here, go ahead.');
+    expect(send('40 year old female, fell from a ladder').response.question).toBe('vitals');
+    expect(send('Pulse 110, BP 100/60').response.question).toBe('eta');
+
+    const last = send('ETA 8 minutes, over', { voiceDurationMs: 2400 });
+    expect(last.transmission).toMatchObject({ reportId: 1, missing: [], durationMs: 2400, durationSource: 'audio' });
+    expect(last.response.question).toBeNull();
+  });
+
+  test('should send an ALS intercept that arrives after its ETA', () => {
+    const { transmission, reply } = send('Dispatch, Medic 12 requesting ALS intercept, meet us at main and 5th');
+    const arrivesAt = transmission.etaMinutes * 60000;
+
+    expect(transmission).toMatchObject({ channel: 'dispatch', kind: 'intercept', meetAt: 'main and 5th' });
+    expect(reply).toContain(`${transmission.unit} is responding to meet you at main and 5th`);
+    expect(send('Dispatch, we still need that ALS intercept', { now: 60000 }).reply).toContain('already en route');
+    expect(radio.takeArrivals(arrivesAt - 1)).toEqual([]);
+    expect(radio.takeArrivals(arrivesAt)[0].text).toBe(`**[Dispatch]** ${transmission.unit} is at main and 5th. The ALS crew is coming to your patient.`);
+    expect(radio.takeArrivals(arrivesAt + 60000)).toEqual([]);
+  });
+
+  test('should grade Hospital Radio on the elements and length of the notification', () => {
+    const grade = transmissions => {
+      const timeline = new ScenarioTimeline();
+      const manager = new RadioManager();
+      timeline.recordUtterance("I'm ready", 0);
+      timeline.start(0);
+      transmissions.forEach(([message, durationMs], index) => {
+        const at = (index + 1) * 60000;
+        timeline.recordUtterance(message, at);
+        const { transmission, response } = manager.transmit(manager.parseTransmission(message), { now: at, voiceDurationMs: durationMs });
+        timeline.record('radio', transmission, at);
+        timeline.record('radio', response, at);
+      });
+      return gradingEngine.gradeScenario([], {}, 5, null, timeline).scoredSections.hospitalRadio.score;
+    };
+    const report = 'County General, this is Medic 12. 58 year old male complaining of chest pain, BP 150/90, pulse 96, ETA 10 minutes.';
+
+    expect(grade([[report, 25000]])).toBe(3);
+    expect(grade([[report, 45000]])).toBe(2);
+    expect(grade([[report, 75000]])).toBe(1);
+    expect(grade([['County General, this is Medic 12, 58 year old male complaining of chest pain', 10000], ['BP 150/90, pulse 96, ETA 10 minutes', 8000]])).toBe(2);
+    expect(grade([['County General, this is Medic 12, 58 year old male with chest pain', 10000]])).toBe(1);
+  });
+
+  test('should restore an open channel and a pending intercept', () => {
+    send('Requesting ALS intercept');
+    send('Radio the hospital');
+    const restored = new RadioManager();
+    restored.restoreState(JSON.parse(JSON.stringify(radio.getState())));
+
+    expect(restored.parseTransmission('Pulse 100')).toMatchObject({ channel: 'hospital' });
+    expect(restored.takeArrivals(radio.intercept.arrivesAt)[0].intercept.unit).toBe(radio.intercept.unit);
+  });
+});
@@ -0,0 +1,205 @@
+// services/rubricMatcher.js
+const TextNormalizer = require('./utils/textNormalizer');
+
+// Words that turn the action after them into something the student is not doing
+const NEGATION_CUES = [
+  'not', 'dont', 'wont', 'never', 'without', 'cannot', 'cant', 'shouldnt', 'wouldnt', 'didnt',
+  'avoid', 'withhold', 'refuse', 'hold off', 'no need'
+];
+
+// Phrases that make the rest of the clause a question or plan rather than an action
+const HYPOTHETICAL_CUES = [
+  'should i', 'should we', 'do i need', 'do we need', 'would it', 'what if', 'in case', 'maybe',
+  'might', 'consider', 'considering', 'thinking about', 'wondering'
+];
+
+// How many words back a negation cue reaches ("I will not be giving aspirin")
+const NEGATION_WINDOW = 5;
+
+// Everyday words that appear in rubric keyword lists but say little on their own
+// ("my head hurts", "is it safe to...", "blood pressure" for hemorrhage control)
+const AMBIGUOUS_KEYWORDS = new Set([
+  'head', 'neck', 'safe', 'safety', 'pain', 'blood', 'pressure', 'alert', 'verbal', 'color',
+  'condition', 'temperature', 'time', 'events', 'history', 'environment', 'respiratory',
+  'help', 'report', 'age', 'priority', 'partner', 'assist', 'quality', 'severity', 'onset'
+]);
+
+const CONFIDENCE = {
+  pattern: 0.9,
+  keyword: 0.75,
+  weak: 0.45
+};
+
+// Items at or above this confidence count as completed
+const COMPLETION_THRESHOLD = 0.6;
+// Items in this band are worth a second opinion from the language model
+const UNCERTAIN_RANGE = [0.3, 0.7];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Rule-based detector that maps rubric items to the student turns that
+ * satisfy them. Only student turns are read; each turn is split into
+ * clauses, and matches that are negated ("I will not give aspirin") or only
+ * hypothetical ("should I give aspirin?") do not count as evidence.
+ */
+class RubricMatcher {
+  /**
+   * Student turns from a conversation or ScenarioTimeline.getStudentTurns(), numbered and split into clauses
+   * @param {Array} conversation - Messages with role and content (and turn, when from the timeline)
+   * @returns {Array} - { role, content, turn, elapsedMs, clauses }, plus speaker in team scenarios
+   */
+  toStudentTurns(conversation = []) {
+    return conversation
+      .filter(msg => msg.role === 'user')
+      .map((msg, index) => ({
+        role: 'user',
+        content: msg.content,
+        turn: msg.turn ?? index + 1,
+        elapsedMs: msg.elapsedMs ?? null,
+        clauses: msg.clauses || this.splitClauses(msg.content),
+        ...(msg.speaker ? { speaker: msg.speaker } : {})
+      }));
+  }
+
+  /**
+   * @param {string} text - Student message
+   * @returns {Array} - Normalized clauses
+   */
+  splitClauses(text) {
+    const normalized = TextNormalizer.normalizeToAsciiLower(text).replace(/['’]/g, '');
+    return normalized
+      .split(/[.!?;]+|,?\s+(?:and then|then|but|however)\s+|,\s+and\s+/)
+      .map(clause => clause.replace(/[^a-z0-9%/\- ]+/g, ' ').replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Find every place a clause mentions the item
+   * @param {string} clause - Normalized clause
+   * @param {Object} item - Rubric item with keywords and optional patterns
+   * @returns {Array} - { matched, strength, negated, hypothetical }
+   */
+  matchClause(clause, item) {
+    const matches = [];
+    const addMatch = (index, matched, strength) => {
+      const before = clause.slice(0, index).trim();
+      matches.push({
+        matched,
+        strength,
+        negated: this.isNegated(before),
+        hypothetical: this.isHypothetical(before)
+      });
+    };
+
+    (item.patterns || []).forEach(pattern => {
+      const match = new RegExp(pattern).exec(clause);
+      if (match) addMatch(match.index, match[0], 'pattern');
+    });
+
+    (item.keywords || []).forEach(keyword => {
+      const normalizedKeyword = TextNormalizer.normalizeToAsciiLower(keyword).replace(/['’]/g, '');
+      const match = new RegExp(`(?:^|[^a-z0-9])(${escapeRegExp(normalizedKeyword)}(?:s|es)?)(?=$|[^a-z0-9])`).exec(clause);
+      if (match) {
+        const index = match.index + match[0].indexOf(match[1]);
+        addMatch(index, match[1], AMBIGUOUS_KEYWORDS.has(normalizedKeyword) ? 'weak' : 'keyword');
+      }
+    });
+
+    return matches;
+  }
+
+  isNegated(textBefore) {
+    const words = textBefore.split(' ').filter(Boolean).slice(-NEGATION_WINDOW).join(' ');
+    return NEGATION_CUES.some(cue => new RegExp(`(?:^|\\s)${cue}(?:$|\\s)`).test(words));
+  }
+
+  isHypothetical(textBefore) {
+    return HYPOTHETICAL_CUES.some(cue => new RegExp(`(?:^|\\s)${cue}(?:$|\\s)`).test(textBefore));
+  }
+
+  /**
+   * Whether a mention in free text is negated or hypothetical, judged on its sentence up to the mention
+   * @param {string} text - Lowercased message
+   * @param {number} index - Where the mention starts
+   * @returns {boolean}
+   */
+  isQualifiedAt(text, index) {
+    const before = text.slice(0, index).split(/[.!?;]/).pop()
+      .replace(/['’]/g, '').replace(/[^a-z0-9%/\- ]+/g, ' ').replace(/\s+/g, ' ').trim();
+    return this.isNegated(before) || this.isHypothetical(before);
+  }
+
+  /**
+   * Collect the evidence for one rubric item across all student turns
+   * @param {Array} turns - Output of toStudentTurns()
+   * @param {Object} item - Rubric item with keywords and optional patterns
+   * @returns {Object} - { confidence, evidence: [{ turn, elapsedMs, text, matched, confidence, hypothetical, speaker? }], rejected: [{ turn, elapsedMs, text, matched, reason, speaker? }] }
+   */
+  findEvidence(turns, item) {
+    const evidence = [];
+    const rejected = [];
+
+    this.toStudentTurns(turns).forEach(turn => {
+      // Team scenarios quote who said it
+      const speaker = turn.speaker ? { speaker: turn.speaker } : {};
+      let best = null;
+      turn.clauses.forEach(clause => {
+        this.matchClause(clause, item).forEach(match => {
+          if (match.negated) {
+            // One rejection per turn, even when a pattern and a keyword both hit
+            if (rejected.some(r => r.turn === turn.turn)) return;
+            rejected.push({ turn: turn.turn, elapsedMs: turn.elapsedMs, text: turn.content, matched: match.matched, reason: 'negated', ...speaker });
+            return;
+          }
+          const confidence = CONFIDENCE[match.strength] * (match.hypothetical ? 0.5 : 1);
+          if (!best || confidence > best.confidence) {
+            best = { turn: turn.turn, elapsedMs: turn.elapsedMs, text: turn.content, matched: match.matched, confidence, hypothetical: match.hypothetical, ...speaker };
+          }
+        });
+      });
+      if (best) evidence.push(best);
+    });
+
+    // The strongest turn decides; each further supporting turn adds a little
+    const strongest = evidence.reduce((max, e) => Math.max(max, e.confidence), 0);
+    const confidence = strongest === 0 ? 0 : Math.min(0.95, strongest + 0.05 * (evidence.length - 1));
+
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      evidence: evidence.sort((a, b) => b.confidence - a.confidence || a.turn - b.turn),
+      rejected
+    };
+  }
+
+  /**
+   * Whether any student turn really mentions one of the keywords (negated and hypothetical mentions excluded)
+   * @param {Array} turns - Output of toStudentTurns()
+   * @param {Array|Object} keywords - Keywords to look for, or an item with keywords and patterns
+   * @returns {boolean} - True if there is evidence
+   */
+  hasEvidence(turns, keywords) {
+    const item = Array.isArray(keywords) ? { keywords } : keywords;
+    return this.findEvidence(turns, item).evidence.some(e => e.confidence >= CONFIDENCE.weak);
+  }
+
+  /**
+   * Number of student turns that really mention one of the keywords
+   * @param {Array} turns - Output of toStudentTurns()
+   * @param {Array} keywords - Keywords to look for
+   * @returns {number} - Turn count
+   */
+  countEvidenceTurns(turns, keywords) {
+    return this.findEvidence(turns, { keywords }).evidence.filter(e => e.confidence >= CONFIDENCE.weak).length;
+  }
+
+  isUncertain(confidence) {
+    return confidence >= UNCERTAIN_RANGE[0] && confidence < UNCERTAIN_RANGE[1];
+  }
+}
+
+const rubricMatcher = new RubricMatcher();
+rubricMatcher.RubricMatcher = RubricMatcher;
+rubricMatcher.COMPLETION_THRESHOLD = COMPLETION_THRESHOLD;
+
+module.exports = rubricMatcher;
@@ -0,0 +1,63 @@
+// services/rubricMatcher.test.js
+const rubricMatcher = require('./rubricMatcher');
+const gradingEngine = require('./gradingEngine');
+
+const conversation = (...messages) => messages.flatMap(content => [
+  { role: 'user', content },
+  { role: 'assistant', content: 'The patient looks at you.' }
+]);
+
+describe('RubricMatcher', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report the student turns that satisfy an item', () => {
+    const turns = rubricMatcher.toStudentTurns(conversation("I'm ready", 'check radial pulse', 'what is the heart rate now?'));
+    const result = rubricMatcher.findEvidence(turns, { keywords: ['pulse', 'heart rate', 'radial'] });
+
+    expect(result.evidence.map(e => e.turn)).toEqual([2, 3]);
+    expect(result.confidence).toBe(0.8);
+  });
+
+  test('should not credit negated or hypothetical mentions', () => {
+    const aspirin = { keywords: ['aspirin'] };
+    const negated = rubricMatcher.findEvidence(rubricMatcher.toStudentTurns(conversation('I will not give aspirin')), aspirin);
+    const hypothetical = rubricMatcher.findEvidence(rubricMatcher.toStudentTurns(conversation('should I give aspirin?')), aspirin);
+
+    expect(negated.evidence).toEqual([]);
+    expect(negated.rejected).toEqual([expect.objectContaining({ turn: 1, matched: 'aspirin', reason: 'negated' })]);
+    expect(hypothetical.confidence).toBeLessThan(rubricMatcher.COMPLETION_THRESHOLD);
+    expect(rubricMatcher.hasEvidence(conversation('give aspirin, not nitro'), ['nitro'])).toBe(false);
+  });
+
+  test('should keep everyday words from completing critical items', () => {
+    const results = gradingEngine.gradeScenario(conversation('is the patient bleeding from the head?', 'check blood pressure'), {}, 5);
+
+    expect(results.checkboxItems.hemorrhage.completed).toBe(true);
+    expect(results.checkboxItems.hemorrhage.evidence[0]).toMatchObject({ turn: 1, matched: 'bleeding' });
+    expect(results.checkboxItems.spinalStab).toMatchObject({ completed: false, confidence: 0.45, method: 'rules' });
+  });
+
+  test('should let the language model settle uncertain items and keep rule results on a bad reply', async () => {
+    const graded = () => gradingEngine.gradeScenario(conversation('hold his head still'), {}, 5);
+    const callLLM = jest.fn().mockResolvedValue('Verdicts: [{"id": "spinalStab", "completed": true, "confidence": 0.85, "evidenceTurns": [1]}]');
+
+    const adjudicated = await gradingEngine.adjudicateUncertainItems(graded(), conversation('hold his head still'), callLLM);
+    expect(callLLM).toHaveBeenCalledTimes(1);
+    expect(adjudicated.checkboxItems.spinalStab).toMatchObject({
+      completed: true,
+      confidence: 0.85,
+      method: 'llm',
+      evidence: [expect.objectContaining({ turn: 1, text: 'hold his head still' })]
+    });
+
+    const fallback = await gradingEngine.adjudicateUncertainItems(graded(), conversation('hold his head still'), async () => 'not json');
+    expect(fallback.checkboxItems.spinalStab).toMatchObject({ completed: false, method: 'rules' });
+  });
+});
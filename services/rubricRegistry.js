@@ -0,0 +1,474 @@
+// services/rubricRegistry.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const compareVersions = require('./utils/compareVersions');
+const { CRITERION_KINDS } = require('./criticalCriteria');
+const { RULE_KINDS } = require('./sequenceRules');
+
+// Bump when a change to the rubric format needs existing files to be migrated
+const RUBRIC_SCHEMA_VERSION = 1;
+
+const RUBRIC_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+// Section scorers built into GradingEngine; other sections score from `elements` or keywords
+const SECTION_SCORERS = [
+  'hpi', 'pmh', 'vitals', 'physicalExam', 'medicalManagement', 'patientInteraction',
+  'hospitalRadio', 'handover', 'disposition', 'leadership'
+];
+
+const DEFAULT_RUBRIC = 'emed111';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Check the keywords and regex patterns a rubric item or element is matched by
+ * @param {Object} item - Checkbox item, section or element
+ * @param {string} itemPath - Where the item sits in the rubric, for error messages
+ * @param {Array} errors - Collected errors
+ * @param {boolean} required - Whether the item must have keywords or patterns of its own
+ */
+function validateMatchers(item, itemPath, errors, required = true) {
+  if (item.keywords !== undefined && !isStringArray(item.keywords)) errors.push(`${itemPath}.keywords must be a list of strings`);
+  if (item.patterns !== undefined) {
+    if (!isStringArray(item.patterns)) {
+      errors.push(`${itemPath}.patterns must be a list of strings`);
+    } else {
+      item.patterns.forEach(pattern => {
+        try {
+          new RegExp(pattern);
+        } catch {
+          errors.push(`${itemPath}.patterns "${pattern}" is not a valid regular expression`);
+        }
+      });
+    }
+  }
+  if (required && !(item.keywords?.length > 0) && !(item.patterns?.length > 0)) {
+    errors.push(`${itemPath} needs keywords or patterns`);
+  }
+}
+
+function validateSection(section, sectionPath, errors) {
+  if (!isObject(section)) {
+    errors.push(`${sectionPath} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(section.id)) errors.push(`${sectionPath}.id is required`);
+  if (!isNonEmptyString(section.name)) errors.push(`${sectionPath}.name is required`);
+  if (!Number.isInteger(section.maxScore) || section.maxScore < 1) errors.push(`${sectionPath}.maxScore must be a positive whole number`);
+  if (section.scorer !== undefined && !SECTION_SCORERS.includes(section.scorer)) {
+    errors.push(`${sectionPath}.scorer must be one of: ${SECTION_SCORERS.join(', ')}`);
+  }
+
+  if (section.criteria !== undefined) {
+    if (!isObject(section.criteria)) {
+      errors.push(`${sectionPath}.criteria must map score levels to descriptions`);
+    } else {
+      Object.entries(section.criteria).forEach(([level, text]) => {
+        const score = Number(level);
+        if (!Number.isInteger(score) || score < 0 || score > section.maxScore) {
+          errors.push(`${sectionPath}.criteria level ${level} is outside 0-${section.maxScore}`);
+        } else if (!isNonEmptyString(text)) {
+          errors.push(`${sectionPath}.criteria.${level} must be text`);
+        }
+      });
+    }
+  }
+
+  if (section.elements !== undefined) {
+    if (!Array.isArray(section.elements) || section.elements.length === 0) {
+      errors.push(`${sectionPath}.elements must list at least one element`);
+    } else {
+      section.elements.forEach((element, index) => {
+        const elementPath = `${sectionPath}.elements[${index}]`;
+        if (!isNonEmptyString(element?.id)) errors.push(`${elementPath}.id is required`);
+        if (!isNonEmptyString(element?.description)) errors.push(`${elementPath}.description is required`);
+        if (element?.points !== undefined && !isPositiveNumber(element.points)) errors.push(`${elementPath}.points must be a positive number`);
+        if (isObject(element)) validateMatchers(element, elementPath, errors);
+      });
+    }
+    validateMatchers(section, sectionPath, errors, false);
+  } else {
+    validateMatchers(section, sectionPath, errors);
+  }
+}
+
+function validateCriticalCriterion(criterion, criterionPath, errors) {
+  if (!isObject(criterion)) {
+    errors.push(`${criterionPath} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(criterion.id)) errors.push(`${criterionPath}.id is required`);
+  if (!isNonEmptyString(criterion.description)) errors.push(`${criterionPath}.description is required`);
+
+  switch (criterion.kind) {
+    case 'required':
+      if (criterion.withinMinutes !== undefined && !isPositiveNumber(criterion.withinMinutes)) {
+        errors.push(`${criterionPath}.withinMinutes must be a positive number`);
+      }
+      validateMatchers(criterion, criterionPath, errors);
+      break;
+    case 'forbidden':
+      validateMatchers(criterion, criterionPath, errors);
+      break;
+    case 'order':
+      ['first', 'then'].forEach(key => {
+        if (!isObject(criterion[key])) errors.push(`${criterionPath}.${key} must be an object with keywords or patterns`);
+        else validateMatchers(criterion[key], `${criterionPath}.${key}`, errors);
+      });
+      break;
+    case 'error':
+      if (!isStringArray(criterion.errorTypes) || criterion.errorTypes.length === 0) {
+        errors.push(`${criterionPath}.errorTypes must list at least one error type`);
+      }
+      break;
+    default:
+      errors.push(`${criterionPath}.kind must be one of: ${CRITERION_KINDS.join(', ')}`);
+  }
+}
+
+// Matchers that also name the step, for sequence rule messages
+function validateLabeledMatchers(step, stepPath, errors) {
+  if (!isObject(step)) {
+    errors.push(`${stepPath} must be an object with a label and keywords or patterns`);
+    return;
+  }
+  if (!isNonEmptyString(step.label)) errors.push(`${stepPath}.label is required`);
+  validateMatchers(step, stepPath, errors);
+}
+
+function validateSequenceRule(rule, rulePath, sectionIds, errors) {
+  if (!isObject(rule)) {
+    errors.push(`${rulePath} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(rule.id)) errors.push(`${rulePath}.id is required`);
+  if (!isNonEmptyString(rule.description)) errors.push(`${rulePath}.description is required`);
+  if (!sectionIds.has(rule.section)) errors.push(`${rulePath}.section must name one of the scoredSections`);
+  if (rule.points !== undefined && !isPositiveNumber(rule.points)) errors.push(`${rulePath}.points must be a positive number`);
+  if (rule.kind !== 'order' && !isPositiveNumber(rule.withinMinutes)) errors.push(`${rulePath}.withinMinutes must be a positive number`);
+
+  switch (rule.kind) {
+    case 'order':
+      if (!Array.isArray(rule.steps) || rule.steps.length === 0) {
+        errors.push(`${rulePath}.steps must list at least one step`);
+      } else {
+        rule.steps.forEach((step, index) => validateLabeledMatchers(step, `${rulePath}.steps[${index}]`, errors));
+      }
+      validateLabeledMatchers(rule.then, `${rulePath}.then`, errors);
+      break;
+    case 'within': {
+      const action = rule.action;
+      if (!isObject(action) || !isNonEmptyString(action.label)) {
+        errors.push(`${rulePath}.action needs a label`);
+      } else {
+        ['treatments', 'medications'].forEach(key => {
+          if (action[key] !== undefined && !isStringArray(action[key])) errors.push(`${rulePath}.action.${key} must be a list of strings`);
+        });
+        const hasRecorded = action.treatments?.length > 0 || action.medications?.length > 0;
+        validateMatchers(action, `${rulePath}.action`, errors, !hasRecorded);
+      }
+      if (rule.when !== undefined) {
+        const when = rule.when;
+        const hasBound = typeof when?.below === 'number' || typeof when?.above === 'number';
+        if (!isObject(when) || !isNonEmptyString(when.vital) || !hasBound) {
+          errors.push(`${rulePath}.when must name a vital and a number it is below or above`);
+        }
+      }
+      break;
+    }
+    case 'reassessAfter':
+      break;
+    default:
+      errors.push(`${rulePath}.kind must be one of: ${RULE_KINDS.join(', ')}`);
+  }
+}
+
+/**
+ * Check a rubric definition before it is used for grading
+ * @param {Object} definition - Parsed rubric file
+ * @returns {Object} - { isValid, errors }
+ */
+function validateRubricDefinition(definition) {
+  const errors = [];
+
+  if (!isObject(definition)) {
+    return { isValid: false, errors: ['Rubric must be an object'] };
+  }
+
+  if (definition.schemaVersion !== RUBRIC_SCHEMA_VERSION) errors.push(`schemaVersion must be ${RUBRIC_SCHEMA_VERSION}`);
+  if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+    errors.push('id must be lowercase letters, numbers and dashes');
+  }
+  if (typeof definition.version !== 'string' || !/^\d+(\.\d+)*$/.test(definition.version)) {
+    errors.push('version must be a dotted number such as "1.0"');
+  }
+  if (!isNonEmptyString(definition.title)) errors.push('title is required');
+  if (definition.courses !== undefined && !isStringArray(definition.courses)) errors.push('courses must be a list of strings');
+  if (definition.mainScenarios !== undefined && !isStringArray(definition.mainScenarios)) errors.push('mainScenarios must be a list of strings');
+  if (!isPositiveNumber(definition.timeLimitMinutes)) errors.push('timeLimitMinutes must be a positive number');
+  if (definition.totalPoints !== undefined && !isPositiveNumber(definition.totalPoints)) errors.push('totalPoints must be a positive number');
+
+  const rules = definition.passRules;
+  if (rules !== undefined) {
+    if (!isObject(rules)) {
+      errors.push('passRules must be an object');
+    } else {
+      ['allCheckboxItems', 'withinTimeLimit'].forEach(key => {
+        if (rules[key] !== undefined && typeof rules[key] !== 'boolean') errors.push(`passRules.${key} must be true or false`);
+      });
+      ['minimumScorePerSection', 'minimumTotalScore'].forEach(key => {
+        if (rules[key] !== undefined && rules[key] !== null && !(typeof rules[key] === 'number' && rules[key] >= 0)) {
+          errors.push(`passRules.${key} must be a number or null`);
+        }
+      });
+    }
+  }
+
+  const itemIds = new Set();
+  if (definition.checkboxGroups !== undefined && !Array.isArray(definition.checkboxGroups)) {
+    errors.push('checkboxGroups must be a list');
+  } else if (definition.checkboxGroups) {
+    definition.checkboxGroups.forEach((group, groupIndex) => {
+      const groupPath = `checkboxGroups[${groupIndex}]`;
+      if (!isNonEmptyString(group?.name)) errors.push(`${groupPath}.name is required`);
+      if (!Array.isArray(group?.items) || group.items.length === 0) {
+        errors.push(`${groupPath}.items must list at least one item`);
+        return;
+      }
+      group.items.forEach((item, index) => {
+        const itemPath = `${groupPath}.items[${index}]`;
+        if (!isNonEmptyString(item?.id)) errors.push(`${itemPath}.id is required`);
+        else if (itemIds.has(item.id)) errors.push(`${itemPath}.id "${item.id}" is used twice`);
+        else itemIds.add(item.id);
+        if (!isNonEmptyString(item?.description)) errors.push(`${itemPath}.description is required`);
+        if (isObject(item)) validateMatchers(item, itemPath, errors);
+      });
+    });
+  }
+
+  const sectionIds = new Set();
+  if (!Array.isArray(definition.scoredSections) || definition.scoredSections.length === 0) {
+    errors.push('scoredSections must list at least one section');
+  } else {
+    definition.scoredSections.forEach((section, index) => {
+      const sectionPath = `scoredSections[${index}]`;
+      validateSection(section, sectionPath, errors);
+      if (isNonEmptyString(section?.id)) {
+        if (sectionIds.has(section.id)) errors.push(`${sectionPath}.id "${section.id}" is used twice`);
+        sectionIds.add(section.id);
+      }
+    });
+  }
+
+  if (definition.criticalCriteria !== undefined) {
+    if (!Array.isArray(definition.criticalCriteria)) {
+      errors.push('criticalCriteria must be a list');
+    } else {
+      const criterionIds = new Set();
+      definition.criticalCriteria.forEach((criterion, index) => {
+        const criterionPath = `criticalCriteria[${index}]`;
+        validateCriticalCriterion(criterion, criterionPath, errors);
+        if (isNonEmptyString(criterion?.id)) {
+          if (criterionIds.has(criterion.id)) errors.push(`${criterionPath}.id "${criterion.id}" is used twice`);
+          criterionIds.add(criterion.id);
+        }
+      });
+    }
+  }
+
+  if (definition.sequenceRules !== undefined) {
+    if (!Array.isArray(definition.sequenceRules)) {
+      errors.push('sequenceRules must be a list');
+    } else {
+      const ruleIds = new Set();
+      definition.sequenceRules.forEach((rule, index) => {
+        const rulePath = `sequenceRules[${index}]`;
+        validateSequenceRule(rule, rulePath, sectionIds, errors);
+        if (isNonEmptyString(rule?.id)) {
+          if (ruleIds.has(rule.id)) errors.push(`${rulePath}.id "${rule.id}" is used twice`);
+          ruleIds.add(rule.id);
+        }
+      });
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Fill in the defaults a validated rubric may leave out
+ * @param {Object} definition - Validated rubric
+ * @returns {Object} - Rubric as the grading engine uses it
+ */
+function normalizeRubric(definition) {
+  const sectionPoints = definition.scoredSections.reduce((sum, section) => sum + section.maxScore, 0);
+  return {
+    ...definition,
+    ref: `${definition.id}@${definition.version}`,
+    courses: definition.courses || [],
+    mainScenarios: definition.mainScenarios || [],
+    totalPoints: definition.totalPoints || sectionPoints,
+    timeLimit: definition.timeLimitMinutes,
+    checkboxGroups: definition.checkboxGroups || [],
+    criticalCriteria: definition.criticalCriteria || [],
+    sequenceRules: definition.sequenceRules || [],
+    passRules: {
+      allCheckboxItems: true,
+      minimumScorePerSection: null,
+      minimumTotalScore: null,
+      withinTimeLimit: true,
+      ...definition.passRules
+    }
+  };
+}
+
+/**
+ * Grading rubrics read from a directory of JSON or YAML files. A course or a
+ * scenario names the rubric it is graded with; several versions of a rubric
+ * may live side by side and the newest is used unless one is pinned.
+ * Files are read synchronously on first use: they are small and the grading
+ * engine needs its default rubric as soon as it is constructed.
+ */
+class RubricRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.RUBRIC_DIR || path.join(__dirname, '../rubrics');
+    this.defaultRubric = options.defaultRubric || process.env.DEFAULT_RUBRIC || DEFAULT_RUBRIC;
+    this.rubrics = null;
+    this.loadErrors = [];
+  }
+
+  /**
+   * Read and validate every rubric file. Invalid files are skipped and reported in loadErrors.
+   * @returns {number} - Number of rubrics loaded
+   */
+  load() {
+    const rubrics = new Map();
+    const loadErrors = [];
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.directory).filter(file => RUBRIC_FILE_PATTERN.test(file)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.warn(`⚠️ Rubric directory not found: ${this.directory}`);
+    }
+
+    for (const file of files) {
+      let definition;
+      try {
+        const content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        definition = /\.json$/i.test(file) ? JSON.parse(content) : yaml.load(content);
+      } catch (error) {
+        loadErrors.push({ file, errors: [`Could not parse: ${error.message}`] });
+        continue;
+      }
+
+      const validation = validateRubricDefinition(definition);
+      if (!validation.isValid) {
+        loadErrors.push({ file, errors: validation.errors });
+        continue;
+      }
+
+      const rubric = normalizeRubric(definition);
+      if (rubrics.has(rubric.ref)) {
+        loadErrors.push({ file, errors: [`Duplicate rubric ${rubric.ref} (already loaded from ${rubrics.get(rubric.ref).file})`] });
+        continue;
+      }
+      rubrics.set(rubric.ref, { rubric, file });
+    }
+
+    loadErrors.forEach(({ file, errors }) => {
+      console.error(`❌ Rubric ${file} skipped:`);
+      errors.forEach(error => console.error(`  - ${error}`));
+    });
+    console.log(`📋 Rubrics loaded: ${rubrics.size} rubric(s) from ${this.directory}`);
+
+    this.rubrics = rubrics;
+    this.loadErrors = loadErrors;
+    return rubrics.size;
+  }
+
+  ensureLoaded() {
+    if (!this.rubrics) this.load();
+  }
+
+  /**
+   * Summaries of every rubric, newest version first within each rubric
+   * @returns {Array} - { id, version, title, courses, mainScenarios, totalPoints, timeLimitMinutes }
+   */
+  list() {
+    this.ensureLoaded();
+    return [...this.rubrics.values()]
+      .map(({ rubric }) => ({
+        id: rubric.id,
+        version: rubric.version,
+        title: rubric.title,
+        courses: rubric.courses,
+        mainScenarios: rubric.mainScenarios,
+        totalPoints: rubric.totalPoints,
+        timeLimitMinutes: rubric.timeLimitMinutes
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id) || compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Look up a rubric
+   * @param {string} ref - Rubric id, or "id@version" to pin a version
+   * @returns {Object|null} - The rubric, or null if unknown
+   */
+  get(ref) {
+    this.ensureLoaded();
+    if (!ref) return null;
+    const [id, version] = String(ref).split('@');
+    if (version) return this.rubrics.get(`${id}@${version}`)?.rubric || null;
+
+    const versions = [...this.rubrics.values()]
+      .map(entry => entry.rubric)
+      .filter(rubric => rubric.id === id)
+      .sort((a, b) => compareVersions(b.version, a.version));
+    return versions[0] || null;
+  }
+
+  /**
+   * Pick the rubric a scenario is graded with: the one the scenario names,
+   * else the newest rubric for its course (preferring one written for its
+   * scenario type), else the default rubric
+   * @param {Object} params - rubric, course, mainScenario (all optional)
+   * @returns {Object} - The rubric
+   */
+  resolve({ rubric = null, course = null, mainScenario = null } = {}) {
+    this.ensureLoaded();
+
+    if (rubric) {
+      const named = this.get(rubric);
+      if (named) return named;
+      console.warn(`⚠️ Unknown rubric "${rubric}", falling back`);
+    }
+
+    if (course) {
+      const forCourse = [...new Set(this.list().map(summary => summary.id))]
+        .map(id => this.get(id))
+        .filter(candidate => candidate.courses.includes(course))
+        .filter(candidate => candidate.mainScenarios.length === 0 || candidate.mainScenarios.includes(mainScenario))
+        .sort((a, b) => b.mainScenarios.length - a.mainScenarios.length);
+      if (forCourse.length > 0) return forCourse[0];
+      console.warn(`⚠️ No rubric for course "${course}", using the default`);
+    }
+
+    const fallback = this.get(this.defaultRubric);
+    if (!fallback) throw new Error(`Default rubric "${this.defaultRubric}" is not in ${this.directory}`);
+    return fallback;
+  }
+}
+
+const rubricRegistry = new RubricRegistry();
+rubricRegistry.RubricRegistry = RubricRegistry;
+rubricRegistry.RUBRIC_SCHEMA_VERSION = RUBRIC_SCHEMA_VERSION;
+rubricRegistry.SECTION_SCORERS = SECTION_SCORERS;
+rubricRegistry.validateRubricDefinition = validateRubricDefinition;
+
+module.exports = rubricRegistry;
@@ -0,0 +1,113 @@
+// services/rubricRegistry.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { RubricRegistry } = require('./rubricRegistry');
+const gradingEngine = require('./gradingEngine');
+
+const SHIPPED_RUBRICS = path.join(__dirname, '../rubrics');
+
+const readRubric = file => yaml.load(fs.readFileSync(path.join(SHIPPED_RUBRICS, file), 'utf8'));
+const conversation = (...messages) => messages.map(content => ({ role: 'user', content }));
+
+describe('RubricRegistry', () => {
+  let directory;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rubrics-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should load every shipped rubric with its point totals', () => {
+    const registry = new RubricRegistry({ directory: SHIPPED_RUBRICS });
+
+    expect(registry.load()).toBe(3);
+    expect(registry.loadErrors).toEqual([]);
+    expect(registry.list().map(r => [r.id, r.totalPoints, r.timeLimitMinutes])).toEqual([
+      ['emed111', 38, 20],
+      ['nremt-medical', 42, 15],
+      ['nremt-trauma', 42, 10]
+    ]);
+  });
+
+  test('should pick the rubric a scenario names, then its course, then the default', () => {
+    const registry = new RubricRegistry({ directory: SHIPPED_RUBRICS });
+
+    expect(registry.resolve({ rubric: 'nremt-medical@1.0', course: 'EMED111' }).ref).toBe('nremt-medical@1.0');
+    expect(registry.resolve({ course: 'NREMT', mainScenario: 'Trauma Scenario' }).ref).toBe('nremt-trauma@1.0');
+    expect(registry.resolve({ course: 'NREMT', mainScenario: 'Medical Scenario' }).ref).toBe('nremt-medical@1.0');
+    expect(registry.resolve({ course: 'EMED999' }).ref).toBe('emed111@1.0');
+    expect(registry.resolve({ rubric: 'missing' }).ref).toBe('emed111@1.0');
+  });
+
+  test('should serve the newest version unless one is pinned', () => {
+    const original = readRubric('emed111-v1.0.yaml');
+    fs.writeFileSync(path.join(directory, 'v1.yaml'), yaml.dump(original));
+    fs.writeFileSync(path.join(directory, 'v1.1.yaml'), yaml.dump({ ...original, version: '1.1', timeLimitMinutes: 15 }));
+    const registry = new RubricRegistry({ directory });
+
+    expect(registry.get('emed111').timeLimit).toBe(15);
+    expect(registry.get('emed111@1.0').timeLimit).toBe(20);
+  });
+
+  test('should skip rubric files that do not validate', () => {
+    const broken = readRubric('nremt-trauma-v1.0.yaml');
+    broken.scoredSections[0].scorer = 'magic';
+    broken.scoredSections[1].criteria = { 20: 'too high' };
+    broken.criticalCriteria[1].patterns = ['scene (safe'];
+    broken.criticalCriteria[2].kind = 'sometimes';
+    broken.sequenceRules[1].section = 'nowhere';
+    fs.writeFileSync(path.join(directory, 'broken.yaml'), yaml.dump(broken));
+    const registry = new RubricRegistry({ directory });
+
+    expect(registry.load()).toBe(0);
+    expect(registry.loadErrors[0].errors).toEqual([
+      expect.stringMatching(/^scoredSections\[0\]\.scorer must be one of/),
+      'scoredSections[1].criteria level 20 is outside 0-14',
+      'criticalCriteria[1].patterns "scene (safe" is not a valid regular expression',
+      'criticalCriteria[2].kind must be one of: required, order, error, forbidden',
+      'sequenceRules[1].section must name one of the scoredSections'
+    ]);
+  });
+});
+
+describe('GradingEngine with an NREMT rubric', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should score elements by points and record the rubric version used', () => {
+    const results = gradingEngine.gradeScenario(conversation(
+      'gloves on, is the scene safe? how many patients?',
+      'stabilize the head, you need a c-collar',
+      'assess the head and inspect the chest',
+      'nonrebreather at 15 lpm, apply a tourniquet, we need rapid transport'
+    ), { course: 'NREMT', mainScenario: 'Trauma Scenario' }, 8);
+    const report = gradingEngine.generateFeedbackReport(results, {});
+
+    expect(results.rubric).toMatchObject({ ref: 'nremt-trauma@1.0', totalPoints: 42, timeLimitMinutes: 10 });
+    expect(results.criticalFailures).toEqual([]);
+    expect(results.scoredSections.secondaryAssessment).toMatchObject({ score: 6, maxScore: 19, criteria: '2 of 8 elements' });
+    expect(results.scoredSections.sceneSizeUp.nextCriteria).toBe(
+      'Determines the mechanism of injury; Requests additional EMS assistance if necessary'
+    );
+    expect(results.passChecks).toEqual({
+      allCheckboxItems: true, minimumScorePerSection: true, minimumTotalScore: false, withinTimeLimit: true, noCriticalFailures: true
+    });
+    expect(results.overallPass).toBe(false);
+    expect(report.rubric).toEqual({ id: 'nremt-trauma', version: '1.0', ref: 'nremt-trauma@1.0', title: 'NREMT Patient Assessment/Management - Trauma' });
+    expect(report.summary.maxScore).toBe(42);
+  });
+});
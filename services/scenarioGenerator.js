@@ -1,10 +1,11 @@
 // services/scenarioGenerator.js
-const { openai } = require('../config/openai');
+const { getTaskRoute } = require('../config/llm');
 const TextNormalizer = require('./utils/textNormalizer');
+const SeededRandom = require('./utils/seededRandom');
 
 class ScenarioGenerator {
   constructor() {
-    this.defaultModel = 'gpt-4o-mini';
+    this.task = 'dispatch';
     this.maxTokens = 1200;
     this.temperature = 0.9; // Higher temperature for increased variability
   }
@@ -24,7 +25,7 @@ class ScenarioGenerator {
 
     try {
       const prompt = this.buildScenarioPrompt(scenarioData, difficulty);
-      const response = await this.callOpenAI(prompt);
+      const response = await this.callLLM(prompt, scenarioData?.meta?.seed);
       const parsedScenario = this.parseScenarioResponse(response);
       
       // Add difficulty information to the scenario
@@ -44,16 +45,14 @@ class ScenarioGenerator {
   /**
    * Generate simple difficulty configuration
    * @param {Object} scenarioData - Basic scenario data for seeding
+   * @param {SeededRandom} random - Generator for the roll (derived from scenarioData.meta.seed by default)
    * @returns {Object} - Simple difficulty configuration
    */
-  generateSimpleDifficulty(scenarioData = {}) {
+  generateSimpleDifficulty(scenarioData = {}, random = SeededRandom.forScenario(scenarioData, 'difficulty')) {
     const levels = ['novice', 'intermediate', 'advanced'];
     
-    // Random difficulty selection for greater variability
-    // Math.random() gives us a value between 0 and 1
-    // We can use this to randomly select a difficulty level
-    const randomIndex = Math.floor(Math.random() * levels.length);
-    const level = levels[randomIndex];
+    // Random difficulty selection for greater variability; the same seed always gets the same level
+    const level = random.pick(levels);
     
     return {
       level: level,
@@ -107,13 +106,14 @@ class ScenarioGenerator {
    * Build the prompt for comprehensive scenario generation
    * @param {Object} scenarioData - Basic scenario requirements
    * @param {Object} difficulty - Difficulty configuration
-   * @returns {Array} - OpenAI messages array
+   * @param {SeededRandom} random - Generator for demographics, time and location (derived from scenarioData.meta.seed by default)
+   * @returns {Array} - Chat messages array
    */
-  buildScenarioPrompt(scenarioData, difficulty) {
+  buildScenarioPrompt(scenarioData, difficulty, random = SeededRandom.forScenario(scenarioData, 'scenario')) {
     // Handle null or missing scenarioData
     if (!scenarioData) {
       const scenarioTypes = ['Cardiac Scenario', 'Respiratory Scenario', 'Trauma Scenario', 'Neurological Scenario', 'Metabolic Scenario'];
-      const randomType = scenarioTypes[Math.floor(Math.random() * scenarioTypes.length)];
+      const randomType = random.pick(scenarioTypes);
       scenarioData = {
         mainScenario: randomType,
         subScenario: randomType,
@@ -197,22 +197,22 @@ Required JSON structure:
 }`;
 
     // Create a unique seed for each scenario to ensure variability
-    const uniqueSeed = Math.floor(Math.random() * 1000000);
+    const uniqueSeed = random.int(0, 999999);
     
     // Generate patient demographics with more variability
     const patientAgeGroups = [
       "child (5-12)", "teenager (13-19)", "young adult (20-35)", 
       "middle-aged (36-55)", "older adult (56-70)", "elderly (71+)"
     ];
-    const selectedAgeGroup = patientAgeGroups[Math.floor(Math.random() * patientAgeGroups.length)];
+    const selectedAgeGroup = random.pick(patientAgeGroups);
     
     // Explicitly randomize patient gender
     const genders = ["male", "female"];
-    const selectedGender = genders[Math.floor(Math.random() * genders.length)];
+    const selectedGender = random.pick(genders);
     
     // Explicitly generate a random time of day
-    const hours = Math.floor(Math.random() * 24); // 0-23
-    const minutes = Math.floor(Math.random() * 60); // 0-59
+    const hours = random.int(0, 23);
+    const minutes = random.int(0, 59);
     const period = hours >= 12 ? 'PM' : 'AM';
     const displayHour = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
     const selectedTime = `${displayHour}:${minutes.toString().padStart(2, '0')} ${period}`;
@@ -226,7 +226,7 @@ Required JSON structure:
       "construction site", "warehouse", "hotel", "airport", 
       "train station", "parking garage", "gas station", "library"
     ];
-    const selectedLocation = locationTypes[Math.floor(Math.random() * locationTypes.length)];
+    const selectedLocation = random.pick(locationTypes);
     
     const userPrompt = `Create a realistic ${subScenario} scenario for EMT training. 
 
@@ -404,36 +404,37 @@ Generate the complete scenario now as JSON only.`;
   }
 
   /**
-   * Call OpenAI to generate the scenario
-   * @param {Array} messages - OpenAI messages array
-   * @returns {string} - Raw response from OpenAI
+   * Call the configured LLM provider to generate the scenario
+   * @param {Array} messages - Chat messages array
+   * @param {number|string} seed - Scenario seed, passed on so seeded backends repeat themselves
+   * @returns {string} - Raw response from the provider
    */
-  async callOpenAI(messages) {
-    console.log('🚀 Calling OpenAI for scenario generation...');
+  async callLLM(messages, seed) {
+    const route = getTaskRoute(this.task);
+    console.log(`🚀 Calling ${route.provider.name} for scenario generation...`);
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: this.defaultModel,
-        messages: messages,
-        max_tokens: this.maxTokens,
+      const response = await route.provider.chat(messages, {
+        model: route.model,
+        maxTokens: this.maxTokens,
         temperature: this.temperature,
-        top_p: 0.95, // Use nucleus sampling for more diverse outputs
-        frequency_penalty: 0.3, // Reduce repetition of similar scenario patterns
-        presence_penalty: 0.3 // Encourage the model to introduce novel elements
+        topP: 0.95, // Use nucleus sampling for more diverse outputs
+        frequencyPenalty: 0.3, // Reduce repetition of similar scenario patterns
+        presencePenalty: 0.3, // Encourage the model to introduce novel elements
+        seed: seed === undefined || seed === null ? undefined : SeededRandom.normalizeSeed(seed)
       });
 
-      const response = completion.choices[0]?.message?.content || '';
-      console.log('✅ OpenAI scenario generation successful');
+      console.log(`✅ ${route.provider.name} scenario generation successful`);
       return response;
     } catch (error) {
-      console.error('❌ OpenAI scenario generation failed:', error);
+      console.error(`❌ ${route.provider.name} scenario generation failed:`, error);
       throw error;
     }
   }
 
   /**
-   * Parse the OpenAI response into structured scenario data
-   * @param {string} response - Raw response from OpenAI
+   * Parse the LLM response into structured scenario data
+   * @param {string} response - Raw response from the LLM
    * @returns {Object} - Parsed scenario object
    */
   parseScenarioResponse(response) {
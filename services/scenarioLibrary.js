@@ -0,0 +1,200 @@
+// services/scenarioLibrary.js
+const fs = require('fs/promises');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateScenarioDefinition, toScenarioData } = require('./scenarioSchema');
+const PhysiologyEngine = require('./physiologyEngine');
+const rubricRegistry = require('./rubricRegistry');
+const compareVersions = require('./utils/compareVersions');
+
+const SCENARIO_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+/**
+ * Instructor-authored scenario cases read from a directory of JSON or YAML
+ * files, so the same case can be run again exactly instead of being
+ * generated. Several versions of a case may live side by side; callers get
+ * the newest unless they ask for a specific one.
+ */
+class ScenarioLibrary {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.SCENARIO_DIR || path.join(__dirname, '../scenarios');
+    this.validateDispatch = options.validateDispatch || ((dispatch, subScenario) => {
+      // Required lazily so the library can be used without an LLM client
+      const TemplateGenerator = require('./templateGenerator');
+      return TemplateGenerator.prototype.validateDispatchData(dispatch, subScenario);
+    });
+    this.cases = null;
+    this.loadErrors = [];
+  }
+
+  /**
+   * Read and validate every case file in the library directory.
+   * Invalid files are skipped and reported in loadErrors.
+   * @returns {Promise<number>} - Number of cases loaded
+   */
+  async load() {
+    const cases = new Map();
+    const loadErrors = [];
+
+    let files = [];
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => SCENARIO_FILE_PATTERN.test(file)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.warn(`⚠️ Scenario library directory not found: ${this.directory}`);
+    }
+
+    for (const file of files) {
+      let definition;
+      try {
+        definition = this.parse(await fs.readFile(path.join(this.directory, file), 'utf8'), file);
+      } catch (error) {
+        loadErrors.push({ file, errors: [`Could not parse: ${error.message}`] });
+        continue;
+      }
+
+      const validation = this.validate(definition);
+      if (!validation.isValid) {
+        loadErrors.push({ file, errors: validation.errors });
+        continue;
+      }
+
+      const key = `${definition.id}@${definition.version}`;
+      if (cases.has(key)) {
+        loadErrors.push({ file, errors: [`Duplicate case ${key} (already loaded from ${cases.get(key).file})`] });
+        continue;
+      }
+      cases.set(key, { definition, file, warnings: validation.warnings });
+    }
+
+    loadErrors.forEach(({ file, errors }) => {
+      console.error(`❌ Scenario ${file} skipped:`);
+      errors.forEach(error => console.error(`  - ${error}`));
+    });
+    console.log(`📚 Scenario library loaded: ${cases.size} case(s) from ${this.directory}`);
+
+    this.cases = cases;
+    this.loadErrors = loadErrors;
+    return cases.size;
+  }
+
+  parse(content, file) {
+    return /\.json$/i.test(file) ? JSON.parse(content) : yaml.load(content);
+  }
+
+  serialize(definition, file) {
+    return /\.json$/i.test(file) ? `${JSON.stringify(definition, null, 2)}\n` : yaml.dump(definition);
+  }
+
+  /**
+   * Check a case against the schema and the dispatch rules
+   * @param {Object} definition - Case to check
+   * @returns {Object} - { isValid, errors, warnings }
+   */
+  validate(definition) {
+    return validateScenarioDefinition(definition, {
+      validateDispatch: this.validateDispatch,
+      hasRubric: ref => rubricRegistry.get(ref) !== null
+    });
+  }
+
+  /**
+   * Write a case into the library directory. An existing id@version is only
+   * replaced when overwrite is set, and keeps its original file and format.
+   * @param {Object} definition - Case to save
+   * @param {Object} options - overwrite: replace an existing id@version
+   * @returns {Promise<Object>} - { saved, conflict, file, validation }
+   */
+  async save(definition, options = {}) {
+    const validation = this.validate(definition);
+    if (!validation.isValid) return { saved: false, conflict: false, file: null, validation };
+
+    await this.ensureLoaded();
+    const key = `${definition.id}@${definition.version}`;
+    const existing = this.cases.get(key);
+    if (existing && !options.overwrite) return { saved: false, conflict: true, file: existing.file, validation };
+
+    const file = existing?.file || `${definition.id}-v${definition.version}.json`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, file), this.serialize(definition, file), 'utf8');
+    this.cases.set(key, { definition, file, warnings: validation.warnings });
+
+    console.log(`💾 Scenario ${key} saved to ${file}`);
+    return { saved: true, conflict: false, file, validation };
+  }
+
+  /**
+   * Untreated vital signs over the first minutes of a case, for checking a
+   * trajectory while authoring it
+   * @param {Object} definition - Case with valid vitals
+   * @param {number} totalMinutes - How far to project
+   * @param {number} stepMinutes - Spacing between samples
+   * @returns {Array} - [{ minute, phase, vitals }]
+   */
+  previewVitals(definition, totalMinutes = 20, stepMinutes = 2) {
+    const startTime = 0;
+    const engine = new PhysiologyEngine().initialize(toScenarioData(definition), startTime);
+    const preview = [];
+    for (let minute = 0; minute <= totalMinutes; minute += stepMinutes) {
+      const at = startTime + minute * 60000;
+      preview.push({ minute, phase: engine.getStatus(at).phase, vitals: engine.getVitals(at) });
+    }
+    return preview;
+  }
+
+  async ensureLoaded() {
+    if (!this.cases) await this.load();
+  }
+
+  /**
+   * Summaries of every case, newest version first within each case
+   * @returns {Promise<Array>} - { id, version, title, mainScenario, subScenario, difficulty, tags }
+   */
+  async list() {
+    await this.ensureLoaded();
+    return [...this.cases.values()]
+      .map(({ definition }) => ({
+        id: definition.id,
+        version: definition.version,
+        title: definition.title,
+        mainScenario: definition.mainScenario,
+        subScenario: definition.subScenario,
+        difficulty: definition.difficulty || 'intermediate',
+        tags: definition.tags || []
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id) || compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Look up a case
+   * @param {string} id - Case id
+   * @param {string} version - Exact version; the newest is used when omitted
+   * @returns {Promise<Object|null>} - The case definition, or null if unknown
+   */
+  async get(id, version = null) {
+    await this.ensureLoaded();
+    if (version) return this.cases.get(`${id}@${version}`)?.definition || null;
+
+    const versions = [...this.cases.values()]
+      .map(entry => entry.definition)
+      .filter(definition => definition.id === id)
+      .sort((a, b) => compareVersions(b.version, a.version));
+    return versions[0] || null;
+  }
+
+  /**
+   * Look up a case already mapped into scenarioData fields
+   * @param {string} id - Case id
+   * @param {string} version - Exact version; the newest is used when omitted
+   * @returns {Promise<Object|null>} - See toScenarioData, or null if unknown
+   */
+  async getScenarioData(id, version = null) {
+    const definition = await this.get(id, version);
+    return definition ? toScenarioData(definition) : null;
+  }
+}
+
+const scenarioLibrary = new ScenarioLibrary();
+scenarioLibrary.ScenarioLibrary = ScenarioLibrary;
+
+module.exports = scenarioLibrary;
@@ -0,0 +1,108 @@
+// services/scenarioLibrary.test.js
+process.env.LLM_PROVIDER = 'mock';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScenarioLibrary } = require('./scenarioLibrary');
+const { validateScenarioDefinition } = require('./scenarioSchema');
+const PhysiologyEngine = require('./physiologyEngine');
+
+const SHIPPED_CASES = path.join(__dirname, '../scenarios');
+const START = 1_700_000_000_000;
+const minutes = n => START + n * 60000;
+
+const readCase = file => JSON.parse(fs.readFileSync(path.join(SHIPPED_CASES, file), 'utf8'));
+
+describe('ScenarioLibrary', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should load every shipped case without errors', async () => {
+    const library = new ScenarioLibrary({ directory: SHIPPED_CASES });
+
+    expect(await library.load()).toBeGreaterThanOrEqual(2);
+    expect(library.loadErrors).toEqual([]);
+    expect((await library.list()).map(c => c.id)).toEqual(
+      expect.arrayContaining(['anaphylaxis-bee-sting', 'stabbing-thigh-hemorrhage'])
+    );
+  });
+
+  test('should serve the newest version unless one is pinned', async () => {
+    const original = readCase('anaphylaxis-bee-sting.json');
+    fs.writeFileSync(path.join(directory, 'v1.json'), JSON.stringify(original));
+    fs.writeFileSync(path.join(directory, 'v1-10.json'), JSON.stringify({ ...original, version: '1.10', title: 'Revised' }));
+    fs.writeFileSync(path.join(directory, 'v1-9.json'), JSON.stringify({ ...original, version: '1.9' }));
+    const library = new ScenarioLibrary({ directory });
+
+    expect((await library.get('anaphylaxis-bee-sting')).version).toBe('1.10');
+    expect((await library.get('anaphylaxis-bee-sting', '1.0')).title).toBe(original.title);
+    expect(await library.get('anaphylaxis-bee-sting', '2.0')).toBeNull();
+  });
+
+  test('should skip invalid files and report why', async () => {
+    const broken = { ...readCase('anaphylaxis-bee-sting.json'), id: 'broken', dispatch: { ...readCase('anaphylaxis-bee-sting.json').dispatch, location: 'Mercy General Hospital' } };
+    fs.writeFileSync(path.join(directory, 'broken.json'), JSON.stringify(broken));
+    fs.writeFileSync(path.join(directory, 'garbled.yaml'), 'id: [unclosed');
+    const library = new ScenarioLibrary({ directory });
+
+    expect(await library.load()).toBe(0);
+    expect(library.loadErrors.map(e => e.file).sort()).toEqual(['broken.json', 'garbled.yaml']);
+    expect(library.loadErrors.find(e => e.file === 'broken.json').errors.join(' ')).toMatch(/dispatch: Invalid location/);
+  });
+
+  test('should save new versions and refuse to clobber existing ones', async () => {
+    const original = readCase('anaphylaxis-bee-sting.json');
+    const library = new ScenarioLibrary({ directory });
+
+    expect((await library.save(original)).saved).toBe(true);
+    expect((await library.save({ ...original, title: 'Changed' })).conflict).toBe(true);
+    expect((await library.save({ ...original, title: 'Changed' }, { overwrite: true })).file).toBe('anaphylaxis-bee-sting-v1.0.json');
+    expect((await library.save({ ...original, version: 'draft' })).validation.errors).toContain('version must be a dotted number such as "1.0"');
+
+    const reopened = new ScenarioLibrary({ directory });
+    expect((await reopened.get('anaphylaxis-bee-sting')).title).toBe('Changed');
+  });
+
+  test('should map a case into scenario data that drives the physiology', async () => {
+    const library = new ScenarioLibrary({ directory: SHIPPED_CASES });
+    const scenarioData = await library.getScenarioData('anaphylaxis-bee-sting');
+
+    expect(scenarioData.dispatchInfo.location).toBe('Stanford Dish hiking trail');
+    expect(scenarioData.generatedScenario.libraryCase).toEqual({
+      id: 'anaphylaxis-bee-sting', version: '1.0', schemaVersion: 1, title: expect.any(String)
+    });
+    expect(scenarioData.generatedScenario.regionFindings.upper_extremities).toMatch(/stinger/);
+
+    const engine = new PhysiologyEngine().initialize(scenarioData, START);
+    expect(engine.getVitals(START)).toMatchObject({ heartRate: 122, systolic: 98, spO2: 90 });
+    expect(engine.getStatus(minutes(5)).phase).toBe('airway closing');
+    expect(engine.getVitals(minutes(5)).systolic).toBe(98 - 3 * 3 - 6 * 2);
+  });
+});
+
+describe('validateScenarioDefinition', () => {
+  test('should reject malformed trajectories and findings', () => {
+    const definition = readCase('anaphylaxis-bee-sting.json');
+    definition.findings = { ...definition.findings, elbow: 'Bruised' };
+    definition.vitals.trajectory.phases = [{ name: 'open-ended', rates: { pulse: 2 } }, { name: 'after', until: 5, rates: {} }];
+    definition.vitals.trajectory.controlledBy = ['prayer'];
+
+    const { isValid, errors } = validateScenarioDefinition(definition);
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/findings\.elbow is not a body region/),
+      expect.stringMatching(/phases\[0\]\.until is required/),
+      expect.stringMatching(/phases\[0\]\.rates\.pulse is not a tracked vital/),
+      expect.stringMatching(/controlledBy "prayer"/)
+    ]));
+  });
+});
@@ -0,0 +1,136 @@
+// services/scenarioReplay.js
+const gradingEngine = require('./gradingEngine');
+
+// Vitals plotted on the replay chart, in the order the chart legend lists them
+const CHART_VITALS = ['heartRate', 'systolic', 'respiratoryRate', 'spO2'];
+
+/**
+ * Builds the turn-by-turn replay of a finished (or running) scenario from the
+ * session timeline, the patient's vitals history and the grading results.
+ */
+class ScenarioReplay {
+  /**
+   * @param {Object} sources - timeline (ScenarioTimeline), vitalsHistory (PatientSimulator.vitalsHistory), gradingResults
+   * @returns {Object} - { scenario, startTime, turns, vitals, markers, grading }
+   */
+  build({ timeline, vitalsHistory = [], gradingResults = null }) {
+    const events = timeline.getEvents();
+    const startTime = timeline.startTime;
+    const generated = events.find(event => event.type === 'scenarioGenerated') || {};
+
+    return {
+      scenario: {
+        mainScenario: generated.mainScenario || null,
+        subScenario: generated.subScenario || null,
+        scenarioCode: generated.scenarioCode || null,
+        dispatch: generated.dispatch || null
+      },
+      startTime,
+      turns: this.buildTurns(events, gradingResults),
+      vitals: this.buildVitalsSeries(events, vitalsHistory, startTime),
+      markers: events
+        .filter(event => event.type === 'intervention' || event.type === 'error' || event.type === 'injected')
+        .map(event => ({
+          turn: event.turn,
+          elapsedMs: event.elapsedMs,
+          type: event.type,
+          description: event.description || event.message
+        })),
+      grading: gradingResults
+        ? {
+            totalScore: gradingResults.totalScore,
+            maxScore: (gradingResults.rubric || gradingEngine.rubric).totalPoints,
+            pass: gradingResults.overallPass,
+            criticalFailures: (gradingResults.criticalFailures || [])
+              .map(failure => ({ id: failure.id, reason: failure.reason, turn: failure.turn, elapsedMs: failure.elapsedMs })),
+            sequenceViolations: (gradingResults.sequenceViolations || [])
+              .map(violation => ({ rule: violation.rule, message: violation.message, turn: violation.turn, elapsedMs: violation.elapsedMs }))
+          }
+        : null
+    };
+  }
+
+  /**
+   * Group timeline events into turns; turn 0 is the dispatch before the student's first message
+   * @param {Array} events - Timeline events
+   * @param {Object} gradingResults - Grading results, used to mark the rubric items each turn satisfied
+   * @returns {Array} - { turn, elapsedMs, student, response, vitals, interventions, rubricItems, events }
+   */
+  buildTurns(events, gradingResults) {
+    const turns = new Map();
+    const turnFor = number => {
+      if (!turns.has(number)) {
+        turns.set(number, { turn: number, elapsedMs: null, student: null, response: null, vitals: null, interventions: [], rubricItems: [], events: [] });
+      }
+      return turns.get(number);
+    };
+
+    events.forEach(event => {
+      const turn = turnFor(event.turn);
+      if (turn.elapsedMs === null && event.elapsedMs !== null) turn.elapsedMs = event.elapsedMs;
+
+      switch (event.type) {
+        case 'studentUtterance':
+          turn.student = event.text;
+          turn.rubricItems = gradingEngine.getRubricItemsForTurn(event.turn, gradingResults);
+          break;
+        case 'assistantResponse':
+          // Keep the last answer; the ending turn also carries the feedback
+          turn.response = event.text;
+          break;
+        case 'vitals':
+          turn.vitals = event.vitals || turn.vitals;
+          turn.events.push(event);
+          break;
+        case 'intervention':
+          turn.interventions.push(event.description);
+          turn.events.push(event);
+          break;
+        default:
+          turn.events.push(event);
+      }
+    });
+
+    return [...turns.values()].sort((a, b) => a.turn - b.turn);
+  }
+
+  /**
+   * Merge the vitals history with the per-turn snapshots into one time series
+   * @param {Array} events - Timeline events
+   * @param {Array} vitalsHistory - PatientSimulator vitals history
+   * @param {number|null} startTime - Scenario start
+   * @returns {Array} - { elapsedMs, turn, heartRate, systolic, ... } sorted by time
+   */
+  buildVitalsSeries(events, vitalsHistory, startTime) {
+    if (startTime === null) return [];
+
+    const points = [
+      ...vitalsHistory.map(entry => ({ elapsedMs: entry.timestamp - startTime, turn: null, vitals: entry.vitals })),
+      ...events
+        .filter(event => event.type === 'vitals' && event.vitals && event.elapsedMs !== null)
+        .map(event => ({ elapsedMs: event.elapsedMs, turn: event.turn, vitals: event.vitals }))
+    ].sort((a, b) => a.elapsedMs - b.elapsedMs);
+
+    // History entries have no turn; give them the turn that was under way at that time
+    let currentTurn = 0;
+    // The "ready" message comes just before the clock starts, so it counts as time zero
+    const turnStarts = events
+      .filter(event => event.type === 'studentUtterance')
+      .map(event => ({ turn: event.turn, elapsedMs: event.elapsedMs ?? 0 }));
+
+    return points.map(point => {
+      while (turnStarts.length > 0 && turnStarts[0].elapsedMs <= point.elapsedMs) {
+        currentTurn = turnStarts.shift().turn;
+      }
+      const row = { elapsedMs: point.elapsedMs, turn: point.turn ?? currentTurn };
+      CHART_VITALS.forEach(key => { row[key] = point.vitals[key]; });
+      return row;
+    });
+  }
+}
+
+const scenarioReplay = new ScenarioReplay();
+scenarioReplay.ScenarioReplay = ScenarioReplay;
+scenarioReplay.CHART_VITALS = CHART_VITALS;
+
+module.exports = scenarioReplay;
@@ -0,0 +1,59 @@
+// services/scenarioReplay.test.js
+const ScenarioTimeline = require('./scenarioTimeline');
+const scenarioReplay = require('./scenarioReplay');
+const gradingEngine = require('./gradingEngine');
+
+const vitals = heartRate => ({ heartRate, systolic: 120, diastolic: 80, respiratoryRate: 18, spO2: 95 });
+
+describe('ScenarioReplay', () => {
+  let timeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    timeline = new ScenarioTimeline();
+    timeline.record('scenarioGenerated', { subScenario: 'Cardiac Scenario', scenarioCode: 'M1-A' }, 0);
+    timeline.record('assistantResponse', { text: 'Dispatch Information: ...' }, 0);
+    timeline.recordUtterance("I'm ready", 900);
+    timeline.start(1000);
+    timeline.record('assistantResponse', { text: 'You arrive at the scene.' }, 1000);
+    timeline.recordUtterance('check pulse and apply oxygen by nasal cannula', 31000);
+    timeline.record('intervention', { kind: 'treatment', description: 'oxygen by nasal cannula' }, 32000);
+    timeline.record('vitals', { source: 'snapshot', vitals: vitals(96) }, 33000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should group events into turns with rubric items the grade credited', () => {
+    const gradingResults = gradingEngine.gradeScenario([], {}, 1, null, timeline);
+    const replay = scenarioReplay.build({ timeline, vitalsHistory: [], gradingResults });
+
+    expect(replay.scenario).toMatchObject({ subScenario: 'Cardiac Scenario', scenarioCode: 'M1-A' });
+    expect(replay.turns.map(t => t.turn)).toEqual([0, 1, 2]);
+    expect(replay.turns[0].response).toBe('Dispatch Information: ...');
+    expect(replay.turns[2]).toMatchObject({
+      student: 'check pulse and apply oxygen by nasal cannula',
+      elapsedMs: 30000,
+      interventions: ['oxygen by nasal cannula'],
+      vitals: vitals(96)
+    });
+    expect(replay.turns[2].rubricItems.map(item => item.id)).toEqual(expect.arrayContaining(['oxygen', 'pulse']));
+    expect(replay.markers).toEqual([{ turn: 2, elapsedMs: 31000, type: 'intervention', description: 'oxygen by nasal cannula' }]);
+  });
+
+  test('should merge the vitals history into the chart series by turn', () => {
+    const vitalsHistory = [
+      { timestamp: 1000, vitals: vitals(110), reason: 'baseline' },
+      { timestamp: 61000, vitals: vitals(100), reason: 'time progression: 1 minutes' }
+    ];
+    const replay = scenarioReplay.build({ timeline, vitalsHistory });
+
+    expect(replay.grading).toBeNull();
+    expect(replay.vitals.map(point => [point.elapsedMs, point.turn, point.heartRate])).toEqual([
+      [0, 1, 110],
+      [32000, 2, 96],
+      [60000, 2, 100]
+    ]);
+  });
+});
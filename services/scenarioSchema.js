@@ -0,0 +1,279 @@
+// services/scenarioSchema.js
+const PhysiologyEngine = require('./physiologyEngine');
+const Pharmacology = require('./pharmacology');
+
+// Bump when a change to the case format needs existing files to be migrated
+const SCENARIO_SCHEMA_VERSION = 1;
+
+// Scenario types offered on the selection screen
+const SCENARIO_TYPES = {
+  'Medical Scenario': [
+    'Respiratory Scenario', 'Cardiac Scenario', 'Neurologic Scenario', 'Metabolic Scenario',
+    'Abdominal Scenario', 'Environmental Scenario', 'OB/GYN Scenario'
+  ],
+  'Trauma Scenario': [
+    'MVC Scenario', 'Fall Scenario', 'Assault Scenario', 'Sport Injury Scenario',
+    'Stabbing Scenario', 'GSW Scenario', 'Burn Scenario'
+  ]
+};
+
+// Same region keys the EMT names in region checks and exam assessments
+const BODY_REGIONS = ['head', 'neck', 'chest', 'abdomen', 'pelvis', 'back', 'upper_extremities', 'lower_extremities'];
+
+const DIFFICULTY_LEVELS = ['novice', 'intermediate', 'advanced'];
+
+const VITAL_KEYS = Object.keys(PhysiologyEngine.NORMAL_VITALS);
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Check that every value in a vitals map names a tracked vital and is a number
+ * @param {Object} values - e.g. { heartRate: 118, systolic: -2 }
+ * @param {string} path - Where the map sits in the case, for error messages
+ * @param {Array} errors - Collected errors
+ */
+function validateVitalMap(values, path, errors) {
+  if (!isObject(values)) {
+    errors.push(`${path} must be an object of vital sign values`);
+    return;
+  }
+  Object.entries(values).forEach(([key, value]) => {
+    if (!VITAL_KEYS.includes(key)) errors.push(`${path}.${key} is not a tracked vital (${VITAL_KEYS.join(', ')})`);
+    else if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${path}.${key} must be a number`);
+  });
+}
+
+function validateVitals(vitals, errors) {
+  if (!isObject(vitals)) {
+    errors.push('vitals is required');
+    return;
+  }
+  if (vitals.condition !== undefined && !PhysiologyEngine.CONDITIONS[vitals.condition]) {
+    errors.push(`vitals.condition "${vitals.condition}" is not a known condition (${Object.keys(PhysiologyEngine.CONDITIONS).join(', ')})`);
+  }
+  if (vitals.baseline === undefined) {
+    errors.push('vitals.baseline is required');
+  } else {
+    validateVitalMap(vitals.baseline, 'vitals.baseline', errors);
+  }
+
+  const trajectory = vitals.trajectory;
+  if (trajectory === undefined) return;
+  if (!isObject(trajectory) || !Array.isArray(trajectory.phases) || trajectory.phases.length === 0) {
+    errors.push('vitals.trajectory.phases must be a non-empty list');
+    return;
+  }
+
+  let previousUntil = 0;
+  trajectory.phases.forEach((phase, index) => {
+    const path = `vitals.trajectory.phases[${index}]`;
+    const isLast = index === trajectory.phases.length - 1;
+    if (!isNonEmptyString(phase?.name)) errors.push(`${path}.name is required`);
+    if (phase?.until === undefined || phase.until === null) {
+      if (!isLast) errors.push(`${path}.until is required on every phase but the last`);
+    } else if (typeof phase.until !== 'number' || phase.until <= previousUntil) {
+      errors.push(`${path}.until must be a number of minutes after the previous phase`);
+    } else {
+      previousUntil = phase.until;
+    }
+    validateVitalMap(phase?.rates ?? {}, `${path}.rates`, errors);
+  });
+
+  const controls = [...Object.keys(PhysiologyEngine.TREATMENTS), ...Object.keys(Pharmacology.DRUGS)];
+  if (trajectory.controlledBy !== undefined) {
+    if (!isStringArray(trajectory.controlledBy)) {
+      errors.push('vitals.trajectory.controlledBy must be a list of treatments or drugs');
+    } else {
+      trajectory.controlledBy
+        .filter(key => !controls.includes(key))
+        .forEach(key => errors.push(`vitals.trajectory.controlledBy "${key}" is not a known treatment or drug (${controls.join(', ')})`));
+    }
+  }
+  if (trajectory.recovery !== undefined) validateVitalMap(trajectory.recovery, 'vitals.trajectory.recovery', errors);
+}
+
+/**
+ * Validate a scenario library case against the schema
+ * @param {Object} definition - Parsed case file
+ * @param {Object} options - validateDispatch(dispatch, subScenario), same contract as TemplateGenerator.validateDispatchData; hasRubric(ref) to check the rubric a case names
+ * @returns {Object} - { isValid, errors, warnings }
+ */
+function validateScenarioDefinition(definition, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isObject(definition)) {
+    return { isValid: false, errors: ['Scenario must be an object'], warnings };
+  }
+
+  if (definition.schemaVersion !== SCENARIO_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SCENARIO_SCHEMA_VERSION}`);
+  }
+  if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+    errors.push('id must be lowercase letters, numbers and dashes');
+  }
+  if (typeof definition.version !== 'string' || !/^\d+(\.\d+)*$/.test(definition.version)) {
+    errors.push('version must be a dotted number such as "1.0"');
+  }
+  if (!isNonEmptyString(definition.title)) errors.push('title is required');
+
+  const subScenarios = SCENARIO_TYPES[definition.mainScenario];
+  if (!subScenarios) {
+    errors.push(`mainScenario must be one of: ${Object.keys(SCENARIO_TYPES).join(', ')}`);
+  } else if (!subScenarios.includes(definition.subScenario)) {
+    errors.push(`subScenario must be one of: ${subScenarios.join(', ')}`);
+  }
+  if (definition.difficulty !== undefined && !DIFFICULTY_LEVELS.includes(definition.difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+  if (definition.tags !== undefined && !isStringArray(definition.tags)) errors.push('tags must be a list of strings');
+  if (definition.rubric !== undefined) {
+    if (typeof definition.rubric !== 'string' || !/^[a-z0-9][a-z0-9-]*(@\d+(\.\d+)*)?$/.test(definition.rubric)) {
+      errors.push('rubric must be a rubric id, optionally pinned to a version ("nremt-trauma@1.0")');
+    } else if (options.hasRubric && !options.hasRubric(definition.rubric)) {
+      errors.push(`rubric "${definition.rubric}" is not in the rubric library`);
+    }
+  }
+
+  // Dispatch is held to the same rules as generated dispatches
+  if (!isObject(definition.dispatch)) {
+    errors.push('dispatch is required');
+  } else if (options.validateDispatch) {
+    const dispatchCheck = options.validateDispatch(definition.dispatch, definition.subScenario || '');
+    dispatchCheck.errors.forEach(error => errors.push(`dispatch: ${error}`));
+    dispatchCheck.suggestions.forEach(suggestion => warnings.push(`dispatch: ${suggestion}`));
+  }
+
+  const profile = definition.patientProfile;
+  if (!isObject(profile)) {
+    errors.push('patientProfile is required');
+  } else {
+    ['medicalHistory', 'medications', 'allergies'].forEach(key => {
+      if (profile[key] !== undefined && !isStringArray(profile[key])) errors.push(`patientProfile.${key} must be a list of strings`);
+    });
+    if (isObject(definition.dispatch)) {
+      if (profile.age !== undefined && Number(profile.age) !== Number(definition.dispatch.age)) {
+        errors.push('patientProfile.age does not match dispatch.age');
+      }
+      if (profile.gender !== undefined && String(profile.gender).toLowerCase() !== String(definition.dispatch.gender).toLowerCase()) {
+        errors.push('patientProfile.gender does not match dispatch.gender');
+      }
+    }
+  }
+
+  if (!isObject(definition.history) || !isNonEmptyString(definition.history.chiefComplaint)) {
+    errors.push('history.chiefComplaint is required');
+  }
+
+  if (!isObject(definition.findings) || Object.keys(definition.findings).length === 0) {
+    errors.push('findings must describe at least one body region');
+  } else {
+    Object.entries(definition.findings).forEach(([region, text]) => {
+      if (!BODY_REGIONS.includes(region)) errors.push(`findings.${region} is not a body region (${BODY_REGIONS.join(', ')})`);
+      else if (!isNonEmptyString(text)) errors.push(`findings.${region} must be text`);
+    });
+    const missing = BODY_REGIONS.filter(region => !definition.findings[region]);
+    if (missing.length > 0) warnings.push(`findings has no entry for ${missing.join(', ')}; generic findings will be used`);
+  }
+
+  validateVitals(definition.vitals, errors);
+
+  if (!Array.isArray(definition.criticalInterventions) || definition.criticalInterventions.length === 0) {
+    errors.push('criticalInterventions must list at least one intervention');
+  } else {
+    const ids = new Set();
+    definition.criticalInterventions.forEach((item, index) => {
+      const path = `criticalInterventions[${index}]`;
+      if (!isNonEmptyString(item?.id)) errors.push(`${path}.id is required`);
+      else if (ids.has(item.id)) errors.push(`${path}.id "${item.id}" is used twice`);
+      else ids.add(item.id);
+      if (!isNonEmptyString(item?.action)) errors.push(`${path}.action is required`);
+      if (item?.withinMinutes !== undefined && !(typeof item.withinMinutes === 'number' && item.withinMinutes > 0)) {
+        errors.push(`${path}.withinMinutes must be a positive number`);
+      }
+    });
+  }
+
+  if (!isNonEmptyString(definition.expectedFieldImpression)) errors.push('expectedFieldImpression is required');
+
+  return { isValid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Turn a validated library case into the scenarioData fields a generated
+ * scenario would have, so the rest of the simulation runs unchanged
+ * @param {Object} definition - Validated case
+ * @returns {Object} - mainScenario, subScenario, dispatchInfo and generatedScenario
+ */
+function toScenarioData(definition) {
+  const { dispatch, history, vitals } = definition;
+  const { chiefComplaint, onsetTime, severity, description, ...historyDetails } = history;
+  const baseline = vitals.baseline;
+  const level = definition.difficulty || 'intermediate';
+
+  return {
+    mainScenario: definition.mainScenario,
+    subScenario: definition.subScenario,
+    ...(definition.rubric ? { rubric: definition.rubric } : {}),
+    dispatchInfo: { ...dispatch },
+    generatedScenario: {
+      libraryCase: {
+        id: definition.id,
+        version: definition.version,
+        schemaVersion: definition.schemaVersion,
+        title: definition.title
+      },
+      dispatchInfo: { ...dispatch },
+      patientProfile: {
+        age: Number(dispatch.age),
+        gender: dispatch.gender,
+        medicalHistory: [],
+        medications: [],
+        allergies: [],
+        ...definition.patientProfile
+      },
+      presentation: {
+        chiefComplaint,
+        onsetTime: onsetTime || 'Unknown',
+        severity: severity || 'moderate',
+        location: dispatch.location,
+        description: description || chiefComplaint
+      },
+      history: historyDetails,
+      physicalFindings: definition.physicalFindings || {},
+      regionFindings: { ...definition.findings },
+      vitals: {
+        baseline: {
+          heartRate: baseline.heartRate,
+          respiratoryRate: baseline.respiratoryRate,
+          bloodPressureSystolic: baseline.systolic,
+          bloodPressureDiastolic: baseline.diastolic,
+          temperature: baseline.temperature,
+          spO2: baseline.spO2
+        }
+      },
+      physiology: {
+        condition: vitals.condition,
+        baseline: { ...baseline },
+        trajectory: vitals.trajectory
+      },
+      criticalInterventions: definition.criticalInterventions.map(item => ({ ...item })),
+      emtInterventions: {
+        immediate: definition.criticalInterventions.map(item => item.action)
+      },
+      expectedFieldImpression: definition.expectedFieldImpression,
+      difficulty: { level, name: level.charAt(0).toUpperCase() + level.slice(1) }
+    }
+  };
+}
+
+module.exports = {
+  SCENARIO_SCHEMA_VERSION,
+  SCENARIO_TYPES,
+  BODY_REGIONS,
+  DIFFICULTY_LEVELS,
+  validateScenarioDefinition,
+  toScenarioData
+};
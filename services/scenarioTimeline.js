@@ -0,0 +1,139 @@
+// services/scenarioTimeline.js
+
+// Every kind of event a scenario run records
+const EVENT_TYPES = [
+  'scenarioGenerated',   // dispatch issued: scenario type, seed, dispatch info
+  'scenarioStarted',     // student said they are ready; the clock starts
+  'teamRoster',          // team scenario members and their roles, whenever they change
+  'studentUtterance',    // anything the student typed or said (with the speaker in team scenarios)
+  'assistantResponse',   // what the simulator answered
+  'action',              // recognized action type and details
+  'vitals',              // vitals snapshot, with the vitals the student checked if any
+  'intervention',        // treatment or medication applied to the patient
+  'error',               // contraindication or medication mistake
+  'bystander',           // bystanders present, speaking or complicating the scene
+  'environment',         // weather or scene hazards present or brought up
+  'injected',            // event an instructor injected: deterioration, bystander interruption, equipment failure
+  'partner',             // order given to the simulated partner, and their report once it is done
+  'radio',               // transmission to the hospital or dispatch, the base station's reply, ALS intercept arrival
+  'handover',            // transfer of care at the hospital: arrival, each part of the report, the receiver's replies
+  'examQuestion',        // exam assessment question asked
+  'examAnswer',          // student's answer to an exam question
+  'examCompleted',       // exam assessment finished and scored
+  'scenarioEnded',       // ending trigger and time spent
+  'graded'               // final score
+];
+
+/**
+ * Canonical timestamped event log for one scenario run. Grading, feedback and
+ * replay all read from this instead of re-scanning the chat transcript, and
+ * it is persisted with the rest of the session state.
+ */
+class ScenarioTimeline {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.events = [];
+    this.startTime = null;
+    this.turn = 0;
+  }
+
+  /**
+   * Append an event
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event-specific fields
+   * @param {number} timestamp - When it happened
+   * @returns {Object} - The recorded event
+   */
+  record(type, data = {}, timestamp = Date.now()) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown timeline event type: ${type}`);
+    }
+
+    const event = {
+      ...data,
+      seq: this.events.length + 1,
+      type,
+      timestamp,
+      // Scenario clock; null for anything before the student said they were ready
+      elapsedMs: this.startTime === null ? null : timestamp - this.startTime,
+      turn: this.turn
+    };
+    this.events.push(event);
+    return event;
+  }
+
+  /**
+   * Record a student message; it opens a new turn that later events belong to
+   * @param {string} text - What the student said
+   * @param {number} timestamp - When it was said
+   * @param {Object|null} speaker - { userId, username, role } of the team member who said it
+   * @returns {Object} - The recorded event
+   */
+  recordUtterance(text, timestamp = Date.now(), speaker = null) {
+    this.turn++;
+    return this.record('studentUtterance', speaker ? { text, speaker } : { text }, timestamp);
+  }
+
+  /**
+   * Start the scenario clock
+   * @param {number} startTime - When the scenario started
+   * @returns {Object} - The scenarioStarted event
+   */
+  start(startTime = Date.now()) {
+    this.startTime = startTime;
+    return this.record('scenarioStarted', {}, startTime);
+  }
+
+  /**
+   * @param {string|string[]} types - Event types to keep; every event when omitted
+   * @returns {Array} - Matching events in order
+   */
+  getEvents(types = null) {
+    if (!types) return [...this.events];
+    const wanted = Array.isArray(types) ? types : [types];
+    return this.events.filter(event => wanted.includes(event.type));
+  }
+
+  /**
+   * Student messages as conversation turns, for graders that read text
+   * @returns {Array} - { role: 'user', content, turn, timestamp, elapsedMs }, plus speaker in team scenarios
+   */
+  getStudentTurns() {
+    return this.getEvents('studentUtterance').map(event => ({
+      role: 'user',
+      content: event.text,
+      turn: event.turn,
+      timestamp: event.timestamp,
+      elapsedMs: event.elapsedMs,
+      ...(event.speaker ? { speaker: event.speaker } : {})
+    }));
+  }
+
+  /**
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      events: this.events,
+      startTime: this.startTime,
+      turn: this.turn
+    };
+  }
+
+  /**
+   * Restore state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.events = state.events || [];
+    this.startTime = state.startTime ?? null;
+    this.turn = state.turn || 0;
+  }
+}
+
+ScenarioTimeline.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = ScenarioTimeline;
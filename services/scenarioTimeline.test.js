@@ -0,0 +1,83 @@
+// services/scenarioTimeline.test.js
+const ScenarioTimeline = require('./scenarioTimeline');
+const PerformanceEvaluator = require('./performanceEvaluator');
+const gradingEngine = require('./gradingEngine');
+
+describe('ScenarioTimeline', () => {
+  let timeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    timeline = new ScenarioTimeline();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should number events, track turns and time them from the scenario start', () => {
+    timeline.record('scenarioGenerated', { subScenario: 'Cardiac Scenario' }, 500);
+    timeline.recordUtterance('ready', 900);
+    timeline.start(1000);
+    timeline.recordUtterance('check blood pressure', 61000);
+    timeline.record('vitals', { source: 'check', checked: ['blood pressure'] }, 62000);
+
+    const events = timeline.getEvents();
+    expect(events.map(e => e.seq)).toEqual([1, 2, 3, 4, 5]);
+    expect(events.map(e => e.elapsedMs)).toEqual([null, null, 0, 60000, 61000]);
+    expect(events[4]).toMatchObject({ type: 'vitals', turn: 2, checked: ['blood pressure'] });
+    expect(timeline.getStudentTurns().map(t => t.content)).toEqual(['ready', 'check blood pressure']);
+  });
+
+  test('should reject unknown event types', () => {
+    expect(() => timeline.record('teleport')).toThrow('Unknown timeline event type');
+  });
+
+  test('should survive a JSON state round-trip', () => {
+    timeline.start(1000);
+    timeline.recordUtterance('give aspirin', 2000);
+
+    const restored = new ScenarioTimeline();
+    restored.restoreState(JSON.parse(JSON.stringify(timeline.getState())));
+    restored.record('intervention', { kind: 'medication', description: 'aspirin 324 mg PO' }, 3000);
+
+    expect(restored.getEvents()).toHaveLength(3);
+    expect(restored.getEvents('intervention')[0]).toMatchObject({ seq: 3, turn: 1, elapsedMs: 2000 });
+  });
+
+  test('should feed the performance evaluator its actions and errors', () => {
+    const evaluator = new PerformanceEvaluator(timeline);
+    evaluator.startEvaluation({ mainScenario: 'Medical Scenario' }, 1000);
+    timeline.start(1000);
+
+    evaluator.logAction('check heart rate', 2000, { actionType: 'vitalCheck', vitalType: 'heart rate' });
+    evaluator.logError('contraindication', 'Patient is allergic to aspirin', 3000);
+
+    expect(timeline.getEvents('action')[0]).toMatchObject({ actionType: 'vitalCheck', elapsedMs: 1000 });
+    expect(evaluator.getVitalsChecked()).toEqual([{ vitalType: 'heart rate', timestamp: 2000, elapsedTime: 1000 }]);
+    expect(evaluator.getErrors()).toEqual([
+      { type: 'contraindication', message: 'Patient is allergic to aspirin', timestamp: 3000, elapsedTime: 2000 }
+    ]);
+  });
+
+  test('should let grading credit recorded vitals checks and interventions', () => {
+    timeline.start(0);
+    timeline.recordUtterance('hook them up to the monitor', 30000);
+    timeline.record('vitals', { source: 'check', checked: ['heart rate', 'blood pressure', 'respiratory rate', 'oxygen saturation'] }, 31000);
+    timeline.recordUtterance('nonrebreather at 15 lpm', 60000);
+    timeline.record('intervention', { kind: 'treatment', description: 'nonrebreather at 15 lpm' }, 61000);
+    timeline.recordUtterance('get me another set', 120000);
+    timeline.record('vitals', { source: 'check', checked: ['heart rate'] }, 121000);
+
+    const results = gradingEngine.gradeScenario([], {}, 5, null, timeline);
+    const report = gradingEngine.generateFeedbackReport(results, {}, timeline);
+
+    expect(results.scoredSections.vitals.score).toBe(3);
+    expect(results.scoredSections.medicalManagement.score).toBe(1);
+    expect(report.keyEvents.map(e => `${e.elapsed} ${e.description}`)).toEqual([
+      '0:31 Checked heart rate, blood pressure, respiratory rate, oxygen saturation',
+      '1:01 nonrebreather at 15 lpm',
+      '2:01 Checked heart rate'
+    ]);
+  });
+});
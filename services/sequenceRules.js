@@ -0,0 +1,183 @@
+// services/sequenceRules.js
+const criticalCriteria = require('./criticalCriteria');
+const formatElapsed = require('./utils/formatElapsed');
+
+// Every kind of order-of-care rule a rubric can score
+const RULE_KINDS = [
+  'order',          // every one of `steps` evident before the first turn evident for `then`
+  'within',         // `action` done within withinMinutes of the scenario start, or of `when` first holding
+  'reassessAfter'   // a vitals check within withinMinutes after each intervention
+];
+
+const VITAL_LABELS = {
+  heartRate: 'HR', systolic: 'SBP', diastolic: 'DBP', respiratoryRate: 'RR', spO2: 'SpO2',
+  temperature: 'Temp', etco2: 'EtCO2', glucose: 'BGL', gcs: 'GCS'
+};
+
+/**
+ * Scores the order and timing of care from the scenario timeline. Unlike
+ * critical criteria a broken rule does not fail the attempt; it takes the
+ * rule's points off one scored section. Timing rules only count a deadline
+ * that passed while the scenario was running, and need a timeline: graded
+ * from a bare transcript they are skipped.
+ */
+class SequenceRules {
+  /**
+   * @param {Array} rules - rubric.sequenceRules
+   * @param {Object} context - turns (RubricMatcher.toStudentTurns output) and events (timeline events)
+   * @returns {Object} - Keyed by rule id: { description, kind, section, points, applied, violations: [{ message, turn, elapsedMs, quote }] }
+   */
+  evaluate(rules = [], { turns = [], events = [] } = {}) {
+    const results = {};
+    rules.forEach(rule => {
+      const violations = this.findViolations(rule, turns, events);
+      results[rule.id] = {
+        description: rule.description,
+        kind: rule.kind,
+        section: rule.section,
+        points: rule.points ?? 1,
+        applied: violations !== null,
+        violations: violations || []
+      };
+    });
+    return results;
+  }
+
+  /**
+   * @param {Object} rule - One sequence rule
+   * @param {Array} turns - Student turns
+   * @param {Array} events - Timeline events
+   * @returns {Array|null} - Violations, or null when the rule cannot be applied to this run
+   */
+  findViolations(rule, turns, events) {
+    switch (rule.kind) {
+      case 'order': return this.checkOrder(rule, turns);
+      case 'within': return this.checkWithin(rule, turns, events);
+      case 'reassessAfter': return this.checkReassessAfter(rule, events);
+      default: return null;
+    }
+  }
+
+  checkOrder(rule, turns) {
+    const started = criticalCriteria.findEvidentTurns(turns, rule.then)[0];
+    if (!started) return [];
+
+    // The same turn counts as in order ("open the airway, then any allergies?")
+    const missing = rule.steps
+      .filter(step => !criticalCriteria.findEvidentTurns(turns, step).some(entry => entry.turn <= started.turn))
+      .map(step => step.label);
+    if (missing.length === 0) return [];
+
+    return [{
+      message: `${rule.then.label} started before ${missing.join(', ')}`,
+      turn: started.turn,
+      elapsedMs: started.elapsedMs,
+      quote: started.text
+    }];
+  }
+
+  checkWithin(rule, turns, events) {
+    const endMs = this.getEndMs(events);
+    if (endMs === null) return null;
+
+    let fromMs = 0;
+    let fromLabel = 'the start of the scenario';
+    if (rule.when) {
+      const triggered = this.findConditionStart(rule.when, events);
+      if (!triggered) return null;
+      fromMs = triggered.elapsedMs;
+      fromLabel = `${VITAL_LABELS[rule.when.vital] || rule.when.vital} ${rule.when.below !== undefined ? `below ${rule.when.below}` : `above ${rule.when.above}`} (${formatElapsed(fromMs)})`;
+    }
+
+    const deadlineMs = fromMs + rule.withinMinutes * 60000;
+    if (endMs < deadlineMs) return [];
+
+    // Started before the condition arose counts too (oxygen already running when SpO2 dips)
+    const done = this.findActionTimes(rule.action, turns, events)[0];
+    if (done && done.elapsedMs <= deadlineMs) return [];
+
+    return [{
+      message: done
+        ? `${rule.action.label} at ${formatElapsed(done.elapsedMs)}, more than ${rule.withinMinutes} minutes after ${fromLabel}`
+        : `No ${rule.action.label.toLowerCase()} within ${rule.withinMinutes} minutes of ${fromLabel}`,
+      turn: done ? done.turn : null,
+      elapsedMs: done ? done.elapsedMs : deadlineMs,
+      quote: done ? done.quote : null
+    }];
+  }
+
+  checkReassessAfter(rule, events) {
+    const endMs = this.getEndMs(events);
+    if (endMs === null) return null;
+
+    const windowMs = rule.withinMinutes * 60000;
+    const checks = events.filter(event => event.type === 'vitals' && event.source === 'check' && event.elapsedMs !== null);
+
+    return events
+      .filter(event => event.type === 'intervention' && event.elapsedMs !== null)
+      .filter(event => event.elapsedMs + windowMs <= endMs)
+      .filter(event => !checks.some(check => check.elapsedMs > event.elapsedMs && check.elapsedMs <= event.elapsedMs + windowMs))
+      .map(event => ({
+        message: `No vitals recheck within ${rule.withinMinutes} minutes after ${event.description}`,
+        turn: event.turn,
+        elapsedMs: event.elapsedMs,
+        quote: null
+      }));
+  }
+
+  /**
+   * When the scenario clock stopped, or the last timed event of a run still under way
+   * @param {Array} events - Timeline events
+   * @returns {number|null} - Elapsed ms, or null without a started timeline
+   */
+  getEndMs(events) {
+    const timed = events.filter(event => event.elapsedMs !== null && event.elapsedMs !== undefined);
+    if (timed.length === 0) return null;
+    const ended = timed.find(event => event.type === 'scenarioEnded');
+    return ended ? ended.elapsedMs : Math.max(...timed.map(event => event.elapsedMs));
+  }
+
+  /**
+   * First vitals reading (check or per-turn snapshot) that meets a condition
+   * @param {Object} when - { vital, below } or { vital, above }
+   * @param {Array} events - Timeline events
+   * @returns {Object|null} - The vitals event
+   */
+  findConditionStart(when, events) {
+    return events.find(event => {
+      if (event.type !== 'vitals' || event.elapsedMs === null || !event.vitals) return false;
+      const value = event.vitals[when.vital];
+      if (typeof value !== 'number') return false;
+      return when.below !== undefined ? value < when.below : value > when.above;
+    }) || null;
+  }
+
+  /**
+   * Times an action was done: recorded treatments or medications, and turns that clearly state it
+   * @param {Object} action - label plus treatments, medications, keywords and/or patterns
+   * @param {Array} turns - Student turns
+   * @param {Array} events - Timeline events
+   * @returns {Array} - { turn, elapsedMs, quote } in time order
+   */
+  findActionTimes(action, turns, events) {
+    const recorded = events
+      .filter(event => event.type === 'intervention' && event.elapsedMs !== null)
+      .filter(event => (event.treatments || []).some(key => (action.treatments || []).includes(key)) ||
+        (action.medications || []).includes(event.dose?.medication))
+      .map(event => ({ turn: event.turn, elapsedMs: event.elapsedMs, quote: event.description }));
+
+    const stated = action.keywords || action.patterns
+      ? criticalCriteria.findEvidentTurns(turns, action)
+          .filter(entry => entry.elapsedMs !== null)
+          .map(entry => ({ turn: entry.turn, elapsedMs: entry.elapsedMs, quote: entry.text }))
+      : [];
+
+    return [...recorded, ...stated].sort((a, b) => a.elapsedMs - b.elapsedMs);
+  }
+}
+
+const sequenceRules = new SequenceRules();
+sequenceRules.SequenceRules = SequenceRules;
+sequenceRules.RULE_KINDS = RULE_KINDS;
+
+module.exports = sequenceRules;
@@ -0,0 +1,113 @@
+// services/sequenceRules.test.js
+const ScenarioTimeline = require('./scenarioTimeline');
+const sequenceRules = require('./sequenceRules');
+const rubricMatcher = require('./rubricMatcher');
+const gradingEngine = require('./gradingEngine');
+
+const MINUTE = 60000;
+
+describe('SequenceRules', () => {
+  let timeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    timeline = new ScenarioTimeline();
+    timeline.recordUtterance("I'm ready", 0);
+    timeline.start(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const evaluate = rules => sequenceRules.evaluate(rules, {
+    turns: rubricMatcher.toStudentTurns(timeline.getStudentTurns()),
+    events: timeline.getEvents()
+  });
+
+  test('should name the primary survey steps still missing when the secondary starts', () => {
+    timeline.recordUtterance('open the airway', 20000);
+    timeline.recordUtterance('any allergies?', 45000);
+    timeline.recordUtterance('check his pulse', 70000);
+
+    const { order } = evaluate([{
+      id: 'order',
+      kind: 'order',
+      description: 'Primary survey first',
+      section: 'physicalExam',
+      steps: [
+        { label: 'airway', keywords: ['airway'] },
+        { label: 'breathing', keywords: ['breathing'] },
+        { label: 'circulation', keywords: ['pulse'] }
+      ],
+      then: { label: 'History', keywords: ['allergies'] }
+    }]);
+
+    expect(order.violations).toEqual([
+      { message: 'History started before breathing, circulation', turn: 3, elapsedMs: 45000, quote: 'any allergies?' }
+    ]);
+  });
+
+  test('should time oxygen from when the patient became hypoxic', () => {
+    timeline.recordUtterance('check the airway', 10000);
+    timeline.record('vitals', { source: 'snapshot', vitals: { spO2: 96 } }, 10000);
+    timeline.recordUtterance('check breathing', 30000);
+    timeline.record('vitals', { source: 'snapshot', vitals: { spO2: 91 } }, 30000);
+    timeline.recordUtterance('put him on a nonrebreather', 4 * MINUTE);
+    timeline.record('intervention', { kind: 'treatment', description: 'put him on a nonrebreather', treatments: ['oxygen'] }, 4 * MINUTE);
+
+    const rule = {
+      id: 'oxygen', kind: 'within', description: 'Oxygen for hypoxia', section: 'medicalManagement',
+      withinMinutes: 3, when: { vital: 'spO2', below: 94 }, action: { label: 'Oxygen', treatments: ['oxygen'] }
+    };
+
+    expect(evaluate([rule]).oxygen.violations).toEqual([{
+      message: 'Oxygen at 4:00, more than 3 minutes after SpO2 below 94 (0:30)',
+      turn: 4,
+      elapsedMs: 4 * MINUTE,
+      quote: 'put him on a nonrebreather'
+    }]);
+    expect(evaluate([{ ...rule, withinMinutes: 5 }]).oxygen.violations).toEqual([]);
+    expect(evaluate([{ ...rule, when: { vital: 'spO2', below: 85 } }]).oxygen.applied).toBe(false);
+  });
+
+  test('should expect a vitals recheck after each intervention once its window has passed', () => {
+    timeline.record('intervention', { kind: 'treatment', description: 'direct pressure', treatments: ['hemorrhageControl'] }, 1 * MINUTE);
+    timeline.record('vitals', { source: 'check', checked: ['blood pressure'], vitals: {} }, 3 * MINUTE);
+    timeline.record('intervention', { kind: 'treatment', description: 'oxygen by NRB', treatments: ['oxygen'] }, 4 * MINUTE);
+    timeline.record('intervention', { kind: 'medication', description: 'aspirin 324 mg PO' }, 8 * MINUTE);
+    timeline.record('scenarioEnded', { reason: 'handover' }, 10 * MINUTE);
+
+    const { recheck } = evaluate([{ id: 'recheck', kind: 'reassessAfter', description: 'Recheck vitals', section: 'vitals', withinMinutes: 5 }]);
+
+    expect(recheck.violations).toEqual([
+      { message: 'No vitals recheck within 5 minutes after oxygen by NRB', turn: 1, elapsedMs: 4 * MINUTE, quote: null }
+    ]);
+  });
+
+  test('should take a broken rule\'s points off its section once and list each violation', () => {
+    timeline.recordUtterance('gloves on, open the airway', 10000);
+    timeline.recordUtterance('any allergies or medications?', 30000);
+    timeline.recordUtterance('palpate the abdomen and auscultate the lungs', 50000);
+    timeline.recordUtterance('inspect and palpate the chest, check pupils', 70000);
+
+    const results = gradingEngine.gradeScenario([], { course: 'EMED111' }, 5, null, timeline);
+    const unordered = gradingEngine.gradeScenario([], {}, 5, null, timeline, { ...gradingEngine.rubric, sequenceRules: [] });
+    const physicalExam = results.scoredSections.physicalExam;
+
+    expect(physicalExam.deductions).toEqual([
+      { rule: 'primaryBeforeSecondary', description: 'Completes the primary survey before the history and secondary exam', points: 1 }
+    ]);
+    expect(unordered.scoredSections.physicalExam.score).toBe(3);
+    expect(physicalExam.score).toBe(2);
+    expect(results.sequenceViolations).toEqual([
+      expect.objectContaining({
+        rule: 'primaryBeforeSecondary',
+        sectionName: 'Physical Exam',
+        message: 'History/secondary exam started before breathing, circulation',
+        turn: 3,
+        elapsed: '0:30'
+      })
+    ]);
+  });
+});
@@ -0,0 +1,343 @@
+// services/sessionManager.js
+const crypto = require('crypto');
+const { createSessionStore } = require('./storage/sessionStore');
+const { createRecordStore } = require('./storage/recordStore');
+const TeamSession = require('./teamSession');
+
+/**
+ * Keeps one ChatService per scenario session so that each student's patient,
+ * bystanders, environment and evaluator state are isolated from everyone else
+ * hitting the server. Session state is written through to a pluggable store
+ * and rehydrated on demand, so a restart does not lose an in-progress scenario.
+ */
+class SessionManager {
+  constructor(options = {}) {
+    this.sessions = new Map();
+    this.SESSION_TTL_MINUTES = options.ttlMinutes || 120;
+    this.store = options.store || createSessionStore();
+    // Join code -> session ID of each team session, so a join reads one record
+    this.teamStore = options.teamStore || createRecordStore('team');
+    this.serviceFactory = options.serviceFactory || (() => {
+      // Required lazily so the manager can be constructed without an API client
+      const ChatService = require('./chatService');
+      return new ChatService();
+    });
+  }
+
+  /**
+   * Create a new scenario session with its own simulation state
+   * @param {Object} metadata - Optional info about who/what the session is for
+   * @param {Object} options - team: TeamSession when several students share the scenario
+   * @returns {Promise<Object>} - The created session record
+   */
+  async createSession(metadata = {}, { team = null } = {}) {
+    await this.pruneExpiredSessions();
+
+    const id = `session_${crypto.randomUUID()}`;
+    const now = Date.now();
+    const session = this.buildSession(id, metadata, now, now, team);
+
+    this.sessions.set(id, session);
+    await this.saveSession(session);
+    console.log(`🆕 Session created: ${id} (${this.sessions.size} active)`);
+    return session;
+  }
+
+  buildSession(id, metadata, createdAt, lastActivity, team = null) {
+    const service = this.serviceFactory();
+    service.sessionId = id;
+    if (team && service.setTeamRoster) service.setTeamRoster(team.getRoster());
+    return { id, service, metadata, createdAt, lastActivity, team, pending: null };
+  }
+
+  /**
+   * Create a team scenario session led by the given student, with a join code
+   * no other stored team uses
+   * @param {Object} lead - User creating the team
+   * @param {Object} metadata - Optional info about who/what the session is for
+   * @returns {Promise<Object>} - The created session record
+   */
+  async createTeamSession(lead, metadata = {}) {
+    let joinCode;
+    do {
+      joinCode = TeamSession.generateJoinCode();
+    } while (await this.teamStore.get(joinCode));
+    const session = await this.createSession(metadata, { team: TeamSession.create(lead, joinCode) });
+    await this.teamStore.set(joinCode, { joinCode, sessionId: session.id });
+    return session;
+  }
+
+  /**
+   * Team session with a join code, rehydrating it from the store if this
+   * process has not seen it yet (e.g. after a restart)
+   * @param {string} joinCode - Code from TeamSession
+   * @returns {Promise<Object|null>} - The session record, or null if unknown/expired
+   */
+  async findSessionByJoinCode(joinCode) {
+    const code = String(joinCode || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]+$/.test(code)) return null;
+
+    let entry;
+    try {
+      entry = await this.teamStore.get(code);
+    } catch (error) {
+      console.error(`❌ Failed to look up join code ${code}:`, error.message);
+      return null;
+    }
+    if (!entry) return null;
+
+    const session = await this.getSession(entry.sessionId);
+    if (session?.team?.joinCode === code) return session;
+    // The session is gone; drop the code so it can be handed out again
+    await this.dropJoinCode(code);
+    return null;
+  }
+
+  async dropJoinCode(joinCode) {
+    try {
+      await this.teamStore.delete(joinCode);
+    } catch (error) {
+      console.error(`❌ Failed to drop join code ${joinCode}:`, error.message);
+    }
+  }
+
+  /**
+   * Add a student to a team session in a role, in turn with the team's messages
+   * @param {Object} session - Team session record
+   * @param {Object} user - User joining
+   * @param {string} role - partner or driver (see TeamSession)
+   * @returns {Promise<Object>} - Result of TeamSession.addMember()
+   */
+  joinTeam(session, user, role) {
+    return this.runExclusive(session, async () => {
+      const result = session.team.addMember(user, role);
+      if (result.member) {
+        session.service.setTeamRoster(session.team.getRoster());
+        await this.saveSession(session);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Run one task at a time per session, so teammates' messages are answered in turn
+   * @param {Object} session - Session record
+   * @param {Function} task - Async work on the session
+   * @returns {Promise<*>} - What the task returns
+   */
+  runExclusive(session, task) {
+    const run = (session.pending || Promise.resolve()).then(task, task);
+    session.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Look up a session, rehydrating it from the store if this process has not
+   * seen it yet (e.g. after a restart), and mark it as active
+   * @param {string} sessionId - Session identifier issued by createSession
+   * @param {Object} options - touch: false to look without keeping the session alive (proctoring)
+   * @returns {Promise<Object|null>} - The session record, or null if unknown/expired
+   */
+  async getSession(sessionId, { touch = true } = {}) {
+    if (!sessionId) return null;
+
+    let session = this.sessions.get(sessionId);
+    if (!session) {
+      session = await this.loadSession(sessionId);
+      if (!session) return null;
+    }
+
+    if (this.isExpired(session)) {
+      await this.deleteSession(sessionId);
+      return null;
+    }
+
+    if (touch) session.lastActivity = Date.now();
+    return session;
+  }
+
+  /**
+   * Sessions held in this process that have not expired, most recently active first
+   * @returns {Array} - Session records
+   */
+  listSessions() {
+    const now = Date.now();
+    return [...this.sessions.values()]
+      .filter(session => !this.isExpired(session, now))
+      .sort((a, b) => b.lastActivity - a.lastActivity);
+  }
+
+  async loadSession(sessionId) {
+    let record;
+    try {
+      record = await this.store.get(sessionId);
+    } catch (error) {
+      console.error(`❌ Failed to load session ${sessionId}:`, error.message);
+      return null;
+    }
+    if (!record) return null;
+
+    const team = record.team ? new TeamSession(record.team) : null;
+    const session = this.buildSession(record.id, record.metadata || {}, record.createdAt, record.lastActivity, team);
+    session.service.restoreState(record.state);
+    this.sessions.set(session.id, session);
+    console.log(`♻️ Session restored from store: ${session.id}`);
+    return session;
+  }
+
+  /**
+   * Persist a session's current simulation state
+   * @param {Object} session - Session record
+   */
+  async saveSession(session) {
+    const record = {
+      id: session.id,
+      metadata: session.metadata,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      team: session.team ? session.team.getState() : null,
+      state: session.service.getState()
+    };
+
+    try {
+      await this.store.set(session.id, record);
+    } catch (error) {
+      // Keep serving from memory; the next save will retry
+      console.error(`❌ Failed to save session ${session.id}:`, error.message);
+    }
+  }
+
+  async hasSession(sessionId) {
+    return (await this.getSession(sessionId)) !== null;
+  }
+
+  async deleteSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.service && session.service.examAssessmentManager) {
+      session.service.examAssessmentManager.clearSessionData(sessionId);
+    }
+    this.sessions.delete(sessionId);
+
+    let removed = !!session;
+    let joinCode = session?.team?.joinCode || null;
+    try {
+      if (!session) joinCode = (await this.store.get(sessionId))?.team?.joinCode || null;
+      removed = (await this.store.delete(sessionId)) || removed;
+    } catch (error) {
+      console.error(`❌ Failed to delete session ${sessionId}:`, error.message);
+    }
+    if (joinCode) await this.dropJoinCode(joinCode);
+
+    if (removed) console.log(`🗑️ Session removed: ${sessionId}`);
+    return removed;
+  }
+
+  isExpired(session, now = Date.now()) {
+    return now - session.lastActivity > this.SESSION_TTL_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Drop in-memory sessions that have been idle for longer than the TTL
+   * @returns {Promise<number>} - Number of sessions removed
+   */
+  async pruneExpiredSessions() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        await this.deleteSession(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Summarize a session without exposing the service internals
+   * @param {Object} session - Session record
+   * @returns {Object} - Public session status
+   */
+  getSessionSummary(session) {
+    const service = session.service;
+    return {
+      sessionId: session.id,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      scenarioActive: !!service.currentScenarioActive,
+      scenarioStartTime: service.scenarioStartTime,
+      scenarioEndReason: service.scenarioEndReason,
+      metadata: session.metadata,
+      team: session.team ? session.team.getSummary() : null
+    };
+  }
+
+  /**
+   * Event timeline of the session's current scenario
+   * @param {Object} session - Session record
+   * @param {Object} options - types: event types to keep (all when omitted)
+   * @returns {Object} - Public timeline with its events in order
+   */
+  getSessionTimeline(session, { types = null } = {}) {
+    const timeline = session.service.timeline;
+    return {
+      sessionId: session.id,
+      startTime: timeline?.startTime ?? null,
+      events: timeline ? timeline.getEvents(types) : []
+    };
+  }
+
+  /**
+   * Turn-by-turn replay of the session's current scenario
+   * @param {Object} session - Session record
+   * @returns {Object} - Replay with the session id
+   */
+  getSessionReplay(session) {
+    return {
+      sessionId: session.id,
+      ...session.service.getReplay()
+    };
+  }
+
+  /**
+   * What an instructor proctoring the session sees right now
+   * @param {Object} session - Session record
+   * @returns {Object} - Live status with the session id and owner
+   */
+  getSessionLive(session) {
+    return {
+      sessionId: session.id,
+      metadata: session.metadata,
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      ...session.service.getLiveStatus()
+    };
+  }
+
+  /**
+   * A team scenario as its members see it: roster, shared conversation and scenario data
+   * @param {Object} session - Team session record
+   * @param {Object} user - Member asking
+   * @returns {Object} - Team summary with the member's role, conversation, scenarioData, ended and their attemptId
+   */
+  getTeamView(session, user) {
+    const { team, service } = session;
+    return {
+      sessionId: session.id,
+      ...team.getSummary(),
+      role: team.getMember(user.id)?.role || null,
+      conversation: team.conversation,
+      scenarioData: team.scenarioData,
+      scenarioActive: !!service.currentScenarioActive,
+      scenarioEnded: !!service.scenarioEndReason,
+      attemptId: team.attempts[user.id] || null
+    };
+  }
+
+  getActiveSessionCount() {
+    return this.sessions.size;
+  }
+}
+
+const sessionManager = new SessionManager();
+sessionManager.SessionManager = SessionManager;
+
+module.exports = sessionManager;
@@ -0,0 +1,185 @@
+// services/sessionManager.test.js
+const { SessionManager } = require('./sessionManager');
+const MemorySessionStore = require('./storage/memorySessionStore');
+const ScenarioTimeline = require('./scenarioTimeline');
+
+const createFakeService = () => ({
+  sessionId: null,
+  currentScenarioActive: false,
+  scenarioStartTime: null,
+  scenarioEndReason: null,
+  examAssessmentManager: { clearSessionData: jest.fn() },
+  setTeamRoster: jest.fn(),
+  getState() {
+    return {
+      currentScenarioActive: this.currentScenarioActive,
+      scenarioStartTime: this.scenarioStartTime
+    };
+  },
+  restoreState(state = {}) {
+    this.currentScenarioActive = !!state.currentScenarioActive;
+    this.scenarioStartTime = state.scenarioStartTime || null;
+  }
+});
+
+describe('SessionManager', () => {
+  let store;
+  let teamStore;
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = new MemorySessionStore();
+    teamStore = new MemorySessionStore();
+    manager = new SessionManager({ store, teamStore, serviceFactory: createFakeService });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should give each session its own service instance', async () => {
+    const a = await manager.createSession();
+    const b = await manager.createSession();
+
+    expect(a.id).not.toBe(b.id);
+    expect(a.service).not.toBe(b.service);
+    expect(a.service.sessionId).toBe(a.id);
+    expect(b.service.sessionId).toBe(b.id);
+  });
+
+  test('should keep scenario state isolated between sessions', async () => {
+    const a = await manager.createSession();
+    const b = await manager.createSession();
+
+    (await manager.getSession(a.id)).service.currentScenarioActive = true;
+
+    expect((await manager.getSession(a.id)).service.currentScenarioActive).toBe(true);
+    expect((await manager.getSession(b.id)).service.currentScenarioActive).toBe(false);
+  });
+
+  test('should return null for unknown sessions', async () => {
+    expect(await manager.getSession('session_missing')).toBeNull();
+    expect(await manager.getSession(null)).toBeNull();
+  });
+
+  test('should expire idle sessions', async () => {
+    const session = await manager.createSession();
+    session.lastActivity = Date.now() - (manager.SESSION_TTL_MINUTES + 1) * 60 * 1000;
+
+    expect(await manager.getSession(session.id)).toBeNull();
+    expect(manager.getActiveSessionCount()).toBe(0);
+    expect(await store.get(session.id)).toBeNull();
+    expect(session.service.examAssessmentManager.clearSessionData).toHaveBeenCalledWith(session.id);
+  });
+
+  test('should list live sessions for proctoring without keeping them alive', async () => {
+    const older = await manager.createSession({ sunetId: 'student1' });
+    const newer = await manager.createSession({ sunetId: 'student2' });
+    const expired = await manager.createSession({ sunetId: 'student3' });
+    older.lastActivity = Date.now() - 60 * 1000;
+    expired.lastActivity = Date.now() - (manager.SESSION_TTL_MINUTES + 1) * 60 * 1000;
+
+    expect(manager.listSessions().map(session => session.id)).toEqual([newer.id, older.id]);
+
+    const lastActivity = older.lastActivity;
+    expect(await manager.getSession(older.id, { touch: false })).toBe(older);
+    expect(older.lastActivity).toBe(lastActivity);
+    await manager.getSession(older.id);
+    expect(older.lastActivity).toBeGreaterThan(lastActivity);
+  });
+
+  test('should restore saved sessions in a fresh manager', async () => {
+    const session = await manager.createSession({ sunetId: 'student1' });
+    session.service.currentScenarioActive = true;
+    session.service.scenarioStartTime = 12345;
+    await manager.saveSession(session);
+
+    // Simulate a restart: same store, empty in-memory map
+    const restarted = new SessionManager({ store, serviceFactory: createFakeService });
+    const restored = await restarted.getSession(session.id);
+
+    expect(restored).not.toBeNull();
+    expect(restored.service).not.toBe(session.service);
+    expect(restored.service.sessionId).toBe(session.id);
+    expect(restored.service.currentScenarioActive).toBe(true);
+    expect(restored.service.scenarioStartTime).toBe(12345);
+    expect(restored.metadata.sunetId).toBe('student1');
+  });
+
+  test('should find a team session by its join code after a restart', async () => {
+    const lead = { id: 'user_1', username: 'jdoe', displayName: 'Jane Doe' };
+    const session = await manager.createTeamSession(lead);
+    const code = session.team.joinCode;
+
+    expect(await manager.findSessionByJoinCode(code.toLowerCase())).toBe(session);
+
+    const restarted = new SessionManager({ store, teamStore, serviceFactory: createFakeService });
+    jest.spyOn(store, 'list');
+    const restored = await restarted.findSessionByJoinCode(code);
+
+    expect(restored.id).toBe(session.id);
+    expect(restored.team.hasMember(lead.id)).toBe(true);
+    expect(await restarted.getSession(session.id)).toBe(restored);
+    expect(await restarted.findSessionByJoinCode('ZZZZZZ')).toBeNull();
+    expect(await restarted.findSessionByJoinCode('')).toBeNull();
+    expect(store.list).not.toHaveBeenCalled();
+  });
+
+  test('should drop a join code with its session and join in turn with the team', async () => {
+    const lead = { id: 'user_1', username: 'jdoe', displayName: 'Jane Doe' };
+    const partner = { id: 'user_2', username: 'asmith', displayName: 'Alex Smith' };
+    const session = await manager.createTeamSession(lead);
+    const code = session.team.joinCode;
+
+    const order = [];
+    let finishTurn;
+    const turn = manager.runExclusive(session, () => new Promise(resolve => {
+      finishTurn = () => {
+        order.push('turn');
+        resolve();
+      };
+    }));
+    const join = manager.joinTeam(session, partner, 'partner').then(result => {
+      order.push('join');
+      return result;
+    });
+    await Promise.resolve();
+    expect(session.team.hasMember(partner.id)).toBe(false);
+
+    finishTurn();
+    await turn;
+    expect((await join).member).toBeDefined();
+    expect(order).toEqual(['turn', 'join']);
+
+    await manager.deleteSession(session.id);
+    expect(await teamStore.get(code)).toBeNull();
+    expect(await manager.findSessionByJoinCode(code)).toBeNull();
+  });
+
+  test('should return the session timeline filtered by event type', async () => {
+    const session = await manager.createSession({ sunetId: 'student1' });
+    session.service.timeline = new ScenarioTimeline();
+    session.service.timeline.start(1000);
+    session.service.timeline.recordUtterance('check blood pressure', 4000);
+    session.service.timeline.record('vitals', { source: 'check', checked: ['blood pressure'] }, 5000);
+
+    const timeline = manager.getSessionTimeline(session, { types: ['vitals'] });
+
+    expect(timeline.sessionId).toBe(session.id);
+    expect(timeline.startTime).toBe(1000);
+    expect(timeline.events).toEqual([
+      expect.objectContaining({ type: 'vitals', checked: ['blood pressure'], elapsedMs: 4000, turn: 1 })
+    ]);
+    expect(manager.getSessionTimeline(session).events).toHaveLength(3);
+  });
+
+  test('should summarize session state', async () => {
+    const session = await manager.createSession({ sunetId: 'student1' });
+    const summary = manager.getSessionSummary(session);
+
+    expect(summary.sessionId).toBe(session.id);
+    expect(summary.scenarioActive).toBe(false);
+    expect(summary.metadata.sunetId).toBe('student1');
+  });
+});
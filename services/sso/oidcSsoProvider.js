@@ -0,0 +1,100 @@
+// services/sso/oidcSsoProvider.js
+const { SsoProvider } = require('./ssoProvider');
+
+/**
+ * OpenID Connect authorization-code sign-in. The profile is read from the
+ * userinfo endpoint over the back channel with the access token, so the ID
+ * token's signature never has to be checked locally.
+ */
+class OidcSsoProvider extends SsoProvider {
+  constructor({ issuer, clientId, clientSecret, scopes, usernameClaim, roleClaim, label } = {}) {
+    super('oidc', label || 'Single sign-on');
+    if (!issuer || !clientId || !clientSecret) {
+      throw new Error('AUTH_OIDC_ISSUER, AUTH_OIDC_CLIENT_ID and AUTH_OIDC_CLIENT_SECRET are required for OIDC sign-in');
+    }
+    this.issuer = issuer.replace(/\/+$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes || 'openid profile email';
+    this.usernameClaim = usernameClaim || 'preferred_username';
+    this.roleClaim = roleClaim || null;
+    this.discovery = null;
+  }
+
+  async getDiscovery() {
+    if (!this.discovery) {
+      const response = await fetch(`${this.issuer}/.well-known/openid-configuration`);
+      if (!response.ok) {
+        throw new Error(`OIDC discovery failed (${response.status})`);
+      }
+      this.discovery = await response.json();
+    }
+    return this.discovery;
+  }
+
+  async getAuthorizationUrl({ state, redirectUri, loginHint }) {
+    const { authorization_endpoint: endpoint } = await this.getDiscovery();
+    const url = new URL(endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', this.scopes);
+    url.searchParams.set('state', state);
+    if (loginHint) url.searchParams.set('login_hint', loginHint);
+    return url.toString();
+  }
+
+  async handleCallback({ params, redirectUri }) {
+    if (params.error) {
+      throw new Error(`Identity provider refused sign-in: ${params.error_description || params.error}`);
+    }
+    if (!params.code) {
+      throw new Error('Identity provider callback has no authorization code');
+    }
+
+    const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await this.getDiscovery();
+    const tokenResponse = await fetch(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: params.code,
+        redirect_uri: redirectUri,
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      })
+    });
+    if (!tokenResponse.ok) {
+      throw new Error(`OIDC token exchange failed (${tokenResponse.status})`);
+    }
+    const { access_token: accessToken } = await tokenResponse.json();
+
+    const userinfoResponse = await fetch(userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    if (!userinfoResponse.ok) {
+      throw new Error(`OIDC userinfo request failed (${userinfoResponse.status})`);
+    }
+    const claims = await userinfoResponse.json();
+
+    return {
+      subject: claims.sub,
+      username: claims[this.usernameClaim] || claims.email || claims.sub,
+      displayName: claims.name || null,
+      email: claims.email || null,
+      role: this.roleClaim ? this.readRole(claims[this.roleClaim]) : null
+    };
+  }
+
+  /**
+   * Role from a claim that may be a single value or a list of groups
+   * @param {string|Array} value - Claim value
+   * @returns {string|null} - Highest recognized role
+   */
+  readRole(value) {
+    const values = (Array.isArray(value) ? value : [value]).map(entry => String(entry).toLowerCase());
+    return ['admin', 'instructor', 'student'].find(role => values.includes(role)) || null;
+  }
+}
+
+module.exports = OidcSsoProvider;
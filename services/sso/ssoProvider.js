@@ -0,0 +1,80 @@
+// services/sso/ssoProvider.js
+const path = require('path');
+
+/**
+ * Interface every single sign-on adapter implements. The auth routes drive
+ * the browser redirect flow and turn the returned profile into a local
+ * account, so an adapter only speaks to its identity provider.
+ */
+class SsoProvider {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label || name;
+  }
+
+  /**
+   * URL to send the browser to for sign-in
+   * @param {Object} request - state (opaque, must come back to the callback), redirectUri, loginHint
+   * @returns {Promise<string>} - Identity provider URL
+   */
+  async getAuthorizationUrl() {
+    throw new Error(`${this.constructor.name}.getAuthorizationUrl() not implemented`);
+  }
+
+  /**
+   * Complete sign-in from the identity provider's callback
+   * @param {Object} callback - params (query or form fields of the callback) and redirectUri
+   * @returns {Promise<Object>} - Profile: { subject, username, displayName, email, role }; role is optional
+   */
+  async handleCallback() {
+    throw new Error(`${this.constructor.name}.handleCallback() not implemented`);
+  }
+}
+
+/**
+ * Build the SSO adapter selected by environment configuration
+ * AUTH_SSO=none|stub|oidc|module (default none); module loads AUTH_SSO_MODULE,
+ * e.g. a SAML adapter wrapping the campus identity provider
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {SsoProvider|null} - Configured adapter, or null when SSO is off
+ */
+function createSsoProvider(env = process.env) {
+  const type = (env.AUTH_SSO || 'none').toLowerCase();
+
+  switch (type) {
+    case 'none':
+      return null;
+    case 'stub': {
+      // The stub signs anyone in as anyone; never let it reach a deployment
+      if (env.NODE_ENV === 'production') {
+        console.warn('⚠️ AUTH_SSO=stub is ignored in production');
+        return null;
+      }
+      const StubSsoProvider = require('./stubSsoProvider');
+      return new StubSsoProvider();
+    }
+    case 'oidc': {
+      const OidcSsoProvider = require('./oidcSsoProvider');
+      return new OidcSsoProvider({
+        issuer: env.AUTH_OIDC_ISSUER,
+        clientId: env.AUTH_OIDC_CLIENT_ID,
+        clientSecret: env.AUTH_OIDC_CLIENT_SECRET,
+        scopes: env.AUTH_OIDC_SCOPES,
+        usernameClaim: env.AUTH_OIDC_USERNAME_CLAIM,
+        roleClaim: env.AUTH_OIDC_ROLE_CLAIM,
+        label: env.AUTH_SSO_LABEL
+      });
+    }
+    case 'module': {
+      if (!env.AUTH_SSO_MODULE) {
+        throw new Error('AUTH_SSO_MODULE is not defined in environment variables');
+      }
+      const Adapter = require(path.resolve(env.AUTH_SSO_MODULE));
+      return typeof Adapter === 'function' ? new Adapter(env) : Adapter;
+    }
+    default:
+      throw new Error(`Unknown SSO provider "${type}" (expected none, stub, oidc or module)`);
+  }
+}
+
+module.exports = { SsoProvider, createSsoProvider };
@@ -0,0 +1,39 @@
+// services/sso/stubSsoProvider.js
+const { SsoProvider } = require('./ssoProvider');
+
+const ROLE_HINTS = ['student', 'instructor', 'admin'];
+
+/**
+ * Local stand-in for the campus identity provider. It skips the identity
+ * provider entirely and signs the browser in as whoever the login hint
+ * names ("jdoe", or "jdoe:instructor" for a role), so the SSO flow can be
+ * exercised offline. Disabled in production by createSsoProvider.
+ */
+class StubSsoProvider extends SsoProvider {
+  constructor() {
+    super('stub', 'Single sign-on (local stub)');
+  }
+
+  async getAuthorizationUrl({ state, redirectUri, loginHint }) {
+    const url = new URL(redirectUri);
+    url.searchParams.set('state', state);
+    url.searchParams.set('user', loginHint || 'student');
+    return url.toString();
+  }
+
+  async handleCallback({ params }) {
+    const [username, role] = String(params.user || '').trim().toLowerCase().split(':');
+    if (!username) {
+      throw new Error('Stub sign-in needs a user');
+    }
+    return {
+      subject: username,
+      username,
+      displayName: username,
+      email: null,
+      role: ROLE_HINTS.includes(role) ? role : null
+    };
+  }
+}
+
+module.exports = StubSsoProvider;
@@ -0,0 +1,63 @@
+// services/storage/fileSessionStore.js
+const fs = require('fs');
+const path = require('path');
+const { SessionStore } = require('./sessionStore');
+
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Durable store that keeps one JSON file per session so state survives a
+ * restart or redeploy as long as the directory is on persistent disk.
+ */
+class FileSessionStore extends SessionStore {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  getFilePath(sessionId) {
+    if (typeof sessionId !== 'string' || !SAFE_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async get(sessionId) {
+    try {
+      const raw = await fs.promises.readFile(this.getFilePath(sessionId), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.error(`❌ Failed to read session ${sessionId}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(sessionId, record) {
+    const filePath = this.getFilePath(sessionId);
+    // Write to a temp file first so a crash mid-write never leaves a truncated record
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(record), 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async delete(sessionId) {
+    try {
+      await fs.promises.unlink(this.getFilePath(sessionId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+}
+
+module.exports = FileSessionStore;
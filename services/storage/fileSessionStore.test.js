@@ -0,0 +1,48 @@
+// services/storage/fileSessionStore.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileSessionStore = require('./fileSessionStore');
+
+describe('FileSessionStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    store = new FileSessionStore(directory);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should round-trip a session record through disk', async () => {
+    const record = {
+      id: 'session_abc',
+      state: { patient: { vitalsHistory: [{ timestamp: 1, vitals: { heartRate: 110 } }] } }
+    };
+
+    await store.set('session_abc', record);
+
+    const reopened = new FileSessionStore(directory);
+    expect(await reopened.get('session_abc')).toEqual(record);
+    expect(await reopened.list()).toEqual(['session_abc']);
+  });
+
+  test('should return null for missing sessions', async () => {
+    expect(await store.get('session_missing')).toBeNull();
+  });
+
+  test('should delete records', async () => {
+    await store.set('session_abc', { id: 'session_abc' });
+
+    expect(await store.delete('session_abc')).toBe(true);
+    expect(await store.delete('session_abc')).toBe(false);
+    expect(await store.get('session_abc')).toBeNull();
+  });
+
+  test('should reject IDs that could escape the directory', async () => {
+    await expect(store.set('../evil', {})).rejects.toThrow('Invalid session ID');
+  });
+});
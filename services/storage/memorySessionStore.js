@@ -0,0 +1,32 @@
+// services/storage/memorySessionStore.js
+const { SessionStore } = require('./sessionStore');
+
+/**
+ * Non-durable store; records are lost when the process exits.
+ * Records are cloned on the way in and out so callers cannot mutate stored state.
+ */
+class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async get(sessionId) {
+    const record = this.records.get(sessionId);
+    return record ? structuredClone(record) : null;
+  }
+
+  async set(sessionId, record) {
+    this.records.set(sessionId, structuredClone(record));
+  }
+
+  async delete(sessionId) {
+    return this.records.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.records.keys()];
+  }
+}
+
+module.exports = MemorySessionStore;
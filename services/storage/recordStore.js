@@ -0,0 +1,31 @@
+// services/storage/recordStore.js
+const path = require('path');
+
+/**
+ * Build the store for one kind of record (user accounts, graded attempts)
+ * selected by environment configuration. These are plain JSON records keyed
+ * by ID, so they share the session store backends (get/set/delete/list).
+ * <NAME>_STORE=memory|file (default SESSION_STORE, else memory), <NAME>_STORE_DIR for the file store
+ * @param {string} name - Record kind, e.g. "user" reads USER_STORE and defaults to data/users
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {SessionStore} - Configured store instance
+ */
+function createRecordStore(name, env = process.env) {
+  const prefix = name.toUpperCase();
+  const type = (env[`${prefix}_STORE`] || env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (type === 'file') {
+    const FileSessionStore = require('./fileSessionStore');
+    const directory = env[`${prefix}_STORE_DIR`] || path.join(__dirname, `../../data/${name}s`);
+    return new FileSessionStore(directory);
+  }
+
+  if (type !== 'memory') {
+    console.warn(`⚠️ Unknown ${prefix}_STORE "${type}", falling back to memory`);
+  }
+
+  const MemorySessionStore = require('./memorySessionStore');
+  return new MemorySessionStore();
+}
+
+module.exports = { createRecordStore };
@@ -0,0 +1,65 @@
+// services/storage/sessionStore.js
+const path = require('path');
+
+/**
+ * Storage interface for scenario session records. Implementations persist
+ * plain JSON objects keyed by session ID; all methods are async so durable
+ * backends can be swapped in without touching callers.
+ */
+class SessionStore {
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} - Stored record, or null if missing
+   */
+  async get() {
+    throw new Error(`${this.constructor.name}.get() not implemented`);
+  }
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @param {Object} record - JSON-serializable session record
+   */
+  async set() {
+    throw new Error(`${this.constructor.name}.set() not implemented`);
+  }
+
+  /**
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<boolean>} - True if a record was removed
+   */
+  async delete() {
+    throw new Error(`${this.constructor.name}.delete() not implemented`);
+  }
+
+  /**
+   * @returns {Promise<string[]>} - IDs of all stored sessions
+   */
+  async list() {
+    throw new Error(`${this.constructor.name}.list() not implemented`);
+  }
+}
+
+/**
+ * Build the session store selected by environment configuration
+ * SESSION_STORE=memory|file (default memory), SESSION_STORE_DIR for the file store
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {SessionStore} - Configured store instance
+ */
+function createSessionStore(env = process.env) {
+  const type = (env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (type === 'file') {
+    const FileSessionStore = require('./fileSessionStore');
+    const directory = env.SESSION_STORE_DIR || path.join(__dirname, '../../data/sessions');
+    return new FileSessionStore(directory);
+  }
+
+  if (type !== 'memory') {
+    console.warn(`⚠️ Unknown SESSION_STORE "${type}", falling back to memory`);
+  }
+
+  const MemorySessionStore = require('./memorySessionStore');
+  return new MemorySessionStore();
+}
+
+module.exports = { SessionStore, createSessionStore };
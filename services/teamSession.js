@@ -0,0 +1,145 @@
+// services/teamSession.js
+const crypto = require('crypto');
+const { TEAM_ROLES } = require('./teamwork');
+
+// Join codes avoid characters that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Roster and shared chat of a team scenario. Two or three students play one
+ * session, each in a different role; the student who creates it is the team
+ * lead. Every message goes through the session's single ChatService, so the
+ * patient, bystanders and scene are shared, and the conversation and scenario
+ * data the students would otherwise each keep in their browser live here.
+ */
+class TeamSession {
+  constructor(state = {}) {
+    this.restoreState(state);
+  }
+
+  /**
+   * Start a team with its lead
+   * @param {Object} lead - User creating the team
+   * @param {string} joinCode - Code teammates join with
+   * @returns {TeamSession} - The new team
+   */
+  static create(lead, joinCode = TeamSession.generateJoinCode()) {
+    const team = new TeamSession({ joinCode });
+    team.addMember(lead, 'lead');
+    return team;
+  }
+
+  static generateJoinCode() {
+    return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  }
+
+  /**
+   * Add a student in a role; joining again returns their existing place
+   * @param {Object} user - User joining
+   * @param {string} role - lead, partner or driver
+   * @returns {Object} - { member }, { errors } for an unknown role or { conflict } when the role or team is taken
+   */
+  addMember(user, role) {
+    const existing = this.getMember(user.id);
+    if (existing) return { member: existing };
+
+    if (!Object.prototype.hasOwnProperty.call(TEAM_ROLES, role)) {
+      return { errors: [`role must be one of: ${Object.keys(TEAM_ROLES).join(', ')}`] };
+    }
+    if (this.members.some(member => member.role === role)) {
+      return { conflict: `The ${TEAM_ROLES[role].toLowerCase()} role is already taken` };
+    }
+
+    const member = {
+      userId: user.id,
+      username: user.username,
+      displayName: user.displayName || user.username,
+      role,
+      joinedAt: new Date().toISOString()
+    };
+    this.members.push(member);
+    return { member };
+  }
+
+  getMember(userId) {
+    return this.members.find(member => member.userId === userId) || null;
+  }
+
+  hasMember(userId) {
+    return this.getMember(userId) !== null;
+  }
+
+  // Who said a message, as recorded on the timeline
+  getSpeaker(userId) {
+    const member = this.getMember(userId);
+    return member ? { userId: member.userId, username: member.username, role: member.role } : null;
+  }
+
+  // Members as Teamwork reads them from the timeline
+  getRoster() {
+    return this.members.map(({ userId, username, displayName, role }) => ({ userId, username, displayName, role }));
+  }
+
+  getOpenRoles() {
+    return Object.keys(TEAM_ROLES).filter(role => !this.members.some(member => member.role === role));
+  }
+
+  /**
+   * Add one student message and the simulator's answer to the shared conversation
+   * @param {Object} exchange - message, speaker, additionalMessages (system markers) and response
+   */
+  recordExchange({ message, speaker, additionalMessages = [], response }) {
+    this.conversation.push(
+      { role: 'user', content: message, speaker },
+      ...additionalMessages.filter(marker => marker && marker.role === 'system'),
+      { role: 'assistant', content: response }
+    );
+  }
+
+  /**
+   * @returns {Object} - { joinCode, members: [{ username, displayName, role, roleLabel }], openRoles }
+   */
+  getSummary() {
+    return {
+      joinCode: this.joinCode,
+      members: this.members.map(member => ({
+        username: member.username,
+        displayName: member.displayName,
+        role: member.role,
+        roleLabel: TEAM_ROLES[member.role]
+      })),
+      openRoles: this.getOpenRoles()
+    };
+  }
+
+  /**
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      joinCode: this.joinCode,
+      members: this.members,
+      conversation: this.conversation,
+      scenarioData: this.scenarioData,
+      attempts: this.attempts
+    };
+  }
+
+  /**
+   * Restore state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.joinCode = state.joinCode || null;
+    this.members = state.members || [];
+    this.conversation = state.conversation || [];
+    this.scenarioData = state.scenarioData || null;
+    // Attempt id of each member once the scenario is graded, keyed by user id
+    this.attempts = state.attempts || {};
+  }
+}
+
+TeamSession.TEAM_ROLES = TEAM_ROLES;
+
+module.exports = TeamSession;
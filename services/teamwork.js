@@ -0,0 +1,200 @@
+// services/teamwork.js
+const rubricMatcher = require('./rubricMatcher');
+
+// Roles in a team scenario; each is held by one student and there is always a lead
+const TEAM_ROLES = {
+  lead: 'Team lead',
+  partner: 'Partner',
+  driver: 'Driver'
+};
+
+// Tasks a team lead hands out, with the words that show a task was asked for or done
+const TASKS = {
+  vitals: ['vitals', 'vital signs', 'blood pressure', 'bp', 'pulse', 'heart rate', 'respirations', 'spo2', 'pulse ox', 'sats', 'glucose', 'sugar'],
+  oxygen: ['oxygen', 'o2', 'nasal cannula', 'non rebreather', 'nonrebreather', 'nrb', 'bvm', 'bag valve mask'],
+  history: ['history', 'sample', 'medications', 'meds', 'allergies', 'last oral intake'],
+  equipment: ['jump bag', 'aed', 'monitor', 'suction', 'backboard', 'c collar', 'collar', 'splint', 'kit'],
+  transport: ['stretcher', 'cot', 'stair chair', 'ambulance', 'rig', 'load', 'transport', 'drive'],
+  scene: ['bystander', 'crowd', 'family', 'traffic', 'police', 'fire department'],
+  radio: ['radio', 'call the hospital', 'call ahead', 'notify', 'medical control'],
+  handsOn: ['cpr', 'compressions', 'direct pressure', 'bleeding', 'tourniquet', 'c spine', 'manual stabilization', 'hold']
+};
+
+const SAFETY_KEYWORDS = ['safety', 'hazard', 'secure'];
+
+/**
+ * Grades who did what in a team scenario. Each student turn carries its
+ * speaker; a delegation is a turn from the team lead that names a teammate (by
+ * role or name) and a task, and it counts as carried out once that teammate
+ * later does the task in one of their own turns. The roster comes from the
+ * latest teamRoster event on the timeline, so a teammate who never spoke is
+ * still counted. A student playing alone delegates to the simulated partner
+ * (PartnerManager) instead, whose orders and reports are partner events.
+ */
+class Teamwork {
+  /**
+   * @param {Array} events - Timeline events
+   * @returns {Array|null} - { userId, username, displayName, role } of each member, or null for a single-student run
+   */
+  getRoster(events = []) {
+    const rosters = events.filter(event => event.type === 'teamRoster');
+    return rosters.length > 0 ? rosters[rosters.length - 1].members : null;
+  }
+
+  /**
+   * Delegations the team lead made and whether the teammate followed through
+   * @param {Array} turns - Output of RubricMatcher.toStudentTurns(), with speakers
+   * @param {Array} roster - Team members from getRoster()
+   * @returns {Array} - { turn, elapsedMs, from, to, toUserId, task, quote, carriedOutTurn }
+   */
+  findDelegations(turns, roster) {
+    const teammates = roster.filter(member => member.role !== 'lead');
+    const delegations = [];
+
+    rubricMatcher.toStudentTurns(turns)
+      .filter(turn => turn.speaker?.role === 'lead')
+      .forEach(turn => {
+        turn.clauses.forEach(clause => {
+          if (rubricMatcher.isHypothetical(clause) || rubricMatcher.isNegated(clause)) return;
+          const to = teammates.find(member => this.getAddressTerms(member).some(term => this.mentions(clause, term)));
+          const task = Object.keys(TASKS).find(key => TASKS[key].some(keyword => this.mentions(clause, keyword)));
+          if (!to || !task) return;
+          if (delegations.some(d => d.turn === turn.turn && d.toUserId === to.userId && d.task === task)) return;
+          delegations.push({
+            turn: turn.turn,
+            elapsedMs: turn.elapsedMs,
+            from: turn.speaker.username,
+            to: to.username,
+            toRole: to.role,
+            toUserId: to.userId,
+            task,
+            quote: turn.content,
+            carriedOutTurn: this.findFollowThrough(turns, to, task, turn.turn)
+          });
+        });
+      });
+
+    return delegations;
+  }
+
+  // First later turn in which the teammate does the task themselves
+  findFollowThrough(turns, member, task, afterTurn) {
+    const followed = rubricMatcher.toStudentTurns(turns).find(turn =>
+      turn.turn > afterTurn &&
+      turn.speaker?.userId === member.userId &&
+      rubricMatcher.hasEvidence([turn], TASKS[task]));
+    return followed ? followed.turn : null;
+  }
+
+  // Words the lead can address a teammate by: their role, username or first name
+  getAddressTerms(member) {
+    const firstName = String(member.displayName || '').trim().split(/\s+/)[0].toLowerCase();
+    return [member.role, String(member.username || '').toLowerCase(), firstName]
+      .filter(term => term && term.length >= 3);
+  }
+
+  mentions(clause, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?:^|[^a-z0-9])${escaped}s?(?=$|[^a-z0-9])`).test(clause);
+  }
+
+  /**
+   * Scene and Resource Management (0-3) for a team: the lead has to manage the
+   * scene and hand out tasks that teammates then carry out; the top level needs
+   * every teammate used and at least two tasks followed through.
+   * @param {Array} turns - Student turns with speakers
+   * @param {Array} roster - Team members from getRoster()
+   * @returns {number} - Section score
+   */
+  scoreLeadership(turns, roster) {
+    const delegations = this.findDelegations(turns, roster);
+    const followed = delegations.filter(delegation => delegation.carriedOutTurn !== null);
+    const safety = rubricMatcher.hasEvidence(turns, SAFETY_KEYWORDS);
+    const teammates = roster.filter(member => member.role !== 'lead');
+    const everyoneUsed = teammates.length > 0 &&
+      teammates.every(member => followed.some(delegation => delegation.toUserId === member.userId));
+
+    if (delegations.length === 0 && !safety) return 0;
+    if (!safety || followed.length === 0) return 1;
+    if (everyoneUsed && followed.length >= 2) return 3;
+    return 2;
+  }
+
+  /**
+   * Orders given to the simulated partner and whether they were carried out
+   * @param {Array} events - Timeline events
+   * @returns {Array} - { orderId, task, description, turn, elapsedMs, done, reportedElapsedMs }
+   */
+  getPartnerOrders(events = []) {
+    const reports = events.filter(event => event.type === 'partner' && event.kind === 'report');
+    return events
+      .filter(event => event.type === 'partner' && event.kind === 'order')
+      .map(order => {
+        const report = reports.find(entry => entry.orderId === order.orderId);
+        return {
+          orderId: order.orderId,
+          task: order.task,
+          description: order.description,
+          turn: order.turn,
+          elapsedMs: order.elapsedMs,
+          done: !!report,
+          reportedElapsedMs: report ? report.elapsedMs : null
+        };
+      });
+  }
+
+  /**
+   * Scene and Resource Management (0-3) from orders to the simulated partner:
+   * tasks handed out and finished, on a safe scene; the top level needs two
+   * different tasks carried out.
+   * @param {Array} turns - Student turns
+   * @param {Array} events - Timeline events
+   * @returns {number} - Section score; 0 when the partner was never used
+   */
+  scorePartnerLeadership(turns, events = []) {
+    const orders = this.getPartnerOrders(events);
+    if (orders.length === 0) return 0;
+
+    const doneTasks = new Set(orders.filter(order => order.done).map(order => order.task));
+    const safety = rubricMatcher.hasEvidence(turns, SAFETY_KEYWORDS);
+    if (!safety || doneTasks.size === 0) return 1;
+    return doneTasks.size >= 2 ? 3 : 2;
+  }
+
+  /**
+   * Who did what: each member's turns and the rubric items their turns earned first
+   * @param {Array} turns - Student turns with speakers
+   * @param {Array} roster - Team members from getRoster()
+   * @param {Object} results - checkboxItems and scoredSections from GradingEngine
+   * @returns {Object} - { members: [{ userId, username, role, roleLabel, turns, checkboxItems, sections }], delegations }
+   */
+  analyze(turns, roster, { checkboxItems = {}, scoredSections = {} } = {}) {
+    const speakerOf = new Map(rubricMatcher.toStudentTurns(turns).map(turn => [turn.turn, turn.speaker?.userId || null]));
+    const earliest = evidence => evidence
+      .filter(entry => entry.confidence >= rubricMatcher.COMPLETION_THRESHOLD)
+      .reduce((first, entry) => (!first || entry.turn < first.turn ? entry : first), null);
+
+    const members = roster.map(member => ({
+      userId: member.userId,
+      username: member.username,
+      role: member.role,
+      roleLabel: TEAM_ROLES[member.role] || member.role,
+      turns: [...speakerOf.values()].filter(userId => userId === member.userId).length,
+      // Credit goes to whoever first did the item
+      checkboxItems: Object.entries(checkboxItems)
+        .filter(([, item]) => item.completed && speakerOf.get(earliest(item.evidence || [])?.turn) === member.userId)
+        .map(([id]) => id),
+      sections: Object.entries(scoredSections)
+        .filter(([, section]) => (section.evidence || []).some(entry => speakerOf.get(entry.turn) === member.userId))
+        .map(([id]) => id)
+    }));
+
+    return { members, delegations: this.findDelegations(turns, roster) };
+  }
+}
+
+const teamwork = new Teamwork();
+teamwork.Teamwork = Teamwork;
+teamwork.TEAM_ROLES = TEAM_ROLES;
+
+module.exports = teamwork;
@@ -0,0 +1,81 @@
+// services/teamwork.test.js
+const ScenarioTimeline = require('./scenarioTimeline');
+const TeamSession = require('./teamSession');
+const teamwork = require('./teamwork');
+
+describe('Teamwork', () => {
+  const lead = { id: 'user_lead', username: 'lena', displayName: 'Lena Park' };
+  const partner = { id: 'user_partner', username: 'omar', displayName: 'Omar Diaz' };
+  const driver = { id: 'user_driver', username: 'kai', displayName: 'Kai Lee' };
+  let team;
+  let timeline;
+
+  beforeEach(() => {
+    team = TeamSession.create(lead, 'K7QM2D');
+    team.addMember(partner, 'partner');
+    team.addMember(driver, 'driver');
+    timeline = new ScenarioTimeline();
+    timeline.recordUtterance("I'm ready", 0, team.getSpeaker(lead.id));
+    timeline.start(0);
+    timeline.record('teamRoster', { members: team.getRoster() }, 0);
+  });
+
+  const say = (user, text, timestamp) => timeline.recordUtterance(text, timestamp, team.getSpeaker(user.id));
+  const roster = () => teamwork.getRoster(timeline.getEvents());
+
+  test('should keep one member per role and reject unknown roles', () => {
+    expect(team.addMember({ id: 'user_x', username: 'zed' }, 'partner')).toEqual({ conflict: 'The partner role is already taken' });
+    expect(team.addMember({ id: 'user_x', username: 'zed' }, 'medic').errors).toHaveLength(1);
+    expect(team.addMember(partner, 'driver').member.role).toBe('partner');
+    expect(team.getOpenRoles()).toEqual([]);
+  });
+
+  test('should find delegations by role or name and whether the teammate followed through', () => {
+    say(lead, 'Scene is safe, BSI. Omar, get me a set of vitals', 10000);
+    say(lead, 'Driver, bring the stretcher in', 20000);
+    say(partner, 'Blood pressure is 120 over 80, pulse 88', 40000);
+
+    const delegations = teamwork.findDelegations(timeline.getStudentTurns(), roster());
+
+    expect(delegations.map(({ turn, to, task, carriedOutTurn }) => ({ turn, to, task, carriedOutTurn }))).toEqual([
+      { turn: 2, to: 'omar', task: 'vitals', carriedOutTurn: 4 },
+      { turn: 3, to: 'kai', task: 'transport', carriedOutTurn: null }
+    ]);
+  });
+
+  test('should grade leadership on tasks teammates carried out', () => {
+    say(lead, 'Scene safety checked. Partner, get vitals please', 10000);
+    say(partner, 'Checking a pulse now', 20000);
+    expect(teamwork.scoreLeadership(timeline.getStudentTurns(), roster())).toBe(2);
+
+    say(lead, 'Kai, load the patient on the cot', 30000);
+    say(driver, 'Patient is on the cot, ready to load', 40000);
+    expect(teamwork.scoreLeadership(timeline.getStudentTurns(), roster())).toBe(3);
+  });
+
+  test('should not credit the lead doing everything alone as delegation', () => {
+    say(lead, 'Scene safety checked, taking vitals and putting him on oxygen', 10000);
+
+    expect(teamwork.findDelegations(timeline.getStudentTurns(), roster())).toEqual([]);
+    expect(teamwork.scoreLeadership(timeline.getStudentTurns(), roster())).toBe(1);
+  });
+
+  test('should credit each checklist item to the member who did it first', () => {
+    say(lead, 'Scene is safe', 10000);
+    say(partner, 'Putting him on oxygen', 20000);
+    say(lead, 'Oxygen is on', 30000);
+
+    const { members } = teamwork.analyze(timeline.getStudentTurns(), roster(), {
+      checkboxItems: {
+        oxygen: { completed: true, evidence: [{ turn: 4, confidence: 1 }, { turn: 3, confidence: 1 }] },
+        pulse: { completed: false, evidence: [] }
+      }
+    });
+
+    expect(members.map(({ username, turns, checkboxItems }) => ({ username, turns, checkboxItems }))).toEqual([
+      { username: 'lena', turns: 3, checkboxItems: [] },
+      { username: 'omar', turns: 1, checkboxItems: ['oxygen'] },
+      { username: 'kai', turns: 0, checkboxItems: [] }
+    ]);
+  });
+});
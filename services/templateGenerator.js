@@ -1,20 +1,19 @@
 // services/templateGenerator.js
-const OpenAI = require('openai');
-
-// Initialize OpenAI with proper error handling
-let openai;
-try {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-} catch (error) {
-  console.error('❌ Failed to initialize OpenAI:', error);
-  openai = null;
-}
+const { getTaskRoute } = require('../config/llm');
+const SeededRandom = require('./utils/seededRandom');
+
+// The only caller descriptions a dispatch may use
+const CALLER_OPTIONS = [
+  'A coworker called 911 and is present on scene as well.',
+  'A friend called 911 and is present on scene as well.',
+  'A family member called 911 and is present on scene as well.',
+  'A bystander called 911 and is present on scene as well.',
+  'The patient called 911 themselves.'
+];
 
 class TemplateGenerator {
   constructor() {
-    this.openai = openai;
+    this.route = getTaskRoute('dispatch');
   }
 
   /**
@@ -62,9 +61,10 @@ Return ONLY the JSON object, no additional text or comments.`;
   /**
    * Generate a complete dispatch template prompt for the AI to fill
    * @param {string} scenarioType - Type of scenario (e.g., 'Cardiac Scenario')
+   * @param {Object} presets - Seeded age, gender, time and callerInfo the AI must use (optional)
    * @returns {string} - Template prompt
    */
-  generateCompleteDispatchTemplate(scenarioType) {
+  generateCompleteDispatchTemplate(scenarioType, presets = null) {
     const traumaScenarios = ['MVC Scenario', 'Fall Scenario', 'Assault Scenario', 'Sport Injury Scenario', 'Stabbing Scenario', 'GSW Scenario', 'Burn Scenario'];
     const isTrauma = traumaScenarios.includes(scenarioType);
     
@@ -104,10 +104,29 @@ CRITICAL REQUIREMENTS:
 - Location must be Santa Clara–centric named POI or specific non-medical place; avoid house numbers; absolutely no hospitals or medical facilities
 - CallerInfo must be one of the four provided options
 - All fields are required
-
+${presets ? `
+MANDATORY VALUES (use exactly as given):
+- age: "${presets.age}"
+- gender: "${presets.gender}"
+- time: "${presets.time}"
+- callerInfo: "${presets.callerInfo}"
+` : ''}
 Return ONLY the JSON object, no additional text or comments.`;
   }
 
+  /**
+   * Roll the dispatch fields that do not need the AI, so a seed always
+   * produces the same patient, time of call and caller
+   * @param {string} scenarioType - Type of scenario
+   * @param {SeededRandom} random - Generator for the rolls
+   * @returns {Object} - { age, gender, time, callerInfo }
+   */
+  generateDispatchPresets(scenarioType, random) {
+    const { age, gender } = this.generatePatientDemographics(scenarioType, random);
+    const time = `${random.int(1, 12)}:${String(random.int(0, 59)).padStart(2, '0')}${random.pick(['am', 'pm'])}`;
+    return { age, gender, time, callerInfo: random.pick(CALLER_OPTIONS) };
+  }
+
   /**
    * Enhanced validation for dispatch information
    * @param {Object} dispatchData - The dispatch data to validate
@@ -192,15 +211,7 @@ Return ONLY the JSON object, no additional text or comments.`;
     }
     
     // Validate caller info
-    const validCallerOptions = [
-      'A coworker called 911 and is present on scene as well.',
-      'A friend called 911 and is present on scene as well.',
-      'A family member called 911 and is present on scene as well.',
-      'A bystander called 911 and is present on scene as well.',
-      'The patient called 911 themselves.'
-    ];
-    
-    if (!dispatchData.callerInfo || !validCallerOptions.includes(dispatchData.callerInfo)) {
+    if (!dispatchData.callerInfo || !CALLER_OPTIONS.includes(dispatchData.callerInfo)) {
       errors.push('Invalid caller info - must be one of the specified options');
     }
     
@@ -416,42 +427,43 @@ Return ONLY the JSON object, no additional text or comments.`;
   /**
    * Generate realistic patient demographics based on scenario type
    * @param {string} scenarioType - Type of scenario
+   * @param {SeededRandom} random - Generator for the rolls (unseeded by default)
    * @returns {Object} - Object with age and gender
    */
-  generatePatientDemographics(scenarioType) {
+  generatePatientDemographics(scenarioType, random = new SeededRandom()) {
     const scenarioTypeLower = scenarioType.toLowerCase();
     
     // Generate age based on scenario type
     let age;
     if (scenarioTypeLower.includes('cardiac') || scenarioTypeLower.includes('heart')) {
       const cardiacAges = [45, 52, 58, 63, 67, 71, 76];
-      age = cardiacAges[Math.floor(Math.random() * cardiacAges.length)];
+      age = random.pick(cardiacAges);
     } else if (scenarioTypeLower.includes('trauma') || scenarioTypeLower.includes('mvc') || 
                scenarioTypeLower.includes('fall') || scenarioTypeLower.includes('assault') ||
                scenarioTypeLower.includes('sport') || scenarioTypeLower.includes('stabbing') ||
                scenarioTypeLower.includes('gsw') || scenarioTypeLower.includes('burn')) {
       const traumaAges = [19, 25, 32, 28, 41, 35, 29, 47];
-      age = traumaAges[Math.floor(Math.random() * traumaAges.length)];
+      age = random.pick(traumaAges);
     } else if (scenarioTypeLower.includes('respiratory') || scenarioTypeLower.includes('breathing') || 
                scenarioTypeLower.includes('asthma')) {
       const respiratoryAges = [28, 34, 41, 48, 55, 62, 37];
-      age = respiratoryAges[Math.floor(Math.random() * respiratoryAges.length)];
+      age = random.pick(respiratoryAges);
     } else if (scenarioTypeLower.includes('neurological') || scenarioTypeLower.includes('stroke') || 
                scenarioTypeLower.includes('seizure')) {
       const neuroAges = [52, 59, 66, 73, 45, 38, 61];
-      age = neuroAges[Math.floor(Math.random() * neuroAges.length)];
+      age = random.pick(neuroAges);
     } else if (scenarioTypeLower.includes('metabolic') || scenarioTypeLower.includes('diabetes') || 
                scenarioTypeLower.includes('hypoglycemic')) {
       const metabolicAges = [26, 33, 40, 47, 54, 61, 35];
-      age = metabolicAges[Math.floor(Math.random() * metabolicAges.length)];
+      age = random.pick(metabolicAges);
     } else if (scenarioTypeLower.includes('ob') || scenarioTypeLower.includes('gyn') || 
                scenarioTypeLower.includes('pregnant')) {
       const obAges = [18, 22, 25, 28, 31, 34, 37, 40];
-      age = obAges[Math.floor(Math.random() * obAges.length)];
+      age = random.pick(obAges);
     } else {
       // General scenario ages
       const generalAges = [23, 31, 38, 44, 51, 59, 66, 29, 42, 56];
-      age = generalAges[Math.floor(Math.random() * generalAges.length)];
+      age = random.pick(generalAges);
     }
     
     // Generate gender (50/50 distribution, except OB/GYN which is always female)
@@ -460,7 +472,7 @@ Return ONLY the JSON object, no additional text or comments.`;
         scenarioTypeLower.includes('pregnant')) {
       gender = 'female';
     } else {
-      gender = Math.random() < 0.5 ? 'male' : 'female';
+      gender = random.chance(0.5) ? 'male' : 'female';
     }
     
     return { age: age.toString(), gender };
@@ -469,41 +481,42 @@ Return ONLY the JSON object, no additional text or comments.`;
   /**
    * Generate complete scenario using template-based approach
    * @param {Object} scenarioData - Input scenario data
+   * @param {SeededRandom} random - Generator for the seeded dispatch fields (derived from scenarioData.meta.seed by default).
+   *   Pass the same generator to every retry so each attempt rolls fresh but repeatable values.
    * @returns {Object} - Generated scenario with dispatch info
    */
-  async generateCompleteScenario(scenarioData) {
+  async generateCompleteScenario(scenarioData, random = SeededRandom.forScenario(scenarioData, 'dispatch')) {
     try {
       console.log('🚀 Generating template-based dispatch information...');
       
-      // Check if OpenAI is available
-      if (!this.openai) {
-        console.log('❌ OpenAI not available, returning error');
+      // Check if an LLM provider is available
+      if (!this.route) {
+        console.log('❌ LLM provider not available, returning error');
         return {
           error: true,
-          message: 'OpenAI service not available',
+          message: 'LLM service not available',
           dispatchInfo: null
         };
       }
       
-      const template = this.generateCompleteDispatchTemplate(scenarioData.subScenario);
+      const presets = this.generateDispatchPresets(scenarioData.subScenario, random);
+      const template = this.generateCompleteDispatchTemplate(scenarioData.subScenario, presets);
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert EMT scenario generator. Generate realistic dispatch information for emergency scenarios.'
-          },
-          {
-            role: 'user',
-            content: template
-          }
-        ],
+      const aiResponse = await this.route.provider.chat([
+        {
+          role: 'system',
+          content: 'You are an expert EMT scenario generator. Generate realistic dispatch information for emergency scenarios.'
+        },
+        {
+          role: 'user',
+          content: template
+        }
+      ], {
+        model: this.route.model,
         temperature: 0.7,
-        max_tokens: 500
+        maxTokens: 500,
+        seed: random.int(0, 0x7fffffff)
       });
-
-      const aiResponse = response.choices[0].message.content;
       console.log('✅ Template response received');
       
       const parsedResult = this.parseTemplateResponse(aiResponse);
@@ -518,6 +531,9 @@ Return ONLY the JSON object, no additional text or comments.`;
       }
 
       console.log('✅ Template parsing successful');
+
+      // The seeded fields win over whatever the AI wrote so the seed alone decides them
+      Object.assign(parsedResult.data, presets);
       
       // Enhanced validation with detailed feedback
       const validation = this.validateDispatchData(parsedResult.data, scenarioData.subScenario);
@@ -561,7 +577,7 @@ Return ONLY the JSON object, no additional text or comments.`;
       const hasValidAge = (a) => a !== undefined && a !== null && !isNaN(parseInt(String(a)));
       
       if (!hasValidAge(age) || !isValidGender(gender)) {
-        const generated = this.generatePatientDemographics(scenarioData.subScenario);
+        const generated = this.generatePatientDemographics(scenarioData.subScenario, random);
         age = hasValidAge(age) ? String(age) : generated.age;
         gender = isValidGender(gender) ? gender : generated.gender;
       } else {
@@ -603,4 +619,6 @@ Return ONLY the JSON object, no additional text or comments.`;
   }
 }
 
+TemplateGenerator.CALLER_OPTIONS = CALLER_OPTIONS;
+
 module.exports = TemplateGenerator;
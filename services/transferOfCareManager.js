@@ -0,0 +1,212 @@
+// services/transferOfCareManager.js
+const TextNormalizer = require('./utils/textNormalizer');
+const rubricMatcher = require('./rubricMatcher');
+const handoverAnalyzer = require('./handoverAnalyzer');
+
+// Who takes the patient at the hospital; the scenario seed picks one
+const RECEIVERS = [
+  { role: 'nurse', label: 'ED Nurse', names: ['Dana', 'Priya', 'Marcus', 'Jo'], introduction: 'one of the nurses' },
+  { role: 'physician', label: 'ED Physician', names: ['Dr. Okafor', 'Dr. Reyes', 'Dr. Lindqvist', 'Dr. Chen'], introduction: 'the attending' }
+];
+
+// What the receiver asks for when the report stops short of it, one question each
+const QUESTIONS = {
+  age: 'How old is the patient?',
+  chiefComplaint: 'Sorry, what are they here for?',
+  vitals: 'What was the last set of vitals?',
+  treatment: 'What have you given so far?'
+};
+
+// Starting the handover, or arriving at the hospital ("we arrive at the ED")
+const HANDOVER = /\b(?:hand(?:ing)? ?over|handoff|giving (?:my |you )?(?:report|handover)|give (?:my |you )?(?:report|handover)|transfer(?:ring)? (?:of )?care|hospital report|report to (?:the )?hospital)\b/;
+const ARRIVAL = /\b(?:arriv(?:e|es|ed|ing)|pull(?:s|ed|ing)? (?:in(?:to)?|up (?:to|at))|back(?:s|ed|ing)? into|(?:were|we are) (?:now )?(?:at|in)) (?:at |to )?(?:the )?(?:receiving |destination )?(?:hospital|ed|er|emergency department|emergency room|ambulance bay|trauma bay)\b/;
+// Still on the way, or only planning to ("we will arrive in 10 minutes", "I'll give a hospital report en route")
+const NOT_YET = /\b(?:will|ill|well|shall|going to|gonna|about to|need to|have to|want to|plan(?:ning)? to|prepar\w*|get(?:ting)? ready|eta|en route|on the way|in (?:about |approximately |around )?\d{1,2} ?(?:min|mins|minutes))\b/;
+// Talking to a crewmate rather than to the hospital
+const CREW_ADDRESS = /\b(?:partner|driver)\b/;
+// Care for the patient ("check the spo2", "I give albuterol"), as opposed to reporting on it
+const COMMAND = /^(?:(?:i|we|lets|let me|im|i am|were|we are) )?(?:(?:going to|gonna|now|also|then|quickly) )?(?:check\w*|recheck\w*|reassess\w*|assess\w*|give|giving|administer\w*|apply|applying|place|placing|start|starting|take|taking|get|getting|put|putting|listen\w*|palpate\w*|ask|asking|obtain\w*|attach\w*|hook\w*|suction\w*|ventilate\w*|monitor\w*|increase|decrease|titrate)\b/;
+// The student finishing the report
+const DONE = /\b(?:thats (?:all|it|everything|my report)|that is (?:all|it|everything|my report)|end of (?:my )?report|any questions|questions for me|nothing else)\b/;
+
+/**
+ * The transfer of care at the hospital. Arriving or starting a handover opens
+ * the phase and the receiving nurse or physician takes the report. They let
+ * the student talk while each message adds to it, and once it stops adding or
+ * the student is done they ask for whatever is still missing, one question
+ * each. When nothing is left to ask they take over the patient, which ends the
+ * run. Every message of the report is kept, so it is graded as one report.
+ */
+class TransferOfCareManager {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.receiver = null;
+    // null before arrival, 'receiving' while the report is given, 'complete' once care is transferred
+    this.phase = null;
+    this.parts = [];
+    this.asked = [];
+    this.wrappingUp = false;
+  }
+
+  isReceiving() {
+    return this.phase === 'receiving';
+  }
+
+  // Whether the student has started giving the report to the receiver
+  hasReport() {
+    return this.parts.length > 0;
+  }
+
+  /**
+   * Whether a student message starts the transfer of care: arriving or handing
+   * over now, not on the way or planned, and not an order to a crewmate
+   * @param {string} message - Student message
+   * @returns {boolean}
+   */
+  isStart(message) {
+    if (CREW_ADDRESS.test(this.normalize(message))) return false;
+    // Judged on the sentence that opens it, so the report itself can say what the patient will need
+    return String(message || '').split(/[.!?:]+/).map(sentence => this.normalize(sentence)).some(text =>
+      !NOT_YET.test(text) && [HANDOVER, ARRIVAL].some(pattern => this.findUnqualified(pattern, text)));
+  }
+
+  /**
+   * Whether a message is care for the patient; until the report begins it goes to the patient, not the receiver
+   * @param {string} message - Student message
+   * @returns {boolean}
+   */
+  isPatientCare(message) {
+    return COMMAND.test(this.normalize(message));
+  }
+
+  /**
+   * Meet the receiver at the hospital
+   * @param {Object} options - seed (picks the receiver), and withReport when the student is already giving the report
+   * @returns {Object} - { reply (formatted line), arrival (timeline event data) }
+   */
+  begin({ seed = '', withReport = false } = {}) {
+    const receiver = RECEIVERS[TextNormalizer.computeDeterministicInt(`${seed}:transfer:receiver`, 0, RECEIVERS.length - 1)];
+    const name = receiver.names[TextNormalizer.computeDeterministicInt(`${seed}:transfer:name`, 0, receiver.names.length - 1)];
+    const bed = TextNormalizer.computeDeterministicInt(`${seed}:transfer:bed`, 1, 12);
+    this.receiver = { role: receiver.role, label: receiver.label, name };
+    this.phase = 'receiving';
+    console.log(`🏥 Transfer of care: ${receiver.label} ${name} receiving`);
+
+    const text = `Hi, I'm ${name}, ${receiver.introduction}. Bring the patient over to bed ${bed}.${withReport ? '' : ' Go ahead with your report.'}`;
+    return {
+      reply: this.formatLine(text),
+      arrival: { kind: 'arrival', receiver: this.receiver, text }
+    };
+  }
+
+  /**
+   * Take the next message of the report and answer as the receiver
+   * @param {string} message - Student message
+   * @param {Object} facts - Facts from HandoverAnalyzer.getFacts(), to tell what the report still lacks
+   * @returns {Object} - { reply (formatted line), report (timeline event data, or null when the message had nothing to report), response (timeline event data), complete }
+   */
+  receive(message, facts = {}) {
+    const before = this.parts.length > 0 ? handoverAnalyzer.analyze(this.parts.join('\n'), facts) : null;
+    const text = this.extractReport(message);
+    if (text) this.parts.push(text);
+    const analysis = handoverAnalyzer.analyze(this.parts.join('\n'), facts);
+
+    // Talking through the report: let them go on while each message adds to it
+    const added = analysis.components.some(component => !(before?.components || []).includes(component));
+    if (DONE.test(this.normalize(message)) || !added) this.wrappingUp = true;
+
+    let response;
+    if (!this.wrappingUp) {
+      response = { kind: 'listening', text: 'Okay, go on.' };
+    } else {
+      const question = analysis.missing.find(element => !this.asked.includes(element));
+      if (question) {
+        this.asked.push(question);
+        response = { kind: 'question', element: question, text: QUESTIONS[question] };
+      } else {
+        this.phase = 'complete';
+        response = { kind: 'accepted', text: 'Got it, thanks. We\'ll take it from here.' };
+      }
+    }
+
+    return {
+      reply: this.formatLine(response.text),
+      report: text ? { kind: 'report', text } : null,
+      response,
+      complete: this.phase === 'complete'
+    };
+  }
+
+  /**
+   * The report in a message, without the opening ("Handover: ...", "We arrive
+   * at the ED.") or the sign-off ("That's all.")
+   * @param {string} message - Student message
+   * @returns {string} - Report text, empty when the message has none
+   */
+  extractReport(message) {
+    return String(message || '')
+      .split(/(?<=[.!?])\s+/)
+      .map(sentence => {
+        const colon = sentence.indexOf(':');
+        if (colon >= 0 && this.isFraming(sentence.slice(0, colon))) return sentence.slice(colon + 1).trim();
+        const hasReport = handoverAnalyzer.analyze(sentence).components.length > 0;
+        return this.isFraming(sentence) && !hasReport ? '' : sentence.trim();
+      })
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  isFraming(text) {
+    const normalized = this.normalize(text);
+    return [HANDOVER, ARRIVAL, DONE].some(pattern => pattern.test(normalized)) || /^(?:report|ok(?:ay)?|so)$/.test(normalized);
+  }
+
+  // First match that is not negated ("not ready to hand over") or hypothetical ("should we hand over now?")
+  findUnqualified(pattern, text) {
+    const match = pattern.exec(text);
+    if (!match) return null;
+    const before = text.slice(0, match.index).trim();
+    return rubricMatcher.isNegated(before) || rubricMatcher.isHypothetical(before) ? null : match;
+  }
+
+  normalize(message) {
+    return TextNormalizer.normalizeToAsciiLower(message).replace(/['’]/g, '').replace(/[^a-z0-9?/ ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  formatLine(text) {
+    return `**[${this.receiver?.label || 'ED'}]** ${text}`;
+  }
+
+  /**
+   * @returns {Object} - Plain JSON-serializable state
+   */
+  getState() {
+    return {
+      receiver: this.receiver,
+      phase: this.phase,
+      parts: this.parts,
+      asked: this.asked,
+      wrappingUp: this.wrappingUp
+    };
+  }
+
+  /**
+   * Restore state produced by getState()
+   * @param {Object} state - Previously saved state
+   */
+  restoreState(state = {}) {
+    this.receiver = state?.receiver || null;
+    this.phase = state?.phase || null;
+    this.parts = state?.parts || [];
+    this.asked = state?.asked || [];
+    this.wrappingUp = !!state?.wrappingUp;
+  }
+}
+
+TransferOfCareManager.RECEIVERS = RECEIVERS;
+TransferOfCareManager.QUESTIONS = QUESTIONS;
+
+module.exports = TransferOfCareManager;
@@ -0,0 +1,91 @@
+// services/transferOfCareManager.test.js
+const TransferOfCareManager = require('./transferOfCareManager');
+
+describe('TransferOfCareManager', () => {
+  let transfer;
+  const facts = {
+    age: 58,
+    chiefComplaint: 'chest pain',
+    vitals: { heartRate: { value: 96 }, bloodPressure: { value: [150, 90] } },
+    performed: ['oxygen']
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    transfer = new TransferOfCareManager();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start on arriving at the hospital or starting a handover', () => {
+    expect(transfer.isStart('We arrive at the ED')).toBe(true);
+    expect(transfer.isStart('Handover: 58 year old male with chest pain')).toBe(true);
+    expect(transfer.isStart('We are not ready to hand over yet')).toBe(false);
+    expect(transfer.isStart('Sir, which hospital do you usually go to?')).toBe(false);
+  });
+
+  test('should not start while still on the way, only planning to, or talking to the crew', () => {
+    expect(transfer.isStart('We will arrive at the ED in about 10 minutes')).toBe(false);
+    expect(transfer.isStart('We\'re going to arrive at the ED soon')).toBe(false);
+    expect(transfer.isStart('I\'ll give a hospital report en route')).toBe(false);
+    expect(transfer.isStart('Partner, prepare the report to the hospital')).toBe(false);
+    expect(transfer.isStart('Handover: 58 year old male with chest pain, he will need a 12 lead')).toBe(true);
+  });
+
+  test('should leave care for the patient to the patient until the report begins', () => {
+    transfer.begin({ seed: 'seed' });
+    expect(transfer.isPatientCare('check the spo2')).toBe(true);
+    expect(transfer.isPatientCare('give albuterol')).toBe(true);
+    expect(transfer.isPatientCare('We gave him oxygen')).toBe(false);
+    expect(transfer.isPatientCare('58 year old male complaining of chest pain')).toBe(false);
+
+    expect(transfer.hasReport()).toBe(false);
+    transfer.receive('58 year old male complaining of chest pain.', facts);
+    expect(transfer.hasReport()).toBe(true);
+  });
+
+  test('should keep only the report from a message', () => {
+    expect(transfer.extractReport('We arrive at the ED. Handover: 58 year old male with chest pain. That\'s all.'))
+      .toBe('58 year old male with chest pain.');
+    expect(transfer.extractReport('Handing over a 58 year old male with chest pain.')).toBe('Handing over a 58 year old male with chest pain.');
+    expect(transfer.extractReport('We arrive at the hospital.')).toBe('');
+  });
+
+  test('should listen while the report goes on, then ask for what it left out', () => {
+    const { reply } = transfer.begin({ seed: 'seed' });
+    expect(reply).toMatch(/^\*\*\[ED (?:Nurse|Physician)\]\*\* Hi, I'm .+ Go ahead with your report\.$/);
+    expect(transfer.isReceiving()).toBe(true);
+
+    expect(transfer.receive('58 year old male complaining of chest pain.', facts).response.kind).toBe('listening');
+    expect(transfer.receive('Pulse 96, BP 150/90.', facts).response.kind).toBe('listening');
+
+    const done = transfer.receive('That\'s all.', facts);
+    expect(done.report).toBeNull();
+    expect(done.response).toMatchObject({ kind: 'question', element: 'treatment' });
+
+    const answer = transfer.receive('We gave him oxygen.', facts);
+    expect(answer).toMatchObject({ report: { kind: 'report', text: 'We gave him oxygen.' }, response: { kind: 'accepted' }, complete: true });
+    expect(transfer.isReceiving()).toBe(false);
+  });
+
+  test('should take the patient without questions once a finished report has everything', () => {
+    transfer.begin({ seed: 'seed', withReport: true });
+    const result = transfer.receive('58 year old male complaining of chest pain, pulse 96, BP 150/90, on oxygen. That\'s my report.', facts);
+
+    expect(result).toMatchObject({ response: { kind: 'accepted' }, complete: true });
+    expect(transfer.asked).toEqual([]);
+  });
+
+  test('should restore a handover in progress', () => {
+    transfer.begin({ seed: 'seed' });
+    transfer.receive('58 year old male complaining of chest pain.', facts);
+    const restored = new TransferOfCareManager();
+    restored.restoreState(JSON.parse(JSON.stringify(transfer.getState())));
+
+    expect(restored.isReceiving()).toBe(true);
+    expect(restored.receive('Any questions?', facts).response).toMatchObject({ kind: 'question', element: 'vitals' });
+    expect(restored.formatLine('Okay.')).toBe(transfer.formatLine('Okay.'));
+  });
+});
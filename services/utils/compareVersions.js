@@ -0,0 +1,17 @@
+// services/utils/compareVersions.js
+
+/**
+ * Compare dotted version strings numerically ("1.10" is newer than "1.9")
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+module.exports = compareVersions;
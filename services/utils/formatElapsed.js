@@ -0,0 +1,14 @@
+// services/utils/formatElapsed.js
+
+/**
+ * Scenario clock as m:ss
+ * @param {number|null} elapsedMs - Time since the scenario started
+ * @returns {string} - e.g. "4:05", or "--:--" when the time is unknown
+ */
+function formatElapsed(elapsedMs) {
+  if (elapsedMs === null || elapsedMs === undefined) return '--:--';
+  const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+module.exports = formatElapsed;
@@ -0,0 +1,46 @@
+// services/utils/scenarioCode.js
+const { SCENARIO_TYPES } = require('../scenarioSchema');
+const SeededRandom = require('./seededRandom');
+
+// One letter per main scenario type; the digit after it is the sub-scenario's position in SCENARIO_TYPES
+const TYPE_PREFIXES = {
+  'Medical Scenario': 'M',
+  'Trauma Scenario': 'T'
+};
+
+const CODE_PATTERN = /^([A-Z])(\d+)-([0-9A-Z]{1,7})$/;
+
+/**
+ * Build the shareable code for a generated scenario, e.g. "T5-1Z4K8PQ".
+ * Entering the code starts the same call again with the same seed.
+ * @param {Object} params - mainScenario, subScenario, seed
+ * @returns {string|null} - Code, or null when the scenario type cannot be encoded
+ */
+function encodeScenarioCode({ mainScenario, subScenario, seed }) {
+  const prefix = TYPE_PREFIXES[mainScenario];
+  const index = (SCENARIO_TYPES[mainScenario] || []).indexOf(subScenario);
+  if (!prefix || index === -1) return null;
+
+  const seedPart = SeededRandom.normalizeSeed(seed).toString(36).toUpperCase();
+  return `${prefix}${index + 1}-${seedPart}`;
+}
+
+/**
+ * Read a scenario code back into the values that start the scenario
+ * @param {string} code - Code from encodeScenarioCode (case and surrounding spaces are ignored)
+ * @returns {Object|null} - { mainScenario, subScenario, seed }, or null if the code is not valid
+ */
+function decodeScenarioCode(code) {
+  const match = CODE_PATTERN.exec(String(code || '').trim().toUpperCase());
+  if (!match) return null;
+
+  const [, prefix, position, seedPart] = match;
+  const mainScenario = Object.keys(TYPE_PREFIXES).find(type => TYPE_PREFIXES[type] === prefix);
+  const subScenario = mainScenario ? SCENARIO_TYPES[mainScenario][Number(position) - 1] : undefined;
+  const seed = parseInt(seedPart, 36);
+  if (!subScenario || seed > 0xffffffff) return null;
+
+  return { mainScenario, subScenario, seed };
+}
+
+module.exports = { encodeScenarioCode, decodeScenarioCode };
@@ -0,0 +1,21 @@
+// services/utils/scenarioCode.test.js
+const { encodeScenarioCode, decodeScenarioCode } = require('./scenarioCode');
+
+describe('scenario codes', () => {
+  test('should round-trip the scenario type and seed', () => {
+    const code = encodeScenarioCode({ mainScenario: 'Trauma Scenario', subScenario: 'Stabbing Scenario', seed: 4294967295 });
+
+    expect(code).toBe('T5-1Z141Z3');
+    expect(decodeScenarioCode(` ${code.toLowerCase()} `)).toEqual({
+      mainScenario: 'Trauma Scenario', subScenario: 'Stabbing Scenario', seed: 4294967295
+    });
+  });
+
+  test('should reject codes that do not name a scenario', () => {
+    expect(encodeScenarioCode({ mainScenario: 'Cardiac Scenario', subScenario: 'Cardiac Scenario', seed: 1 })).toBeNull();
+    expect(decodeScenarioCode('M9-ABC')).toBeNull();
+    expect(decodeScenarioCode('X1-ABC')).toBeNull();
+    expect(decodeScenarioCode('M1-ZZZZZZZ')).toBeNull();
+    expect(decodeScenarioCode('')).toBeNull();
+  });
+});
@@ -0,0 +1,147 @@
+// services/utils/seededRandom.js
+const crypto = require('crypto');
+
+/**
+ * Hash text to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} - Hash value
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Small seeded pseudo-random generator (mulberry32). Every roll in a
+ * scenario goes through one of these so the same seed replays the same
+ * dispatch, difficulty, bystanders and environment.
+ */
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Seed; a fresh random seed is used when omitted
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} - Unpredictable unsigned 32-bit seed
+   */
+  static randomSeed() {
+    return crypto.randomInt(0, 0x100000000);
+  }
+
+  /**
+   * Turn a numeric or text seed into an unsigned 32-bit integer
+   * @param {number|string} seed - Seed as given by a caller
+   * @returns {number} - Normalized seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(Math.abs(seed)) >>> 0;
+    const text = String(seed ?? '').trim();
+    if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) return Number(text);
+    return hashText(text);
+  }
+
+  /**
+   * Generator for one part of a scenario, derived from the scenario seed
+   * @param {Object} scenarioData - Scenario data carrying meta.seed
+   * @param {string} label - Which part of the simulation will use it
+   * @returns {SeededRandom} - Seeded generator, or an unseeded one when the scenario has no seed
+   */
+  static forScenario(scenarioData, label) {
+    const seed = scenarioData?.meta?.seed;
+    if (seed === undefined || seed === null || seed === '') return new SeededRandom();
+    return new SeededRandom(seed).fork(label);
+  }
+
+  /**
+   * Independent generator for a named sub-stream. Forks depend only on the
+   * seed and label, so adding rolls to one part of the simulation never
+   * shifts the rolls of another.
+   * @param {string} label - Sub-stream name, e.g. 'bystanders'
+   * @returns {SeededRandom} - New generator
+   */
+  fork(label) {
+    return new SeededRandom(hashText(`${this.seed}:${label}`));
+  }
+
+  /**
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * @param {number} minInclusive - Minimum value
+   * @param {number} maxInclusive - Maximum value
+   * @returns {number} - Integer in range
+   */
+  int(minInclusive, maxInclusive) {
+    return minInclusive + Math.floor(this.next() * (maxInclusive - minInclusive + 1));
+  }
+
+  /**
+   * @param {number} probability - Chance of true, 0-1
+   * @returns {boolean} - Whether the roll succeeded
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * @param {Array} options - Options to choose from
+   * @returns {*} - One option, or null if there are none
+   */
+  pick(options) {
+    if (!options || options.length === 0) return null;
+    return options[Math.floor(this.next() * options.length)];
+  }
+
+  /**
+   * @param {Array} items - Items to shuffle (not modified)
+   * @returns {Array} - Shuffled copy
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Snapshot the generator so a restored session continues the same sequence
+   * @returns {Object} - { seed, state }
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Rebuild a generator from getState() output
+   * @param {Object} state - Previously saved state
+   * @returns {SeededRandom|null} - Generator, or null when nothing was saved
+   */
+  static fromState(state) {
+    if (!state || typeof state.seed !== 'number') return null;
+    const random = new SeededRandom(state.seed);
+    random.state = state.state >>> 0;
+    return random;
+  }
+}
+
+SeededRandom.hashText = hashText;
+
+module.exports = SeededRandom;
@@ -1,7 +1,8 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import Header from './Header';
 import config from './config';
+import { apiFetch, getUser } from './auth';
 
 const RobotAvatar = () => (
   <div style={{
@@ -23,6 +24,28 @@ const RobotAvatar = () => (
   </div>
 );
 
+// Team members see each other's messages by polling; one request per refresh stays inside the API rate limit
+const TEAM_POLL_MS = 15000;
+
+// Helper to format assistant response for better readability
+const formatAssistantText = (text) => {
+  if (!text) return text;
+  let result = text;
+  // Normalize plain 'Dispatch Information' heading and ensure single colon
+  result = result.replace(/^\s*(?:\*\*)?Dispatch Information(?::+)?(?:\*\*)?/i, '**Dispatch Information:**');
+  // Replace any variation of Dispatch Information with single colon
+  result = result.replace(/\*\*Dispatch Information:+\*\*/i, '**Dispatch Information:**');
+  // Remove ellipses from the generated text (e.g., "...")
+  result = result.replace(/\.\.\.+/g, '');
+  // Convert markdown bold to HTML <strong>
+  result = result.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+  // Remove any extra colon right after the bold heading
+  result = result.replace(/(<strong>Dispatch Information:<\/strong>):+/i, '$1');
+  // Convert newline to <br/> 
+  result = result.replace(/\n/g, '<br/>');
+  return result;
+};
+
 const formatTime = (seconds) => {
   const minutes = Math.floor(seconds / 60);
   const remainingSeconds = seconds % 60;
@@ -34,15 +57,29 @@ const formatTime = (seconds) => {
 export default function App() {
   const navigate = useNavigate();
   const location = useLocation();
-  const [scenarioData, setScenarioData] = useState(location.state || null);
+  // Team scenarios arrive with { team: { sessionId, role } }; only the lead asks for the dispatch
+  const [teamLaunch] = useState(location.state?.team || null);
+  const [scenarioData, setScenarioData] = useState(() => {
+    if (!location.state?.team) return location.state || null;
+    const { team, ...scenario } = location.state;
+    return team.role === 'lead' ? scenario : null;
+  });
+  const [user] = useState(getUser);
+  const [team, setTeam] = useState(null); // Roster and join code of a team scenario
+  const teamConversationLengthRef = useRef(-1);
+  // Set when an instructor plays an unsaved case from the authoring page
+  const [previewDraft] = useState(location.state?.libraryCaseDraft || null);
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [timeLeft, setTimeLeft] = useState(20 * 60); // 20 minutes in seconds (synced with backend)
   const [isTimerRunning, setIsTimerRunning] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [conversation, setConversation] = useState([]);
+  const [sessionId, setSessionId] = useState(teamLaunch?.sessionId || null); // Server-side scenario session
+  const [scenarioEnded, setScenarioEnded] = useState(false); // Replay becomes available once graded
   const [dispatchRequested, setDispatchRequested] = useState(false); // Track if we've requested a dispatch
   const dispatchRequestedRef = useRef(false); // Ref to track if dispatch has been requested
+  const sendMessageRef = useRef(null); // Latest sendMessageToAPI, for the dispatch request effect
   const [isListening, setIsListening] = useState(false); // Voice input state
   const messagesEndRef = useRef(null);
   const audioContextRef = useRef(null);
@@ -50,6 +87,7 @@ export default function App() {
   const mediaStreamRef = useRef(null);
   const rafIdRef = useRef(null);
   const recognitionRef = useRef(null);
+  const voiceDurationRef = useRef(0); // Milliseconds recorded into the current draft; radio reports are timed on it
   const [micLevel, setMicLevel] = useState(0);
   const inputRef = useRef(null);
   const [backendConnected, setBackendConnected] = useState(true); // Track backend connection
@@ -74,46 +112,74 @@ export default function App() {
     );
   };
 
-  // Helper to format assistant response for better readability
-  const formatAssistantText = (text) => {
-    if (!text) return text;
-    let result = text;
-    // Normalize plain 'Dispatch Information' heading and ensure single colon
-    result = result.replace(/^\s*(?:\*\*)?Dispatch Information(?::+)?(?:\*\*)?/i, '**Dispatch Information:**');
-    // Replace any variation of Dispatch Information with single colon
-    result = result.replace(/\*\*Dispatch Information:+\*\*/i, '**Dispatch Information:**');
-    // Remove ellipses from the generated text (e.g., "...")
-    result = result.replace(/\.\.\.+/g, '');
-    // Convert markdown bold to HTML <strong>
-    result = result.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    // Remove any extra colon right after the bold heading
-    result = result.replace(/(<strong>Dispatch Information:<\/strong>):+/i, '$1');
-    // Convert newline to <br/> 
-    result = result.replace(/\n/g, '<br/>');
-    return result;
-  };
+
+  // A team's conversation lives on the server; show it with who said each message
+  const applyTeamView = useCallback((view) => {
+    setTeam(view);
+    if (view.scenarioData?.generatedScenario) {
+      setScenarioData(view.scenarioData);
+    }
+    if (view.scenarioEnded) {
+      setScenarioEnded(true);
+      setIsTimerRunning(false);
+    }
+    if (view.conversation.length === teamConversationLengthRef.current) return;
+    teamConversationLengthRef.current = view.conversation.length;
+
+    setConversation(view.conversation);
+    // The lead's request for the dispatch comes before the first reply and is not shown
+    const firstReply = view.conversation.findIndex(m => m.role === 'assistant');
+    setMessages(view.conversation
+      .filter((m, idx) => idx >= firstReply && (m.role === 'user' || m.role === 'assistant'))
+      .map(m => (m.role === 'assistant'
+        ? { sender: 'ai', text: formatAssistantText(m.content) }
+        : {
+          sender: 'user',
+          text: m.content,
+          speaker: m.speaker,
+          own: !m.speaker || m.speaker.userId === user?.id
+        })));
+  }, [user?.id]);
 
   // Generate dispatch note function is no longer used but kept for reference
   // const generateDispatchNote = () => { /* static messages removed */ };
 
   // Initialize: when scenario data is present, automatically ask the chatbot to generate a dispatch note
   useEffect(() => {
-    if (scenarioData && !dispatchRequestedRef.current) {
+    if (scenarioData && !dispatchRequestedRef.current && (!teamLaunch || teamLaunch.role === 'lead')) {
       dispatchRequestedRef.current = true; // Mark as requested immediately
       setDispatchRequested(true);
 
       const { subScenario } = scenarioData;
-      const prompt = `Generate a ${subScenario} scenario for me.`;
+      // Scenario-code runs leave the type for the server to decode
+      const prompt = subScenario ? `Generate a ${subScenario} scenario for me.` : 'Generate a scenario for me.';
 
       // Clear any existing messages so we only show the upcoming dispatch
       setMessages([]);
 
       // Async function to send the prompt to the backend
       (async () => {
-        await sendMessageToAPI(prompt);
+        await sendMessageRef.current(prompt);
       })();
     }
-  }, [scenarioData]); // Only depend on scenarioData
+  }, [scenarioData, teamLaunch]); // Only depend on scenarioData and the team role
+
+  // Pick up teammates' messages until the scenario is graded
+  useEffect(() => {
+    if (!teamLaunch || scenarioEnded) return undefined;
+    const load = async () => {
+      try {
+        const response = await apiFetch(`/teams/${encodeURIComponent(teamLaunch.sessionId)}`);
+        const data = await response.json();
+        if (data.success) applyTeamView(data.data);
+      } catch (error) {
+        console.error('Error loading team:', error);
+      }
+    };
+    load();
+    const timer = setInterval(load, TEAM_POLL_MS);
+    return () => clearInterval(timer);
+  }, [teamLaunch, scenarioEnded, applyTeamView]);
 
   useEffect(() => {
     let timer;
@@ -151,11 +217,11 @@ export default function App() {
   }, [messages, isLoading]);
 
   // Function to send message to backend API
-  const sendMessageToAPI = async (message) => {
+  const sendMessageToAPI = async (message, voiceDurationMs = 0) => {
     try {
       setIsLoading(true);
 
-      const response = await fetch(`${config.apiBaseUrl}/chat`, {
+      const response = await apiFetch('/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -163,13 +229,26 @@ export default function App() {
         body: JSON.stringify({
           message: message,
           conversation: conversation,
-          scenarioData: scenarioData // Include scenario data
+          scenarioData: scenarioData, // Include scenario data
+          sessionId: sessionId,
+          voice: voiceDurationMs > 0 ? { durationMs: voiceDurationMs } : null
         }),
       });
 
       const data = await response.json();
 
       if (data.success) {
+        // Keep routing follow-up messages to the session the server issued
+        if (data.data.sessionId) {
+          setSessionId(data.data.sessionId);
+        }
+
+        // Teammates' messages may have come in since the last poll, so take the shared conversation
+        if (data.data.team) {
+          applyTeamView(data.data.team);
+          return;
+        }
+
         // Update scenario data if enhanced data is returned
         if (data.data.scenarioData && data.data.scenarioData.generatedScenario) {
           setScenarioData(data.data.scenarioData);
@@ -188,6 +267,10 @@ export default function App() {
         ];
 
         setConversation(updatedConversation);
+        if (additional.some(m => m.content === 'scenarioEnded')) {
+          setScenarioEnded(true);
+          setIsTimerRunning(false);
+        }
 
         // Add AI response to messages (formatted for readability)
         const formattedResponse = formatAssistantText(data.data.response);
@@ -209,6 +292,7 @@ export default function App() {
       setIsLoading(false);
     }
   };
+  sendMessageRef.current = sendMessageToAPI;
 
   // Auto-resize the input area as text grows (typing or voice input)
   useEffect(() => {
@@ -320,8 +404,10 @@ export default function App() {
       const rec = new MediaRecorder(stream, { mimeType: 'audio/webm' });
       setIsListening(true);
       rec.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunks.push(e.data); };
+      const recordingStartedAt = Date.now();
       rec.onstop = async () => {
         try {
+          const durationMs = Date.now() - recordingStartedAt;
           const blob = new Blob(chunks, { type: 'audio/webm' });
           const base64 = await new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -330,14 +416,15 @@ export default function App() {
             reader.readAsDataURL(blob);
           });
 
-          const resp = await fetch(`${config.apiBaseUrl}/transcribe`, {
+          const resp = await apiFetch('/transcribe', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ audio: `data:audio/webm;base64,${base64}` })
+            body: JSON.stringify({ audio: `data:audio/webm;base64,${base64}`, durationMs })
           });
           const data = await resp.json();
           if (data && data.success && data.data && data.data.text) {
             setInput(prev => (prev ? (prev + ' ' + data.data.text).trim() : data.data.text));
+            voiceDurationRef.current += data.data.durationMs || 0;
           } else {
             console.error('Transcription failed:', data?.error);
           }
@@ -364,10 +451,12 @@ export default function App() {
       await stopListening();
     }
 
-    const userMessage = { sender: 'user', text: input.trim() };
+    const userMessage = { sender: 'user', text: input.trim(), own: true };
     setMessages(prev => [...prev, userMessage]);
 
     const messageText = input.trim();
+    const voiceDurationMs = voiceDurationRef.current;
+    voiceDurationRef.current = 0;
     setInput('');
 
     // Only repeat the readiness message if the scenario hasn't started yet
@@ -380,7 +469,7 @@ export default function App() {
       }]);
     } else {
       // Send message to API
-      await sendMessageToAPI(messageText);
+      await sendMessageToAPI(messageText, voiceDurationMs);
     }
   };
 
@@ -388,7 +477,7 @@ export default function App() {
   useEffect(() => {
     const checkBackendConnection = async () => {
       try {
-        const response = await fetch(`${config.apiBaseUrl}/health`, { 
+        const response = await apiFetch('/health', { 
           method: 'GET',
           timeout: 5000 
         });
@@ -496,6 +585,69 @@ export default function App() {
         paddingBottom: '100px'
       }}>
 
+        {previewDraft && (
+          <div style={{
+            maxWidth: '680px',
+            margin: '0 auto 1rem',
+            backgroundColor: '#FFEBEB',
+            color: '#000000',
+            borderRadius: '0.5rem',
+            padding: '0.5rem 1rem',
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            fontSize: '13px'
+          }}>
+            <span>Instructor preview: {previewDraft.title || previewDraft.id}</span>
+            <button
+              onClick={() => navigate('/author', { state: { draft: previewDraft, loadedKey: location.state?.authoringKey || null } })}
+              style={{
+                background: 'white',
+                border: '1px solid #D1D5DB',
+                borderRadius: '0.5rem',
+                padding: '0.25rem 0.75rem',
+                cursor: 'pointer'
+              }}
+            >
+              Back to editor
+            </button>
+          </div>
+        )}
+
+        {team && (
+          <div style={{
+            maxWidth: '680px',
+            margin: '0 auto 1rem',
+            backgroundColor: 'white',
+            color: '#000000',
+            borderRadius: '0.5rem',
+            padding: '0.5rem 1rem',
+            fontSize: '13px'
+          }}>
+            <div>
+              Team code: <strong style={{ letterSpacing: '0.05em' }}>{team.joinCode}</strong>
+              {team.openRoles.length > 0 && !scenarioEnded && <> · teammates can join as {team.openRoles.join(' or ')}</>}
+            </div>
+            <div style={{ color: '#4B5563', marginTop: '0.25rem' }}>
+              {team.members.map(member => `${member.displayName} (${member.roleLabel})`).join(' · ')}
+              {' '}· messages from teammates appear every {TEAM_POLL_MS / 1000} seconds
+            </div>
+          </div>
+        )}
+
+        {scenarioData?.meta?.scenarioCode && (
+          <div style={{
+            maxWidth: '680px',
+            margin: '0 auto 1rem',
+            color: '#4B5563',
+            textAlign: 'center',
+            fontSize: '12px'
+          }}>
+            Scenario code: <strong style={{ color: '#000000', letterSpacing: '0.05em' }}>{scenarioData.meta.scenarioCode}</strong>
+            {' '}(enter it on the start screen to rerun this call)
+          </div>
+        )}
+
         <div style={{ marginBottom: '2rem' }}>
           {messages.map((msg, idx) => (
             <div key={idx} style={{
@@ -511,7 +663,7 @@ export default function App() {
                 maxWidth: 'min(680px, 85%)',
                 width: 'fit-content',
                 margin: 0,
-                backgroundColor: msg.sender === 'user' ? '#E60000' : 'white',
+                backgroundColor: msg.sender === 'user' ? (msg.own === false ? '#7F1D1D' : '#E60000') : 'white',
                 color: msg.sender === 'user' ? 'white' : '#000000',
                 borderRadius: msg.sender === 'user' ? '1.5rem 1.5rem 0.5rem 1.5rem' : '1.5rem 1.5rem 1.5rem 0.5rem',
                 padding: '1rem',
@@ -523,6 +675,12 @@ export default function App() {
                 position: 'relative',
                 zIndex: 1
               }}>
+                {msg.speaker && (
+                  <div style={{ fontSize: '11px', fontWeight: 'bold', opacity: 0.85, marginBottom: '0.25rem' }}>
+                    {msg.own ? 'You' : msg.speaker.username}
+                    {' '}· {team?.members.find(member => member.username === msg.speaker.username)?.roleLabel || msg.speaker.role}
+                  </div>
+                )}
                 {msg.sender === 'ai' ? (<span dangerouslySetInnerHTML={{ __html: msg.text }} />) : msg.text}
               </div>
               {msg.sender === 'user' && (
@@ -545,6 +703,40 @@ export default function App() {
               )}
             </div>
           ))}
+          {scenarioEnded && sessionId && (
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+              <button
+                onClick={() => navigate(`/replay?session=${encodeURIComponent(sessionId)}`, { state: { sessionId } })}
+                style={{
+                  background: 'white',
+                  color: '#E60000',
+                  border: 'none',
+                  borderRadius: '0.5rem',
+                  padding: '0.5rem 1.25rem',
+                  fontWeight: 'bold',
+                  cursor: 'pointer',
+                  boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)'
+                }}
+              >
+                ▶ Replay this scenario
+              </button>
+              <button
+                onClick={() => navigate('/progress')}
+                style={{
+                  background: 'white',
+                  color: '#1e3a8a',
+                  border: 'none',
+                  borderRadius: '0.5rem',
+                  padding: '0.5rem 1.25rem',
+                  fontWeight: 'bold',
+                  cursor: 'pointer',
+                  boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)'
+                }}
+              >
+                📈 My progress
+              </button>
+            </div>
+          )}
           <div ref={messagesEndRef} />
 
           {/* Loading indicator */}
@@ -614,7 +806,11 @@ export default function App() {
             <textarea
               ref={inputRef}
               value={input}
-              onChange={(e) => setInput(e.target.value)}
+              onChange={(e) => {
+                // A cleared draft no longer holds anything that was spoken
+                if (!e.target.value.trim()) voiceDurationRef.current = 0;
+                setInput(e.target.value);
+              }}
               onKeyDown={(e) => {
                 if (e.key === 'Enter' && !e.shiftKey && !isLoading) {
                   e.preventDefault();
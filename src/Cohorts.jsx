@@ -0,0 +1,391 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import Header from './Header';
+import { apiFetch, getUser, hasRole } from './auth';
+
+const cardStyle = {
+  backgroundColor: '#ffffff',
+  color: '#000000',
+  borderRadius: '20px',
+  padding: '1.5rem',
+  boxShadow: '0 10px 24px rgba(0, 0, 0, 0.12)',
+  marginBottom: '1rem'
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#1e3a8a',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const buttonStyle = {
+  padding: '0.4rem 0.9rem',
+  backgroundColor: '#FFEBEB',
+  color: '#000000',
+  border: 'none',
+  borderRadius: '0.5rem',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const inputStyle = { padding: '0.4rem', border: '1px solid #D1D5DB', borderRadius: '0.375rem', fontSize: '13px' };
+
+const cellStyle = { padding: '0.3rem 0.5rem', borderBottom: '1px solid #E5E7EB', fontSize: '13px', textAlign: 'left' };
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+const formatClock = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Green at or above 80% passing, amber from 50%, red below
+const rateColor = (rate) => {
+  if (rate === null || rate === undefined) return '#F3F4F6';
+  if (rate >= 80) return '#D1FAE5';
+  if (rate >= 50) return '#FEF3C7';
+  return '#FEE2E2';
+};
+
+async function readJson(response) {
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error([data.error, ...(Array.isArray(data.details) ? data.details : [])].filter(Boolean).join(': '));
+  }
+  return data.data;
+}
+
+function InterventionHistogram({ firstIntervention }) {
+  const max = Math.max(...firstIntervention.histogram.map(bucket => bucket.count), 1);
+  return (
+    <>
+      <p style={{ margin: '0 0 0.75rem', fontSize: '13px', color: '#374151' }}>
+        Median {formatClock(firstIntervention.medianMs)} · middle half {formatClock(firstIntervention.p25Ms)}–{formatClock(firstIntervention.p75Ms)}
+        {' '}· {firstIntervention.timed} timed, {firstIntervention.withoutIntervention} with no intervention
+      </p>
+      {firstIntervention.histogram.map(bucket => (
+        <div key={bucket.fromMinute} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '12px', marginBottom: '2px' }}>
+          <span style={{ width: '4.5rem', color: '#6B7280' }}>{bucket.fromMinute}–{bucket.toMinute} min</span>
+          <span style={{ height: '12px', width: `${(bucket.count / max) * 70}%`, backgroundColor: '#1e3a8a', borderRadius: '2px' }} />
+          <span>{bucket.count}</span>
+        </div>
+      ))}
+    </>
+  );
+}
+
+function CohortDashboard({ cohortId, onBack }) {
+  const navigate = useNavigate();
+  const [cohort, setCohort] = useState(null);
+  const [dashboard, setDashboard] = useState(null);
+  const [usernames, setUsernames] = useState('');
+  const [status, setStatus] = useState('Loading cohort...');
+
+  const load = useCallback(async () => {
+    try {
+      const id = encodeURIComponent(cohortId);
+      const [loadedCohort, loadedDashboard] = await Promise.all([
+        apiFetch(`/cohorts/${id}`).then(readJson),
+        apiFetch(`/cohorts/${id}/dashboard`).then(readJson)
+      ]);
+      setCohort(loadedCohort);
+      setDashboard(loadedDashboard);
+      setStatus('');
+    } catch (error) {
+      setStatus(error.message || 'Failed to load the cohort.');
+    }
+  }, [cohortId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const enroll = async () => {
+    const names = usernames.split(/[\s,]+/).filter(Boolean);
+    if (names.length === 0) return;
+    try {
+      await readJson(await apiFetch(`/cohorts/${encodeURIComponent(cohortId)}/members`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ usernames: names })
+      }));
+      setUsernames('');
+      await load();
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  const unenroll = async (member) => {
+    if (!window.confirm(`Remove ${member.displayName} from ${cohort.name}? Their attempts are kept.`)) return;
+    try {
+      await readJson(await apiFetch(`/cohorts/${encodeURIComponent(cohortId)}/members/${encodeURIComponent(member.id)}`, { method: 'DELETE' }));
+      await load();
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  // The export is an authenticated request, so fetch it and hand the browser a blob
+  const download = async (format) => {
+    try {
+      const response = await apiFetch(`/cohorts/${encodeURIComponent(cohortId)}/gradebook?format=${format}`);
+      if (!response.ok) throw new Error('Failed to export the gradebook.');
+      const blob = format === 'csv'
+        ? await response.blob()
+        : new Blob([JSON.stringify((await response.json()).data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${cohort.name.replace(/[^A-Za-z0-9_-]+/g, '_')}-gradebook.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  if (!cohort || !dashboard) {
+    return (
+      <div style={cardStyle}>
+        <button style={linkStyle} onClick={onBack}>◀ All cohorts</button>
+        <p style={{ marginBottom: 0 }}>{status}</p>
+      </div>
+    );
+  }
+
+  const categoryKeys = dashboard.categories.map(category => category.key);
+
+  return (
+    <>
+      <div style={cardStyle}>
+        <button style={linkStyle} onClick={onBack}>◀ All cohorts</button>
+        <h2 style={{ margin: '0.5rem 0', color: '#E60000' }}>{cohort.name}</h2>
+        <p style={{ margin: 0, color: '#374151', fontSize: '14px' }}>
+          {cohort.course} · {dashboard.cohort.students} students · graded with {dashboard.rubric.title} ({dashboard.rubric.ref})
+        </p>
+        {status && <p style={{ color: '#B91C1C', fontSize: '13px' }}>{status}</p>}
+        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem', flexWrap: 'wrap' }}>
+          <button style={buttonStyle} onClick={() => download('csv')}>⬇ Gradebook (CSV)</button>
+          <button style={buttonStyle} onClick={() => download('json')}>⬇ Gradebook (JSON)</button>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0 }}>Students and scenarios attempted</h3>
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+          <input
+            style={{ ...inputStyle, flex: 1 }}
+            placeholder="Add students by username (comma or space separated)"
+            value={usernames}
+            onChange={(e) => setUsernames(e.target.value)}
+          />
+          <button style={buttonStyle} onClick={enroll}>Add</button>
+        </div>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Student</th>
+                <th style={cellStyle}>Attempts</th>
+                <th style={cellStyle}>Passed</th>
+                {categoryKeys.map(key => <th key={key} style={{ ...cellStyle, fontSize: '11px' }}>{key}</th>)}
+                <th style={cellStyle}>Last attempt</th>
+                <th style={cellStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {dashboard.students.map(student => (
+                <tr key={student.userId}>
+                  <td style={cellStyle}>
+                    <button style={linkStyle} onClick={() => navigate(`/progress?user=${encodeURIComponent(student.userId)}`)}>
+                      {student.displayName}
+                    </button>
+                    <span style={{ color: '#6B7280' }}> {student.username}</span>
+                  </td>
+                  <td style={cellStyle}>{student.attempts}</td>
+                  <td style={cellStyle}>{student.passed}</td>
+                  {categoryKeys.map(key => {
+                    const category = student.categories[key];
+                    return (
+                      <td key={key} style={{ ...cellStyle, backgroundColor: category ? rateColor(Math.round((category.passed / category.attempts) * 100)) : 'transparent' }}>
+                        {category ? `${category.passed}/${category.attempts}` : ''}
+                      </td>
+                    );
+                  })}
+                  <td style={cellStyle}>{formatDate(student.lastAttemptAt)}</td>
+                  <td style={cellStyle}>
+                    <button style={linkStyle} onClick={() => unenroll(student)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0 }}>Pass/fail by {cohort.course} section</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Section</th>
+              <th style={cellStyle}>Pass mark</th>
+              <th style={cellStyle}>Passed</th>
+              <th style={cellStyle}>Failed</th>
+              <th style={cellStyle}>Pass rate</th>
+              <th style={cellStyle}>Average</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dashboard.sections.map(section => (
+              <tr key={section.id}>
+                <td style={cellStyle}>{section.name}</td>
+                <td style={cellStyle}>{section.passScore}/{section.maxScore}</td>
+                <td style={cellStyle}>{section.passed}</td>
+                <td style={cellStyle}>{section.failed}</td>
+                <td style={{ ...cellStyle, backgroundColor: rateColor(section.passRate) }}>{formatRate(section.passRate)}</td>
+                <td style={cellStyle}>{section.averageScore ?? '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0 }}>Pass rate by scenario</h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Scenario</th>
+              <th style={cellStyle}>Students</th>
+              <th style={cellStyle}>Attempts</th>
+              <th style={cellStyle}>Passed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {dashboard.categories.map(category => (
+              <tr key={category.key}>
+                <td style={cellStyle}>{category.key}</td>
+                <td style={cellStyle}>{category.students}</td>
+                <td style={cellStyle}>{category.attempts}</td>
+                <td style={cellStyle}>{category.passed} ({formatRate(category.passRate)})</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0 }}>Most missed checklist items</h3>
+        {dashboard.commonMisses.length === 0
+          ? <p style={{ margin: 0, color: '#6B7280', fontSize: '13px' }}>No misses recorded yet.</p>
+          : (
+            <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '13px' }}>
+              {dashboard.commonMisses.map(item => (
+                <li key={item.id}>
+                  {item.description}
+                  <span style={{ color: '#6B7280' }}> · missed on {item.missed} of {item.graded} attempts ({formatRate(item.missRate)}) by {item.students} students</span>
+                </li>
+              ))}
+            </ul>
+          )}
+      </div>
+
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0 }}>Time to first intervention</h3>
+        <InterventionHistogram firstIntervention={dashboard.firstIntervention} />
+      </div>
+    </>
+  );
+}
+
+export default function Cohorts() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [user] = useState(getUser);
+  const cohortId = new URLSearchParams(location.search).get('cohort');
+  const [cohorts, setCohorts] = useState([]);
+  const [name, setName] = useState('');
+  const [course, setCourse] = useState('EMED111');
+  const [status, setStatus] = useState('Loading cohorts...');
+
+  const load = useCallback(async () => {
+    try {
+      const loaded = await readJson(await apiFetch('/cohorts'));
+      setCohorts(loaded);
+      setStatus(loaded.length === 0 ? 'No cohorts yet. Create one to follow a class.' : '');
+    } catch (error) {
+      setStatus(error.message || 'Failed to load the cohorts.');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+    } else if (hasRole(user, 'instructor') && !cohortId) {
+      load();
+    }
+  }, [user, cohortId, navigate, load]);
+
+  const create = async () => {
+    try {
+      const cohort = await readJson(await apiFetch('/cohorts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, course })
+      }));
+      setName('');
+      navigate(`/cohorts?cohort=${encodeURIComponent(cohort.id)}`);
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, zIndex: 1000, background: 'white' }}>
+        <Header />
+      </div>
+      <div style={{ padding: '2rem 1rem', maxWidth: '1100px', margin: '76px auto 0', width: '100%', boxSizing: 'border-box' }}>
+        {!hasRole(user, 'instructor') ? (
+          <div style={cardStyle}>Cohorts are for instructors.</div>
+        ) : cohortId ? (
+          <CohortDashboard cohortId={cohortId} onBack={() => navigate('/cohorts')} />
+        ) : (
+          <>
+            <div style={cardStyle}>
+              <h1 style={{ fontSize: '2rem', fontWeight: 'bold', color: '#E60000', marginTop: 0 }}>Cohorts</h1>
+              {status && <p style={{ color: '#374151' }}>{status}</p>}
+              <ul style={{ paddingLeft: '1.25rem', fontSize: '14px' }}>
+                {cohorts.map(cohort => (
+                  <li key={cohort.id} style={{ marginBottom: '0.25rem' }}>
+                    <button style={{ ...linkStyle, fontSize: '14px' }} onClick={() => navigate(`/cohorts?cohort=${encodeURIComponent(cohort.id)}`)}>
+                      {cohort.name}
+                    </button>
+                    <span style={{ color: '#6B7280' }}> · {cohort.course} · {cohort.memberIds.length} students</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div style={cardStyle}>
+              <h3 style={{ marginTop: 0 }}>New cohort</h3>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <input style={{ ...inputStyle, flex: 1 }} placeholder="Name, e.g. EMED111 Fall 2026 section 2" value={name} onChange={(e) => setName(e.target.value)} />
+                <input style={{ ...inputStyle, width: '8rem' }} placeholder="Course" value={course} onChange={(e) => setCourse(e.target.value)} />
+                <button style={buttonStyle} onClick={create} disabled={!name.trim()}>Create</button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
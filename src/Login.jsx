@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import Header from './Header';
+import config from './config';
+import { apiFetch, setAuth } from './auth';
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #D1D5DB',
+  borderRadius: '0.5rem',
+  outline: 'none',
+  backgroundColor: 'white',
+  boxSizing: 'border-box',
+  color: '#000000'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  color: '#000000',
+  fontSize: '0.875rem',
+  fontWeight: '500'
+};
+
+const buttonStyle = {
+  width: '100%',
+  padding: '0.5rem 1rem',
+  backgroundColor: '#FFEBEB',
+  color: '#000000',
+  borderRadius: '0.5rem',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+export default function Login() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [providers, setProviders] = useState(null);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [registering, setRegistering] = useState(false);
+  const [error, setError] = useState(searchParams.get('error') || '');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Store the signed-in account and go to scenario selection
+  const finishSignIn = useCallback(async (token) => {
+    setAuth(token, null);
+    const response = await apiFetch('/auth/me');
+    const data = await response.json();
+    if (!data.success) {
+      setError(data.error || 'Sign-in failed.');
+      return;
+    }
+    setAuth(token, data.data);
+    navigate('/', { replace: true });
+  }, [navigate]);
+
+  // Single sign-on comes back here with ?token=...
+  useEffect(() => {
+    const token = searchParams.get('token');
+    if (token) finishSignIn(token);
+  }, [searchParams, finishSignIn]);
+
+  useEffect(() => {
+    apiFetch('/auth/providers')
+      .then(response => response.json())
+      .then(data => setProviders(data.success ? data.data : { local: true }))
+      .catch(() => setProviders({ local: true }));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const response = await apiFetch(registering ? '/auth/register' : '/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password })
+      });
+      const data = await response.json();
+      if (data.success) {
+        await finishSignIn(data.data.token);
+      } else {
+        setError(data.details ? data.details.join('. ') : data.error);
+      }
+    } catch {
+      setError('Could not reach the server.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // The backend sends the browser back to this page (minus the hash route) once the identity provider is done
+  const ssoUrl = () => {
+    const returnTo = `${window.location.origin}${window.location.pathname}`;
+    const hint = username.trim() ? `&hint=${encodeURIComponent(username.trim())}` : '';
+    return `${config.apiBaseUrl}/auth/sso/login?returnTo=${encodeURIComponent(returnTo)}${hint}`;
+  };
+
+  return (
+    <div style={{ height: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <Header />
+      <div style={{
+        flex: 1,
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        padding: '20px'
+      }}>
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            background: 'white',
+            padding: '40px',
+            borderRadius: '16px',
+            boxShadow: '0 8px 16px rgba(0, 0, 0, 0.15)',
+            width: '100%',
+            maxWidth: '500px',
+            minWidth: '320px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '1.5rem'
+          }}
+        >
+          <h1 style={{
+            fontSize: '2.25rem',
+            fontWeight: 'bold',
+            color: '#E60000',
+            textAlign: 'center',
+            margin: 0
+          }}>
+            {registering ? 'Create an account' : 'Sign in'}
+          </h1>
+
+          {providers?.sso && !registering && (
+            <>
+              <a href={ssoUrl()} style={{ ...buttonStyle, textAlign: 'center', textDecoration: 'none', boxSizing: 'border-box' }}>
+                {providers.sso.label}
+              </a>
+              <div style={{ textAlign: 'center', color: '#6B7280', fontSize: '0.875rem' }}>or use a local account</div>
+            </>
+          )}
+
+          <div>
+            <label style={labelStyle}>SUNet ID or username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="SUNet ID"
+              autoComplete="username"
+              style={inputStyle}
+              required
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={registering ? 'new-password' : 'current-password'}
+              style={inputStyle}
+              required
+            />
+          </div>
+
+          {error && (
+            <div style={{ color: '#E60000', fontSize: '0.875rem' }}>{error}</div>
+          )}
+
+          <button type="submit" disabled={isSubmitting} style={{ ...buttonStyle, opacity: isSubmitting ? 0.6 : 1 }}>
+            {registering ? 'Create account' : 'Sign in'}
+          </button>
+
+          {providers?.registration && (
+            <button
+              type="button"
+              onClick={() => { setRegistering(!registering); setError(''); }}
+              style={{ background: 'none', border: 'none', color: '#1e3a8a', cursor: 'pointer', fontSize: '0.875rem' }}
+            >
+              {registering ? 'I already have an account' : 'New student? Create an account'}
+            </button>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
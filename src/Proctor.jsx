@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Header from './Header';
+import { apiFetch, getUser, hasRole } from './auth';
+
+// Refresh interval for the live views; one request per refresh stays inside the API rate limit
+const POLL_MS = 15000;
+
+const cardStyle = {
+  backgroundColor: '#ffffff',
+  color: '#000000',
+  borderRadius: '20px',
+  padding: '1.5rem',
+  boxShadow: '0 10px 24px rgba(0, 0, 0, 0.12)',
+  marginBottom: '1rem'
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#1e3a8a',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const inputStyle = { padding: '0.4rem', border: '1px solid #D1D5DB', borderRadius: '0.375rem', fontSize: '13px' };
+
+const formatClock = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatVitals = (vitals) => (vitals
+  ? `HR ${vitals.heartRate} · RR ${vitals.respiratoryRate} · BP ${vitals.systolic}/${vitals.diastolic} · SpO2 ${vitals.spO2}% · GCS ${vitals.gcs}`
+  : 'Not started');
+
+const describeScenario = (scenario) => {
+  if (!scenario) return 'No scenario yet';
+  if (scenario.libraryCase) return scenario.libraryCase;
+  return [scenario.mainScenario, scenario.subScenario].filter(Boolean).join(' · ');
+};
+
+async function readJson(response) {
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error([data.error, ...(Array.isArray(data.details) ? data.details : [])].filter(Boolean).join(': '));
+  }
+  return data.data;
+}
+
+function SessionCard({ session, onOpen }) {
+  const overTime = session.elapsedMs !== null && session.elapsedMs > session.timeLimitMinutes * 60000;
+  return (
+    <div style={{ ...cardStyle, marginBottom: 0, padding: '1rem', borderLeft: `6px solid ${session.active ? '#10B981' : '#9CA3AF'}` }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+        <strong>{session.student || 'Unknown student'}</strong>
+        <span style={{ fontSize: '12px', color: overTime ? '#B91C1C' : '#6B7280' }}>
+          {session.active ? formatClock(session.elapsedMs) : (session.endReason ? 'Ended' : 'Waiting')} / {session.timeLimitMinutes}:00
+        </span>
+      </div>
+      <div style={{ fontSize: '12px', color: '#6B7280', marginBottom: '0.5rem' }}>{describeScenario(session.scenario)}</div>
+      <div style={{ fontSize: '13px' }}>{formatVitals(session.vitals)}</div>
+      <div style={{ fontSize: '13px', color: '#374151', marginTop: '0.25rem' }}>
+        {session.phase && <>Patient: {session.phase} · </>}
+        {session.turns} turns · {session.itemsCompleted}/{session.itemsTotal} checklist items
+        {session.totalScore !== null && <> · {session.totalScore} points</>}
+      </div>
+      {(session.criticalFailures > 0 || session.equipmentFailures.length > 0) && (
+        <div style={{ fontSize: '12px', color: '#B91C1C', marginTop: '0.25rem' }}>
+          {session.criticalFailures > 0 && <>⚠️ {session.criticalFailures} critical failures </>}
+          {session.equipmentFailures.length > 0 && <>🔧 {session.equipmentFailures.join(', ')} down</>}
+        </div>
+      )}
+      <button style={{ ...linkStyle, marginTop: '0.5rem' }} onClick={() => onOpen(session.sessionId)}>
+        Open console{session.injectedEvents > 0 ? ` (${session.injectedEvents} injected)` : ''}
+      </button>
+    </div>
+  );
+}
+
+export default function Proctor() {
+  const navigate = useNavigate();
+  const [user] = useState(getUser);
+  const [sessions, setSessions] = useState([]);
+  const [cohorts, setCohorts] = useState([]);
+  const [cohortId, setCohortId] = useState('');
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [status, setStatus] = useState('Loading running scenarios...');
+
+  const load = useCallback(async () => {
+    try {
+      const query = cohortId ? `?cohortId=${encodeURIComponent(cohortId)}` : '';
+      setSessions(await readJson(await apiFetch(`/proctor/sessions${query}`)));
+      setStatus('');
+    } catch (error) {
+      setStatus(error.message || 'Failed to load the running scenarios.');
+    }
+  }, [cohortId]);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+      return undefined;
+    }
+    if (!hasRole(user, 'instructor')) return undefined;
+
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [user, navigate, load]);
+
+  useEffect(() => {
+    if (!hasRole(user, 'instructor')) return;
+    apiFetch('/cohorts').then(readJson).then(setCohorts).catch(() => setCohorts([]));
+  }, [user]);
+
+  const shown = activeOnly ? sessions.filter(session => session.active) : sessions;
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, zIndex: 1000, background: 'white' }}>
+        <Header />
+      </div>
+      <div style={{ padding: '2rem 1rem', maxWidth: '1100px', margin: '76px auto 0', width: '100%', boxSizing: 'border-box' }}>
+        {!hasRole(user, 'instructor') ? (
+          <div style={cardStyle}>Live proctoring is for instructors.</div>
+        ) : (
+          <>
+            <div style={cardStyle}>
+              <h1 style={{ fontSize: '2rem', fontWeight: 'bold', color: '#E60000', marginTop: 0 }}>Live Proctoring</h1>
+              <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap', fontSize: '13px' }}>
+                <select style={inputStyle} value={cohortId} onChange={(e) => setCohortId(e.target.value)}>
+                  <option value="">All students</option>
+                  {cohorts.map(cohort => <option key={cohort.id} value={cohort.id}>{cohort.name}</option>)}
+                </select>
+                <label>
+                  <input type="checkbox" checked={activeOnly} onChange={(e) => setActiveOnly(e.target.checked)} /> Running scenarios only
+                </label>
+                <button style={linkStyle} onClick={load}>Refresh now</button>
+                <span style={{ color: '#6B7280' }}>Updates every {POLL_MS / 1000} seconds</span>
+              </div>
+              {status && <p style={{ color: '#374151', marginBottom: 0 }}>{status}</p>}
+              {!status && shown.length === 0 && (
+                <p style={{ color: '#374151', marginBottom: 0 }}>No {activeOnly ? 'running ' : ''}scenarios right now.</p>
+              )}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))', gap: '1rem' }}>
+              {shown.map(session => (
+                <SessionCard
+                  key={session.sessionId}
+                  session={session}
+                  onOpen={(id) => navigate(`/proctor/console?session=${encodeURIComponent(id)}`)}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
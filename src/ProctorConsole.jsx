@@ -0,0 +1,317 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import Header from './Header';
+import { apiFetch, getUser, hasRole } from './auth';
+
+// Same refresh interval as the proctor grid
+const POLL_MS = 15000;
+
+const cardStyle = {
+  backgroundColor: '#ffffff',
+  color: '#000000',
+  borderRadius: '20px',
+  padding: '1.5rem',
+  boxShadow: '0 10px 24px rgba(0, 0, 0, 0.12)',
+  marginBottom: '1rem'
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#1e3a8a',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const buttonStyle = {
+  padding: '0.4rem 0.9rem',
+  backgroundColor: '#FFEBEB',
+  color: '#000000',
+  border: 'none',
+  borderRadius: '0.5rem',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const inputStyle = { padding: '0.4rem', border: '1px solid #D1D5DB', borderRadius: '0.375rem', fontSize: '13px' };
+
+const EVENT_LABELS = {
+  deterioration: 'Patient deteriorates',
+  bystanderInterrupt: 'Bystander interrupts',
+  equipmentFailure: 'Equipment fails',
+  equipmentRestored: 'Equipment working again'
+};
+
+const VITAL_LABELS = [
+  ['heartRate', 'HR', 'bpm'],
+  ['respiratoryRate', 'RR', '/min'],
+  ['spO2', 'SpO2', '%'],
+  ['etco2', 'EtCO2', 'mmHg'],
+  ['glucose', 'BGL', 'mg/dL'],
+  ['temperature', 'Temp', '°F'],
+  ['gcs', 'GCS', '']
+];
+
+const formatClock = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Chat markdown is limited to **bold**; the console shows it as plain text
+const plainText = (text) => String(text || '').replace(/\*\*/g, '');
+
+async function readJson(response) {
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error([data.error, ...(Array.isArray(data.details) ? data.details : [])].filter(Boolean).join(': '));
+  }
+  return data.data;
+}
+
+function InjectForm({ sessionId, catalog, disabled, onInjected }) {
+  const [type, setType] = useState('deterioration');
+  const [severity, setSeverity] = useState('moderate');
+  const [equipment, setEquipment] = useState('');
+  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState('');
+
+  const needsEquipment = type === 'equipmentFailure' || type === 'equipmentRestored';
+
+  const inject = async () => {
+    try {
+      const event = await readJson(await apiFetch(`/proctor/sessions/${encodeURIComponent(sessionId)}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type,
+          severity: type === 'deterioration' ? severity : undefined,
+          equipment: needsEquipment ? equipment || catalog.equipment[0]?.id : undefined,
+          message: message.trim() || undefined
+        })
+      }));
+      setMessage('');
+      setStatus(`Injected: ${event.description}. The student sees it with their next reply.`);
+      onInjected();
+    } catch (error) {
+      setStatus(error.message);
+    }
+  };
+
+  return (
+    <div style={cardStyle}>
+      <h3 style={{ marginTop: 0 }}>Inject an event</h3>
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.5rem' }}>
+        <select style={inputStyle} value={type} onChange={(e) => setType(e.target.value)}>
+          {catalog.types.map(key => <option key={key} value={key}>{EVENT_LABELS[key] || key}</option>)}
+        </select>
+        {type === 'deterioration' && (
+          <select style={inputStyle} value={severity} onChange={(e) => setSeverity(e.target.value)}>
+            {catalog.severities.map(key => <option key={key} value={key}>{key}</option>)}
+          </select>
+        )}
+        {needsEquipment && (
+          <select style={inputStyle} value={equipment} onChange={(e) => setEquipment(e.target.value)}>
+            {catalog.equipment.map(item => <option key={item.id} value={item.id}>{item.label}</option>)}
+          </select>
+        )}
+      </div>
+      <textarea
+        style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', minHeight: '3.5rem' }}
+        placeholder={type === 'bystanderInterrupt' ? 'What the bystander says (optional)' : 'What the student is told (optional; a stock description otherwise)'}
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+      />
+      <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginTop: '0.5rem' }}>
+        <button style={buttonStyle} onClick={inject} disabled={disabled}>Inject</button>
+        {disabled && <span style={{ fontSize: '12px', color: '#6B7280' }}>Events can only be injected while the scenario is running.</span>}
+      </div>
+      {status && <p style={{ fontSize: '13px', color: '#374151', marginBottom: 0 }}>{status}</p>}
+    </div>
+  );
+}
+
+function RubricProgress({ rubric }) {
+  if (!rubric) return <p style={{ margin: 0, color: '#6B7280', fontSize: '13px' }}>Nothing graded yet.</p>;
+  return (
+    <>
+      <p style={{ marginTop: 0, fontSize: '13px', color: '#374151' }}>
+        {rubric.final ? 'Final grade' : 'So far'}: {rubric.totalScore}/{rubric.totalPoints} points · {rubric.checkboxItems.filter(item => item.completed).length}/{rubric.checkboxItems.length} checklist items
+      </p>
+      <ul style={{ margin: 0, paddingLeft: 0, listStyle: 'none', fontSize: '13px' }}>
+        {rubric.checkboxItems.map(item => (
+          <li key={item.id} style={{ color: item.completed ? '#065F46' : '#9CA3AF' }}>
+            {item.completed ? '✓' : '○'} {item.description}
+            {item.completed && item.turn !== null && <span style={{ color: '#6B7280' }}> · turn {item.turn}, {formatClock(item.elapsedMs)}</span>}
+          </li>
+        ))}
+      </ul>
+      {rubric.criticalFailures.length > 0 && (
+        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '13px', color: '#B91C1C' }}>
+          {rubric.criticalFailures.map(failure => <li key={failure.id}>⚠️ {failure.reason}</li>)}
+        </ul>
+      )}
+      {rubric.sequenceViolations.length > 0 && (
+        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '13px', color: '#92400E' }}>
+          {rubric.sequenceViolations.map(violation => <li key={violation.rule}>{violation.message}</li>)}
+        </ul>
+      )}
+    </>
+  );
+}
+
+export default function ProctorConsole() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [user] = useState(getUser);
+  const sessionId = new URLSearchParams(location.search).get('session');
+  const [live, setLive] = useState(null);
+  const [catalog, setCatalog] = useState(null);
+  const [status, setStatus] = useState('Loading session...');
+
+  const load = useCallback(async () => {
+    try {
+      setLive(await readJson(await apiFetch(`/proctor/sessions/${encodeURIComponent(sessionId)}`)));
+      setStatus('');
+    } catch (error) {
+      setStatus(error.message || 'Failed to load the session.');
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login', { replace: true });
+      return undefined;
+    }
+    if (!hasRole(user, 'instructor') || !sessionId) return undefined;
+
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => clearInterval(timer);
+  }, [user, sessionId, navigate, load]);
+
+  useEffect(() => {
+    if (!hasRole(user, 'instructor')) return;
+    apiFetch('/proctor/catalog').then(readJson).then(setCatalog).catch(() => setCatalog(null));
+  }, [user]);
+
+  const page = (children) => (
+    <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, zIndex: 1000, background: 'white' }}>
+        <Header />
+      </div>
+      <div style={{ padding: '2rem 1rem', maxWidth: '1100px', margin: '76px auto 0', width: '100%', boxSizing: 'border-box' }}>
+        {children}
+      </div>
+    </div>
+  );
+
+  if (!hasRole(user, 'instructor')) return page(<div style={cardStyle}>The proctor console is for instructors.</div>);
+  if (!sessionId) return page(<div style={cardStyle}>No session selected.</div>);
+  if (!live) {
+    return page(
+      <div style={cardStyle}>
+        <p style={{ marginTop: 0 }}>{status}</p>
+        <button style={linkStyle} onClick={() => navigate('/proctor')}>← All running scenarios</button>
+      </div>
+    );
+  }
+
+  const scenario = live.scenario
+    ? (live.scenario.libraryCase || [live.scenario.mainScenario, live.scenario.subScenario].filter(Boolean).join(' · '))
+    : 'No scenario yet';
+
+  return page(
+    <>
+      <div style={cardStyle}>
+        <button style={linkStyle} onClick={() => navigate('/proctor')}>← All running scenarios</button>
+        <h1 style={{ fontSize: '1.75rem', fontWeight: 'bold', color: '#E60000', margin: '0.5rem 0 0.25rem' }}>
+          {live.metadata?.sunetId || 'Unknown student'}
+        </h1>
+        <p style={{ margin: 0, fontSize: '13px', color: '#374151' }}>
+          {scenario} · {live.active ? `running ${formatClock(live.elapsedMs)} of ${live.timeLimitMinutes}:00` : (live.endReason ? `ended (${live.endReason})` : 'waiting to start')}
+          {live.patientStatus?.label && <> · {live.patientStatus.label}, {live.patientStatus.phase}</>}
+        </p>
+        {status && <p style={{ fontSize: '13px', color: '#B91C1C', marginBottom: 0 }}>{status}</p>}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 3fr) minmax(0, 2fr)', gap: '1rem', alignItems: 'start' }}>
+        <div style={cardStyle}>
+          <h3 style={{ marginTop: 0 }}>Transcript</h3>
+          {live.transcript.length === 0 && <p style={{ margin: 0, color: '#6B7280', fontSize: '13px' }}>No messages yet.</p>}
+          <div style={{ maxHeight: '70vh', overflowY: 'auto' }}>
+            {live.transcript.map((message, index) => (
+              <div
+                key={index}
+                style={{
+                  margin: '0 0 0.5rem',
+                  padding: '0.5rem 0.75rem',
+                  borderRadius: '0.5rem',
+                  backgroundColor: message.role === 'user' ? '#EFF6FF' : '#F9FAFB',
+                  fontSize: '13px',
+                  whiteSpace: 'pre-wrap'
+                }}
+              >
+                <div style={{ fontSize: '11px', color: '#6B7280', marginBottom: '0.25rem' }}>
+                  {message.role === 'user' ? 'Student' : 'Patient / moderator'} · turn {message.turn} · {formatClock(message.elapsedMs)}
+                </div>
+                {plainText(message.content)}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div style={cardStyle}>
+            <h3 style={{ marginTop: 0 }}>Current vitals</h3>
+            {live.vitals ? (
+              <table style={{ borderCollapse: 'collapse', fontSize: '13px' }}>
+                <tbody>
+                  <tr><td style={{ paddingRight: '1rem', color: '#6B7280' }}>BP</td><td>{live.vitals.systolic}/{live.vitals.diastolic} mmHg</td></tr>
+                  {VITAL_LABELS.map(([key, label, unit]) => (
+                    <tr key={key}><td style={{ paddingRight: '1rem', color: '#6B7280' }}>{label}</td><td>{live.vitals[key]} {unit}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : <p style={{ margin: 0, color: '#6B7280', fontSize: '13px' }}>The scenario has not started.</p>}
+            {live.equipmentFailures.length > 0 && (
+              <p style={{ marginBottom: 0, fontSize: '13px', color: '#B91C1C' }}>
+                🔧 Not working: {live.equipmentFailures.map(failure => failure.label).join(', ')}
+              </p>
+            )}
+          </div>
+
+          {catalog && <InjectForm sessionId={sessionId} catalog={catalog} disabled={!live.active} onInjected={load} />}
+
+          <div style={cardStyle}>
+            <h3 style={{ marginTop: 0 }}>Injected events</h3>
+            {live.injectedEvents.length === 0
+              ? <p style={{ margin: 0, color: '#6B7280', fontSize: '13px' }}>None yet.</p>
+              : (
+                <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '13px' }}>
+                  {live.injectedEvents.map(event => (
+                    <li key={event.seq}>
+                      {formatClock(event.elapsedMs)} · {event.description}
+                      {event.by && <span style={{ color: '#6B7280' }}> · {event.by}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            {live.pendingNotices.length > 0 && (
+              <p style={{ marginBottom: 0, fontSize: '12px', color: '#6B7280' }}>
+                {live.pendingNotices.length} not yet seen by the student (delivered with their next reply)
+              </p>
+            )}
+          </div>
+
+          <div style={cardStyle}>
+            <h3 style={{ marginTop: 0 }}>Rubric items</h3>
+            <RubricProgress rubric={live.rubric} />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
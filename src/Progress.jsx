@@ -0,0 +1,314 @@
+import { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import Header from './Header';
+import { apiFetch } from './auth';
+import { MEDICAL_SCENARIOS, TRAUMA_SCENARIOS } from './scenarioTypes';
+
+const TREND_WIDTH = 820;
+const TREND_HEIGHT = 180;
+const TREND_PADDING = { top: 12, right: 16, bottom: 24, left: 36 };
+const TREND_COLORS = ['#E60000', '#1e3a8a', '#059669', '#7C3AED', '#D97706', '#0891B2', '#DB2777', '#4B5563'];
+
+// "Random Scenario" is resolved before a run starts, so attempts are always filed under a real type
+const CATEGORY_GROUPS = [
+  { mainScenario: 'Medical Scenario', subScenarios: MEDICAL_SCENARIOS.filter(name => name !== 'Random Scenario') },
+  { mainScenario: 'Trauma Scenario', subScenarios: TRAUMA_SCENARIOS.filter(name => name !== 'Random Scenario') }
+];
+
+const cardStyle = {
+  backgroundColor: '#ffffff',
+  color: '#000000',
+  borderRadius: '20px',
+  padding: '1.5rem',
+  boxShadow: '0 10px 24px rgba(0, 0, 0, 0.12)',
+  marginBottom: '1rem'
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#1e3a8a',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const cellStyle = { padding: '0.3rem 0.5rem', borderBottom: '1px solid #E5E7EB', fontSize: '13px', textAlign: 'left' };
+
+// Attempt text is shown as plain text; drop the markdown bold markers the chat renders
+const plainText = (text) => (text || '').replace(/\*\*/g, '');
+
+const formatDate = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${rate}%`);
+
+function SectionTrends({ trends }) {
+  const sections = Object.entries(trends);
+  const count = Math.max(...sections.map(([, trend]) => trend.points.length), 1);
+  const plotWidth = TREND_WIDTH - TREND_PADDING.left - TREND_PADDING.right;
+  const plotHeight = TREND_HEIGHT - TREND_PADDING.top - TREND_PADDING.bottom;
+  const x = (index) => TREND_PADDING.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2);
+  const y = (percent) => TREND_PADDING.top + plotHeight - (percent / 100) * plotHeight;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${TREND_WIDTH} ${TREND_HEIGHT}`} style={{ width: '100%' }}>
+        {[0, 25, 50, 75, 100].map(value => (
+          <g key={value}>
+            <line x1={TREND_PADDING.left} x2={TREND_WIDTH - TREND_PADDING.right} y1={y(value)} y2={y(value)} stroke="#E5E7EB" />
+            <text x={TREND_PADDING.left - 6} y={y(value) + 4} fontSize="10" textAnchor="end" fill="#6B7280">{value}%</text>
+          </g>
+        ))}
+        {Array.from({ length: count }, (_, index) => (
+          <text key={index} x={x(index)} y={TREND_HEIGHT - 6} fontSize="10" textAnchor="middle" fill="#6B7280">#{index + 1}</text>
+        ))}
+        {sections.map(([id, trend], sectionIndex) => {
+          const color = TREND_COLORS[sectionIndex % TREND_COLORS.length];
+          const points = trend.points.filter(point => point.percent !== null);
+          return (
+            <g key={id}>
+              <polyline
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+                points={points.map((point, index) => `${x(index)},${y(point.percent)}`).join(' ')}
+              />
+              {points.map((point, index) => (
+                <circle key={point.attemptId} cx={x(index)} cy={y(point.percent)} r="3" fill={color}>
+                  <title>{`${trend.name}: ${point.score}/${point.maxScore} (${formatDate(point.completedAt)})`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', fontSize: '12px', color: '#374151' }}>
+        {sections.map(([id, trend], sectionIndex) => (
+          <span key={id}>
+            <span style={{ color: TREND_COLORS[sectionIndex % TREND_COLORS.length], fontWeight: 'bold' }}>━</span> {trend.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CategoryTable({ categories }) {
+  const find = (mainScenario, subScenario) => categories.find(c => c.mainScenario === mainScenario && c.subScenario === subScenario);
+  const listed = new Set(CATEGORY_GROUPS.flatMap(group => group.subScenarios.map(name => `${group.mainScenario}|${name}`)));
+  const others = categories.filter(c => !listed.has(`${c.mainScenario}|${c.subScenario}`));
+
+  const row = (label, category) => (
+    <tr key={label}>
+      <td style={cellStyle}>{label}</td>
+      <td style={cellStyle}>{category ? category.attempts : 0}</td>
+      <td style={cellStyle}>{category ? `${category.passed} (${formatRate(category.passRate)})` : '—'}</td>
+    </tr>
+  );
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr>
+          <th style={cellStyle}>Scenario</th>
+          <th style={cellStyle}>Attempts</th>
+          <th style={cellStyle}>Passed</th>
+        </tr>
+      </thead>
+      {CATEGORY_GROUPS.map(group => (
+        <tbody key={group.mainScenario}>
+          <tr><td colSpan={3} style={{ ...cellStyle, fontWeight: 'bold', backgroundColor: '#F3F4F6' }}>{group.mainScenario}</td></tr>
+          {group.subScenarios.map(name => row(name, find(group.mainScenario, name)))}
+        </tbody>
+      ))}
+      {others.length > 0 && (
+        <tbody>
+          <tr><td colSpan={3} style={{ ...cellStyle, fontWeight: 'bold', backgroundColor: '#F3F4F6' }}>Other scenarios</td></tr>
+          {others.map(category => row(category.subScenario || category.mainScenario || 'Unknown', category))}
+        </tbody>
+      )}
+    </table>
+  );
+}
+
+function AttemptDetail({ attemptId, onBack }) {
+  const navigate = useNavigate();
+  const [attempt, setAttempt] = useState(null);
+  const [status, setStatus] = useState('Loading attempt...');
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const response = await apiFetch(`/attempts/${encodeURIComponent(attemptId)}`);
+        const data = await response.json();
+        if (data.success) {
+          setAttempt(data.data);
+          setStatus('');
+        } else {
+          setStatus(data.error || 'Failed to load the attempt.');
+        }
+      } catch {
+        setStatus('Failed to load the attempt.');
+      }
+    })();
+  }, [attemptId]);
+
+  if (!attempt) return <div style={cardStyle}>{status}</div>;
+
+  const grading = attempt.gradingResults;
+  return (
+    <>
+      <div style={cardStyle}>
+        <button style={linkStyle} onClick={onBack}>◀ All attempts</button>
+        <h2 style={{ margin: '0.5rem 0', color: '#E60000' }}>{attempt.scenario.subScenario || attempt.scenario.mainScenario}</h2>
+        <p style={{ margin: 0, color: '#374151', fontSize: '14px' }}>
+          {formatDate(attempt.completedAt)}
+          {attempt.scenario.difficulty && <> · {attempt.scenario.difficulty}</>}
+          {attempt.scenario.scenarioCode && <> · code <strong>{attempt.scenario.scenarioCode}</strong></>}
+          {' '}· {attempt.totalScore}/{attempt.maxScore} · {attempt.passed ? '✅ PASS' : '❌ FAIL'}
+        </p>
+        {attempt.team && (
+          <p style={{ margin: '0.25rem 0 0', color: '#374151', fontSize: '14px' }}>
+            👥 Team: {attempt.team.members.map(member => `${member.displayName} (${member.roleLabel})`).join(' · ')}
+          </p>
+        )}
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '1rem' }}>
+          <tbody>
+            {Object.entries(grading.scoredSections || {}).map(([id, section]) => (
+              <tr key={id}>
+                <td style={cellStyle}>{section.name}</td>
+                <td style={cellStyle}>{section.score}/{section.maxScore}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {attempt.sessionId && (
+          <button
+            style={{ ...linkStyle, marginTop: '0.75rem' }}
+            onClick={() => navigate(`/replay?session=${encodeURIComponent(attempt.sessionId)}`)}
+          >
+            ▶ Replay this scenario (while its session is still kept)
+          </button>
+        )}
+      </div>
+      <div style={cardStyle}>
+        <h3 style={{ marginTop: 0 }}>Transcript and feedback</h3>
+        {attempt.transcript.map((message, idx) => (
+          <div key={idx} style={{
+            backgroundColor: message.role === 'user' ? '#E60000' : '#F3F4F6',
+            color: message.role === 'user' ? 'white' : '#000000',
+            borderRadius: '1rem',
+            padding: '0.75rem 1rem',
+            marginBottom: '0.5rem',
+            fontSize: '13px',
+            whiteSpace: 'pre-wrap'
+          }}>
+            {message.speaker && <strong>{message.speaker.username}: </strong>}
+            {plainText(message.content)}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default function Progress() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const params = new URLSearchParams(location.search);
+  const attemptId = params.get('attempt');
+  // Instructors open a student's progress from their cohort dashboard
+  const studentId = params.get('user');
+  const studentQuery = studentId ? `user=${encodeURIComponent(studentId)}` : '';
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState('Loading your attempts...');
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const response = await apiFetch(studentId ? `/progress?userId=${encodeURIComponent(studentId)}` : '/progress');
+        const data = await response.json();
+        if (data.success) {
+          setProgress(data.data);
+          setStatus(data.data.attempts === 0 ? 'No completed attempts yet. Finish a scenario to see it here.' : '');
+        } else {
+          setStatus(data.error || 'Failed to load your progress.');
+        }
+      } catch {
+        setStatus('Failed to load your progress.');
+      }
+    })();
+  }, [studentId]);
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, zIndex: 1000, background: 'white' }}>
+        <Header />
+      </div>
+      <div style={{ padding: '2rem 1rem', maxWidth: '900px', margin: '76px auto 0', width: '100%', boxSizing: 'border-box' }}>
+        {attemptId ? (
+          <AttemptDetail attemptId={attemptId} onBack={() => navigate(`/progress${studentQuery ? `?${studentQuery}` : ''}`)} />
+        ) : (
+          <>
+            <div style={cardStyle}>
+              <h1 style={{ fontSize: '2rem', fontWeight: 'bold', color: '#E60000', marginTop: 0 }}>{studentId ? 'Student Progress' : 'My Progress'}</h1>
+              {status
+                ? <p style={{ margin: 0, color: '#374151' }}>{status}</p>
+                : <p style={{ margin: 0, color: '#374151' }}>{progress.attempts} attempts · {progress.passed} passed ({formatRate(progress.passRate)})</p>}
+            </div>
+
+            {progress?.attempts > 0 && (
+              <>
+                <div style={cardStyle}>
+                  <h3 style={{ marginTop: 0 }}>Section scores by attempt</h3>
+                  <SectionTrends trends={progress.sectionTrends} />
+                </div>
+
+                <div style={cardStyle}>
+                  <h3 style={{ marginTop: 0 }}>Pass rate by scenario</h3>
+                  <CategoryTable categories={progress.categories} />
+                </div>
+
+                <div style={cardStyle}>
+                  <h3 style={{ marginTop: 0 }}>Items you keep missing</h3>
+                  {progress.missedItems.length === 0
+                    ? <p style={{ margin: 0, color: '#6B7280', fontSize: '13px' }}>No checklist item has been missed more than once.</p>
+                    : (
+                      <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '13px' }}>
+                        {progress.missedItems.map(item => (
+                          <li key={item.id}>{item.description} <span style={{ color: '#6B7280' }}>· missed {item.missed} of {item.graded}</span></li>
+                        ))}
+                      </ul>
+                    )}
+                </div>
+
+                <div style={cardStyle}>
+                  <h3 style={{ marginTop: 0 }}>Recent attempts</h3>
+                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <tbody>
+                      {progress.recent.map(attempt => (
+                        <tr key={attempt.id}>
+                          <td style={cellStyle}>{formatDate(attempt.completedAt)}</td>
+                          <td style={cellStyle}>
+                            {attempt.scenario.subScenario || attempt.scenario.mainScenario}
+                            {attempt.team && <> · 👥 {attempt.team.members.find(member => member.role === attempt.team.role)?.roleLabel || attempt.team.role}</>}
+                          </td>
+                          <td style={cellStyle}>{attempt.totalScore}/{attempt.maxScore}</td>
+                          <td style={cellStyle}>{attempt.passed ? '✅' : '❌'}</td>
+                          <td style={cellStyle}>
+                            <button style={linkStyle} onClick={() => navigate(`/progress?attempt=${encodeURIComponent(attempt.id)}${studentQuery ? `&${studentQuery}` : ''}`)}>View</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,367 @@
+import { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import Header from './Header';
+import { apiFetch } from './auth';
+
+// Chart lines, in the same order the server lists CHART_VITALS
+const CHART_LINES = [
+  { key: 'heartRate', label: 'HR', color: '#E60000' },
+  { key: 'systolic', label: 'SBP', color: '#1e3a8a' },
+  { key: 'respiratoryRate', label: 'RR', color: '#059669' },
+  { key: 'spO2', label: 'SpO2', color: '#7C3AED' }
+];
+
+const VITAL_CHIPS = [
+  ['HR', v => v.heartRate],
+  ['BP', v => `${v.systolic}/${v.diastolic}`],
+  ['RR', v => v.respiratoryRate],
+  ['SpO2', v => `${v.spO2}%`],
+  ['Temp', v => v.temperature],
+  ['EtCO2', v => v.etco2],
+  ['BGL', v => v.glucose],
+  ['GCS', v => v.gcs]
+];
+
+const CHART_WIDTH = 820;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 36 };
+const CHART_MAX = 200;
+
+const cardStyle = {
+  backgroundColor: '#ffffff',
+  color: '#000000',
+  borderRadius: '20px',
+  padding: '1.5rem',
+  boxShadow: '0 10px 24px rgba(0, 0, 0, 0.12)',
+  marginBottom: '1rem'
+};
+
+const chipStyle = {
+  display: 'inline-block',
+  borderRadius: '999px',
+  padding: '0.2rem 0.6rem',
+  margin: '0 0.4rem 0.4rem 0',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  background: 'white',
+  border: '1px solid #D1D5DB',
+  borderRadius: '0.5rem',
+  padding: '0.4rem 0.9rem',
+  cursor: 'pointer'
+};
+
+const linkStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#991B1B',
+  textDecoration: 'underline',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const formatElapsed = (elapsedMs) => {
+  if (elapsedMs === null || elapsedMs === undefined) return '--:--';
+  const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Interventions use the default grey line and dark flag
+const MARKER_COLORS = {
+  error: { line: '#F59E0B', fill: '#F59E0B' },
+  injected: { line: '#A78BFA', fill: '#7C3AED' }
+};
+
+// Replay text is shown as plain text; drop the markdown bold markers the chat renders
+const plainText = (text) => (text || '').replace(/\*\*/g, '');
+
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'vitals':
+      return event.source === 'check' ? `Checked ${event.checked.join(', ')}` : null;
+    case 'error':
+      return `⚠️ ${event.message}`;
+    case 'bystander':
+      if (event.kind === 'present') return event.bystanders?.length ? `Bystanders on scene: ${event.bystanders.map(b => b.type).join(', ')}` : null;
+      return `Bystander: ${event.text}`;
+    case 'environment':
+      if (event.kind === 'conditions') {
+        const parts = [event.weather?.description || event.weather?.type, event.sceneHazard?.description || event.sceneHazard?.type].filter(Boolean);
+        return parts.length ? `Scene conditions: ${parts.join('; ')}` : null;
+      }
+      return `Environment: ${event.text}`;
+    case 'injected':
+      return `🎬 Instructor: ${event.description}`;
+    case 'radio':
+      if (event.kind === 'alsArrived') return `📻 ALS intercept ${event.unit} arrived`;
+      if (event.kind === 'reply') return null;
+      return `📻 Radio to ${event.channel}, ${Math.round(event.durationMs / 1000)} s${event.durationSource === 'audio' ? ' spoken' : ' (estimated)'}`;
+    case 'handover':
+      if (event.kind === 'arrival') return `🏥 At the hospital, ${event.receiver.label} ${event.receiver.name} receiving`;
+      if (event.kind === 'question') return `🏥 Receiver asked: ${event.text}`;
+      if (event.kind === 'accepted') return '🏥 Care transferred';
+      return null;
+    case 'examQuestion':
+      return `Exam question ${event.questionNumber}: ${event.text}`;
+    case 'examCompleted':
+      return `${event.examType} completed (${event.score}%)`;
+    case 'scenarioStarted':
+      return 'Scenario clock started';
+    case 'scenarioEnded':
+      return `Scenario ended: ${event.trigger || event.reason}`;
+    case 'graded':
+      return `Graded: ${event.totalScore} points, ${event.pass ? 'pass' : 'fail'}`;
+    default:
+      return null;
+  }
+};
+
+function VitalsChart({ vitals, markers, turns, currentTurn, onSelectTurn }) {
+  const lastTime = Math.max(
+    60000,
+    ...vitals.map(point => point.elapsedMs),
+    ...markers.map(marker => marker.elapsedMs || 0),
+    ...turns.map(turn => turn.elapsedMs || 0)
+  );
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = (elapsedMs) => CHART_PADDING.left + (elapsedMs / lastTime) * plotWidth;
+  const y = (value) => CHART_PADDING.top + plotHeight - (Math.min(CHART_MAX, Math.max(0, value)) / CHART_MAX) * plotHeight;
+
+  const cursorTime = turns.find(turn => turn.turn === currentTurn)?.elapsedMs;
+  const minuteTicks = Array.from({ length: Math.floor(lastTime / 60000) + 1 }, (_, i) => i * 60000)
+    .filter((_, i, all) => all.length <= 12 || i % Math.ceil(all.length / 12) === 0);
+
+  // Clicking the chart jumps to the turn that was under way at that time
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const elapsedMs = ((e.clientX - rect.left) / rect.width * CHART_WIDTH - CHART_PADDING.left) / plotWidth * lastTime;
+    const target = turns.filter(turn => turn.elapsedMs !== null && turn.elapsedMs <= elapsedMs).pop();
+    if (target) onSelectTurn(target.turn);
+  };
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', cursor: 'pointer' }} onClick={handleClick}>
+        {[0, 50, 100, 150, 200].map(value => (
+          <g key={value}>
+            <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={y(value)} y2={y(value)} stroke="#E5E7EB" />
+            <text x={CHART_PADDING.left - 6} y={y(value) + 4} fontSize="10" textAnchor="end" fill="#6B7280">{value}</text>
+          </g>
+        ))}
+        {minuteTicks.map(tick => (
+          <text key={tick} x={x(tick)} y={CHART_HEIGHT - 8} fontSize="10" textAnchor="middle" fill="#6B7280">{formatElapsed(tick)}</text>
+        ))}
+
+        {markers.map((marker, idx) => marker.elapsedMs !== null && (
+          <g key={idx}>
+            <line x1={x(marker.elapsedMs)} x2={x(marker.elapsedMs)} y1={CHART_PADDING.top} y2={CHART_PADDING.top + plotHeight}
+              stroke={MARKER_COLORS[marker.type]?.line || '#9CA3AF'} strokeDasharray="4 3" />
+            <polygon
+              points={`${x(marker.elapsedMs) - 5},${CHART_PADDING.top - 2} ${x(marker.elapsedMs) + 5},${CHART_PADDING.top - 2} ${x(marker.elapsedMs)},${CHART_PADDING.top + 6}`}
+              fill={MARKER_COLORS[marker.type]?.fill || '#111827'}
+            >
+              <title>{`${formatElapsed(marker.elapsedMs)} ${marker.description}`}</title>
+            </polygon>
+          </g>
+        ))}
+
+        {CHART_LINES.map(line => {
+          const points = vitals.filter(point => Number.isFinite(point[line.key]));
+          if (points.length === 0) return null;
+          return (
+            <polyline
+              key={line.key}
+              fill="none"
+              stroke={line.color}
+              strokeWidth="2"
+              points={points.map(point => `${x(point.elapsedMs)},${y(point[line.key])}`).join(' ')}
+            />
+          );
+        })}
+
+        {cursorTime !== null && cursorTime !== undefined && (
+          <line x1={x(cursorTime)} x2={x(cursorTime)} y1={CHART_PADDING.top} y2={CHART_PADDING.top + plotHeight} stroke="#E60000" strokeWidth="2" />
+        )}
+      </svg>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', fontSize: '12px', color: '#374151' }}>
+        {CHART_LINES.map(line => (
+          <span key={line.key}><span style={{ color: line.color, fontWeight: 'bold' }}>━</span> {line.label}</span>
+        ))}
+        <span>▼ Intervention</span>
+        <span style={{ color: '#B45309' }}>▼ Error</span>
+      </div>
+    </div>
+  );
+}
+
+export default function Replay() {
+  const location = useLocation();
+  const sessionId = location.state?.sessionId || new URLSearchParams(location.search).get('session');
+  const [replay, setReplay] = useState(null);
+  const [status, setStatus] = useState('');
+  const [turnIndex, setTurnIndex] = useState(0);
+
+  useEffect(() => {
+    if (!sessionId) {
+      setStatus('No scenario session to replay. Finish a scenario first.');
+      return;
+    }
+
+    (async () => {
+      try {
+        setStatus('Loading replay...');
+        const response = await apiFetch(`/sessions/${encodeURIComponent(sessionId)}/replay`);
+        const data = await response.json();
+        if (data.success) {
+          setReplay(data.data);
+          setStatus('');
+        } else {
+          setStatus(data.error);
+        }
+      } catch (error) {
+        console.error('Error loading replay:', error);
+        setStatus('Could not reach the server to load this replay.');
+      }
+    })();
+  }, [sessionId]);
+
+  if (!replay) {
+    return (
+      <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+        <Header />
+        <p style={{ color: 'white', textAlign: 'center', marginTop: '120px' }}>{status}</p>
+      </div>
+    );
+  }
+
+  const { turns, vitals, markers, scenario, grading } = replay;
+  const turn = turns[turnIndex] || turns[0];
+  const selectTurn = (number) => setTurnIndex(Math.max(0, turns.findIndex(t => t.turn === number)));
+  const turnEvents = (turn?.events || []).map(describeEvent).filter(Boolean);
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, zIndex: 1000, background: 'white' }}>
+        <Header />
+      </div>
+      <div style={{ padding: '2rem 1rem', maxWidth: '900px', margin: '76px auto 0', width: '100%', boxSizing: 'border-box' }}>
+        <div style={cardStyle}>
+          <h1 style={{ fontSize: '2rem', fontWeight: 'bold', color: '#E60000', marginTop: 0 }}>Scenario Replay</h1>
+          <p style={{ margin: 0, color: '#374151' }}>
+            {scenario.subScenario || scenario.mainScenario || 'Scenario'}
+            {scenario.scenarioCode && <> · code <strong>{scenario.scenarioCode}</strong></>}
+            {grading && <> · {grading.totalScore}/{grading.maxScore} · {grading.pass ? '✅ PASS' : '❌ FAIL'}</>}
+          </p>
+          {grading?.criticalFailures?.length > 0 && (
+            <ul style={{ margin: '0.75rem 0 0', paddingLeft: '1.25rem', color: '#991B1B', fontSize: '13px' }}>
+              {grading.criticalFailures.map(failure => (
+                <li key={failure.id}>
+                  🚫 {failure.reason}
+                  {failure.turn !== null && (
+                    <> · <button style={linkStyle} onClick={() => selectTurn(failure.turn)}>turn {failure.turn} ({formatElapsed(failure.elapsedMs)})</button></>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {grading?.sequenceViolations?.length > 0 && (
+            <ul style={{ margin: '0.75rem 0 0', paddingLeft: '1.25rem', color: '#92400E', fontSize: '13px' }}>
+              {grading.sequenceViolations.map((violation, idx) => (
+                <li key={`${violation.rule}-${idx}`}>
+                  ⏱️ {formatElapsed(violation.elapsedMs)} {violation.message}
+                  {violation.turn !== null && (
+                    <> · <button style={{ ...linkStyle, color: '#92400E' }} onClick={() => selectTurn(violation.turn)}>turn {violation.turn}</button></>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          {vitals.length > 0
+            ? <VitalsChart vitals={vitals} markers={markers} turns={turns} currentTurn={turn?.turn} onSelectTurn={selectTurn} />
+            : <p style={{ margin: 0, color: '#6B7280' }}>No vitals were recorded; the scenario never started.</p>}
+        </div>
+
+        <div style={cardStyle}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+            <button style={buttonStyle} disabled={turnIndex === 0} onClick={() => setTurnIndex(turnIndex - 1)}>◀ Previous</button>
+            <input
+              type="range"
+              min={0}
+              max={Math.max(0, turns.length - 1)}
+              value={turnIndex}
+              onChange={(e) => setTurnIndex(Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            <button style={buttonStyle} disabled={turnIndex >= turns.length - 1} onClick={() => setTurnIndex(turnIndex + 1)}>Next ▶</button>
+          </div>
+          <p style={{ margin: '0 0 1rem', color: '#374151', fontSize: '13px' }}>
+            {turn.turn === 0 ? 'Dispatch' : `Turn ${turn.turn} of ${turns.length - 1}`} · {formatElapsed(turn.elapsedMs)}
+          </p>
+
+          {turn.student && (
+            <div style={{ backgroundColor: '#E60000', color: 'white', borderRadius: '1rem', padding: '0.75rem 1rem', marginBottom: '0.75rem', fontSize: '13px' }}>
+              {turn.student}
+            </div>
+          )}
+          {turn.response && (
+            <div style={{ backgroundColor: '#F3F4F6', borderRadius: '1rem', padding: '0.75rem 1rem', marginBottom: '1rem', fontSize: '13px', whiteSpace: 'pre-wrap' }}>
+              {plainText(turn.response)}
+            </div>
+          )}
+
+          {turn.rubricItems.length > 0 && (
+            <div style={{ marginBottom: '0.75rem' }}>
+              <strong style={{ fontSize: '13px' }}>Rubric items satisfied</strong>
+              <div style={{ marginTop: '0.4rem' }}>
+                {turn.rubricItems.map(item => (
+                  <span key={`${item.kind}-${item.id}`} style={{
+                    ...chipStyle,
+                    backgroundColor: item.kind === 'critical' ? '#FFEBEB' : '#E0E7FF',
+                    color: item.kind === 'critical' ? '#991B1B' : '#1e3a8a'
+                  }}>
+                    {item.kind === 'critical' ? '✔ ' : ''}{item.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {turn.interventions.length > 0 && (
+            <div style={{ marginBottom: '0.75rem', fontSize: '13px' }}>
+              <strong>Interventions</strong>
+              <ul style={{ margin: '0.25rem 0 0' }}>
+                {turn.interventions.map((intervention, idx) => <li key={idx}>{intervention}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {turn.vitals && (
+            <div style={{ marginBottom: '0.75rem' }}>
+              <strong style={{ fontSize: '13px' }}>Vitals after this turn</strong>
+              <div style={{ marginTop: '0.4rem' }}>
+                {VITAL_CHIPS.map(([label, format]) => (
+                  <span key={label} style={{ ...chipStyle, backgroundColor: '#F3F4F6' }}>{label} {format(turn.vitals)}</span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {turnEvents.length > 0 && (
+            <div style={{ fontSize: '13px', color: '#374151' }}>
+              <strong>Events</strong>
+              <ul style={{ margin: '0.25rem 0 0' }}>
+                {turnEvents.map((text, idx) => <li key={idx}>{text}</li>)}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
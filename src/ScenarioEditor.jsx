@@ -0,0 +1,626 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import Header from './Header';
+import { apiFetch } from './auth';
+
+const VITAL_LABELS = {
+  heartRate: 'HR',
+  respiratoryRate: 'RR',
+  systolic: 'SBP',
+  diastolic: 'DBP',
+  spO2: 'SpO2',
+  temperature: 'Temp',
+  etco2: 'EtCO2',
+  glucose: 'BGL',
+  gcs: 'GCS'
+};
+
+const REGION_LABELS = {
+  head: 'Head/Face',
+  neck: 'Neck',
+  chest: 'Chest',
+  abdomen: 'Abdomen',
+  pelvis: 'Pelvis',
+  back: 'Back',
+  upper_extremities: 'Upper Extremities',
+  lower_extremities: 'Lower Extremities'
+};
+
+const HISTORY_FIELDS = [
+  ['chiefComplaint', 'Chief complaint'],
+  ['onsetTime', 'Onset'],
+  ['severity', 'Severity'],
+  ['description', 'Description'],
+  ['events', 'Events leading up'],
+  ['lastOralIntake', 'Last oral intake'],
+  ['pertinentNegatives', 'Pertinent negatives']
+];
+
+const SCENE_FIELDS = [
+  ['generalAppearance', 'General appearance'],
+  ['consciousness', 'Consciousness'],
+  ['airway', 'Airway'],
+  ['breathing', 'Breathing'],
+  ['circulation', 'Circulation'],
+  ['skin', 'Skin']
+];
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #D1D5DB',
+  borderRadius: '0.5rem',
+  outline: 'none',
+  backgroundColor: 'white',
+  boxSizing: 'border-box',
+  color: '#000000'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.25rem',
+  color: '#000000',
+  fontSize: '0.875rem',
+  fontWeight: '500'
+};
+
+const sectionStyle = {
+  borderTop: '1px solid #E5E7EB',
+  paddingTop: '1rem',
+  marginTop: '1rem'
+};
+
+const buttonStyle = {
+  padding: '0.5rem 1rem',
+  backgroundColor: '#FFEBEB',
+  color: '#000000',
+  borderRadius: '0.5rem',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+const emptyForm = () => ({
+  id: '',
+  version: '1.0',
+  title: '',
+  mainScenario: 'Medical Scenario',
+  subScenario: '',
+  difficulty: 'intermediate',
+  tags: '',
+  dispatch: { age: '', gender: '', location: '', time: '', callerInfo: '', complaint: '' },
+  medicalHistory: '',
+  medications: '',
+  allergies: '',
+  history: {},
+  physicalFindings: {},
+  findings: {},
+  condition: 'stable',
+  baseline: {},
+  useTrajectory: false,
+  phases: [{ name: '', until: '', rates: {} }],
+  controlledBy: [],
+  recovery: {},
+  criticalInterventions: [{ id: '', action: '', withinMinutes: '' }],
+  expectedFieldImpression: ''
+});
+
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// Keep only the filled-in entries of a text map
+const compactText = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => String(value).trim()).map(([key, value]) => [key, String(value).trim()])
+);
+
+// Keep only the filled-in entries of a numeric map
+const compactNumbers = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => String(value).trim() !== '').map(([key, value]) => [key, Number(value)])
+);
+
+const toText = (values = {}) => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, String(value)]));
+
+const isTrauma = (schema, subScenario) => (schema?.scenarioTypes['Trauma Scenario'] || []).includes(subScenario);
+
+// Build a schema-shaped case from the form
+const toDefinition = (f, schema) => {
+  const age = f.dispatch.age === '' ? '' : Number(f.dispatch.age);
+  const complaintKey = isTrauma(schema, f.subScenario) ? 'mechanism' : 'symptoms';
+  const definition = {
+    schemaVersion: schema?.schemaVersion || 1,
+    id: f.id.trim(),
+    version: f.version.trim(),
+    title: f.title.trim(),
+    mainScenario: f.mainScenario,
+    subScenario: f.subScenario,
+    difficulty: f.difficulty,
+    tags: splitList(f.tags),
+    dispatch: {
+      age,
+      gender: f.dispatch.gender,
+      location: f.dispatch.location.trim(),
+      time: f.dispatch.time.trim(),
+      [complaintKey]: f.dispatch.complaint.trim(),
+      callerInfo: f.dispatch.callerInfo
+    },
+    patientProfile: {
+      age,
+      gender: f.dispatch.gender,
+      medicalHistory: splitList(f.medicalHistory),
+      medications: splitList(f.medications),
+      allergies: splitList(f.allergies)
+    },
+    history: compactText(f.history),
+    physicalFindings: compactText(f.physicalFindings),
+    findings: compactText(f.findings),
+    vitals: { condition: f.condition, baseline: compactNumbers(f.baseline) },
+    criticalInterventions: f.criticalInterventions.map(item => ({
+      id: item.id.trim(),
+      action: item.action.trim(),
+      ...(String(item.withinMinutes).trim() !== '' ? { withinMinutes: Number(item.withinMinutes) } : {})
+    })),
+    expectedFieldImpression: f.expectedFieldImpression.trim()
+  };
+
+  if (f.useTrajectory) {
+    definition.vitals.trajectory = {
+      phases: f.phases.map(phase => ({
+        name: phase.name.trim(),
+        ...(String(phase.until).trim() !== '' ? { until: Number(phase.until) } : {}),
+        rates: compactNumbers(phase.rates)
+      })),
+      controlledBy: f.controlledBy,
+      recovery: compactNumbers(f.recovery)
+    };
+  }
+  return definition;
+};
+
+// Fill the form from a saved case
+const fromDefinition = (definition) => {
+  const trajectory = definition.vitals?.trajectory;
+  return {
+    ...emptyForm(),
+    id: definition.id || '',
+    version: definition.version || '1.0',
+    title: definition.title || '',
+    mainScenario: definition.mainScenario || 'Medical Scenario',
+    subScenario: definition.subScenario || '',
+    difficulty: definition.difficulty || 'intermediate',
+    tags: (definition.tags || []).join(', '),
+    dispatch: {
+      age: String(definition.dispatch?.age ?? ''),
+      gender: definition.dispatch?.gender || '',
+      location: definition.dispatch?.location || '',
+      time: definition.dispatch?.time || '',
+      callerInfo: definition.dispatch?.callerInfo || '',
+      complaint: definition.dispatch?.mechanism || definition.dispatch?.symptoms || ''
+    },
+    medicalHistory: (definition.patientProfile?.medicalHistory || []).join(', '),
+    medications: (definition.patientProfile?.medications || []).join(', '),
+    allergies: (definition.patientProfile?.allergies || []).join(', '),
+    history: toText(definition.history),
+    physicalFindings: toText(definition.physicalFindings),
+    findings: toText(definition.findings),
+    condition: definition.vitals?.condition || 'stable',
+    baseline: toText(definition.vitals?.baseline),
+    useTrajectory: !!trajectory,
+    phases: trajectory
+      ? trajectory.phases.map(phase => ({ name: phase.name, until: String(phase.until ?? ''), rates: toText(phase.rates) }))
+      : emptyForm().phases,
+    controlledBy: trajectory?.controlledBy || [],
+    recovery: toText(trajectory?.recovery),
+    criticalInterventions: (definition.criticalInterventions || []).map(item => ({
+      id: item.id, action: item.action, withinMinutes: String(item.withinMinutes ?? '')
+    })),
+    expectedFieldImpression: definition.expectedFieldImpression || ''
+  };
+};
+
+export default function ScenarioEditor() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [schema, setSchema] = useState(null);
+  const [libraryCases, setLibraryCases] = useState([]);
+  const [form, setForm] = useState(emptyForm());
+  const [loadedKey, setLoadedKey] = useState(null); // id@version the form was opened from
+  const [validation, setValidation] = useState(null);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    apiFetch('/scenarios/schema')
+      .then(response => response.json())
+      .then(data => data.success && setSchema(data.data))
+      .catch(() => setStatus('Failed to reach the scenario service.'));
+    apiFetch('/scenarios')
+      .then(response => response.json())
+      .then(data => data.success && setLibraryCases(data.data))
+      .catch(() => {});
+  }, []);
+
+  // Coming back from a student preview restores the draft
+  useEffect(() => {
+    if (schema && location.state?.draft) {
+      setForm(fromDefinition(location.state.draft));
+      setLoadedKey(location.state.loadedKey || null);
+    }
+  }, [schema, location.state]);
+
+  // Re-validate shortly after edits stop
+  useEffect(() => {
+    if (!schema) return;
+    const timer = setTimeout(() => {
+      apiFetch('/scenarios/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(toDefinition(form, schema))
+      })
+        .then(response => response.json())
+        .then(data => data.success && setValidation(data.data))
+        .catch(() => {});
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [form, schema]);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+  const updateIn = (section, key, value) => setForm(prev => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
+  const updateListItem = (list, index, changes) => setForm(prev => ({
+    ...prev,
+    [list]: prev[list].map((item, i) => (i === index ? { ...item, ...changes } : item))
+  }));
+
+  const errorsFor = (...prefixes) => (validation?.errors || []).filter(error => prefixes.some(prefix => error.startsWith(prefix)));
+
+  const renderErrors = (errors) => errors.length > 0 && (
+    <ul style={{ color: '#E60000', fontSize: '0.8rem', margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+      {errors.map(error => <li key={error}>{error}</li>)}
+    </ul>
+  );
+
+  const openCase = async (key) => {
+    if (!key) {
+      setForm(emptyForm());
+      setLoadedKey(null);
+      return;
+    }
+    const [id, version] = key.split('@');
+    const response = await apiFetch(`/scenarios/${encodeURIComponent(id)}?version=${encodeURIComponent(version)}`);
+    const data = await response.json();
+    if (data.success) {
+      setForm(fromDefinition(data.data));
+      setLoadedKey(key);
+      setStatus('');
+    } else {
+      setStatus(data.error);
+    }
+  };
+
+  const handleSave = async () => {
+    const definition = toDefinition(form, schema);
+    const key = `${definition.id}@${definition.version}`;
+    const replacing = loadedKey === key;
+    const url = replacing
+      ? `/scenarios/${encodeURIComponent(definition.id)}/versions/${encodeURIComponent(definition.version)}`
+      : '/scenarios';
+
+    try {
+      const response = await apiFetch(url, {
+        method: replacing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(definition)
+      });
+      const data = await response.json();
+      if (data.success) {
+        setLoadedKey(key);
+        setStatus(`Saved ${key}.`);
+        setLibraryCases(prev => [...prev.filter(c => `${c.id}@${c.version}` !== key), {
+          id: definition.id, version: definition.version, title: definition.title
+        }]);
+      } else if (response.status === 409) {
+        setStatus(`${data.error}. Raise the version to save a new revision.`);
+      } else {
+        setStatus(data.error);
+      }
+    } catch {
+      setStatus('Failed to save the scenario.');
+    }
+  };
+
+  const handlePreview = () => {
+    const definition = toDefinition(form, schema);
+    navigate('/app', {
+      state: {
+        mainScenario: definition.mainScenario,
+        subScenario: definition.subScenario,
+        libraryCaseDraft: definition,
+        authoringKey: loadedKey
+      }
+    });
+  };
+
+  if (!schema) {
+    return (
+      <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+        <Header />
+        <p style={{ color: 'white', textAlign: 'center', marginTop: '120px' }}>{status || 'Loading scenario schema...'}</p>
+      </div>
+    );
+  }
+
+  const subScenarios = schema.scenarioTypes[form.mainScenario] || [];
+  const isValid = validation?.isValid;
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#1e3a8a', display: 'flex', flexDirection: 'column' }}>
+      <div style={{ position: 'fixed', top: 0, left: 0, right: 0, zIndex: 1000, background: 'white' }}>
+        <Header />
+      </div>
+      <div style={{ marginTop: '76px', padding: '2rem 1rem', maxWidth: '900px', margin: '76px auto 0', width: '100%', boxSizing: 'border-box' }}>
+        <div style={{ backgroundColor: '#ffffff', color: '#000000', borderRadius: '20px', padding: '2rem', boxShadow: '0 10px 24px rgba(0, 0, 0, 0.12)' }}>
+          <h1 style={{ fontSize: '2rem', fontWeight: 'bold', color: '#E60000', marginTop: 0 }}>Scenario Authoring</h1>
+
+          <label style={labelStyle}>Open a library case</label>
+          <select value={loadedKey || ''} onChange={(e) => openCase(e.target.value)} style={inputStyle}>
+            <option value="">New case</option>
+            {libraryCases.map(c => (
+              <option key={`${c.id}@${c.version}`} value={`${c.id}@${c.version}`}>{c.title} (v{c.version})</option>
+            ))}
+          </select>
+
+          {/* Case details */}
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: '1.25rem' }}>Case</h2>
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '0.75rem' }}>
+              <div>
+                <label style={labelStyle}>Id</label>
+                <input style={inputStyle} value={form.id} placeholder="anaphylaxis-bee-sting" onChange={(e) => update({ id: e.target.value })} />
+              </div>
+              <div>
+                <label style={labelStyle}>Version</label>
+                <input style={inputStyle} value={form.version} onChange={(e) => update({ version: e.target.value })} />
+              </div>
+            </div>
+            <label style={labelStyle}>Title</label>
+            <input style={inputStyle} value={form.title} onChange={(e) => update({ title: e.target.value })} />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.75rem', marginTop: '0.5rem' }}>
+              <select style={inputStyle} value={form.mainScenario} onChange={(e) => update({ mainScenario: e.target.value, subScenario: '' })}>
+                {Object.keys(schema.scenarioTypes).map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <select style={inputStyle} value={form.subScenario} onChange={(e) => update({ subScenario: e.target.value })}>
+                <option value="">Choose a sub-scenario</option>
+                {subScenarios.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <select style={inputStyle} value={form.difficulty} onChange={(e) => update({ difficulty: e.target.value })}>
+                {schema.difficultyLevels.map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+            </div>
+            <label style={labelStyle}>Tags (comma separated)</label>
+            <input style={inputStyle} value={form.tags} onChange={(e) => update({ tags: e.target.value })} />
+            {renderErrors(errorsFor('schemaVersion', 'id', 'version', 'title', 'mainScenario', 'subScenario', 'difficulty', 'tags'))}
+          </div>
+
+          {/* Dispatch */}
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: '1.25rem' }}>Dispatch</h2>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '0.75rem' }}>
+              <div>
+                <label style={labelStyle}>Age</label>
+                <input style={inputStyle} type="number" value={form.dispatch.age} onChange={(e) => updateIn('dispatch', 'age', e.target.value)} />
+              </div>
+              <div>
+                <label style={labelStyle}>Gender</label>
+                <select style={inputStyle} value={form.dispatch.gender} onChange={(e) => updateIn('dispatch', 'gender', e.target.value)}>
+                  <option value="">Choose</option>
+                  <option value="male">male</option>
+                  <option value="female">female</option>
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Time</label>
+                <input style={inputStyle} value={form.dispatch.time} placeholder="3:20pm" onChange={(e) => updateIn('dispatch', 'time', e.target.value)} />
+              </div>
+            </div>
+            <label style={labelStyle}>Location</label>
+            <input style={inputStyle} value={form.dispatch.location} onChange={(e) => updateIn('dispatch', 'location', e.target.value)} />
+            <label style={labelStyle}>{isTrauma(schema, form.subScenario) ? 'Mechanism of injury' : 'Symptoms'}</label>
+            <input style={inputStyle} value={form.dispatch.complaint} onChange={(e) => updateIn('dispatch', 'complaint', e.target.value)} />
+            <label style={labelStyle}>Caller</label>
+            <select style={inputStyle} value={form.dispatch.callerInfo} onChange={(e) => updateIn('dispatch', 'callerInfo', e.target.value)}>
+              <option value="">Choose who called 911</option>
+              {schema.callerOptions.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            {renderErrors(errorsFor('dispatch'))}
+          </div>
+
+          {/* Patient and history */}
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: '1.25rem' }}>Patient and History</h2>
+            {[['medicalHistory', 'Medical history'], ['medications', 'Medications'], ['allergies', 'Allergies']].map(([key, label]) => (
+              <div key={key}>
+                <label style={labelStyle}>{label} (comma separated)</label>
+                <input style={inputStyle} value={form[key]} onChange={(e) => update({ [key]: e.target.value })} />
+              </div>
+            ))}
+            {HISTORY_FIELDS.map(([key, label]) => (
+              <div key={key}>
+                <label style={labelStyle}>{label}</label>
+                <input style={inputStyle} value={form.history[key] || ''} onChange={(e) => updateIn('history', key, e.target.value)} />
+              </div>
+            ))}
+            {renderErrors(errorsFor('patientProfile', 'history'))}
+          </div>
+
+          {/* Scene impression and findings */}
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: '1.25rem' }}>Scene Impression</h2>
+            {SCENE_FIELDS.map(([key, label]) => (
+              <div key={key}>
+                <label style={labelStyle}>{label}</label>
+                <input style={inputStyle} value={form.physicalFindings[key] || ''} onChange={(e) => updateIn('physicalFindings', key, e.target.value)} />
+              </div>
+            ))}
+            <h2 style={{ fontSize: '1.25rem' }}>Findings by Region</h2>
+            {schema.bodyRegions.map(region => (
+              <div key={region}>
+                <label style={labelStyle}>{REGION_LABELS[region] || region}</label>
+                <textarea style={{ ...inputStyle, resize: 'vertical' }} rows={2} value={form.findings[region] || ''} onChange={(e) => updateIn('findings', region, e.target.value)} />
+              </div>
+            ))}
+            {renderErrors(errorsFor('findings'))}
+          </div>
+
+          {/* Vitals timeline */}
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: '1.25rem' }}>Vitals</h2>
+            <label style={labelStyle}>Condition</label>
+            <select style={inputStyle} value={form.condition} onChange={(e) => update({ condition: e.target.value })}>
+              {schema.conditions.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+            </select>
+            <label style={labelStyle}>Baseline (blank uses the condition default)</label>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(9, 1fr)', gap: '0.25rem' }}>
+              {schema.vitals.map(key => (
+                <div key={key}>
+                  <span style={{ fontSize: '0.75rem' }}>{VITAL_LABELS[key] || key}</span>
+                  <input style={{ ...inputStyle, padding: '0.25rem' }} type="number" value={form.baseline[key] || ''} onChange={(e) => updateIn('baseline', key, e.target.value)} />
+                </div>
+              ))}
+            </div>
+
+            <label style={{ ...labelStyle, marginTop: '0.75rem' }}>
+              <input type="checkbox" checked={form.useTrajectory} onChange={(e) => update({ useTrajectory: e.target.checked })} />
+              {' '}Custom trajectory (otherwise the condition's stock timeline is used)
+            </label>
+            {form.useTrajectory && (
+              <div>
+                <p style={{ fontSize: '0.8rem', margin: '0.25rem 0' }}>
+                  Rates are per-minute changes while untreated. Leave "until" blank on the last phase.
+                </p>
+                {form.phases.map((phase, index) => (
+                  <div key={index} style={{ border: '1px solid #E5E7EB', borderRadius: '0.5rem', padding: '0.5rem', marginBottom: '0.5rem' }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto', gap: '0.5rem' }}>
+                      <input style={inputStyle} placeholder="Phase name" value={phase.name} onChange={(e) => updateListItem('phases', index, { name: e.target.value })} />
+                      <input style={inputStyle} type="number" placeholder="until (min)" value={phase.until} onChange={(e) => updateListItem('phases', index, { until: e.target.value })} />
+                      <button style={buttonStyle} disabled={form.phases.length === 1} onClick={() => update({ phases: form.phases.filter((_, i) => i !== index) })}>Remove</button>
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(9, 1fr)', gap: '0.25rem', marginTop: '0.25rem' }}>
+                      {schema.vitals.map(key => (
+                        <div key={key}>
+                          <span style={{ fontSize: '0.75rem' }}>{VITAL_LABELS[key] || key}/min</span>
+                          <input
+                            style={{ ...inputStyle, padding: '0.25rem' }}
+                            type="number"
+                            step="0.1"
+                            value={phase.rates[key] || ''}
+                            onChange={(e) => updateListItem('phases', index, { rates: { ...phase.rates, [key]: e.target.value } })}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <button style={buttonStyle} onClick={() => update({ phases: [...form.phases, { name: '', until: '', rates: {} }] })}>Add phase</button>
+
+                <label style={{ ...labelStyle, marginTop: '0.75rem' }}>Controlled by</label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', fontSize: '0.875rem' }}>
+                  {schema.controls.map(control => (
+                    <label key={control}>
+                      <input
+                        type="checkbox"
+                        checked={form.controlledBy.includes(control)}
+                        onChange={(e) => update({
+                          controlledBy: e.target.checked
+                            ? [...form.controlledBy, control]
+                            : form.controlledBy.filter(c => c !== control)
+                        })}
+                      />
+                      {' '}{control}
+                    </label>
+                  ))}
+                </div>
+
+                <label style={{ ...labelStyle, marginTop: '0.75rem' }}>Recovery once controlled (per minute, toward normal)</label>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(9, 1fr)', gap: '0.25rem' }}>
+                  {schema.vitals.map(key => (
+                    <div key={key}>
+                      <span style={{ fontSize: '0.75rem' }}>{VITAL_LABELS[key] || key}</span>
+                      <input style={{ ...inputStyle, padding: '0.25rem' }} type="number" step="0.1" value={form.recovery[key] || ''} onChange={(e) => updateIn('recovery', key, e.target.value)} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+            {renderErrors(errorsFor('vitals'))}
+
+            {validation?.preview && (
+              <div style={{ overflowX: 'auto', marginTop: '0.75rem' }}>
+                <p style={{ fontSize: '0.8rem', margin: '0.25rem 0' }}>Untreated timeline</p>
+                <table style={{ borderCollapse: 'collapse', fontSize: '0.75rem', width: '100%' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: 'left' }}>Min</th>
+                      <th style={{ textAlign: 'left' }}>Phase</th>
+                      {schema.vitals.map(key => <th key={key}>{VITAL_LABELS[key] || key}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {validation.preview.map(sample => (
+                      <tr key={sample.minute} style={{ borderTop: '1px solid #E5E7EB' }}>
+                        <td>{sample.minute}</td>
+                        <td>{sample.phase}</td>
+                        {schema.vitals.map(key => <td key={key} style={{ textAlign: 'center' }}>{sample.vitals[key]}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Critical actions */}
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: '1.25rem' }}>Critical Actions</h2>
+            {form.criticalInterventions.map((item, index) => (
+              <div key={index} style={{ display: 'grid', gridTemplateColumns: '1fr 3fr 1fr auto', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                <input style={inputStyle} placeholder="id" value={item.id} onChange={(e) => updateListItem('criticalInterventions', index, { id: e.target.value })} />
+                <input style={inputStyle} placeholder="Action" value={item.action} onChange={(e) => updateListItem('criticalInterventions', index, { action: e.target.value })} />
+                <input style={inputStyle} type="number" placeholder="within (min)" value={item.withinMinutes} onChange={(e) => updateListItem('criticalInterventions', index, { withinMinutes: e.target.value })} />
+                <button style={buttonStyle} onClick={() => update({ criticalInterventions: form.criticalInterventions.filter((_, i) => i !== index) })}>Remove</button>
+              </div>
+            ))}
+            <button style={buttonStyle} onClick={() => update({ criticalInterventions: [...form.criticalInterventions, { id: '', action: '', withinMinutes: '' }] })}>Add action</button>
+            <label style={{ ...labelStyle, marginTop: '0.75rem' }}>Expected field impression</label>
+            <input style={inputStyle} value={form.expectedFieldImpression} onChange={(e) => update({ expectedFieldImpression: e.target.value })} />
+            {renderErrors(errorsFor('criticalInterventions', 'expectedFieldImpression'))}
+          </div>
+
+          {/* Status and actions */}
+          <div style={sectionStyle}>
+            {validation?.warnings?.length > 0 && (
+              <ul style={{ color: '#92400E', fontSize: '0.8rem', paddingLeft: '1.25rem' }}>
+                {validation.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+            <p style={{ fontSize: '0.875rem', color: isValid ? '#047857' : '#E60000' }}>
+              {validation ? (isValid ? 'Case is valid.' : `${validation.errors.length} problem(s) to fix before saving.`) : 'Checking...'}
+            </p>
+            {status && <p style={{ fontSize: '0.875rem' }}>{status}</p>}
+            <div style={{ display: 'flex', gap: '0.75rem' }}>
+              <button
+                style={{ ...buttonStyle, cursor: isValid ? 'pointer' : 'not-allowed', backgroundColor: isValid ? '#FFEBEB' : '#E5E7EB' }}
+                disabled={!isValid}
+                onClick={handleSave}
+              >
+                {loadedKey === `${form.id.trim()}@${form.version.trim()}` ? 'Save changes' : 'Save to library'}
+              </button>
+              <button
+                style={{ ...buttonStyle, cursor: isValid ? 'pointer' : 'not-allowed', backgroundColor: isValid ? '#FFEBEB' : '#E5E7EB' }}
+                disabled={!isValid}
+                onClick={handlePreview}
+              >
+                Play as student
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
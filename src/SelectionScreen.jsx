@@ -1,39 +1,27 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
 import Header from './Header';
+import { apiFetch, getUser, clearAuth, hasRole } from './auth';
+import { MEDICAL_SCENARIOS, TRAUMA_SCENARIOS } from './scenarioTypes';
 
 export default function SelectionScreen() {
   const navigate = useNavigate();
-  const [sunetId, setSunetId] = useState('');
+  const [user] = useState(getUser);
   const [selectedScenario, setSelectedScenario] = useState('');
   const [medicalSubScenario, setMedicalSubScenario] = useState('');
   const [traumaSubScenario, setTraumaSubScenario] = useState('');
+  const [libraryCases, setLibraryCases] = useState([]);
+  const [libraryCaseKey, setLibraryCaseKey] = useState('');
+  const [libraryError, setLibraryError] = useState('');
+  const [scenarioCode, setScenarioCode] = useState('');
+  const [teamCode, setTeamCode] = useState('');
+  const [teamRole, setTeamRole] = useState('partner');
+  const [teamError, setTeamError] = useState('');
 
   const scenarios = [
     'Medical Scenario',
-    'Trauma Scenario'
-  ];
-
-  const medicalScenarios = [
-    'Random Scenario',
-    'Respiratory Scenario',
-    'Cardiac Scenario',
-    'Neurologic Scenario',
-    'Metabolic Scenario',
-    'Abdominal Scenario',
-    'Environmental Scenario',
-    'OB/GYN Scenario'
-  ];
-
-  const traumaScenarios = [
-    'Random Scenario',
-    'MVC Scenario',
-    'Fall Scenario',
-    'Assault Scenario',
-    'Sport Injury Scenario',
-    'Stabbing Scenario',
-    'GSW Scenario',
-    'Burn Scenario'
+    'Trauma Scenario',
+    'Scenario Library'
   ];
 
   const handleScenarioChange = (e) => {
@@ -45,10 +33,44 @@ export default function SelectionScreen() {
     if (newScenario !== 'Trauma Scenario') {
       setTraumaSubScenario('');
     }
+    if (newScenario !== 'Scenario Library') {
+      setLibraryCaseKey('');
+    }
   };
 
+  useEffect(() => {
+    if (!user) navigate('/login', { replace: true });
+  }, [user, navigate]);
+
+  const handleSignOut = () => {
+    clearAuth();
+    navigate('/login');
+  };
+
+  // Load instructor-authored cases when the library is chosen
+  useEffect(() => {
+    if (selectedScenario !== 'Scenario Library' || libraryCases.length > 0) return;
+    apiFetch('/scenarios')
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setLibraryCases(data.data);
+          setLibraryError(data.data.length === 0 ? 'No library scenarios are available.' : '');
+        } else {
+          setLibraryError(data.error || 'Failed to load the scenario library.');
+        }
+      })
+      .catch(() => setLibraryError('Failed to load the scenario library.'));
+  }, [selectedScenario, libraryCases.length]);
+
+  const caseKey = (libraryCase) => `${libraryCase.id}@${libraryCase.version}`;
+
+  // Codes look like "T5-1Z4K8PQ": scenario type, then the seed
+  const isScenarioCodeValid = () => /^[A-Z]\d+-[0-9A-Z]{1,7}$/i.test(scenarioCode.trim());
+
   const isFormValid = () => {
-    if (!sunetId.trim()) return false;
+    if (!user) return false;
+    if (scenarioCode.trim()) return isScenarioCodeValid();
     
     if (selectedScenario === 'Medical Scenario') {
       return !!medicalSubScenario;
@@ -56,44 +78,80 @@ export default function SelectionScreen() {
     if (selectedScenario === 'Trauma Scenario') {
       return !!traumaSubScenario;
     }
+    if (selectedScenario === 'Scenario Library') {
+      return !!libraryCaseKey;
+    }
     return false;
   };
 
+  // What the chat screen needs to start the chosen scenario
+  const getScenarioState = () => {
+    // A scenario code reruns an earlier call; the server decodes its type and seed
+    if (scenarioCode.trim()) {
+      return { scenarioCode: scenarioCode.trim().toUpperCase() };
+    }
+
+    if (selectedScenario === 'Scenario Library') {
+      const libraryCase = libraryCases.find(c => caseKey(c) === libraryCaseKey);
+      return {
+        mainScenario: libraryCase.mainScenario,
+        subScenario: libraryCase.subScenario,
+        libraryCaseId: libraryCase.id,
+        libraryCaseVersion: libraryCase.version
+      };
+    }
+
+    // "Random Scenario" is resolved on the server from the scenario seed, so a scenario code reproduces the pick
+    const finalSubScenario = selectedScenario === 'Medical Scenario' ? medicalSubScenario : traumaSubScenario;
+    return {
+      mainScenario: selectedScenario,
+      subScenario: finalSubScenario
+    };
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (isFormValid()) {
-      let finalSubScenario;
-      
-      // Handle random scenario selection
-      if (selectedScenario === 'Medical Scenario') {
-        if (medicalSubScenario === 'Random Scenario') {
-          // Get all medical scenarios except 'Random Scenario'
-          const availableMedicalScenarios = medicalScenarios.filter(scenario => scenario !== 'Random Scenario');
-          // Randomly select one
-          finalSubScenario = availableMedicalScenarios[Math.floor(Math.random() * availableMedicalScenarios.length)];
-        } else {
-          finalSubScenario = medicalSubScenario;
-        }
-      } else if (selectedScenario === 'Trauma Scenario') {
-        if (traumaSubScenario === 'Random Scenario') {
-          // Get all trauma scenarios except 'Random Scenario'
-          const availableTraumaScenarios = traumaScenarios.filter(scenario => scenario !== 'Random Scenario');
-          // Randomly select one
-          finalSubScenario = availableTraumaScenarios[Math.floor(Math.random() * availableTraumaScenarios.length)];
-        } else {
-          finalSubScenario = traumaSubScenario;
-        }
-      }
-      
-      // Create scenario data object
-      const scenarioData = {
-        sunetId: sunetId,
-        mainScenario: selectedScenario,
-        subScenario: finalSubScenario
-      };
-      
       // Navigate to app with scenario data
-      navigate('/app', { state: scenarioData });
+      navigate('/app', { state: getScenarioState() });
+    }
+  };
+
+  // Team scenarios: the student who starts one is the team lead and shares the code with teammates
+  const handleStartTeam = async () => {
+    if (!isFormValid()) return;
+    setTeamError('');
+    try {
+      const scenarioData = getScenarioState();
+      const response = await apiFetch('/teams', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scenarioData })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      navigate('/app', { state: { ...scenarioData, team: { sessionId: data.data.sessionId, role: 'lead' } } });
+    } catch (error) {
+      setTeamError(error.message || 'Failed to start the team scenario.');
+    }
+  };
+
+  const handleJoinTeam = async () => {
+    if (!teamCode.trim()) return;
+    setTeamError('');
+    try {
+      const response = await apiFetch('/teams/join', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: teamCode.trim(), role: teamRole })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error([data.error, ...(Array.isArray(data.details) ? data.details : [])].filter(Boolean).join(': '));
+      }
+      navigate('/app', { state: { team: { sessionId: data.data.sessionId, role: data.data.role } } });
+    } catch (error) {
+      setTeamError(error.message || 'Failed to join the team.');
     }
   };
 
@@ -127,33 +185,15 @@ export default function SelectionScreen() {
           </h1>
           
           <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
-            <div>
-              <label style={{ 
-                display: 'block',
-                marginBottom: '0.5rem',
-                color: '#000000',
-                fontSize: '0.875rem',
-                fontWeight: '500'
-              }}>
-                Type your SUNet ID
-              </label>
-              <input
-                type="text"
-                value={sunetId}
-                onChange={(e) => setSunetId(e.target.value)}
-                placeholder="SUNet ID"
-                style={{
-                  width: '100%',
-                  padding: '0.5rem 0.75rem',
-                  border: '1px solid #D1D5DB',
-                  borderRadius: '0.5rem',
-                  outline: 'none',
-                  backgroundColor: 'white',
-                  boxSizing: 'border-box',
-                  color: '#000000'
-                }}
-                required
-              />
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: '#000000', fontSize: '0.875rem' }}>
+              <span>Signed in as <strong>{user?.displayName || user?.username}</strong></span>
+              <button
+                type="button"
+                onClick={handleSignOut}
+                style={{ background: 'none', border: 'none', color: '#1e3a8a', cursor: 'pointer', fontSize: '0.875rem' }}
+              >
+                Sign out
+              </button>
             </div>
 
             <div style={{ width: '100%' }}>
@@ -199,7 +239,7 @@ export default function SelectionScreen() {
                   required
                 >
                   <option value="">Choose a medical scenario</option>
-                  {medicalScenarios.map((scenario) => (
+                  {MEDICAL_SCENARIOS.map((scenario) => (
                     <option key={scenario} value={scenario}>
                       {scenario}
                     </option>
@@ -226,7 +266,7 @@ export default function SelectionScreen() {
                   required
                 >
                   <option value="">Choose a trauma scenario</option>
-                  {traumaScenarios.map((scenario) => (
+                  {TRAUMA_SCENARIOS.map((scenario) => (
                     <option key={scenario} value={scenario}>
                       {scenario}
                     </option>
@@ -235,6 +275,67 @@ export default function SelectionScreen() {
               </div>
             )}
 
+            {selectedScenario === 'Scenario Library' && (
+              <div style={{ width: '100%' }}>
+                <select
+                  value={libraryCaseKey}
+                  onChange={(e) => setLibraryCaseKey(e.target.value)}
+                  style={{
+                    width: '100%',
+                    padding: '0.5rem 0.75rem',
+                    border: '1px solid #D1D5DB',
+                    borderRadius: '0.5rem',
+                    outline: 'none',
+                    backgroundColor: 'white',
+                    boxSizing: 'border-box',
+                    color: '#000000'
+                  }}
+                  required
+                >
+                  <option value="">Choose a library scenario</option>
+                  {libraryCases.map((libraryCase) => (
+                    <option key={caseKey(libraryCase)} value={caseKey(libraryCase)}>
+                      {libraryCase.title} (v{libraryCase.version})
+                    </option>
+                  ))}
+                </select>
+                {libraryError && (
+                  <p style={{ color: '#E60000', fontSize: '0.875rem', marginTop: '0.5rem' }}>{libraryError}</p>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label style={{ 
+                display: 'block',
+                marginBottom: '0.5rem',
+                color: '#000000',
+                fontSize: '0.875rem',
+                fontWeight: '500'
+              }}>
+                Or rerun a call from a scenario code
+              </label>
+              <input
+                type="text"
+                value={scenarioCode}
+                onChange={(e) => setScenarioCode(e.target.value)}
+                placeholder="Scenario code (e.g. T5-1Z4K8PQ)"
+                style={{
+                  width: '100%',
+                  padding: '0.5rem 0.75rem',
+                  border: '1px solid #D1D5DB',
+                  borderRadius: '0.5rem',
+                  outline: 'none',
+                  backgroundColor: 'white',
+                  boxSizing: 'border-box',
+                  color: '#000000'
+                }}
+              />
+              {scenarioCode.trim() && !isScenarioCodeValid() && (
+                <p style={{ color: '#E60000', fontSize: '0.875rem', marginTop: '0.5rem' }}>That does not look like a scenario code.</p>
+              )}
+            </div>
+
             <button
               type="submit"
               onClick={handleSubmit}
@@ -251,6 +352,102 @@ export default function SelectionScreen() {
             >
               Submit
             </button>
+
+            <div style={{ borderTop: '1px solid #E5E7EB', paddingTop: '1rem', color: '#000000', fontSize: '0.875rem' }}>
+              <div style={{ fontWeight: '500', marginBottom: '0.5rem' }}>Team scenario (2-3 students)</div>
+              <button
+                type="button"
+                onClick={handleStartTeam}
+                disabled={!isFormValid()}
+                style={{
+                  width: '100%',
+                  padding: '0.5rem 1rem',
+                  backgroundColor: isFormValid() ? '#FFEBEB' : '#E5E7EB',
+                  color: isFormValid() ? '#000000' : '#9CA3AF',
+                  borderRadius: '0.5rem',
+                  border: 'none',
+                  cursor: isFormValid() ? 'pointer' : 'not-allowed',
+                  marginBottom: '0.75rem'
+                }}
+              >
+                Start the scenario above as team lead
+              </button>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={teamCode}
+                  onChange={(e) => setTeamCode(e.target.value)}
+                  placeholder="Team code"
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    padding: '0.5rem 0.75rem',
+                    border: '1px solid #D1D5DB',
+                    borderRadius: '0.5rem',
+                    backgroundColor: 'white',
+                    color: '#000000'
+                  }}
+                />
+                <select
+                  value={teamRole}
+                  onChange={(e) => setTeamRole(e.target.value)}
+                  style={{ padding: '0.5rem', border: '1px solid #D1D5DB', borderRadius: '0.5rem', backgroundColor: 'white', color: '#000000' }}
+                >
+                  <option value="partner">Partner</option>
+                  <option value="driver">Driver</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={handleJoinTeam}
+                  disabled={!teamCode.trim()}
+                  style={{
+                    padding: '0.5rem 1rem',
+                    backgroundColor: teamCode.trim() ? '#FFEBEB' : '#E5E7EB',
+                    color: teamCode.trim() ? '#000000' : '#9CA3AF',
+                    borderRadius: '0.5rem',
+                    border: 'none',
+                    cursor: teamCode.trim() ? 'pointer' : 'not-allowed'
+                  }}
+                >
+                  Join
+                </button>
+              </div>
+              {teamError && <p style={{ color: '#E60000', marginTop: '0.5rem', marginBottom: 0 }}>{teamError}</p>}
+            </div>
+
+            <Link
+              to="/progress"
+              style={{ color: '#1e3a8a', fontSize: '0.875rem', textAlign: 'center', textDecoration: 'none' }}
+            >
+              My past attempts and progress
+            </Link>
+
+            {hasRole(user, 'instructor') && (
+              <Link
+                to="/author"
+                style={{ color: '#1e3a8a', fontSize: '0.875rem', textAlign: 'center', textDecoration: 'none' }}
+              >
+                Instructors: author a scenario
+              </Link>
+            )}
+
+            {hasRole(user, 'instructor') && (
+              <Link
+                to="/cohorts"
+                style={{ color: '#1e3a8a', fontSize: '0.875rem', textAlign: 'center', textDecoration: 'none' }}
+              >
+                Instructors: cohort dashboards and gradebook
+              </Link>
+            )}
+
+            {hasRole(user, 'instructor') && (
+              <Link
+                to="/proctor"
+                style={{ color: '#1e3a8a', fontSize: '0.875rem', textAlign: 'center', textDecoration: 'none' }}
+              >
+                Instructors: watch running scenarios live
+              </Link>
+            )}
           </div>
         </div>
       </div>
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import config from './config';
+import { apiFetch } from './auth';
 
 export default function TestConnection() {
   const [testResult, setTestResult] = useState('');
@@ -8,7 +8,7 @@ export default function TestConnection() {
   const testAPI = async () => {
     setIsTesting(true);
     try {
-      const response = await fetch(`${config.apiBaseUrl}/chat`, {
+      const response = await apiFetch('/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -0,0 +1,58 @@
+// src/auth.js
+import config from './config';
+
+const TOKEN_KEY = 'emtAuthToken';
+const USER_KEY = 'emtAuthUser';
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function getUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function setAuth(token, user) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearAuth() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+}
+
+// student < instructor < admin
+const ROLES = ['student', 'instructor', 'admin'];
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * fetch() against the backend API with the signed-in user's token.
+ * An expired or revoked sign-in sends the browser back to the login screen.
+ * @param {string} path - API path, e.g. "/chat"
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(path, options = {}) {
+  const token = getToken();
+  const response = await fetch(`${config.apiBaseUrl}${path}`, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  });
+
+  if (response.status === 401 && token) {
+    clearAuth();
+    window.location.hash = '#/login';
+  }
+  return response;
+}
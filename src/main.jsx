@@ -5,15 +5,29 @@ import App from './App.jsx'
 import SelectionScreen from './SelectionScreen.jsx'
 import { HashRouter, Routes, Route } from 'react-router-dom';
 import About from './About';
+import ScenarioEditor from './ScenarioEditor';
+import Replay from './Replay';
+import Login from './Login';
+import Progress from './Progress';
+import Cohorts from './Cohorts';
+import Proctor from './Proctor';
+import ProctorConsole from './ProctorConsole';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <HashRouter>
       <Routes>
+        <Route path="/login" element={<Login />} />
         <Route path="/" element={<SelectionScreen />} />
         <Route path="/selection" element={<SelectionScreen />} />
         <Route path="/app" element={<App />} />
         <Route path="/about" element={<About />} />
+        <Route path="/author" element={<ScenarioEditor />} />
+        <Route path="/replay" element={<Replay />} />
+        <Route path="/progress" element={<Progress />} />
+        <Route path="/cohorts" element={<Cohorts />} />
+        <Route path="/proctor" element={<Proctor />} />
+        <Route path="/proctor/console" element={<ProctorConsole />} />
       </Routes>
     </HashRouter>
   </StrictMode>,
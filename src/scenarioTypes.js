@@ -0,0 +1,24 @@
+// src/scenarioTypes.js
+// Scenario categories offered on the selection screen; the progress dashboard groups attempts by the same lists
+
+export const MEDICAL_SCENARIOS = [
+  'Random Scenario',
+  'Respiratory Scenario',
+  'Cardiac Scenario',
+  'Neurologic Scenario',
+  'Metabolic Scenario',
+  'Abdominal Scenario',
+  'Environmental Scenario',
+  'OB/GYN Scenario'
+];
+
+export const TRAUMA_SCENARIOS = [
+  'Random Scenario',
+  'MVC Scenario',
+  'Fall Scenario',
+  'Assault Scenario',
+  'Sport Injury Scenario',
+  'Stabbing Scenario',
+  'GSW Scenario',
+  'Burn Scenario'
+];